@@ -0,0 +1,95 @@
+import {
+    ACTION_TYPE,
+    QUANTITY_MODE,
+    ACTION_OUTCOME,
+    ACTION_SOURCE,
+    CONFIRMATION_MODE,
+    createAction,
+    createActionBatch,
+    applyActionBatch,
+    previewActionBatch,
+    requiresConfirmation,
+    formatOutcome
+} from 'c/b2bActionBatch';
+
+const products = [
+    { id: '01tA', sku: 'A-1', name: 'Anchor', minQty: 1, increment: 1, stock: '100' },
+    { id: '01tB', sku: 'B-1', name: 'Bolt', minQty: 5, increment: 5, stock: '40' },
+    { id: '01tC', sku: 'C-1', name: 'Clamp', minQty: 1, increment: 1, stock: '0' }
+];
+
+function context(inputQty = {}, cart = {}) {
+    return {
+        findProduct: (sku) => products.find(p => p.sku.toLowerCase() === sku.toLowerCase()) || null,
+        getCurrentQty: (id) => inputQty[id] || 0,
+        getInCart: (id) => cart[id] || 0
+    };
+}
+
+describe('c/b2bActionBatch', () => {
+    it('normalizes actions into delta or absolute quantities', () => {
+        expect(createAction(' A-1 ', 'add', '3')).toEqual({ sku: 'A-1', type: ACTION_TYPE.ADD, quantity: 3, mode: QUANTITY_MODE.DELTA });
+        expect(createAction('A-1', 'set', 4).mode).toBe(QUANTITY_MODE.ABSOLUTE);
+        expect(createAction('A-1', 'add', 9999999).mode).toBe(QUANTITY_MODE.ABSOLUTE);
+        expect(createAction('A-1', 'search', 1).type).toBe(ACTION_TYPE.ADD);
+    });
+
+    it('applies a batch atomically with one outcome per action', () => {
+        const batch = createActionBatch([
+            createAction('A-1', 'add', 2),
+            createAction('b-1', 'add', 7),
+            createAction('C-1', 'add', 1),
+            createAction('Z-9', 'add', 1),
+            createAction('A-1', 'set', 3)
+        ], { source: ACTION_SOURCE.ASSISTANT });
+
+        const { quantities, results, summary } = applyActionBatch(batch, context({ '01tA': '1' }));
+        expect(quantities).toEqual({ '01tA': 3, '01tB': 10 });
+        expect(results.map(r => r.outcome)).toEqual([
+            ACTION_OUTCOME.APPLIED,
+            ACTION_OUTCOME.ADJUSTED,
+            ACTION_OUTCOME.REJECTED,
+            ACTION_OUTCOME.REJECTED,
+            ACTION_OUTCOME.UNCHANGED
+        ]);
+        expect(results[1].reasons).toEqual(['Adjusted to multiple of 5']);
+        expect(results[3].reasons).toEqual(['Product not found in the catalog']);
+        expect(summary).toEqual({ applied: 1, adjusted: 1, rejected: 2, unchanged: 1 });
+    });
+
+    it('chains actions on the same product and handles removals and the max convention', () => {
+        const batch = createActionBatch([
+            createAction('A-1', 'set', 10),
+            createAction('A-1', 'remove', 4),
+            createAction('B-1', 'add', 9999999),
+            createAction('B-1', 'remove', 9999999)
+        ]);
+        const { quantities, results } = applyActionBatch(batch, context({}, { '01tB': '10' }));
+        expect(results.map(r => r.quantity)).toEqual([10, 6, 30, 0]);
+        expect(results[2].outcome).toBe(ACTION_OUTCOME.APPLIED);
+        expect(quantities).toEqual({ '01tA': 6, '01tB': 0 });
+        expect(formatOutcome(ACTION_OUTCOME.ADJUSTED)).toBe('Adjusted');
+    });
+
+    it('previews the price impact of a batch and decides when to ask for confirmation', () => {
+        const prices = { '01tA': 2.5, '01tB': 1.2 };
+        const batch = createActionBatch([
+            createAction('A-1', 'add', 4),
+            createAction('B-1', 'add', 3),
+            createAction('Z-9', 'add', 1)
+        ]);
+        const preview = previewActionBatch(batch, {
+            ...context({ '01tA': '2' }),
+            getLineTotal: (product, quantity) => prices[product.id] * quantity
+        });
+        expect(preview.results.map(r => [r.previous, r.quantity, r.priceImpact])).toEqual([[2, 6, 10], [0, 5, 6], [0, 0, 0]]);
+        expect(preview.totalImpact).toBe(16);
+        expect(preview.summary).toEqual({ applied: 1, adjusted: 1, rejected: 1, unchanged: 0 });
+
+        expect(requiresConfirmation(5, CONFIRMATION_MODE.AUTO)).toBe(false);
+        expect(requiresConfirmation(1, CONFIRMATION_MODE.ALWAYS)).toBe(true);
+        expect(requiresConfirmation(0, CONFIRMATION_MODE.ALWAYS)).toBe(false);
+        expect(requiresConfirmation(3, CONFIRMATION_MODE.ABOVE_THRESHOLD, 3)).toBe(false);
+        expect(requiresConfirmation(4, CONFIRMATION_MODE.ABOVE_THRESHOLD, '3')).toBe(true);
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * @description Contrat des actions envoyées par l'assistant à la grille : un seul événement
+ * "applyactions" porte un lot d'opérations (add / remove / set, quantité en delta ou absolue).
+ * La grille applique le lot d'un bloc (applyActionBatch) puis renvoie un résultat par opération
+ * à l'assistant (méthode @api reportActionResults), qui l'affiche dans le chat.
+ * Selon le mode de confirmation, l'assistant peut d'abord proposer le lot (previewActionBatch) et
+ * n'envoyer que les opérations acceptées par l'utilisateur.
+ */
+import { resolveQuantity, isMaxRequest, explainAdjustments } from 'c/b2bQuantityRules';
+import { roundMoney } from 'c/b2bPricingEngine';
+
+export const ACTION_BATCH_EVENT = 'applyactions';
+
+export const ACTION_TYPE = {
+    ADD: 'add',
+    REMOVE: 'remove',
+    SET: 'set'
+};
+
+export const QUANTITY_MODE = {
+    DELTA: 'delta',
+    ABSOLUTE: 'absolute'
+};
+
+export const ACTION_OUTCOME = {
+    APPLIED: 'applied',
+    ADJUSTED: 'adjusted',
+    REJECTED: 'rejected',
+    UNCHANGED: 'unchanged'
+};
+
+export const ACTION_SOURCE = {
+    ASSISTANT: 'assistant',
+    FILE: 'file'
+};
+
+export const CONFIRMATION_MODE = {
+    AUTO: 'auto',
+    ABOVE_THRESHOLD: 'threshold',
+    ALWAYS: 'always'
+};
+
+export const DEFAULT_CONFIRMATION_THRESHOLD = 3;
+
+const OUTCOME_LABELS = {
+    [ACTION_OUTCOME.APPLIED]: 'Applied',
+    [ACTION_OUTCOME.ADJUSTED]: 'Adjusted',
+    [ACTION_OUTCOME.REJECTED]: 'Rejected',
+    [ACTION_OUTCOME.UNCHANGED]: 'Unchanged'
+};
+
+let batchSequence = 0;
+
+/**
+ * @description Normalise une opération. "set" est toujours absolu ; "add"/"remove" sont des deltas,
+ * sauf la convention "Max" (9999999) qui désigne le maximum disponible.
+ * @return { sku, type, quantity, mode }
+ */
+export function createAction(sku, type, quantity, mode = null) {
+    const actionType = Object.values(ACTION_TYPE).includes(type) ? type : ACTION_TYPE.ADD;
+    const qty = Math.abs(parseFloat(quantity) || 0);
+    let quantityMode = mode;
+    if (actionType === ACTION_TYPE.SET || isMaxRequest(qty)) quantityMode = QUANTITY_MODE.ABSOLUTE;
+    if (!quantityMode) quantityMode = QUANTITY_MODE.DELTA;
+    return { sku: sku ? String(sku).trim() : '', type: actionType, quantity: qty, mode: quantityMode };
+}
+
+/**
+ * @description Construit un lot identifié (batchId) à partir d'opérations créées par createAction.
+ * @param options { source: ACTION_SOURCE, label }
+ */
+export function createActionBatch(actions, { source = ACTION_SOURCE.ASSISTANT, label = null } = {}) {
+    batchSequence++;
+    return {
+        batchId: `batch-${Date.now()}-${batchSequence}`,
+        source,
+        label,
+        actions: (actions || []).map((action, index) => ({ key: `${index}`, ...action }))
+    };
+}
+
+/**
+ * @description Clé de recherche d'un SKU : les SKU renvoyés par l'assistant ne respectent pas toujours la casse.
+ */
+export function skuKey(sku) {
+    return String(sku || '').trim().toLowerCase();
+}
+
+/**
+ * @description Index des produits par clé de SKU (skuKey), partagé par la grille et l'assistant
+ * pour résoudre les SKU des lots de la même façon.
+ * @return Map clé de SKU -> produit
+ */
+export function buildSkuIndex(products) {
+    const index = new Map();
+    (products || []).forEach(p => {
+        const sku = p.sku || p.StockKeepingUnit;
+        if (sku) index.set(skuKey(sku), p);
+    });
+    return index;
+}
+
+/**
+ * @description Quantité de ligne visée par une opération, à partir de la saisie actuelle.
+ */
+export function resolveActionTarget(action, currentQty) {
+    if (action.mode === QUANTITY_MODE.ABSOLUTE) {
+        // Un retrait absolu "Max" vide la ligne
+        return action.type === ACTION_TYPE.REMOVE ? 0 : action.quantity;
+    }
+    if (action.type === ACTION_TYPE.REMOVE) return Math.max(0, currentQty - action.quantity);
+    return currentQty + action.quantity;
+}
+
+/**
+ * @description Applique un lot en mémoire, sans effet de bord : plusieurs opérations sur un même produit
+ * s'enchaînent dans l'ordre du lot.
+ * @param context { findProduct(sku), getCurrentQty(productId), getInCart(productId), notFoundReason? }
+ * @return { quantities: { productId: nouvelle quantité }, results: [], summary: { applied, adjusted, rejected, unchanged } }
+ */
+export function applyActionBatch(batch, context) {
+    const quantities = {};
+    const current = (productId) => (quantities[productId] !== undefined ? quantities[productId] : (parseFloat(context.getCurrentQty(productId)) || 0));
+
+    const results = ((batch && batch.actions) || []).map(action => {
+        const base = { key: action.key, sku: action.sku, type: action.type, requested: action.quantity, mode: action.mode };
+        const product = action.sku ? context.findProduct(action.sku) : null;
+        if (!product) {
+            return { ...base, productId: null, name: null, previous: 0, quantity: 0, outcome: ACTION_OUTCOME.REJECTED, reasons: [context.notFoundReason || 'Product not found in the catalog'] };
+        }
+
+        const previous = current(product.id);
+        const target = resolveActionTarget(action, previous);
+        const resolution = resolveQuantity(product, target, {
+            inCart: parseFloat(context.getInCart(product.id)) || 0,
+            rounding: target < previous ? 'down' : 'up'
+        });
+        const quantity = resolution.quantity;
+        const reasons = explainAdjustments(resolution);
+        const result = { ...base, productId: product.id, name: product.name, previous, quantity, reasons };
+
+        if (target === previous) return { ...result, outcome: ACTION_OUTCOME.UNCHANGED };
+        if (quantity === previous) return { ...result, outcome: ACTION_OUTCOME.REJECTED, reasons: reasons.length ? reasons : ['Limit reached'] };
+
+        quantities[product.id] = quantity;
+        const outcome = resolution.isAdjusted && !(resolution.isMaxRequest && quantity > 0) ? ACTION_OUTCOME.ADJUSTED : ACTION_OUTCOME.APPLIED;
+        return { ...result, outcome };
+    });
+
+    const summary = { applied: 0, adjusted: 0, rejected: 0, unchanged: 0 };
+    results.forEach(r => { summary[r.outcome]++; });
+    return { quantities, results, summary };
+}
+
+/**
+ * @description Aperçu d'un lot avant envoi à la grille : même calcul que applyActionBatch, complété
+ * de l'impact sur le montant de chaque ligne.
+ * @param context Contexte de applyActionBatch + getLineTotal(product, quantity).
+ * @return { results: [{ ...résultat, priceImpact }], summary, totalImpact }
+ */
+export function previewActionBatch(batch, context) {
+    const { results, summary } = applyActionBatch(batch, context);
+    let totalImpact = 0;
+    const lines = results.map(result => {
+        if (!result.productId || result.quantity === result.previous) return { ...result, priceImpact: 0 };
+        const product = context.findProduct(result.sku);
+        const priceImpact = roundMoney(context.getLineTotal(product, result.quantity) - context.getLineTotal(product, result.previous));
+        totalImpact += priceImpact;
+        return { ...result, priceImpact };
+    });
+    return { results: lines, summary, totalImpact: roundMoney(totalImpact) };
+}
+
+/**
+ * @description Indique si un lot de l'assistant doit être confirmé avant application.
+ * @param mode CONFIRMATION_MODE (valeur inconnue : application directe).
+ * @param threshold Nombre d'opérations au-delà duquel le mode ABOVE_THRESHOLD demande confirmation.
+ */
+export function requiresConfirmation(actionCount, mode, threshold = DEFAULT_CONFIRMATION_THRESHOLD) {
+    if (!actionCount) return false;
+    if (mode === CONFIRMATION_MODE.ALWAYS) return true;
+    if (mode === CONFIRMATION_MODE.ABOVE_THRESHOLD) {
+        const limit = parseInt(threshold, 10);
+        return actionCount > (Number.isNaN(limit) ? DEFAULT_CONFIRMATION_THRESHOLD : limit);
+    }
+    return false;
+}
+
+/**
+ * @description Libellé affichable d'un résultat.
+ */
+export function formatOutcome(outcome) {
+    return OUTCOME_LABELS[outcome] || String(outcome);
+}
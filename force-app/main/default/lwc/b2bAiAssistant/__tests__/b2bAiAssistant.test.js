@@ -1,5 +1,35 @@
 import { createElement } from '@lwc/engine-dom';
 import B2bAiAssistant from 'c/b2bAiAssistant';
+import getAssistantSessions from '@salesforce/apex/B2BCommerceOrderMatrixController.getAssistantSessions';
+import getAssistantSession from '@salesforce/apex/B2BCommerceOrderMatrixController.getAssistantSession';
+import saveAssistantSession from '@salesforce/apex/B2BCommerceOrderMatrixController.saveAssistantSession';
+import deleteAssistantSession from '@salesforce/apex/B2BCommerceOrderMatrixController.deleteAssistantSession';
+import askEinstein from '@salesforce/apex/B2BCommerceOrderMatrixController.askEinstein';
+import detectLanguage from '@salesforce/apex/B2BCommerceOrderMatrixController.detectLanguage';
+import LightningConfirm from 'lightning/confirm';
+import { createScriptedProvider } from 'c/b2bLlmProvider';
+import { PROPOSAL_EXPIRED_TEXT } from 'c/b2bAssistantSessions';
+
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.getAssistantSessions', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.getAssistantSession', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.saveAssistantSession', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.deleteAssistantSession', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.askEinstein', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.detectLanguage', () => ({ default: jest.fn() }), { virtual: true });
+
+const flushPromises = () => new Promise(resolve => process.nextTick(resolve));
+
+async function flushAll() {
+    for (let i = 0; i < 5; i++) {
+        // eslint-disable-next-line no-await-in-loop -- passes successives : chargements Apex en cascade puis rendu
+        await flushPromises();
+    }
+}
+
+const CATALOG = [
+    { id: '01tA', sku: 'A-1', name: 'Anchor', unitPrice: 12, currencyCode: 'USD', minQty: 1, increment: 1, stock: '50' },
+    { id: '01tB', sku: 'B-1', name: 'Bolt', unitPrice: 3, currencyCode: 'USD', minQty: 1, increment: 1, stock: '50' }
+];
 
 describe('c-b2-b-ai-assistant', () => {
     afterEach(() => {
@@ -9,17 +39,497 @@ describe('c-b2-b-ai-assistant', () => {
         }
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
-        // Arrange
-        const element = createElement('c-b2-b-ai-assistant', {
-            is: B2bAiAssistant
+    describe('chat flows with a scripted provider', () => {
+        beforeEach(() => {
+            getAssistantSessions.mockResolvedValue({ sessions: [] });
+        });
+
+        afterEach(() => {
+            jest.clearAllMocks();
+        });
+
+        async function createAssistant(provider, catalog = CATALOG) {
+            const element = createElement('c-b2b-ai-assistant', { is: B2bAiAssistant });
+            element.catalog = catalog;
+            element.llmProvider = provider;
+            const batches = [];
+            element.addEventListener('applyactions', (event) => batches.push(event.detail));
+            document.body.appendChild(element);
+            await flushAll();
+            return { element, batches };
+        }
+
+        async function send(element, text) {
+            const input = element.shadowRoot.querySelector('.custom-input');
+            input.value = text;
+            input.dispatchEvent(new CustomEvent('change'));
+            element.shadowRoot.querySelector('.send-btn').click();
+            await flushAll();
+        }
+
+        it('turns add, set and remove answers into one batch with product cards', async () => {
+            const provider = createScriptedProvider({
+                detectLanguage: 'French',
+                chat: [{
+                    message: 'C\'est fait.',
+                    detectedLanguage: 'French',
+                    items: [
+                        { sku: 'A-1', action: 'add', quantity: 3 },
+                        { sku: 'B-1', action: 'set', quantity: 10 },
+                        { sku: 'A-1', action: 'remove', quantity: 1 },
+                        { sku: 'B-1', action: 'search' }
+                    ]
+                }]
+            });
+            const { element, batches } = await createAssistant(provider);
+
+            await send(element, 'Ajoute 3 ancres, mets 10 boulons et retire une ancre');
+
+            expect(provider.calls.detectLanguage).toEqual([{ text: 'Ajoute 3 ancres, mets 10 boulons et retire une ancre' }]);
+            expect(provider.calls.chat[0].userContext.language).toBe('French');
+            expect(batches).toHaveLength(1);
+            expect(batches[0].actions.map(a => [a.sku, a.type, a.quantity, a.mode])).toEqual([
+                ['A-1', 'add', 3, 'delta'],
+                ['B-1', 'set', 10, 'absolute'],
+                ['A-1', 'remove', 1, 'delta']
+            ]);
+            expect(Array.from(element.shadowRoot.querySelectorAll('.product-card .card-sku')).map(c => c.textContent)).toEqual(['A-1', 'B-1', 'A-1', 'B-1']);
+        });
+
+        it('resolves SKUs regardless of case without writing onto the catalog rows', async () => {
+            const catalog = [
+                { ...CATALOG[0], defaultImage: { url: '/img/anchor.png' } },
+                CATALOG[1]
+            ];
+            const provider = createScriptedProvider({
+                detectLanguage: 'English',
+                chat: [{
+                    message: 'Done.',
+                    detectedLanguage: 'English',
+                    items: [{ sku: 'a-1', action: 'add', quantity: 2 }]
+                }]
+            });
+            const { element, batches } = await createAssistant(provider, catalog);
+
+            await send(element, 'Add 2 a-1');
+
+            expect(batches).toHaveLength(1);
+            expect(batches[0].actions.map(a => [a.sku, a.type, a.quantity])).toEqual([['A-1', 'add', 2]]);
+            expect(element.shadowRoot.querySelector('.product-card .card-sku').textContent).toBe('A-1');
+            expect(catalog[0].imgUrl).toBeUndefined();
+        });
+
+        it('shows ordered quantities for show_details without changing the list', async () => {
+            const provider = createScriptedProvider({
+                chat: [{ message: 'Your last order contained:', items: [{ sku: 'A-1', action: 'show_details', quantity: 7 }] }]
+            });
+            const { element, batches } = await createAssistant(provider);
+
+            await send(element, 'What was in my last order?');
+
+            expect(batches).toHaveLength(0);
+            const card = element.shadowRoot.querySelector('.product-card');
+            expect(card.querySelector('.card-sku').textContent).toBe('A-1');
+            expect(card.querySelector('.ordered-qty-badge').textContent.trim()).toBe('Ordered: 7');
+        });
+
+        it('reports grid outcomes and asks the provider to explain adjustments', async () => {
+            const provider = createScriptedProvider({
+                chat: [{ message: 'Adding bolts.', items: [{ sku: 'B-1', action: 'add', quantity: 7 }, { sku: 'A-1', action: 'add', quantity: 1 }] }],
+                explainAdjustments: ['Bolts are sold in packs of 5, so I rounded up to 10.']
+            });
+            const { element, batches } = await createAssistant(provider);
+
+            await send(element, 'Add 7 bolts and an anchor');
+            await element.reportActionResults(batches[0].batchId, [
+                { key: '0', sku: 'B-1', name: 'Bolt', type: 'add', requested: 7, previous: 0, quantity: 10, outcome: 'adjusted', reasons: ['Adjusted to multiple of 5'] },
+                { key: '1', sku: 'A-1', name: 'Anchor', type: 'add', requested: 1, previous: 0, quantity: 1, outcome: 'applied', reasons: [] }
+            ]);
+            await flushAll();
+
+            expect(provider.calls.explainAdjustments).toEqual([{
+                adjustments: ['Bolt: Requested 7, Adjusted to 10. (Adjusted to multiple of 5)'],
+                userContext: { userName: undefined, language: undefined }
+            }]);
+            const rows = element.shadowRoot.querySelectorAll('.action-report-row');
+            expect(Array.from(rows).map(r => r.querySelector('.action-status').textContent)).toEqual(['Adjusted', 'Applied']);
+            const texts = Array.from(element.shadowRoot.querySelectorAll('.msg-text')).map(t => t.value);
+            expect(texts.slice(-2)).toEqual(['✅ Updated 2 lines in your list.', 'Bolts are sold in packs of 5, so I rounded up to 10.']);
+        });
+
+        it('recommends catalog substitutes for a discontinued product without touching the conversation', async () => {
+            const provider = createScriptedProvider({
+                chat: [{ message: 'Try these.', items: [{ sku: 'A-1', action: 'search' }, { sku: 'ZZ-404', action: 'search' }] }]
+            });
+            const { element, batches } = await createAssistant(provider);
+            const before = element.shadowRoot.querySelectorAll('.msg-text').length;
+
+            const skus = await element.recommendSubstitutes({ productId: '01tOLD', sku: 'OLD-1', name: 'Old anchor', description: 'Steel anchor' });
+
+            expect(skus).toEqual(['A-1']);
+            expect(provider.calls.chat[0].userMessage).toBe('The product "Old anchor, SKU OLD-1" is no longer available. Description: Steel anchor. Suggest up to 3 products from the current catalog that could replace it, using the search action.');
+            expect(batches).toHaveLength(0);
+            expect(element.shadowRoot.querySelectorAll('.msg-text')).toHaveLength(before);
+        });
+    });
+
+    describe('saved conversations', () => {
+        beforeEach(() => {
+            getAssistantSessions.mockResolvedValue({ sessions: [{ id: 'a0S1', title: 'Anchors for site A', messageCount: 3, lastModifiedDate: '2026-03-01 10:00' }] });
+            getAssistantSession.mockResolvedValue({
+                success: true,
+                session: {
+                    id: 'a0S1',
+                    state: {
+                        messages: [
+                            { role: 'user', text: 'Anchors for site A' },
+                            { role: 'ai', text: 'Here are the anchors', cards: [{ sku: 'A-1', quantityOrdered: null }, { sku: 'OLD-9', quantityOrdered: null }] }
+                        ],
+                        context: '\nUser: Anchors for site A\nAssistant: Here are the anchors',
+                        lastShownSkus: ['A-1'],
+                        language: 'English'
+                    }
+                }
+            });
+            saveAssistantSession.mockImplementation(({ sessionId }) => Promise.resolve({ success: true, session: { id: sessionId || 'a0S2', title: 'Saved', messageCount: 1 } }));
+            deleteAssistantSession.mockResolvedValue({ success: true });
+            detectLanguage.mockResolvedValue('English');
+            askEinstein.mockResolvedValue({ success: true, response: JSON.stringify({ message: 'Anything else?', items: [] }) });
+            LightningConfirm.open = jest.fn().mockResolvedValue(true);
+        });
+
+        afterEach(() => {
+            jest.clearAllMocks();
+            jest.useRealTimers();
+        });
+
+        async function createAssistant() {
+            const element = createElement('c-b2b-ai-assistant', { is: B2bAiAssistant });
+            element.catalog = CATALOG;
+            element.effectiveAccountId = '001000000000001';
+            document.body.appendChild(element);
+            await flushAll();
+            return element;
+        }
+
+        const bubbles = (element) => Array.from(element.shadowRoot.querySelectorAll('.msg-text')).map(t => t.value);
+
+        it('resumes a saved conversation with product cards rebuilt from the current catalog', async () => {
+            const element = await createAssistant();
+            element.shadowRoot.querySelector('.session-history').click();
+            await flushAll();
+            const row = element.shadowRoot.querySelector('li.session-row');
+            expect(row.querySelector('.session-meta').textContent).toBe('3 messages · 2026-03-01 10:00');
+
+            row.querySelector('.session-resume').click();
+            await flushAll();
+            expect(getAssistantSession).toHaveBeenCalledWith({ effectiveAccountId: '001000000000001', sessionId: 'a0S1' });
+            expect(bubbles(element).slice(1)).toEqual([
+                'Anchors for site A',
+                'Here are the anchors',
+                'ℹ️ 1 product card is no longer in the catalog and was not restored.'
+            ]);
+            const cards = element.shadowRoot.querySelectorAll('.product-card');
+            expect(cards).toHaveLength(1);
+            expect(cards[0].querySelector('.current-price').textContent).toBe('USD 12');
+            expect(element.shadowRoot.querySelector('.session-panel')).toBeNull();
+        });
+
+        it('restores proposals as expired and file imports with their table', async () => {
+            getAssistantSession.mockResolvedValueOnce({
+                success: true,
+                session: {
+                    id: 'a0S1',
+                    state: {
+                        messages: [
+                            { role: 'user', text: 'Add anchors and bolts' },
+                            {
+                                role: 'ai', text: 'Proposed changes to your list (1 line).',
+                                proposal: {
+                                    lines: [{ key: '0', label: 'Anchor', sku: 'A-1', currentQty: 0, proposedQty: 5, statusLabel: 'Applied', statusClass: 'action-status action-status_applied', message: '', priceImpact: '+USD 60.00', isSelectable: true, isDisabled: false, selected: true }],
+                                    totalLabel: '+USD 60.00', isPending: true, statusText: null
+                                }
+                            },
+                            {
+                                role: 'ai', text: 'pad.csv: 2 lines read.',
+                                fileItems: [{ sku: 'B-1', quantityRequested: 8 }],
+                                importReport: [{ key: 'r2', rowNumber: 2, sku: 'B-1', quantity: 8, statusLabel: 'Matched', statusClass: 'import-status', message: '' }]
+                            }
+                        ],
+                        context: '',
+                        lastShownSkus: [],
+                        language: 'English'
+                    }
+                }
+            });
+            const element = await createAssistant();
+            element.shadowRoot.querySelector('.session-history').click();
+            await flushAll();
+            element.shadowRoot.querySelector('.session-resume').click();
+            await flushAll();
+
+            expect(element.shadowRoot.querySelector('.proposal-status').textContent).toBe(PROPOSAL_EXPIRED_TEXT);
+            expect(element.shadowRoot.querySelector('.proposal-apply')).toBeNull();
+            expect(element.shadowRoot.querySelector('.proposal-check').disabled).toBe(true);
+            expect(element.shadowRoot.querySelector('.proposal-price').textContent).toBe('+USD 60.00');
+
+            expect(element.shadowRoot.querySelector('.import-sku').textContent).toBe('B-1');
+            expect(element.shadowRoot.querySelector('.qty-found-badge').textContent.trim()).toBe('Qty found: 8');
+            expect(element.shadowRoot.querySelector('.file-result-container .current-price').textContent).toBe('USD 3');
+        });
+
+        it('saves each turn to the resumed session and clears it on request', async () => {
+            const element = await createAssistant();
+            element.shadowRoot.querySelector('.session-history').click();
+            await flushAll();
+            element.shadowRoot.querySelector('.session-resume').click();
+            await flushAll();
+
+            jest.useFakeTimers();
+            const input = element.shadowRoot.querySelector('.custom-input');
+            input.value = 'Thanks';
+            input.dispatchEvent(new CustomEvent('change'));
+            element.shadowRoot.querySelector('.send-btn').click();
+            await Promise.resolve();
+            await Promise.resolve();
+            await Promise.resolve();
+            jest.advanceTimersByTime(1500);
+            jest.useRealTimers();
+            await flushAll();
+
+            expect(askEinstein.mock.calls[0][0].userMessage).toBe('\nUser: Anchors for site A\nAssistant: Here are the anchors\nUser: Thanks');
+            const saved = saveAssistantSession.mock.calls[saveAssistantSession.mock.calls.length - 1][0];
+            expect(saved.sessionId).toBe('a0S1');
+            expect(saved.title).toBe('Anchors for site A');
+            expect(JSON.parse(saved.stateJson).messages.map(m => m.text)).toContain('Anything else?');
+
+            element.shadowRoot.querySelector('.session-clear').click();
+            await flushAll();
+            expect(deleteAssistantSession).toHaveBeenCalledWith({ effectiveAccountId: '001000000000001', sessionId: 'a0S1' });
+            expect(bubbles(element)).toHaveLength(1);
+            expect(element.shadowRoot.querySelector('.session-clear').disabled).toBe(true);
+        });
+
+        async function sendAndSave(element, text) {
+            jest.useFakeTimers();
+            const input = element.shadowRoot.querySelector('.custom-input');
+            input.value = text;
+            input.dispatchEvent(new CustomEvent('change'));
+            element.shadowRoot.querySelector('.send-btn').click();
+            await Promise.resolve();
+            await Promise.resolve();
+            await Promise.resolve();
+            jest.advanceTimersByTime(1500);
+            jest.useRealTimers();
+            await flushAll();
+        }
+
+        it('keeps a save still running for the previous conversation out of a new one', async () => {
+            let finishSave;
+            saveAssistantSession.mockImplementationOnce(() => new Promise(resolve => { finishSave = resolve; }));
+            const element = await createAssistant();
+            await sendAndSave(element, 'Anchors please');
+            expect(saveAssistantSession).toHaveBeenCalledTimes(1);
+
+            element.shadowRoot.querySelector('.session-new').click();
+            finishSave({ success: true, session: { id: 'a0S2', title: 'Anchors please', messageCount: 2 } });
+            await flushAll();
+            expect(bubbles(element)).toHaveLength(1);
+
+            await sendAndSave(element, 'Bolts please');
+            const saved = saveAssistantSession.mock.calls[saveAssistantSession.mock.calls.length - 1][0];
+            expect(saved.sessionId).toBeNull();
+            expect(JSON.parse(saved.stateJson).messages.map(m => m.text)).not.toContain('Anchors please');
+        });
+
+        it('deletes a session created by a save that was running when the conversation was cleared', async () => {
+            let finishSave;
+            saveAssistantSession.mockImplementationOnce(() => new Promise(resolve => { finishSave = resolve; }));
+            const element = await createAssistant();
+            await sendAndSave(element, 'Anchors please');
+
+            element.shadowRoot.querySelector('.session-clear').click();
+            await flushAll();
+            finishSave({ success: true, session: { id: 'a0S2', title: 'Anchors please', messageCount: 2 } });
+            await flushAll();
+
+            expect(deleteAssistantSession).toHaveBeenCalledWith({ effectiveAccountId: '001000000000001', sessionId: 'a0S2' });
+            expect(saveAssistantSession).toHaveBeenCalledTimes(1);
+            expect(bubbles(element)).toHaveLength(1);
+        });
+    });
+
+    describe('prompt context', () => {
+        beforeEach(() => {
+            getAssistantSessions.mockResolvedValue({ sessions: [] });
+            detectLanguage.mockResolvedValue('English');
+            askEinstein.mockResolvedValue({ success: true, response: JSON.stringify({ message: 'Here you go', items: [] }) });
+        });
+
+        afterEach(() => {
+            jest.clearAllMocks();
+        });
+
+        it('sends only the most relevant products within the budget and reports it', async () => {
+            const catalog = Array.from({ length: 3000 }, (_, i) => ({
+                id: `01t${i}`, sku: `P-${i}`, name: i === 2500 ? 'Copper elbow' : `Part ${i}`, unitPrice: 2, currencyCode: 'USD', minQty: 1, increment: 1, stock: '10'
+            }));
+            const element = createElement('c-b2b-ai-assistant', { is: B2bAiAssistant });
+            element.catalog = catalog;
+            element.contextTokenBudget = 1500;
+            element.showContextDebug = true;
+            document.body.appendChild(element);
+            await flushAll();
+
+            const input = element.shadowRoot.querySelector('.custom-input');
+            input.value = 'Do you have a copper elbow?';
+            input.dispatchEvent(new CustomEvent('change'));
+            element.shadowRoot.querySelector('.send-btn').click();
+            await flushAll();
+
+            const sent = JSON.parse(askEinstein.mock.calls[0][0].productContextString);
+            expect(sent.length).toBeLessThan(catalog.length);
+            expect(sent[0].sku).toBe('P-2500');
+            expect(askEinstein.mock.calls[0][0].productContextString.length).toBeLessThanOrEqual(1500 * 4);
+
+            element.shadowRoot.querySelector('.context-toggle').click();
+            await flushAll();
+            const panel = element.shadowRoot.querySelector('.context-panel');
+            const lines = Array.from(panel.querySelectorAll('.context-line dd')).map(dd => dd.textContent);
+            expect(lines).toContain(`${sent.length} of 3000 included (1 matching the message)`);
+            expect(panel.querySelector('.context-matches li').textContent).toContain('P-2500');
+        });
+    });
+
+    describe('response validation', () => {
+        beforeEach(() => {
+            getAssistantSessions.mockResolvedValue({ sessions: [] });
+            detectLanguage.mockResolvedValue('English');
+        });
+
+        afterEach(() => {
+            jest.clearAllMocks();
+        });
+
+        async function send(element, text) {
+            const input = element.shadowRoot.querySelector('.custom-input');
+            input.value = text;
+            input.dispatchEvent(new CustomEvent('change'));
+            element.shadowRoot.querySelector('.send-btn').click();
+            await flushAll();
+        }
+
+        it('asks again once when the answer is not JSON, then applies only valid lines', async () => {
+            askEinstein
+                .mockResolvedValueOnce({ success: true, response: 'Sure, I will add 10 anchors.' })
+                .mockResolvedValueOnce({
+                    success: true,
+                    response: 'Here: {"message":"Added.","items":[{"sku":"A-1","action":"add","quantity":"10"},{"sku":"A-1","action":"buy","quantity":1},{"sku":"NOPE","action":"add","quantity":2}]}'
+                });
+            const element = createElement('c-b2b-ai-assistant', { is: B2bAiAssistant });
+            element.catalog = CATALOG;
+            const handler = jest.fn();
+            element.addEventListener('applyactions', handler);
+            document.body.appendChild(element);
+            await flushAll();
+
+            await send(element, 'Add 10 anchors');
+
+            expect(askEinstein).toHaveBeenCalledTimes(2);
+            expect(askEinstein.mock.calls[1][0].userMessage).toContain('Previous answer: Sure, I will add 10 anchors.');
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].detail.actions).toEqual([expect.objectContaining({ sku: 'A-1', type: 'add', quantity: 10 })]);
+
+            const texts = Array.from(element.shadowRoot.querySelectorAll('.msg-text')).map(t => t.value);
+            expect(texts).toContain('Added.');
+            expect(texts).toContain('⚠️ 2 suggested lines were ignored — A-1: Unknown action "buy"; NOPE: Unknown SKU.');
+            expect(texts).not.toContain('Sure, I will add 10 anchors.');
+        });
+
+        it('never shows raw model text when the repaired answer is still unreadable', async () => {
+            askEinstein.mockResolvedValue({ success: true, response: 'add everything' });
+            const element = createElement('c-b2b-ai-assistant', { is: B2bAiAssistant });
+            element.catalog = CATALOG;
+            const handler = jest.fn();
+            element.addEventListener('applyactions', handler);
+            document.body.appendChild(element);
+            await flushAll();
+
+            await send(element, 'Add everything');
+
+            expect(askEinstein).toHaveBeenCalledTimes(2);
+            expect(handler).not.toHaveBeenCalled();
+            const texts = Array.from(element.shadowRoot.querySelectorAll('.msg-text')).map(t => t.value);
+            expect(texts[texts.length - 1]).toBe("Sorry, I couldn't process that answer. Could you rephrase your request?");
+            expect(texts).not.toContain('add everything');
+        });
+    });
+
+    describe('confirmation of proposed changes', () => {
+        beforeEach(() => {
+            getAssistantSessions.mockResolvedValue({ sessions: [] });
+            detectLanguage.mockResolvedValue('English');
+            askEinstein.mockResolvedValue({
+                success: true,
+                response: JSON.stringify({ message: 'Done.', items: [{ sku: 'A-1', action: 'add', quantity: 10 }, { sku: 'B-1', action: 'set', quantity: 4 }] })
+            });
+        });
+
+        afterEach(() => {
+            jest.clearAllMocks();
+        });
+
+        async function createAndSend(mode, threshold) {
+            const element = createElement('c-b2b-ai-assistant', { is: B2bAiAssistant });
+            element.catalog = [{ ...CATALOG[0], qtyValue: '2' }, CATALOG[1]];
+            element.confirmationMode = mode;
+            if (threshold !== undefined) element.confirmationThreshold = threshold;
+            const handler = jest.fn();
+            element.addEventListener('applyactions', handler);
+            document.body.appendChild(element);
+            await flushAll();
+
+            const input = element.shadowRoot.querySelector('.custom-input');
+            input.value = 'Add 10 anchors and 4 bolts';
+            input.dispatchEvent(new CustomEvent('change'));
+            element.shadowRoot.querySelector('.send-btn').click();
+            await flushAll();
+            return { element, handler };
+        }
+
+        it('shows a diff with price impact and applies only the selected lines', async () => {
+            const { element, handler } = await createAndSend('always');
+            expect(handler).not.toHaveBeenCalled();
+
+            const rows = element.shadowRoot.querySelectorAll('.proposal-row');
+            expect(Array.from(rows).map(r => r.querySelector('.proposal-qty').textContent)).toEqual(['2 → 12', '0 → 4']);
+            expect(Array.from(rows).map(r => r.querySelector('.proposal-price').textContent)).toEqual(['+USD 120.00', '+USD 12.00']);
+            expect(element.shadowRoot.querySelector('.proposal-total').textContent).toBe('Price impact: +USD 132.00');
+
+            const check = rows[1].querySelector('.proposal-check');
+            check.checked = false;
+            check.dispatchEvent(new CustomEvent('change'));
+            await flushAll();
+            element.shadowRoot.querySelector('.proposal-apply-selected').click();
+            await flushAll();
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].detail.actions).toEqual([expect.objectContaining({ sku: 'A-1', type: 'add', quantity: 10 })]);
+            expect(element.shadowRoot.querySelector('.proposal-status').textContent).toBe('Applied 1 of 2 proposed changes.');
+            expect(element.shadowRoot.querySelector('.proposal-apply')).toBeNull();
         });
 
-        // Act
-        document.body.appendChild(element);
+        it('discards a proposal and applies small batches directly in threshold mode', async () => {
+            const { element, handler } = await createAndSend('threshold', 1);
+            element.shadowRoot.querySelector('.proposal-discard').click();
+            await flushAll();
+            expect(handler).not.toHaveBeenCalled();
+            expect(element.shadowRoot.querySelector('.proposal-status').textContent).toBe('Proposed changes discarded.');
 
-        // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+            document.body.removeChild(element);
+            const direct = await createAndSend('threshold', 2);
+            expect(direct.handler).toHaveBeenCalledTimes(1);
+            expect(direct.element.shadowRoot.querySelector('.proposal')).toBeNull();
+        });
     });
-});
\ No newline at end of file
+});
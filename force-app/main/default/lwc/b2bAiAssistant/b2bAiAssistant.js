@@ -1,23 +1,99 @@
 import { LightningElement, track, api } from 'lwc';
-import askEinstein from '@salesforce/apex/B2BCommerceOrderMatrixController.askEinstein';
-import analyzeFileWithEinstein from '@salesforce/apex/B2BCommerceOrderMatrixController.analyzeFileWithEinstein';
-import explainAdjustmentsWithEinstein from '@salesforce/apex/B2BCommerceOrderMatrixController.explainAdjustmentsWithEinstein';
-import detectLanguage from '@salesforce/apex/B2BCommerceOrderMatrixController.detectLanguage'; // AJOUT IMPORT
+import getAssistantSessions from '@salesforce/apex/B2BCommerceOrderMatrixController.getAssistantSessions';
+import getAssistantSession from '@salesforce/apex/B2BCommerceOrderMatrixController.getAssistantSession';
+import saveAssistantSession from '@salesforce/apex/B2BCommerceOrderMatrixController.saveAssistantSession';
+import deleteAssistantSession from '@salesforce/apex/B2BCommerceOrderMatrixController.deleteAssistantSession';
+import communityId from '@salesforce/community/Id';
 import communityBasePath from '@salesforce/community/basePath';
+import LightningConfirm from 'lightning/confirm';
+import { resolveQuantity, getAvailableQuantity, isMaxRequest, explainAdjustments } from 'c/b2bQuantityRules';
+import { calculatePriceBreakdown } from 'c/b2bPricingEngine';
+import { IMPORT_STATUS, readOrderPadFile, extractOrderLines, matchOrderLines, summarizeImport } from 'c/b2bOrderPadImport';
+import { UNKNOWN_LANGUAGE, resolveProvider } from 'c/b2bLlmProvider';
+import { AI_ACTION, validateAiResponse, buildRepairPrompt, formatRejections } from 'c/b2bAiResponseValidator';
+import {
+    ACTION_BATCH_EVENT, ACTION_TYPE, ACTION_OUTCOME, ACTION_SOURCE, CONFIRMATION_MODE, DEFAULT_CONFIRMATION_THRESHOLD,
+    createAction, createActionBatch, previewActionBatch, requiresConfirmation, formatOutcome, buildSkuIndex, skuKey
+} from 'c/b2bActionBatch';
+import { DEFAULT_TOKEN_BUDGET, buildPromptContext } from 'c/b2bPromptContextBuilder';
+import { buildSubstitutionRequest } from 'c/b2bSubstitutionFinder';
+import { buildSessionTitle, hasUserMessages, serializeConversation, restoreConversation, buildSessionList } from 'c/b2bAssistantSessions';
+
+const SESSION_SAVE_DELAY_MS = 1000;
+
+let messageSequence = 0;
+
+/**
+ * @description Identifiant unique d'un message (plusieurs messages peuvent être ajoutés dans la même milliseconde).
+ */
+function nextMessageId() {
+    messageSequence++;
+    return `${Date.now()}-${messageSequence}`;
+}
+
+/**
+ * @description Message d'accueil (premier message de toute conversation).
+ */
+function createWelcomeMessage(userName) {
+    const greeting = userName ? `Hello ${userName}!` : 'Hello!';
+    return {
+        id: 'welcome',
+        text: `${greeting} I'm your B2B Sales Assistant. How can I help you today? You can also upload a CSV, Excel or Text file with a list of products.`,
+        isAi: true,
+        wrapperClass: 'message-wrapper left',
+        bubbleClass: 'chat-bubble left'
+    };
+}
 
 /**
  * @description Assistant virtuel B2B.
- * Gère le chat UI et communique avec le contrôleur Apex pour envoyer le contexte produit à Einstein.
- * Transforme les réponses JSON de l'IA en cartes produits visuelles et événements "addproduct".
- * Gère également l'upload de fichiers (CSV/TXT) pour extraction automatique.
+ * Gère le chat UI et envoie le contexte produit au modèle via un fournisseur (c/b2bLlmProvider, Einstein par défaut).
+ * Transforme les réponses JSON de l'IA en cartes produits visuelles et en un lot d'actions unique
+ * (événement "applyactions", c/b2bActionBatch) ; la grille renvoie le résultat par ligne via reportActionResults.
+ * Gère également l'upload de fichiers (CSV/TXT/XLSX) : import local déterministe (c/b2bOrderPadImport),
+ * l'IA n'étant sollicitée que pour les fichiers en texte libre.
+ * Les conversations sont enregistrées par utilisateur et compte (c/b2bAssistantSessions) et peuvent être reprises.
+ * Selon confirmationMode, les modifications proposées par l'IA sont appliquées directement ou affichées
+ * d'abord sous forme de tableau (quantité actuelle -> proposée, ajustements, impact prix) à valider.
  */
 export default class B2bAiAssistant extends LightningElement {
     
     @api products = [];
+    // Catalogue complet (lignes de grille de masterCatalogData) : contexte et recherche par SKU,
+    // indépendamment de la source et des filtres affichés (products = vue courante).
+    @api catalog = [];
     // --- NOUVEAUX ATTRIBUTS POUR LES COMMANDES ---
     @api pastOrders = [];
     @api orderItems = {};
 
+    // Fournisseur du modèle de langage (c/b2bLlmProvider) : Einstein sauf si un fournisseur complet est fourni
+    _llmProvider = resolveProvider(null);
+    @api
+    get llmProvider() { return this._llmProvider; }
+    set llmProvider(value) { this._llmProvider = resolveProvider(value); }
+
+    // Taille maximale (tokens estimés) du contexte envoyé à Einstein, et panneau de diagnostic associé
+    @api contextTokenBudget = DEFAULT_TOKEN_BUDGET;
+    @api showContextDebug = false;
+    lastContextReport = null;
+    showContextPanel = false;
+
+    // Confirmation des modifications de l'IA : 'auto', 'threshold' (au-delà de confirmationThreshold lignes) ou 'always'
+    @api confirmationMode = CONFIRMATION_MODE.AUTO;
+    @api confirmationThreshold = DEFAULT_CONFIRMATION_THRESHOLD;
+    // Opérations des propositions en attente (id du message -> actions)
+    _proposals = new Map();
+
+    // Compte acheteur : clé des conversations enregistrées (avec l'utilisateur courant)
+    _effectiveAccountId;
+    @api
+    get effectiveAccountId() { return this._effectiveAccountId; }
+    set effectiveAccountId(value) {
+        const changed = value !== this._effectiveAccountId;
+        this._effectiveAccountId = value;
+        if (changed && value) this.loadSessions();
+    }
+
     // --- GESTION UTILISATEUR & LANGUE ---
     _userName;
     @track userLanguage; // Stocke la langue détectée
@@ -29,13 +105,20 @@ export default class B2bAiAssistant extends LightningElement {
         this.updateWelcomeMessage();
     }
     
+    // Index des SKU du catalogue (findCatalogProduct) et liste à partir de laquelle il a été construit
+    _skuIndex = new Map();
+    _skuIndexSource = null;
+
+    get catalogProducts() {
+        return this.catalog && this.catalog.length ? this.catalog : (this.products || []);
+    }
+
     /**
      * @description Met à jour le message de bienvenue si le nom de l'utilisateur est disponible.
      */
     updateWelcomeMessage() {
         if (this._userName && this.messages.length > 0 && this.messages[0].id === 'welcome') {
-            this.messages[0].text = `Hello ${this._userName}! I'm your B2B Sales Assistant. How can I help you today? You can also upload a CSV or Text file with a list of products.`;
-            this.messages = [...this.messages];
+            this.messages = [createWelcomeMessage(this._userName), ...this.messages.slice(1)];
         }
     }
     // -----------------------------------
@@ -44,20 +127,34 @@ export default class B2bAiAssistant extends LightningElement {
     lastShownItems = []; 
     // ---------------
 
-    @track messages = [
-        { 
-            id: 'welcome', 
-            text: "Hello! I'm your B2B Sales Assistant. How can I help you today? You can also upload a CSV or Text file with a list of products.", 
-            isAi: true,
-            wrapperClass: 'message-wrapper left', 
-            bubbleClass: 'chat-bubble left' 
-        }
-    ];
+    @track messages = [createWelcomeMessage(null)];
     @track userInput = '';
     @track isTyping = false;
     
     conversationContext = ''; 
 
+    // Lots d'actions envoyés à la grille, en attente de leur résultat (batchId -> { source })
+    _pendingBatches = new Map();
+
+    // --- CONVERSATIONS ENREGISTREES ---
+    sessionId = null;
+    sessions = [];
+    showSessions = false;
+    _sessionTimer;
+    // Sauvegarde en cours (promesse) et sauvegarde à rejouer ensuite
+    _sessionSave = null;
+    _sessionSaveQueued = false;
+    // Change à chaque nouvelle conversation (nouvelle, reprise, effacée) : une sauvegarde lancée avant est ignorée
+    _conversationGeneration = 0;
+
+    get sessionItems() { return buildSessionList(this.sessions, this.sessionId); }
+    get hasSessions() { return this.sessions.length > 0; }
+    get isClearDisabled() { return !hasUserMessages(this.messages); }
+
+    disconnectedCallback() {
+        this.flushSessionSave();
+    }
+
     /**
      * @description Capture la saisie de l'utilisateur dans l'input text.
      * @param event L'événement de changement standard.
@@ -73,76 +170,31 @@ export default class B2bAiAssistant extends LightningElement {
     // --- LOGIQUE DE VALIDATION QUANTITÉ ---
 
     /**
-     * @description Calcule la quantité valide à ajouter en fonction des règles Min/Max/Incrément et Stock.
-     * Retourne la quantité ajustée et la raison si ajustement.
+     * @description Traduit une action IA (add/remove/set) en quantité de ligne cible, validée par le moteur partagé
+     * (c/b2bQuantityRules) afin que le chat et la grille appliquent exactement les mêmes règles.
+     * @param product Ligne de grille (qtyValue = saisie actuelle, cartQty = quantité panier).
+     * @param action 'add' (défaut), 'remove' ou 'set'.
+     * @param requestedQty Quantité demandée par l'IA ou le fichier (9999999 = maximum disponible).
+     * @return { quantity, delta, currentQty, isAdjusted, isMaxRequest, reasons[], reasonLabels[] }
      */
-    calculateValidQuantity(product, requestedQty) {
-        let qty = parseFloat(requestedQty);
-        let reasons = [];
-        
-        // 1. Récupération des contraintes
-        const min = product.minQty ? parseFloat(product.minQty) : 1;
-        const max = product.maxQty ? parseFloat(product.maxQty) : 999999;
-        const inc = product.increment ? parseFloat(product.increment) : 1;
-        
-        // Stock calculé
-        const isInfiniteStock = (product.stock === undefined || product.stock === null || product.stock === 'null');
-        const physicalStock = isInfiniteStock ? 999999 : parseFloat(product.stock);
+    resolveRequestedQuantity(product, action, requestedQty) {
+        const qty = parseFloat(requestedQty) || 0;
+        const currentQty = product.qtyValue ? parseFloat(product.qtyValue) : 0;
         const inCart = product.cartQty ? parseFloat(product.cartQty) : 0;
-        const selected = product.qtyValue ? parseFloat(product.qtyValue) : 0;
-        const availableStock = Math.max(0, physicalStock - inCart - selected);
-
-        // Détection de l'intention "Tout le stock" venant de l'IA (valeur > 9 millions)
-        const isMaxRequest = qty > 9000000; 
-        let initialQty = qty;
-
-        // 2. Application des règles
-        // Règle Min
-        if (qty < min) {
-            qty = min;
-            reasons.push(`Minimum quantity is ${min}`);
-        }
 
-        // Règle Incrément
-        if (inc > 1) {
-            let remainder = qty % inc;
-            if (remainder !== 0) {
-                qty = Math.ceil(qty / inc) * inc;
-                reasons.push(`Adjusted to multiple of ${inc}`);
-            }
-        }
+        let target;
+        if (action === 'remove') target = Math.max(0, currentQty - qty);
+        else if (action === 'set' || isMaxRequest(qty)) target = qty;
+        else target = currentQty + qty;
 
-        // Règle Max (Config Product)
-        if (qty > max) {
-            qty = max;
-            reasons.push(`Maximum allowed per order is ${max}`);
-        }
+        const result = resolveQuantity(product, target, { inCart, rounding: target < currentQty ? 'down' : 'up' });
+        const reasonLabels = explainAdjustments(result);
 
-        // Règle Stock (Physique)
-        if (qty > availableStock) {
-            qty = availableStock;
-            if (isMaxRequest) {
-                // Si c'était une demande "Max", on change la raison pour que ce soit positif
-                reasons.push(`Added all available stock (${availableStock})`);
-            } else {
-                reasons.push(`Limited by available stock (${availableStock} remaining)`);
-            }
-        }
-
-        // Calcul ajustement
-        const isAdjusted = (qty !== initialQty) || reasons.length > 0;
-
-        if (isAdjusted) {
-            console.warn(`⚠️ [ADJUSTMENT] ${product.name}: Requested ${initialQty} -> Final ${qty}. Reasons:`, reasons);
-        } else {
-            console.log(`✅ [VALID] ${product.name}: Requested ${initialQty} -> OK.`);
+        if (result.isAdjusted) {
+            console.warn(`⚠️ [ADJUSTMENT] ${product.name}: Requested ${target} -> Final ${result.quantity}. Reasons:`, reasonLabels);
         }
 
-        return {
-            finalQty: qty,
-            isAdjusted: isAdjusted,
-            reasons: reasons
-        };
+        return { ...result, delta: result.quantity - currentQty, currentQty, reasonLabels };
     }
     
     /**
@@ -165,9 +217,9 @@ export default class B2bAiAssistant extends LightningElement {
                 ? this.orderItems[orderId] 
                 : []; 
             
-            // Essai d'enrichissement des items avec le SKU/Nom si disponible dans this.products (Catalogue courant)
+            // Essai d'enrichissement des items avec le SKU/Nom si disponible dans le catalogue complet
             const enrichedItems = items.map(it => {
-                const prodInCat = this.products.find(p => p.id === it.productId);
+                const prodInCat = this.catalogProducts.find(p => p.id === it.productId);
                 return {
                     sku: prodInCat ? (prodInCat.sku || prodInCat.StockKeepingUnit) : it.productId,
                     qty: it.quantity,
@@ -202,7 +254,8 @@ export default class B2bAiAssistant extends LightningElement {
     }
 
     /**
-     * @description Gère la sélection du fichier et lance la lecture.
+     * @description Gère la sélection du fichier et lance la lecture (octets bruts : l'encodage et le format
+     * sont détectés par c/b2bOrderPadImport).
      */
     handleFileSelect(event) {
         const file = event.target.files[0];
@@ -214,24 +267,84 @@ export default class B2bAiAssistant extends LightningElement {
 
         const reader = new FileReader();
         reader.onload = (e) => {
-            const fileContent = e.target.result;
-            this.uploadFileToAi(fileContent, file.name);
+            this.importOrderPad(file.name, new Uint8Array(e.target.result));
         };
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
         
         event.target.value = '';
     }
 
     /**
-     * @description Envoie le contenu du fichier à la nouvelle méthode IA Apex.
+     * @description Import local du bon de commande : colonnes SKU / Quantité détectées, rapprochement par SKU,
+     * quantités validées par les mêmes règles que la grille. Repli sur l'IA pour un fichier en texte libre.
+     */
+    async importOrderPad(fileName, bytes) {
+        let file;
+        try {
+            file = await readOrderPadFile(fileName, bytes);
+        } catch (error) {
+            this.isTyping = false;
+            console.error('❌ File Import Error:', error);
+            this.addAiMessage(`⚠️ Could not read ${fileName}: ${error.message}`);
+            return;
+        }
+
+        const extracted = extractOrderLines(file.rows);
+        if (!extracted || extracted.lines.length === 0) {
+            if (file.text) {
+                await this.uploadFileToAi(file.text, fileName);
+            } else {
+                this.isTyping = false;
+                this.addAiMessage(`I couldn't find SKU and quantity columns in ${fileName}.`);
+            }
+            return;
+        }
+
+        const results = matchOrderLines(extracted.lines, this.catalogProducts, (product, qty) => {
+            const validation = this.resolveRequestedQuantity(product, 'add', qty);
+            return { quantity: validation.delta, isAdjusted: validation.isAdjusted, reasonLabels: validation.reasonLabels };
+        });
+
+        const tableItems = results
+            .filter(r => r.status === IMPORT_STATUS.MATCHED || r.status === IMPORT_STATUS.ADJUSTED)
+            .map(r => ({
+                ...this.formatCard(r.product),
+                quantityRequested: r.quantityRequested,
+                availableToAdd: this.mapProductToContext(r.product).stock
+            }));
+
+        const report = results.map(r => ({
+            key: r.key,
+            rowNumber: r.rowNumber,
+            sku: r.sku || '—',
+            quantity: r.quantityRequested !== null ? r.quantityRequested : '—',
+            statusLabel: r.statusLabel,
+            message: r.message,
+            statusClass: `import-status import-status_${r.status}`
+        }));
+
+        const summary = summarizeImport(results);
+        const parts = [`${summary.matched} matched`];
+        if (summary.adjusted) parts.push(`${summary.adjusted} adjusted`);
+        if (summary.unknown) parts.push(`${summary.unknown} unknown SKU`);
+        if (summary.duplicate) parts.push(`${summary.duplicate} duplicate`);
+        if (summary.invalid) parts.push(`${summary.invalid} invalid quantity`);
+
+        this.isTyping = false;
+        const intro = tableItems.length > 0 ? 'Please verify before adding.' : 'No line could be matched with the catalog.';
+        this.addFileValidationMessage(`${fileName}: ${summary.total} lines read (${parts.join(', ')}). ${intro}`, tableItems, report);
+    }
+
+    /**
+     * @description Envoie le contenu du fichier au fournisseur IA (analyzeFile).
      */
     async uploadFileToAi(content, fileName) {
         // --- 1. DETECTION LANGUE IMMEDIATE (FICHIER) ---
         // On prend un extrait pour la détection
         const sampleText = content.substring(0, 500);
         try {
-            const detected = await detectLanguage({ text: sampleText });
-            if (detected && detected !== 'Unknown') {
+            const detected = await this._llmProvider.detectLanguage({ text: sampleText });
+            if (detected && detected !== UNKNOWN_LANGUAGE) {
                 this.userLanguage = detected;
                 console.warn('🌐 [LWC FILE] Language updated to:', this.userLanguage);
             }
@@ -240,26 +353,33 @@ export default class B2bAiAssistant extends LightningElement {
         }
         // -----------------------------------------------
 
-        const rawCatalogData = this.products.map(p => this.mapProductToContext(p));
-        const catalogJson = JSON.stringify(rawCatalogData);
+        // Le contenu du fichier sert de requête : seuls les produits qu'il évoque (puis les autres) entrent dans le budget
+        const context = this.buildContext(content);
+        const catalogJson = context.catalogJson;
 
-        console.group('📂 [FILE UPLOAD DEBUG] Sending File to Apex');
+        console.group('📂 [FILE UPLOAD DEBUG] Sending File to AI provider');
         console.log('File Name:', fileName);
         console.log('File Content Preview:', content.substring(0, 200) + '...');
         console.groupEnd();
 
         try {
-            const result = await analyzeFileWithEinstein({
-                fileContent: content,
-                productContextString: catalogJson,
-                userContext: { userName: this.userName, language: this.userLanguage }
-            });
+            const { result, validation } = await this.requestValidatedResponse(
+                (repair) => this._llmProvider.analyzeFile({
+                    fileContent: content + repair,
+                    productContextString: catalogJson,
+                    userContext: { userName: this.userName, language: this.userLanguage }
+                }),
+                // Une ligne de fichier sans action est une ligne à ajouter, sans quantité : 1 (consigne du prompt)
+                { isKnownSku: (sku) => !!this.findCatalogProduct(sku), defaultAction: AI_ACTION.ADD, defaultQuantity: 1 }
+            );
 
             this.isTyping = false;
             console.log('📂 [FILE UPLOAD DEBUG] Apex Response:', result);
 
-            if (result.success) {
-                const aiData = JSON.parse(result.response);
+            if (result.success && !validation.valid) {
+                this.addAiMessage("I couldn't read the analysis of this file. Please try again or use a CSV order pad.");
+            } else if (result.success) {
+                const aiData = validation.data;
                 
                 // Fallback si l'Apex détecte mieux
                 if (aiData.detectedLanguage) {
@@ -267,28 +387,25 @@ export default class B2bAiAssistant extends LightningElement {
                 }
 
                 let tableItems = [];
-                if (aiData.items && Array.isArray(aiData.items)) {
-                    aiData.items.forEach(item => {
-                        let realDataProduct = this.products.find(p => (p.sku === item.sku || p.StockKeepingUnit === item.sku));
-                        if (realDataProduct) {
-                            
-                            // MODIF CHIRURGICALE: formatCard sans override qty ici, car traité par fileItems logic
-                            const cardVisuals = this.formatCard(realDataProduct);
-                            const contextP = this.mapProductToContext(realDataProduct);
-                            
-                            tableItems.push({
-                                ...cardVisuals,
-                                quantityRequested: item.quantity,
-                                availableToAdd: contextP.stock 
-                            });
-                        }
+                aiData.items.filter(item => (item.action === AI_ACTION.ADD || item.action === AI_ACTION.SET) && item.quantity > 0).forEach(item => {
+                    const realDataProduct = this.findCatalogProduct(item.sku);
+                    // MODIF CHIRURGICALE: formatCard sans override qty ici, car traité par fileItems logic
+                    const cardVisuals = this.formatCard(realDataProduct);
+                    const contextP = this.mapProductToContext(realDataProduct);
+                    
+                    tableItems.push({
+                        ...cardVisuals,
+                        quantityRequested: item.quantity,
+                        availableToAdd: contextP.stock 
                     });
-                }
+                });
 
+                const feedback = formatRejections(validation.rejected);
                 if (tableItems.length > 0) {
-                    this.addFileValidationMessage(aiData.message || "I found these items in your file. Please verify.", tableItems);
+                    const intro = aiData.message || "I found these items in your file. Please verify.";
+                    this.addFileValidationMessage(feedback ? `${intro}\n${feedback}` : intro, tableItems);
                 } else {
-                    this.addAiMessage("I analyzed the file but couldn't match any products from our catalog.");
+                    this.addAiMessage(`I analyzed the file but couldn't match any products from our catalog.${feedback ? `\n${feedback}` : ''}`);
                 }
 
             } else {
@@ -305,84 +422,33 @@ export default class B2bAiAssistant extends LightningElement {
     /**
      * @description Affiche le message spécial avec le tableau de validation.
      */
-    addFileValidationMessage(text, tableItems) {
+    addFileValidationMessage(text, tableItems, importReport = null) {
         this.messages = [...this.messages, {
-            id: Date.now(),
+            id: nextMessageId(),
             text: text,
             isAi: true,
             isFileResult: true, 
             fileItems: tableItems,
+            hasFileItems: tableItems.length > 0,
+            importReport: importReport,
             wrapperClass: 'message-wrapper left',
             bubbleClass: 'chat-bubble left'
         }];
         this.scrollToBottom();
+        this.scheduleSessionSave();
     }
 
     /**
-     * @description Action du bouton "Add to List" dans le tableau de fichier.
-     * MISE A JOUR : Applique la validation stricte des quantités (calculateValidQuantity) et génère un feedback IA si ajustements.
+     * @description Action du bouton "Add to List" dans le tableau de fichier : envoie toutes les lignes en un seul lot.
      */
-    async handleConfirmFile(event) {
+    handleConfirmFile(event) {
         const msgId = event.target.dataset.msgid;
         const message = this.messages.find(m => m.id == msgId);
         
         if (message && message.fileItems) {
-            let addedCount = 0;
-            let adjustmentLogs = [];
-
-            message.fileItems.forEach(item => {
-                // Recherche du produit réel pour avoir les règles (min, max, inc)
-                const realDataProduct = this.products.find(p => (p.sku === item.sku || p.StockKeepingUnit === item.sku));
-                
-                if (realDataProduct) {
-                    // VALIDATION STRICTE
-                    const validation = this.calculateValidQuantity(realDataProduct, item.quantityRequested);
-                    
-                    if (validation.finalQty > 0) {
-                        this.dispatchEvent(new CustomEvent('addproduct', {
-                            detail: { 
-                                sku: item.sku, 
-                                quantity: validation.finalQty,
-                                isRecommendation: false 
-                            }
-                        }));
-                        addedCount++;
-                        
-                        // Si ajusté, on logue pour l'IA
-                        if (validation.isAdjusted) {
-                            adjustmentLogs.push(`${realDataProduct.name}: Requested ${item.quantityRequested}, Adjusted to ${validation.finalQty}. Reason: ${validation.reasons.join(', ')}.`);
-                        }
-                    } else {
-                        // Cas échec total (ex: Stock 0)
-                        adjustmentLogs.push(`${realDataProduct.name}: Could not add. Reason: ${validation.reasons.join(', ')}.`);
-                    }
-                }
-            });
-
-            // Feedback Interface
-            if (addedCount > 0) {
-                this.addMessage(`✅ Added ${addedCount} items to list.`, true);
-                this.conversationContext += `\nSystem: Added ${addedCount} items from file upload.`;
-            } else {
-                this.addMessage("⚠️ No items could be added.", true);
-            }
-
-            // FEEDBACK IA (Si ajustements)
-            if (adjustmentLogs.length > 0) {
-                console.log('📝 Sending Adjustment Logs to AI:', adjustmentLogs);
-                
-                this.isTyping = true;
-                try {
-                    const explainRes = await explainAdjustmentsWithEinstein({ 
-                        adjustments: adjustmentLogs,
-                        userContext: { userName: this.userName, language: this.userLanguage }
-                    });
-                    this.isTyping = false;
-                    if (explainRes.success) {
-                        this.addAiMessage(explainRes.response);
-                    }
-                } catch(e) { this.isTyping = false; }
-            }
+            // Quantités du fichier ajoutées à la saisie actuelle ; la grille valide et renvoie le résultat ligne par ligne
+            const actions = message.fileItems.map(item => createAction(item.sku, ACTION_TYPE.ADD, item.quantityRequested));
+            this.dispatchActionBatch(actions, ACTION_SOURCE.FILE);
         }
     }
 
@@ -410,10 +476,10 @@ export default class B2bAiAssistant extends LightningElement {
         this.scrollToBottom();
 
         // --- 1. DETECTION LANGUE IMMEDIATE (AJOUT) ---
-        // Appel d'Apex pour identifier la langue sur le texte actuel uniquement
+        // Appel du fournisseur pour identifier la langue sur le texte actuel uniquement
         try {
-            const detected = await detectLanguage({ text: text });
-            if (detected && detected !== 'Unknown') {
+            const detected = await this._llmProvider.detectLanguage({ text: text });
+            if (detected && detected !== UNKNOWN_LANGUAGE) {
                 this.userLanguage = detected;
                 console.warn('🌐 [LWC] Language updated to:', this.userLanguage);
             }
@@ -422,145 +488,79 @@ export default class B2bAiAssistant extends LightningElement {
         }
         // ---------------------------------------------
 
-        const rawCatalogData = this.products.map(p => this.mapProductToContext(p));
-        const rawLastShownData = this.lastShownItems.map(item => {
-            const updated = this.products.find(p => (p.sku === item.sku || p.StockKeepingUnit === item.sku));
-            return updated ? this.mapProductToContext(updated) : {
-                name: item.name, sku: item.sku, 
-                desc: item.variationInfo || "",
-                selected: 0, inCart: 0
-            };
-        });
-
-        console.group('🤖 [EINSTEIN AI DEBUG] Payload sent to Apex');
-        console.log('🗣️ User Conversation Context:', this.conversationContext);
-        console.log('📦 Catalog Context (Full JSON):', JSON.parse(JSON.stringify(rawCatalogData)));
-        console.groupEnd();
-
-        const catalogJson = JSON.stringify(rawCatalogData);
-        const lastShownJson = JSON.stringify(rawLastShownData);
+        // Contexte limité au budget : produits classés par pertinence, historique résumé (c/b2bPromptContextBuilder)
+        const context = this.buildContext(text, { history: this.conversationContext, includeOrders: true });
 
-        // 3. Préparation du contexte COMMANDES (Historique) - NOUVEAU
-            const orderContext = this.formatOrdersForContext();
+        // Historique et rapport de contexte complets : seulement avec le panneau de diagnostic activé
+        if (this.showContextDebug) {
+            console.group('🤖 [EINSTEIN AI DEBUG] Payload sent to Apex');
+            console.log('🗣️ User Conversation Context:', context.history);
+            console.log('📦 Context Report:', context.report);
+            console.groupEnd();
+        }
 
         try {
-            // Appel Apex (maintenant avec userLanguage potentiellement mis à jour)
-            const result = await askEinstein({ 
-                userMessage: this.conversationContext,
-                productContextString: catalogJson,
-                lastShownContextString: lastShownJson,
-                orderContext: orderContext, // NOUVEAU PARAMETRE
-                userContext: { userName: this.userName, language: this.userLanguage }
-            });
+            // Appel du fournisseur (maintenant avec userLanguage potentiellement mis à jour)
+            const findShown = (sku) => this.lastShownItems.find(r => r.sku === sku);
+            const { result, validation } = await this.requestValidatedResponse(
+                (repair) => this._llmProvider.chat({ 
+                    userMessage: context.history + repair,
+                    productContextString: context.catalogJson,
+                    lastShownContextString: context.lastShownJson,
+                    orderContext: context.orderContext, // NOUVEAU PARAMETRE
+                    userContext: { userName: this.userName, language: this.userLanguage }
+                }),
+                { isKnownSku: (sku) => !!(findShown(sku) || this.findCatalogProduct(sku)), defaultAction: AI_ACTION.SEARCH }
+            );
             
             this.isTyping = false;
             console.log('🤖 [EINSTEIN AI DEBUG] Raw Response:', result);
 
-            if (result.success) {
-                try {
-                    const aiData = JSON.parse(result.response);
-                    this.conversationContext += `\nAssistant: ${aiData.message}`;
+            if (result.success && !validation.valid) {
+                // Réponse illisible même après une relance : rien n'est appliqué, le texte brut n'est pas affiché
+                console.error('❌ Invalid AI Response:', validation.errors, result.response);
+                this.addMessage("Sorry, I couldn't process that answer. Could you rephrase your request?", true);
+            } else if (result.success) {
+                const aiData = validation.data;
+                this.conversationContext += `\nAssistant: ${aiData.message}`;
 
-                    // Fallback si l'Apex a raffiné la détection
-                    if (aiData.detectedLanguage) {
-                        this.userLanguage = aiData.detectedLanguage;
-                    }
+                // Fallback si l'Apex a raffiné la détection
+                if (aiData.detectedLanguage) {
+                    this.userLanguage = aiData.detectedLanguage;
+                }
 
-                    let productsToDisplay = [];
-                    let adjustmentLogs = []; 
-                    
-                    if (aiData.items && Array.isArray(aiData.items)) {
-                        aiData.items.forEach(item => {
-                            let foundProduct = this.lastShownItems.find(r => r.sku === item.sku) ||
-                                               this.products.find(p => (p.sku === item.sku || p.StockKeepingUnit === item.sku));
-                            let realDataProduct = this.products.find(p => (p.sku === item.sku || p.StockKeepingUnit === item.sku));
-
-                            if (foundProduct) {
-                                if (!foundProduct.imgUrl && foundProduct.defaultImage) foundProduct.imgUrl = foundProduct.defaultImage.url;
-
-                                let finalQty = 0;
-                                let qtyRaw = item.quantity ? parseInt(item.quantity, 10) : 0;
-
-                                // --- MODIF CHIRURGICALE : Cas Affichage Détail Commande ---
-                                if (item.action === 'show_details') {
-                                    // On force l'affichage de la carte avec la quantité ordonnée spécifique
-                                    productsToDisplay.push(this.formatCard(foundProduct, qtyRaw));
-                                }
-                                // -----------------------------------------------------------
-                                // Logique Actions standards
-                                else if (item.action === 'set') {
-                                    const currentSelected = (realDataProduct && realDataProduct.qtyValue) ? parseFloat(realDataProduct.qtyValue) : 0;
-                                    finalQty = qtyRaw - currentSelected;
-                                } else if (item.action === 'remove') {
-                                    finalQty = -qtyRaw;
-                                } else {
-                                    finalQty = qtyRaw; // Cas 'add' standard
-                                }
-
-                                // VALIDATION STRICTE AVANT DISPATCH (sauf pour show_details qui est informatif)
-                                if (finalQty > 0 && item.action !== 'search' && item.action !== 'show_details' && realDataProduct) {
-                                    // Utilisation de la quantité BRUTE si > 9M pour activer la logique "Max"
-                                    let qtyToValidate = item.quantity > 9000000 ? item.quantity : finalQty;
-                                    
-                                    const validation = this.calculateValidQuantity(realDataProduct, qtyToValidate);
-                                    
-                                    if (validation.finalQty > 0) {
-                                        this.dispatchEvent(new CustomEvent('addproduct', {
-                                            detail: { 
-                                                sku: foundProduct.sku || foundProduct.StockKeepingUnit, 
-                                                quantity: validation.finalQty,
-                                                isRecommendation: false 
-                                            }
-                                        }));
-                                        
-                                        if (validation.isAdjusted) {
-                                            // Message spécifique si c'était une demande "Max"
-                                            if(qtyToValidate > 9000000) {
-                                                adjustmentLogs.push(`${foundProduct.name}: Added ${validation.finalQty} units (Maximum available).`);
-                                            } else {
-                                                adjustmentLogs.push(`${foundProduct.name}: Requested ${qtyToValidate}, Adjusted to ${validation.finalQty}. (${validation.reasons.join(', ')})`);
-                                            }
-                                        }
-                                    } else {
-                                        adjustmentLogs.push(`${foundProduct.name}: Could not add. (${validation.reasons.join(', ')})`);
-                                    }
-                                } 
-                                else if (finalQty < 0 && item.action !== 'search') {
-                                     this.dispatchEvent(new CustomEvent('addproduct', {
-                                        detail: { sku: foundProduct.sku || foundProduct.StockKeepingUnit, quantity: finalQty, isRecommendation: false }
-                                    }));
-                                }
-
-                                if (item.action !== 'show_details') {
-                                    productsToDisplay.push(this.formatCard(foundProduct));
-                                }
-                            }
-                        });
+                let productsToDisplay = [];
+                const actions = [];
+                
+                aiData.items.forEach(item => {
+                    const foundProduct = findShown(item.sku) || this.findCatalogProduct(item.sku);
+                    const realDataProduct = this.findCatalogProduct(item.sku);
+
+                    // --- MODIF CHIRURGICALE : Cas Affichage Détail Commande ---
+                    if (item.action === AI_ACTION.SHOW_DETAILS) {
+                        // On force l'affichage de la carte avec la quantité ordonnée spécifique
+                        productsToDisplay.push(this.formatCard(foundProduct, item.quantity));
+                        return;
                     }
-
-                    if (productsToDisplay.length > 0) {
-                        this.lastShownItems = productsToDisplay;
+                    // -----------------------------------------------------------
+                    // add/remove/set : regroupés dans un lot unique, validé et appliqué par la grille
+                    if (item.action !== AI_ACTION.SEARCH && realDataProduct) {
+                        actions.push(createAction(realDataProduct.sku || realDataProduct.StockKeepingUnit, item.action, item.quantity));
                     }
+                    productsToDisplay.push(this.formatCard(foundProduct));
+                });
 
-                    this.addAiMessage(aiData.message, productsToDisplay);
-
-                    // FEEDBACK IA CHAT
-                    if (adjustmentLogs.length > 0) {
-                        console.log('📝 Sending Adjustment Logs to AI:', adjustmentLogs);
-                        this.isTyping = true;
-                        const explainRes = await explainAdjustmentsWithEinstein({ 
-                            adjustments: adjustmentLogs,
-                            userContext: { userName: this.userName, language: this.userLanguage }
-                        });
-                        this.isTyping = false;
-                        if (explainRes.success) {
-                            this.addAiMessage(explainRes.response);
-                        }
-                    }
+                if (productsToDisplay.length > 0) {
+                    this.lastShownItems = productsToDisplay;
+                }
 
-                } catch (jsonError) {
-                    console.error('❌ JSON Parsing Error on AI Response:', jsonError);
-                    this.addMessage(result.response, true);
+                this.addAiMessage(aiData.message, productsToDisplay);
+
+                const feedback = formatRejections(validation.rejected);
+                if (feedback) this.addMessage(feedback, true);
+
+                if (actions.length > 0) {
+                    this.submitAssistantActions(actions);
                 }
             } else {
                 this.addMessage("⚠️ " + result.message, true);
@@ -574,6 +574,87 @@ export default class B2bAiAssistant extends LightningElement {
 
     // --- HELPERS ---
 
+    /**
+     * @description Appelle le fournisseur IA puis valide la réponse (c/b2bAiResponseValidator) ; une réponse illisible
+     * est redemandée une seule fois avec une consigne de correction.
+     * @param invoke Fonction (repairPrompt) => Promise<{ success, response, message }>, appelée avec '' au premier essai.
+     * @param options Options de validateAiResponse.
+     * @return { result, validation } ; validation est null si l'appel au fournisseur a échoué.
+     */
+    async requestValidatedResponse(invoke, options) {
+        let result = await invoke('');
+        if (!result.success) return { result, validation: null };
+
+        let validation = validateAiResponse(result.response, options);
+        if (!validation.valid) {
+            console.warn('⚠️ AI response rejected, retrying once:', validation.errors);
+            const retry = await invoke(buildRepairPrompt(result.response, validation.errors));
+            if (retry.success) {
+                result = retry;
+                validation = validateAiResponse(retry.response, options);
+            }
+        }
+        return { result, validation };
+    }
+
+    /**
+     * @description Contexte d'un appel Einstein dans la limite contextTokenBudget ; le rapport est conservé
+     * pour le panneau de diagnostic.
+     * @param message Texte servant au classement des produits (message utilisateur ou contenu de fichier).
+     * @param options { history, includeOrders }
+     */
+    buildContext(message, { history = '', includeOrders = false } = {}) {
+        const context = buildPromptContext({
+            message,
+            history,
+            products: this.catalogProducts,
+            // Un produit montré qui n'est plus au catalogue est envoyé tel quel (sans id)
+            lastShownItems: this.lastShownItems.map(item => this.findCatalogProduct(item.sku) || {
+                name: item.name, sku: item.sku,
+                desc: item.variationInfo || '',
+                selected: 0, inCart: 0
+            }),
+            orderContext: includeOrders ? this.formatOrdersForContext() : '',
+            orderItems: this.orderItems,
+            mapProduct: (p) => (p.id ? this.mapProductToContext(p) : p)
+        }, { tokenBudget: this.contextTokenBudget });
+        this.lastContextReport = context.report;
+        return context;
+    }
+
+    handleToggleContextPanel() {
+        this.showContextPanel = !this.showContextPanel;
+    }
+
+    get isContextPanelVisible() { return this.showContextDebug && this.showContextPanel; }
+
+    /**
+     * @description Lignes du panneau de diagnostic : ce qui a été inclus dans le dernier contexte envoyé.
+     */
+    get contextReportLines() {
+        const r = this.lastContextReport;
+        if (!r) return [];
+        let ordersNote = '';
+        if (r.orders.omitted) ordersNote = ` (${r.orders.omitted} older order${r.orders.omitted === 1 ? '' : 's'} omitted)`;
+        else if (r.orders.truncated) ordersNote = ' (omitted)';
+        return [
+            { key: 'budget', label: 'Size', value: `~${r.estimatedTokens} / ${r.budgetTokens} tokens` },
+            { key: 'products', label: 'Products', value: `${r.products.included} of ${r.products.total} included (${r.products.matched} matching the message)` },
+            { key: 'history', label: 'History', value: `${r.history.turnsKept} recent message${r.history.turnsKept === 1 ? '' : 's'}, ${r.history.turnsSummarized} summarized` },
+            { key: 'shown', label: 'Recently shown', value: `${r.lastShown.included} of ${r.lastShown.total}` },
+            { key: 'orders', label: 'Orders', value: `~${r.orders.tokens} tokens${ordersNote}` },
+            { key: 'terms', label: 'Search terms', value: r.terms.length ? r.terms.join(', ') : '—' }
+        ];
+    }
+
+    get contextTopMatches() {
+        const r = this.lastContextReport;
+        if (!r) return [];
+        return r.topMatches.map(m => ({ key: m.sku, label: `${m.sku} · ${m.name}`, detail: `${m.score} (${m.reasons.join(', ')})` }));
+    }
+
+    get hasContextReport() { return !!this.lastContextReport; }
+
     /**
      * @description Convertit une liste d'items simples en objets Card affichables.
      * @param items Liste d'objets {sku, ...}
@@ -583,8 +664,7 @@ export default class B2bAiAssistant extends LightningElement {
     mapItemsToCards(items, sourceList) {
         if (!items) return [];
         return items.map(item => {
-            const fullData = sourceList.find(r => r.sku === item.sku) || 
-                             this.products.find(p => (p.sku === item.sku || p.StockKeepingUnit === item.sku));
+            const fullData = sourceList.find(r => r.sku === item.sku) || this.findCatalogProduct(item.sku);
             return fullData ? this.formatCard(fullData) : null;
         }).filter(x => x !== null);
     }
@@ -605,16 +685,19 @@ export default class B2bAiAssistant extends LightningElement {
             });
         }
 
+        // Même détail de prix que la grille (c/b2bPricingEngine) lorsque la ligne est connue
+        const pricing = p.priceBreakdown;
+
         return {
             id: p.id, 
             name: p.name, 
             sku: p.sku || p.StockKeepingUnit,
-            price: p.displayUnitPrice || p.unitPrice || p.price,
-            listPrice: p.listPrice || null, 
-            imgUrl: p.imgUrl, 
+            price: pricing ? pricing.unitPrice.toFixed(2) : (p.displayUnitPrice || p.unitPrice || p.price),
+            listPrice: pricing ? (pricing.showListPrice ? pricing.listPrice.toFixed(2) : null) : (p.listPrice || null), 
+            imgUrl: p.imgUrl || (p.defaultImage && p.defaultImage.url), 
             promo: p.promoName || p.promo,
             specs: specs, 
-            currency: 'USD',
+            currency: p.currencyCode || p.currency || 'USD',
             productUrl: communityBasePath + '/product/' + p.id, // CORRECTION ICI (Base Path)
             quantityOrdered: qtyOverride // NOUVELLE PROPRIETE
         };
@@ -622,34 +705,42 @@ export default class B2bAiAssistant extends LightningElement {
 
     /**
      * @description Sérialise un produit pour le contexte JSON envoyé au LLM.
-     * Calcule le stock DISPONIBLE À L'AJOUT (Physique - (Panier + Saisi)).
+     * Calcule la quantité DISPONIBLE À L'AJOUT (min(Stock, Max) - (Panier + Saisi)) via c/b2bQuantityRules.
      * @param p Objet produit brut.
      * @return Object Objet simplifié pour le prompt JSON.
      */
     mapProductToContext(p) {
         let tierInfo = '';
         if (p.tierList) tierInfo = p.tierList.map(t => t.label).join(', ');
-        const sellingPrice = p.displayUnitPrice || p.unitPrice; 
 
         const inCart = p.cartQty ? parseFloat(p.cartQty) : 0;
         const selected = p.qtyValue ? parseFloat(p.qtyValue) : 0;
 
-        const isInfiniteStock = (p.stock === undefined || p.stock === null || p.stock === 'null');
-        const physicalStock = isInfiniteStock ? 999999 : parseFloat(p.stock);
-        
-        let availableToAdd = physicalStock - inCart - selected;
-        if (availableToAdd < 0) availableToAdd = 0;
+        const availableToAdd = getAvailableQuantity(p, { inCart, selected });
+
+        // Détail de prix identique à celui affiché dans la grille (popover)
+        const pricing = p.priceBreakdown || calculatePriceBreakdown(p, selected, null, { inCart });
 
         return {
             name: p.name, 
             sku: p.sku || p.StockKeepingUnit, 
             desc: p.Description + (p.variationInfo ? ' ' + p.variationInfo : ''), 
-            price: sellingPrice, 
+            price: pricing.unitPrice, 
+            currency: pricing.currencyCode,
             stock: availableToAdd, 
             stockLabel: p.stockLabel, 
             selected: selected, 
             inCart: inCart,
-            tiers: tierInfo
+            tiers: tierInfo,
+            pricing: {
+                basePrice: pricing.basePrice,
+                tierPrice: pricing.tierPrice,
+                listPrice: pricing.listPrice,
+                promotion: pricing.promotionName,
+                savingsPerUnit: pricing.savingsPerUnit,
+                lineTotal: pricing.lineTotal,
+                nextTier: pricing.nextTier ? pricing.nextTier.label : null
+            }
         };
     }
 
@@ -660,11 +751,12 @@ export default class B2bAiAssistant extends LightningElement {
      */
     addAiMessage(text, products) {
         this.messages = [...this.messages, {
-            id: Date.now(), text: text, isAi: true,
+            id: nextMessageId(), text: text, isAi: true,
             products: products && products.length > 0 ? products : null,
             wrapperClass: 'message-wrapper left', bubbleClass: 'chat-bubble left'
         }];
         this.scrollToBottom();
+        this.scheduleSessionSave();
     }
 
     /**
@@ -675,11 +767,12 @@ export default class B2bAiAssistant extends LightningElement {
      */
     addMessage(text, isAi, products = null) {
         this.messages = [...this.messages, {
-            id: Date.now(), text: text, isAi: isAi,
+            id: nextMessageId(), text: text, isAi: isAi,
             products: products,
             wrapperClass: `message-wrapper ${isAi ? 'left' : 'right'}`,
             bubbleClass: `chat-bubble ${isAi ? 'left' : 'right'}`
         }];
+        this.scheduleSessionSave();
     }
 
     /**
@@ -699,8 +792,453 @@ export default class B2bAiAssistant extends LightningElement {
     handleAddRequest(event) {
         const sku = event.target.dataset.sku;
         const qty = parseInt(event.target.dataset.qty, 10);
-        this.dispatchEvent(new CustomEvent('addproduct', {
-            detail: { sku: sku, quantity: qty }
-        }));
+        this.dispatchActionBatch([createAction(sku, ACTION_TYPE.ADD, qty)], ACTION_SOURCE.ASSISTANT, { silent: true });
+    }
+
+    // --- LOTS D'ACTIONS (GRILLE) ---
+
+    /**
+     * @description Envoie un lot d'actions à la grille (un seul événement, appliqué d'un bloc).
+     * @param options { silent } : pas de rapport dans le chat (bouton "Add" d'une carte).
+     */
+    dispatchActionBatch(actions, source, { silent = false } = {}) {
+        const batch = createActionBatch(actions, { source });
+        this._pendingBatches.set(batch.batchId, { source, silent });
+        this.dispatchEvent(new CustomEvent(ACTION_BATCH_EVENT, { detail: batch }));
+        return batch.batchId;
+    }
+
+    // --- PROPOSITIONS A CONFIRMER ---
+
+    /**
+     * @description Applique les modifications demandées par l'IA, ou les propose d'abord selon confirmationMode.
+     */
+    submitAssistantActions(actions) {
+        if (!requiresConfirmation(actions.length, this.confirmationMode, this.confirmationThreshold)) {
+            this.dispatchActionBatch(actions, ACTION_SOURCE.ASSISTANT);
+            return;
+        }
+        this.addProposalMessage(actions);
+    }
+
+    /**
+     * @description Message "modifications proposées" : aperçu calculé avec les règles de quantité et les prix
+     * de la grille (previewActionBatch), rien n'est envoyé avant validation.
+     */
+    addProposalMessage(actions) {
+        const batch = createActionBatch(actions, { source: ACTION_SOURCE.ASSISTANT });
+        const findById = (productId) => this.catalogProducts.find(p => p.id === productId) || {};
+        const preview = previewActionBatch(batch, {
+            findProduct: (sku) => this.findCatalogProduct(sku),
+            getCurrentQty: (productId) => findById(productId).qtyValue,
+            getInCart: (productId) => findById(productId).cartQty,
+            getLineTotal: (product, quantity) => calculatePriceBreakdown(product, quantity, product.promotion || null, {
+                inCart: parseFloat(product.cartQty) || 0
+            }).lineTotal
+        });
+
+        const id = nextMessageId();
+        const currency = (this.catalogProducts[0] && this.catalogProducts[0].currencyCode) || 'USD';
+        const lines = preview.results.map(r => {
+            const product = r.productId ? this.findCatalogProduct(r.sku) : null;
+            const isSelectable = r.outcome === ACTION_OUTCOME.APPLIED || r.outcome === ACTION_OUTCOME.ADJUSTED;
+            return {
+                key: r.key,
+                label: r.name || r.sku,
+                sku: r.sku,
+                currentQty: r.previous,
+                proposedQty: r.outcome === ACTION_OUTCOME.REJECTED ? r.previous : r.quantity,
+                statusLabel: formatOutcome(r.outcome),
+                statusClass: `action-status action-status_${r.outcome}`,
+                message: r.reasons.join(', '),
+                priceImpact: r.priceImpact ? this.formatPriceImpact(r.priceImpact, (product && product.currencyCode) || currency) : '',
+                isSelectable,
+                isDisabled: !isSelectable,
+                selected: isSelectable
+            };
+        });
+        this._proposals.set(id, batch.actions);
+
+        const count = lines.filter(l => l.isSelectable).length;
+        this.messages = [...this.messages, {
+            id,
+            text: `Proposed changes to your list (${count} line${count === 1 ? '' : 's'}). Review them before they are applied.`,
+            isAi: true,
+            proposal: {
+                lines,
+                totalLabel: this.formatPriceImpact(preview.totalImpact, currency),
+                isPending: true,
+                isApplyDisabled: count === 0,
+                isApplySelectedDisabled: count === 0,
+                statusText: null
+            },
+            wrapperClass: 'message-wrapper left',
+            bubbleClass: 'chat-bubble left'
+        }];
+        this.conversationContext += `\nSystem: ${count} proposed change${count === 1 ? ' is' : 's are'} waiting for the user's confirmation.`;
+        this.scrollToBottom();
+        this.scheduleSessionSave();
+    }
+
+    formatPriceImpact(amount, currency) {
+        const sign = amount > 0 ? '+' : (amount < 0 ? '−' : '');
+        return `${sign}${currency} ${Math.abs(amount).toFixed(2)}`;
+    }
+
+    updateProposal(msgId, update) {
+        this.messages = this.messages.map(m => (m.id === msgId && m.proposal ? { ...m, proposal: update(m.proposal) } : m));
+    }
+
+    handleProposalToggle(event) {
+        const { msgid, key } = event.target.dataset;
+        const checked = event.target.checked;
+        this.updateProposal(msgid, proposal => {
+            const lines = proposal.lines.map(l => (l.key === key ? { ...l, selected: checked } : l));
+            return { ...proposal, lines, isApplySelectedDisabled: !lines.some(l => l.selected) };
+        });
+    }
+
+    handleApplyProposal(event) {
+        this.resolveProposal(event.target.dataset.msgid, line => line.isSelectable);
+    }
+
+    handleApplySelectedProposal(event) {
+        this.resolveProposal(event.target.dataset.msgid, line => line.selected);
+    }
+
+    handleDiscardProposal(event) {
+        this.resolveProposal(event.target.dataset.msgid, () => false);
+    }
+
+    /**
+     * @description Clôt une proposition : les lignes retenues partent à la grille en un seul lot
+     * (revalidées sur les quantités du moment), les autres sont abandonnées.
+     * @param accept Filtre des lignes à appliquer.
+     */
+    resolveProposal(msgId, accept) {
+        const actions = this._proposals.get(msgId);
+        const message = this.messages.find(m => m.id === msgId);
+        if (!actions || !message) return;
+        this._proposals.delete(msgId);
+
+        const keys = new Set(message.proposal.lines.filter(accept).map(l => l.key));
+        const accepted = actions.filter(a => keys.has(a.key));
+        const statusText = accepted.length
+            ? `Applied ${accepted.length} of ${message.proposal.lines.length} proposed change${message.proposal.lines.length === 1 ? '' : 's'}.`
+            : 'Proposed changes discarded.';
+        this.updateProposal(msgId, proposal => ({ ...proposal, isPending: false, statusText }));
+        this.conversationContext += accepted.length
+            ? `\nSystem: The user applied ${accepted.length} of the proposed changes.`
+            : '\nSystem: The user discarded the proposed changes.';
+
+        if (accepted.length) this.dispatchActionBatch(accepted, ACTION_SOURCE.ASSISTANT);
+        this.scheduleSessionSave();
+    }
+
+    /**
+     * @description Résultat d'un lot renvoyé par la grille : tableau appliqué / ajusté / rejeté dans le chat,
+     * puis explication des ajustements par Einstein.
+     * @param batchId Identifiant du lot (createActionBatch).
+     * @param results Résultats par action (applyActionBatch).
+     */
+    @api
+    async reportActionResults(batchId, results) {
+        const pending = this._pendingBatches.get(batchId);
+        if (!pending) return;
+        this._pendingBatches.delete(batchId);
+        if (pending.silent || !results || !results.length) return;
+
+        const changed = results.filter(r => r.outcome === ACTION_OUTCOME.APPLIED || r.outcome === ACTION_OUTCOME.ADJUSTED);
+        const rejected = results.filter(r => r.outcome === ACTION_OUTCOME.REJECTED);
+        let text = changed.length > 0 ? `✅ Updated ${changed.length} line${changed.length === 1 ? '' : 's'} in your list.` : '⚠️ No items could be added.';
+        if (changed.length > 0 && rejected.length > 0) text += ` ${rejected.length} could not be applied.`;
+        this.addActionReportMessage(text, results);
+        if (pending.source === ACTION_SOURCE.FILE) {
+            this.conversationContext += `\nSystem: Added ${changed.length} items from file upload.`;
+        }
+
+        // FEEDBACK IA (ajustements et refus)
+        const adjustmentLogs = results.map(r => this.describeAdjustment(r)).filter(log => log);
+        if (adjustmentLogs.length > 0) {
+            console.log('📝 Sending Adjustment Logs to AI:', adjustmentLogs);
+            this.isTyping = true;
+            try {
+                const explainRes = await this._llmProvider.explainAdjustments({ 
+                    adjustments: adjustmentLogs,
+                    userContext: { userName: this.userName, language: this.userLanguage }
+                });
+                if (explainRes.success) {
+                    this.addAiMessage(explainRes.response);
+                }
+            } catch(e) { 
+                console.warn('Adjustment explanation failed', e);
+            } finally {
+                this.isTyping = false;
+            }
+        }
+    }
+
+    /**
+     * @description Substituts recommandés pour une ligne dont le produit n'est plus au catalogue (demande de la grille).
+     * La conversation n'est pas modifiée ; seuls les SKU du catalogue sont retenus.
+     * @param line { productId, sku, name, description }
+     * @return [sku]
+     */
+    @api
+    async recommendSubstitutes(line) {
+        const request = buildSubstitutionRequest(line);
+        const context = this.buildContext(request);
+        try {
+            const { result, validation } = await this.requestValidatedResponse(
+                (repair) => this._llmProvider.chat({
+                    userMessage: request + repair,
+                    productContextString: context.catalogJson,
+                    lastShownContextString: context.lastShownJson,
+                    orderContext: context.orderContext,
+                    userContext: { userName: this.userName, language: this.userLanguage }
+                }),
+                { isKnownSku: (sku) => !!this.findCatalogProduct(sku), defaultAction: AI_ACTION.SEARCH }
+            );
+            if (!result.success || !validation.valid) return [];
+            return validation.data.items.map(item => item.sku);
+        } catch (error) {
+            console.warn('Substitute recommendation failed', error);
+            return [];
+        }
+    }
+
+    /**
+     * @description Ligne de journal envoyée à Einstein pour un résultat ajusté, rejeté ou "Max".
+     */
+    describeAdjustment(result) {
+        const name = result.name || result.sku;
+        const reasons = result.reasons.join(', ');
+        if (result.outcome === ACTION_OUTCOME.REJECTED) return `${name}: Could not ${result.type === ACTION_TYPE.REMOVE ? 'remove' : 'add'}. (${reasons})`;
+        if (result.outcome === ACTION_OUTCOME.ADJUSTED) return `${name}: Requested ${result.requested}, Adjusted to ${result.quantity}. (${reasons})`;
+        if (result.outcome === ACTION_OUTCOME.APPLIED && result.reasons.length && result.quantity > 0) return `${name}: Added ${result.quantity} units (Maximum available).`;
+        return null;
+    }
+
+    addActionReportMessage(text, results) {
+        this.messages = [...this.messages, {
+            id: nextMessageId(), text: text, isAi: true,
+            actionReport: results.map(r => ({
+                key: r.key,
+                label: r.name || r.sku,
+                sku: r.sku,
+                quantity: r.outcome === ACTION_OUTCOME.REJECTED ? r.previous : r.quantity,
+                statusLabel: formatOutcome(r.outcome),
+                statusClass: `action-status action-status_${r.outcome}`,
+                message: r.reasons.join(', ')
+            })),
+            wrapperClass: 'message-wrapper left',
+            bubbleClass: 'chat-bubble left'
+        }];
+        this.scrollToBottom();
+        this.scheduleSessionSave();
+    }
+
+    // --- CONVERSATIONS ENREGISTREES ---
+
+    /**
+     * @description Liste des conversations de l'utilisateur pour le compte courant.
+     */
+    async loadSessions() {
+        try {
+            const result = await getAssistantSessions({ communityId: communityId, effectiveAccountId: this._effectiveAccountId });
+            this.sessions = (result && result.sessions) || [];
+        } catch (error) {
+            console.warn('Assistant sessions could not be loaded', error);
+        }
+    }
+
+    /**
+     * @description Enregistre la conversation peu après le dernier message (une seule écriture par rafale).
+     */
+    scheduleSessionSave() {
+        clearTimeout(this._sessionTimer);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation -- anti-rebond de la sauvegarde, annulé à chaque message
+        this._sessionTimer = setTimeout(() => {
+            this._sessionTimer = null;
+            this.persistSession();
+        }, SESSION_SAVE_DELAY_MS);
+    }
+
+    /**
+     * @description Écrit immédiatement une sauvegarde programmée.
+     * @return Promesse résolue quand plus aucune sauvegarde n'est en cours.
+     */
+    flushSessionSave() {
+        if (!this._sessionTimer) return this._sessionSave || Promise.resolve();
+        clearTimeout(this._sessionTimer);
+        this._sessionTimer = null;
+        return this.persistSession();
+    }
+
+    /**
+     * @description Crée ou met à jour la session (B2B_Assistant_Session__c). Les enregistrements sont
+     * sérialisés : une sauvegarde demandée pendant une autre est rejouée ensuite, sur la même session.
+     * @return Promesse résolue quand plus aucune sauvegarde n'est en cours (y compris celle rejouée).
+     */
+    persistSession() {
+        if (this._sessionSave) {
+            this._sessionSaveQueued = true;
+            return this._sessionSave;
+        }
+        if (!this._effectiveAccountId || !hasUserMessages(this.messages)) return Promise.resolve();
+        this._sessionSave = this.writeSession().then(() => {
+            this._sessionSave = null;
+            if (!this._sessionSaveQueued) return undefined;
+            this._sessionSaveQueued = false;
+            return this.persistSession();
+        });
+        return this._sessionSave;
+    }
+
+    /**
+     * @description Un enregistrement : la session et la conversation sont celles du moment de l'appel ; si la conversation
+     * a changé entre-temps, la réponse ne modifie pas la session courante.
+     */
+    async writeSession() {
+        const generation = this._conversationGeneration;
+        try {
+            const state = serializeConversation({
+                messages: this.messages,
+                conversationContext: this.conversationContext,
+                lastShownItems: this.lastShownItems,
+                userLanguage: this.userLanguage
+            });
+            const result = await saveAssistantSession({
+                communityId: communityId,
+                effectiveAccountId: this._effectiveAccountId,
+                sessionId: this.sessionId,
+                title: buildSessionTitle(this.messages),
+                stateJson: JSON.stringify(state)
+            });
+            if (!result || !result.success) {
+                console.warn('Assistant session not saved', result && result.message);
+                return;
+            }
+            this.sessions = [result.session, ...this.sessions.filter(s => s.id !== result.session.id)];
+            if (generation === this._conversationGeneration) this.sessionId = result.session.id;
+        } catch (error) {
+            console.warn('Assistant session not saved', error);
+        }
+    }
+
+    handleToggleSessions() {
+        this.showSessions = !this.showSessions;
+        if (this.showSessions && this._effectiveAccountId) this.loadSessions();
+    }
+
+    /**
+     * @description Démarre une nouvelle conversation ; la conversation en cours reste dans l'historique.
+     */
+    async handleNewConversation() {
+        await this.flushSessionSave();
+        this.resetConversation();
+        this.showSessions = false;
+    }
+
+    /**
+     * @description Reprend une conversation enregistrée (data-id) : les cartes produits sont reconstruites
+     * à partir du catalogue courant.
+     */
+    async handleResumeSession(event) {
+        const targetId = event.currentTarget.dataset.id;
+        if (!targetId || targetId === this.sessionId) {
+            this.showSessions = false;
+            return;
+        }
+        await this.flushSessionSave();
+        try {
+            const result = await getAssistantSession({ effectiveAccountId: this._effectiveAccountId, sessionId: targetId });
+            if (!result || !result.success) {
+                this.addMessage(`⚠️ ${(result && result.message) || 'Conversation not found.'}`, true);
+                return;
+            }
+            const restored = restoreConversation(result.session.state, {
+                findProduct: (sku) => this.findCatalogProduct(sku),
+                formatCard: (product, quantityOrdered) => this.formatCard(product, quantityOrdered)
+            });
+            const stamp = Date.now();
+            const messages = restored.messages.map((m, index) => ({
+                ...m,
+                id: `${stamp}-${index}`,
+                wrapperClass: `message-wrapper ${m.isAi ? 'left' : 'right'}`,
+                bubbleClass: `chat-bubble ${m.isAi ? 'left' : 'right'}`
+            }));
+            if (restored.missingProducts > 0) {
+                const count = restored.missingProducts;
+                messages.push({
+                    id: `${stamp}-missing`, isAi: true,
+                    text: `ℹ️ ${count} product card${count === 1 ? ' is' : 's are'} no longer in the catalog and ${count === 1 ? 'was' : 'were'} not restored.`,
+                    wrapperClass: 'message-wrapper left', bubbleClass: 'chat-bubble left'
+                });
+            }
+            this.messages = [createWelcomeMessage(this._userName), ...messages];
+            this.conversationContext = restored.conversationContext;
+            this.lastShownItems = restored.lastShownItems;
+            this._proposals = new Map();
+            if (restored.userLanguage) this.userLanguage = restored.userLanguage;
+            this._pendingBatches = new Map();
+            this._conversationGeneration++;
+            this.sessionId = targetId;
+            this.showSessions = false;
+            this.scrollToBottom();
+        } catch (error) {
+            console.error('Assistant session restore failed', error);
+            this.addMessage('⚠️ This conversation could not be restored.', true);
+        }
+    }
+
+    /**
+     * @description Efface la conversation en cours (messages, contexte, derniers produits montrés)
+     * et la retire de l'historique, après confirmation.
+     */
+    async handleClearConversation() {
+        const confirmed = await LightningConfirm.open({
+            message: 'Clear this conversation? It will also be removed from your conversation history.',
+            variant: 'headerless',
+            label: 'Clear conversation'
+        });
+        if (!confirmed) return;
+
+        clearTimeout(this._sessionTimer);
+        this._sessionTimer = null;
+        // Une sauvegarde en cours peut créer la session à supprimer : on attend son identifiant, sans la rejouer
+        this._sessionSaveQueued = false;
+        await this._sessionSave;
+        const sessionId = this.sessionId;
+        this.resetConversation();
+        if (!sessionId) return;
+        this.sessions = this.sessions.filter(s => s.id !== sessionId);
+        try {
+            await deleteAssistantSession({ effectiveAccountId: this._effectiveAccountId, sessionId });
+        } catch (error) {
+            console.warn('Assistant session could not be deleted', error);
+        }
+    }
+
+    resetConversation() {
+        this.messages = [createWelcomeMessage(this._userName)];
+        this.conversationContext = '';
+        this.lastShownItems = [];
+        this._pendingBatches = new Map();
+        this._proposals = new Map();
+        this._conversationGeneration++;
+        this.sessionId = null;
+    }
+
+    /**
+     * @description Produit du catalogue pour un SKU, sans tenir compte de la casse (même index que la grille).
+     */
+    findCatalogProduct(sku) {
+        const catalog = this.catalogProducts;
+        if (this._skuIndexSource !== catalog) {
+            this._skuIndex = buildSkuIndex(catalog);
+            this._skuIndexSource = catalog;
+        }
+        return this._skuIndex.get(skuKey(sku)) || null;
     }
 }
\ No newline at end of file
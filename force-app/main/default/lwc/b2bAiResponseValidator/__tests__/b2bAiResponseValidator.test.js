@@ -0,0 +1,67 @@
+import { AI_ACTION, MAX_QUANTITY_TOKEN, extractJson, coerceQuantity, validateAiResponse, buildRepairPrompt, formatRejections } from 'c/b2bAiResponseValidator';
+
+const KNOWN = new Set(['A-1', 'B-1']);
+const isKnownSku = (sku) => KNOWN.has(sku);
+
+describe('c/b2bAiResponseValidator', () => {
+    it('extracts JSON wrapped in fences or prose', () => {
+        expect(extractJson('```json\n{"message":"Hi","items":[]}\n```')).toEqual({ message: 'Hi', items: [] });
+        expect(extractJson('Sure! Here it is: {"message":"Done {ok}","items":[{"sku":"A-1"}]} Hope it helps.')).toEqual({ message: 'Done {ok}', items: [{ sku: 'A-1' }] });
+        expect(extractJson('{broken} then {"message":"second"}')).toEqual({ message: 'second' });
+        expect(extractJson('No JSON here')).toBeNull();
+
+        expect(coerceQuantity('5 pcs')).toBe(5);
+        expect(coerceQuantity('2,5')).toBe(2.5);
+        expect(coerceQuantity('1,000')).toBe(1000);
+        expect(coerceQuantity('1,000 boxes, as usual')).toBe(1000);
+        expect(coerceQuantity('1,2,3')).toBeNull();
+        expect(coerceQuantity('Max')).toBe(MAX_QUANTITY_TOKEN);
+        expect(coerceQuantity('a few')).toBeNull();
+    });
+
+    it('coerces valid lines and rejects unknown SKUs, actions and quantities with a reason', () => {
+        const raw = JSON.stringify({
+            message: 'Updated your list',
+            detectedLanguage: 'English',
+            items: [
+                { sku: 'A-1', action: 'ADD', quantity: '10' },
+                { sku: 'B-1', action: 'Show Details', quantity: 4 },
+                { sku: 'B-1' },
+                { sku: 'ZZ-9', action: 'add', quantity: 1 },
+                { sku: 'A-1', action: 'buy', quantity: 1 },
+                { sku: 'A-1', action: 'remove', quantity: 'some' },
+                { sku: 'B-1', action: 'set', quantity: 0 }
+            ]
+        });
+
+        const result = validateAiResponse(raw, { isKnownSku });
+        expect(result.valid).toBe(true);
+        expect(result.data.detectedLanguage).toBe('English');
+        expect(result.data.items).toEqual([
+            { sku: 'A-1', action: AI_ACTION.ADD, quantity: 10 },
+            { sku: 'B-1', action: AI_ACTION.SHOW_DETAILS, quantity: 4 },
+            { sku: 'B-1', action: AI_ACTION.SEARCH, quantity: 0 },
+            { sku: 'B-1', action: AI_ACTION.SET, quantity: 0 }
+        ]);
+        expect(result.rejected).toEqual([
+            { sku: 'ZZ-9', action: 'add', reason: 'Unknown SKU' },
+            { sku: 'A-1', action: 'buy', reason: 'Unknown action "buy"' },
+            { sku: 'A-1', action: 'remove', reason: 'Quantity "some" is not a number' }
+        ]);
+        expect(formatRejections(result.rejected)).toBe('⚠️ 3 suggested lines were ignored — ZZ-9: Unknown SKU; A-1: Unknown action "buy"; A-1: Quantity "some" is not a number.');
+    });
+
+    it('applies file defaults and flags unreadable responses for a repair request', () => {
+        const file = validateAiResponse('{"message":"Found 1","items":[{"sku":"A-1"}]}', { isKnownSku, defaultAction: AI_ACTION.ADD, defaultQuantity: 1 });
+        expect(file.data.items).toEqual([{ sku: 'A-1', action: AI_ACTION.ADD, quantity: 1 }]);
+
+        const invalid = validateAiResponse('I would add ten anchors for you.', { isKnownSku });
+        expect(invalid).toEqual({ valid: false, errors: ['The response is not a JSON object'], data: null, rejected: [] });
+        expect(validateAiResponse('{"items":"A-1"}').errors).toEqual(['"items" must be an array', '"message" is missing']);
+
+        const prompt = buildRepairPrompt('I would add ten anchors for you.', invalid.errors);
+        expect(prompt).toContain('(The response is not a JSON object)');
+        expect(prompt).toContain('Previous answer: I would add ten anchors for you.');
+        expect(prompt).toContain('ONLY one JSON object');
+    });
+});
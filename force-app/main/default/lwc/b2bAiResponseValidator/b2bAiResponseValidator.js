@@ -0,0 +1,170 @@
+/**
+ * @description Lecture des réponses Einstein selon le contrat { message, detectedLanguage, items[] } :
+ * le JSON est extrait même s'il est entouré de texte ou de balises ```, les types sont corrigés
+ * (quantités en texte, action en majuscules), et les lignes inexploitables (SKU inconnu, action inconnue,
+ * quantité invalide) sont écartées avec une raison affichable. Une réponse illisible peut être redemandée
+ * une fois avec buildRepairPrompt.
+ */
+import { parseQuantityText } from 'c/b2bQuantityRules';
+
+export const AI_ACTION = {
+    ADD: 'add',
+    REMOVE: 'remove',
+    SET: 'set',
+    SEARCH: 'search',
+    SHOW_DETAILS: 'show_details'
+};
+
+// Valeur "Max" du prompt Apex ("Add All" -> quantity=9999999)
+export const MAX_QUANTITY_TOKEN = 9999999;
+
+const QUANTITY_ACTIONS = new Set([AI_ACTION.ADD, AI_ACTION.REMOVE, AI_ACTION.SET]);
+const MAX_WORDS = new Set(['max', 'all', 'maximum', 'tout', 'tous']);
+const RAW_EXCERPT_CHARS = 500;
+
+/**
+ * @description Premier objet JSON trouvé dans un texte (balises ``` et texte autour ignorés).
+ * @return Object ou null
+ */
+export function extractJson(text) {
+    const raw = String(text || '').replace(/```(?:json)?/gi, '').trim();
+    try {
+        const parsed = JSON.parse(raw);
+        if (parsed && typeof parsed === 'object') return parsed;
+    } catch {
+        // Texte autour du JSON : recherche d'un objet équilibré ci-dessous
+    }
+
+    let start = raw.indexOf('{');
+    while (start !== -1) {
+        const end = findObjectEnd(raw, start);
+        if (end !== -1) {
+            try {
+                return JSON.parse(raw.slice(start, end + 1));
+            } catch {
+                // Accolades équilibrées mais JSON invalide : objet suivant
+            }
+        }
+        start = raw.indexOf('{', start + 1);
+    }
+    return null;
+}
+
+function findObjectEnd(text, start) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * @description Quantité numérique d'une valeur IA ("5", "5 pcs", "1,000", "2,5", "max"), lue avec les mêmes règles
+ * que l'import de bons de commande (c/b2bQuantityRules parseQuantityText) ; un texte après le nombre est ignoré.
+ * @return Number ou null si illisible
+ */
+export function coerceQuantity(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+    if (!text) return null;
+    if (MAX_WORDS.has(text)) return MAX_QUANTITY_TOKEN;
+    const match = text.match(/^-?\d+(?:[ .,]\d+)*/);
+    return match ? parseQuantityText(match[0]) : null;
+}
+
+function validateItem(item, { isKnownSku, defaultAction, defaultQuantity }) {
+    if (!item || typeof item !== 'object') {
+        return { rejected: { sku: '', action: '', reason: 'Line is not an object' } };
+    }
+    const sku = String(item.sku || item.SKU || item.StockKeepingUnit || '').trim();
+    const actionRaw = item.action === undefined || item.action === null || item.action === '' ? defaultAction : String(item.action);
+    const action = actionRaw.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    const base = { sku, action };
+
+    if (!Object.values(AI_ACTION).includes(action)) {
+        return { rejected: { ...base, reason: `Unknown action "${actionRaw}"` } };
+    }
+    if (!sku) return { rejected: { ...base, reason: 'Missing SKU' } };
+    if (!isKnownSku(sku)) return { rejected: { ...base, reason: 'Unknown SKU' } };
+
+    const missingQuantity = item.quantity === undefined || item.quantity === null || item.quantity === '';
+    const quantity = missingQuantity ? defaultQuantity : coerceQuantity(item.quantity);
+    if (QUANTITY_ACTIONS.has(action)) {
+        if (missingQuantity && quantity === null) return { rejected: { ...base, reason: 'Missing quantity' } };
+        if (quantity === null) return { rejected: { ...base, reason: `Quantity "${item.quantity}" is not a number` } };
+        // "set" à 0 vide la ligne ; "add"/"remove" doivent porter sur une quantité
+        if (quantity < 0 || (quantity === 0 && action !== AI_ACTION.SET)) {
+            return { rejected: { ...base, reason: `Quantity ${quantity} is not valid for "${action}"` } };
+        }
+    }
+    return { item: { sku, action, quantity: quantity !== null && quantity > 0 ? quantity : 0 } };
+}
+
+/**
+ * @description Valide une réponse brute d'Einstein.
+ * @param options { isKnownSku(sku), defaultAction, defaultQuantity } ; defaultAction s'applique aux lignes
+ * sans action (analyse de fichier : "add" ; chat : "search", jamais une modification implicite) et
+ * defaultQuantity aux lignes sans quantité (null : ligne écartée).
+ * @return { valid, errors: [], data: { message, detectedLanguage, items: [{ sku, action, quantity }] }, rejected: [{ sku, action, reason }] }
+ */
+export function validateAiResponse(raw, { isKnownSku = () => true, defaultAction = AI_ACTION.SEARCH, defaultQuantity = null } = {}) {
+    const parsed = extractJson(raw);
+    if (!parsed || Array.isArray(parsed)) {
+        return { valid: false, errors: ['The response is not a JSON object'], data: null, rejected: [] };
+    }
+
+    const errors = [];
+    const message = typeof parsed.message === 'string' ? parsed.message.trim() : (parsed.message ? String(parsed.message) : '');
+    let rawItems = parsed.items;
+    if (rawItems === undefined || rawItems === null) rawItems = [];
+    else if (!Array.isArray(rawItems)) rawItems = typeof rawItems === 'object' ? [rawItems] : null;
+
+    if (rawItems === null) errors.push('"items" must be an array');
+    if (!message && (!rawItems || rawItems.length === 0)) errors.push('"message" is missing');
+    if (errors.length) return { valid: false, errors, data: null, rejected: [] };
+
+    const items = [];
+    const rejected = [];
+    rawItems.forEach(rawItem => {
+        const outcome = validateItem(rawItem, { isKnownSku, defaultAction, defaultQuantity });
+        if (outcome.item) items.push(outcome.item);
+        else rejected.push(outcome.rejected);
+    });
+
+    const detectedLanguage = typeof parsed.detectedLanguage === 'string' && parsed.detectedLanguage.trim() ? parsed.detectedLanguage.trim() : null;
+    return { valid: true, errors: [], data: { message, detectedLanguage, items }, rejected };
+}
+
+/**
+ * @description Consigne ajoutée à la requête pour redemander une réponse conforme (un seul essai).
+ */
+export function buildRepairPrompt(raw, errors) {
+    const excerpt = String(raw || '').slice(0, RAW_EXCERPT_CHARS);
+    return '\nSystem: Your previous answer could not be read'
+        + ` (${(errors || []).join('; ') || 'invalid format'}).`
+        + `\nPrevious answer: ${excerpt}`
+        + '\nSystem: Answer the last user request again with ONLY one JSON object, no text around it:'
+        + ' { "message": string, "detectedLanguage": string, "items": [ { "sku": string, "quantity": number,'
+        + ' "action": "add" | "remove" | "set" | "search" | "show_details" } ] }';
+}
+
+/**
+ * @description Retour utilisateur sur les lignes écartées.
+ */
+export function formatRejections(rejected) {
+    if (!rejected || rejected.length === 0) return '';
+    const lines = rejected.map(r => `${r.sku || '(no SKU)'}: ${r.reason}`);
+    return `⚠️ ${rejected.length} suggested line${rejected.length === 1 ? ' was' : 's were'} ignored — ${lines.join('; ')}.`;
+}
@@ -0,0 +1,76 @@
+import { MAX_STORED_MESSAGES, DEFAULT_SESSION_TITLE, PROPOSAL_EXPIRED_TEXT, buildSessionTitle, hasUserMessages, serializeConversation, restoreConversation, buildSessionList } from 'c/b2bAssistantSessions';
+
+const catalog = [
+    { id: '01tA', sku: 'A-1', name: 'Anchor', price: 12 },
+    { id: '01tB', sku: 'B-1', name: 'Bolt', price: 3 }
+];
+const resolver = {
+    findProduct: (sku) => catalog.find(p => p.sku === sku) || null,
+    formatCard: (product, quantityOrdered = null) => ({ id: product.id, sku: product.sku, price: product.price, quantityOrdered })
+};
+
+describe('c/b2bAssistantSessions', () => {
+    it('titles a conversation from its first user message', () => {
+        expect(buildSessionTitle([{ id: 'welcome', isAi: true, text: 'Hello!' }])).toBe(DEFAULT_SESSION_TITLE);
+        expect(buildSessionTitle([{ isAi: false, text: '  Add 10   anchors\nplease ' }])).toBe('Add 10 anchors please');
+        expect(buildSessionTitle([{ isAi: false, text: 'x'.repeat(80) }])).toHaveLength(60);
+        expect(hasUserMessages([{ id: 'welcome', isAi: true }])).toBe(false);
+    });
+
+    it('stores product cards by SKU and keeps only the recent messages and context', () => {
+        const messages = [{ id: 'welcome', isAi: true, text: 'Hello!' }];
+        for (let i = 0; i < MAX_STORED_MESSAGES + 5; i++) messages.push({ id: i, isAi: i % 2 === 1, text: `m${i}` });
+        messages.push({ id: 'cards', isAi: true, text: 'Here you go', products: [{ id: '01tA', sku: 'A-1', name: 'Anchor', price: '11.00' }] });
+
+        const state = serializeConversation({ messages, conversationContext: 'y'.repeat(30000), lastShownItems: [{ sku: 'A-1' }], userLanguage: 'French' });
+        expect(state.messages).toHaveLength(MAX_STORED_MESSAGES);
+        expect(state.messages[state.messages.length - 1]).toEqual({ role: 'ai', text: 'Here you go', cards: [{ sku: 'A-1', quantityOrdered: null }] });
+        expect(state.context).toHaveLength(20000);
+        expect(state.lastShownSkus).toEqual(['A-1']);
+        expect(state.language).toBe('French');
+    });
+
+    it('keeps proposals read-only and file imports with their quantities across a save', () => {
+        const line = { key: '0', label: 'Anchor', sku: 'A-1', currentQty: 0, proposedQty: 5, isSelectable: true, isDisabled: false, selected: true };
+        const state = serializeConversation({
+            messages: [
+                { id: 'p1', isAi: true, text: 'Proposed', proposal: { lines: [line], totalLabel: '+USD 60.00', isPending: true, statusText: null } },
+                { id: 'p2', isAi: true, text: 'Proposed', proposal: { lines: [line], totalLabel: '+USD 60.00', isPending: false, statusText: 'Proposed changes discarded.' } },
+                { id: 'f1', isAi: true, text: 'File', isFileResult: true, fileItems: [{ sku: 'B-1', quantityRequested: 8, price: '3.00' }, { sku: 'GONE', quantityRequested: 1 }], importReport: null }
+            ]
+        });
+        expect(state.messages[2]).toEqual({ role: 'ai', text: 'File', fileItems: [{ sku: 'B-1', quantityRequested: 8 }, { sku: 'GONE', quantityRequested: 1 }], importReport: null });
+
+        const restored = restoreConversation(JSON.parse(JSON.stringify(state)), resolver);
+        expect(restored.messages[0].proposal).toMatchObject({ isPending: false, isApplyDisabled: true, statusText: PROPOSAL_EXPIRED_TEXT });
+        expect(restored.messages[0].proposal.lines[0]).toMatchObject({ proposedQty: 5, selected: false, isDisabled: true });
+        expect(restored.messages[1].proposal.statusText).toBe('Proposed changes discarded.');
+        expect(restored.messages[2]).toMatchObject({ isFileResult: true, hasFileItems: true, importReport: null });
+        expect(restored.messages[2].fileItems).toEqual([{ id: '01tB', sku: 'B-1', price: 3, quantityOrdered: null, quantityRequested: 8 }]);
+        expect(restored.missingProducts).toBe(1);
+    });
+
+    it('rebuilds cards from the current catalog and drops products that are gone', () => {
+        const restored = restoreConversation({
+            messages: [
+                { role: 'user', text: 'Show my last order' },
+                { role: 'ai', text: 'Order 42', cards: [{ sku: 'A-1', quantityOrdered: 4 }, { sku: 'GONE', quantityOrdered: 1 }] },
+                { role: 'ai', text: 'Done', actionReport: [{ key: '0', label: 'Bolt' }] }
+            ],
+            context: '\nUser: Show my last order',
+            lastShownSkus: ['B-1', 'GONE'],
+            language: 'English'
+        }, resolver);
+
+        expect(restored.messages.map(m => m.isAi)).toEqual([false, true, true]);
+        expect(restored.messages[1].products).toEqual([{ id: '01tA', sku: 'A-1', price: 12, quantityOrdered: 4 }]);
+        expect(restored.messages[2].actionReport).toHaveLength(1);
+        expect(restored.lastShownItems.map(c => c.sku)).toEqual(['B-1']);
+        expect(restored.missingProducts).toBe(1);
+        expect(restored.conversationContext).toBe('\nUser: Show my last order');
+        expect(restoreConversation(null, resolver).messages).toEqual([]);
+
+        expect(buildSessionList([{ id: 's1', title: 'Anchors', messageCount: 1, lastModifiedDate: '2026-03-01 10:00' }], 's1')[0])
+            .toMatchObject({ meta: '1 message · 2026-03-01 10:00', cssClass: 'session-row session-row_active' });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * @description Conversations enregistrées de l'assistant (objet B2B_Assistant_Session__c), sans dépendance UI.
+ * L'état stocké ne contient que des références : les cartes produits sont enregistrées par SKU et
+ * reconstruites à la restauration à partir du catalogue courant (prix, stock et promotions à jour).
+ * Les propositions de modifications sont restaurées en lecture seule : leur aperçu date de l'enregistrement,
+ * une proposition encore en attente est donc marquée comme expirée.
+ */
+
+export const MAX_STORED_MESSAGES = 100;
+// Le contexte envoyé à Einstein n'est conservé que sur sa fin (les derniers échanges)
+export const MAX_STORED_CONTEXT_CHARS = 20000;
+export const SESSION_TITLE_LENGTH = 60;
+export const DEFAULT_SESSION_TITLE = 'New conversation';
+
+export const PROPOSAL_EXPIRED_TEXT = 'This proposal expired when the conversation was closed. Ask again to get up-to-date changes.';
+
+const WELCOME_ID = 'welcome';
+
+/**
+ * @description Titre d'une conversation : son premier message utilisateur, abrégé.
+ */
+export function buildSessionTitle(messages) {
+    const first = (messages || []).find(m => m && !m.isAi && m.text);
+    if (!first) return DEFAULT_SESSION_TITLE;
+    const text = String(first.text).replace(/\s+/g, ' ').trim();
+    return text.length > SESSION_TITLE_LENGTH ? `${text.slice(0, SESSION_TITLE_LENGTH - 1).trim()}…` : text;
+}
+
+/**
+ * @description Indique si une conversation contient au moins un message de l'utilisateur (sinon rien à enregistrer).
+ */
+export function hasUserMessages(messages) {
+    return (messages || []).some(m => m && !m.isAi);
+}
+
+/**
+ * @description État JSON d'une conversation : messages (hors accueil, limités aux plus récents),
+ * contexte Einstein abrégé, SKU des derniers produits montrés et langue détectée.
+ */
+export function serializeConversation({ messages, conversationContext, lastShownItems, userLanguage }) {
+    const stored = (messages || [])
+        .filter(m => m && m.id !== WELCOME_ID)
+        .slice(-MAX_STORED_MESSAGES)
+        .map(m => {
+            const entry = { role: m.isAi ? 'ai' : 'user', text: m.text || '' };
+            if (m.products && m.products.length) {
+                entry.cards = m.products.map(card => ({ sku: card.sku, quantityOrdered: card.quantityOrdered === undefined ? null : card.quantityOrdered }));
+            }
+            if (m.actionReport && m.actionReport.length) {
+                entry.actionReport = m.actionReport.map(line => ({ ...line }));
+            }
+            if (m.proposal) {
+                entry.proposal = {
+                    lines: m.proposal.lines.map(line => ({ ...line })),
+                    totalLabel: m.proposal.totalLabel,
+                    isPending: !!m.proposal.isPending,
+                    statusText: m.proposal.statusText || null
+                };
+            }
+            if (m.isFileResult) {
+                entry.fileItems = (m.fileItems || []).map(item => ({ sku: item.sku, quantityRequested: item.quantityRequested }));
+                entry.importReport = m.importReport && m.importReport.length ? m.importReport.map(line => ({ ...line })) : null;
+            }
+            return entry;
+        });
+    const context = conversationContext || '';
+    return {
+        messages: stored,
+        context: context.length > MAX_STORED_CONTEXT_CHARS ? context.slice(-MAX_STORED_CONTEXT_CHARS) : context,
+        lastShownSkus: (lastShownItems || []).map(item => item.sku).filter(sku => sku),
+        language: userLanguage || null
+    };
+}
+
+/**
+ * @description Proposition restaurée : les lignes ne sont plus modifiables et une proposition
+ * encore en attente est expirée (elle devra être redemandée).
+ */
+function restoreProposal(proposal) {
+    if (!proposal || !Array.isArray(proposal.lines)) return null;
+    return {
+        lines: proposal.lines.map(line => ({ ...line, selected: false, isDisabled: true })),
+        totalLabel: proposal.totalLabel || '',
+        isPending: false,
+        isApplyDisabled: true,
+        isApplySelectedDisabled: true,
+        statusText: proposal.isPending ? PROPOSAL_EXPIRED_TEXT : (proposal.statusText || null)
+    };
+}
+
+/**
+ * @description Reconstruit une conversation enregistrée. Les cartes (y compris celles d'un import de fichier)
+ * sont recalculées à partir du catalogue courant ; une carte dont le produit n'y figure plus est retirée
+ * et comptée dans missingProducts.
+ * @param resolver { findProduct(sku), formatCard(product, quantityOrdered) }
+ * @return { messages: [{ text, isAi, products, actionReport, proposal, isFileResult?, fileItems?, hasFileItems?, importReport? }],
+ * conversationContext, lastShownItems, userLanguage, missingProducts }
+ */
+export function restoreConversation(state, { findProduct, formatCard }) {
+    const data = state || {};
+    let missingProducts = 0;
+    const toCards = (cards) => {
+        const formatted = (cards || []).map(card => {
+            const product = card && card.sku ? findProduct(card.sku) : null;
+            if (!product) {
+                missingProducts++;
+                return null;
+            }
+            return formatCard(product, card.quantityOrdered === undefined ? null : card.quantityOrdered);
+        }).filter(card => card);
+        return formatted.length ? formatted : null;
+    };
+    // Lignes d'un import de fichier : la carte du produit et la quantité trouvée dans le fichier
+    const toFileItems = (items) => items.map(item => {
+        const product = item && item.sku ? findProduct(item.sku) : null;
+        if (!product) {
+            missingProducts++;
+            return null;
+        }
+        return { ...formatCard(product), quantityRequested: item.quantityRequested };
+    }).filter(item => item);
+
+    const messages = (Array.isArray(data.messages) ? data.messages : []).map(m => {
+        const message = {
+            text: m.text || '',
+            isAi: m.role !== 'user',
+            products: toCards(m.cards),
+            actionReport: Array.isArray(m.actionReport) && m.actionReport.length ? m.actionReport : null,
+            proposal: restoreProposal(m.proposal)
+        };
+        if (Array.isArray(m.fileItems)) {
+            const fileItems = toFileItems(m.fileItems);
+            Object.assign(message, {
+                isFileResult: true,
+                fileItems,
+                hasFileItems: fileItems.length > 0,
+                importReport: Array.isArray(m.importReport) && m.importReport.length ? m.importReport : null
+            });
+        }
+        return message;
+    });
+
+    const lastShownItems = (Array.isArray(data.lastShownSkus) ? data.lastShownSkus : [])
+        .map(sku => findProduct(sku))
+        .filter(product => product)
+        .map(product => formatCard(product));
+
+    return {
+        messages,
+        conversationContext: typeof data.context === 'string' ? data.context : '',
+        lastShownItems,
+        userLanguage: data.language || null,
+        missingProducts
+    };
+}
+
+/**
+ * @description Entrées de la liste des conversations (la conversation ouverte est mise en évidence).
+ */
+export function buildSessionList(sessions, activeSessionId) {
+    return (sessions || []).map(session => {
+        const count = session.messageCount || 0;
+        const isActive = session.id === activeSessionId;
+        return {
+            id: session.id,
+            title: session.title || DEFAULT_SESSION_TITLE,
+            meta: `${count} message${count === 1 ? '' : 's'}${session.lastModifiedDate ? ` · ${session.lastModifiedDate}` : ''}`,
+            isActive,
+            cssClass: isActive ? 'session-row session-row_active' : 'session-row'
+        };
+    });
+}
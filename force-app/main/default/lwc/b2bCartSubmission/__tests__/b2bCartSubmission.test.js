@@ -0,0 +1,73 @@
+import { CART_LINE_STATUS, CART_MODE, CART_CHANGE, CART_SET_CHUNK_SIZE, chunkItems, normalizeChunkResults, submitCartItems, buildCartPlan, formatCartChange, describeCartSummary } from 'c/b2bCartSubmission';
+
+describe('c/b2bCartSubmission', () => {
+    it('splits a large selection into chunks', () => {
+        const items = Object.fromEntries(Array.from({ length: 250 }, (_, i) => [`01t${i}`, i + 1]));
+        const chunks = chunkItems(items);
+        expect(chunks.map(c => Object.keys(c).length)).toEqual([100, 100, 50]);
+        expect(chunks[2]['01t249']).toBe(250);
+        expect(chunkItems(items, CART_SET_CHUNK_SIZE).map(c => Object.keys(c).length)).toEqual([50, 50, 50, 50, 50]);
+        expect(chunkItems({ a: 1, b: 2, c: 3 }, 2)).toEqual([{ a: 1, b: 2 }, { c: 3 }]);
+        expect(chunkItems({})).toEqual([]);
+    });
+
+    it('maps Apex results per line and rejects lines missing from the response', () => {
+        const results = normalizeChunkResults({ a: 2, b: 5, c: 1 }, {
+            success: false,
+            message: 'Cart is locked',
+            results: [
+                { productId: 'a', status: 'added', quantity: '2' },
+                { productId: 'b', status: 'capped', quantity: 3, message: 'Only 3 of 5 added' }
+            ]
+        });
+        expect(results).toEqual([
+            { productId: 'a', status: CART_LINE_STATUS.ADDED, requested: 2, quantity: 2, message: null },
+            { productId: 'b', status: CART_LINE_STATUS.CAPPED, requested: 5, quantity: 3, message: 'Only 3 of 5 added' },
+            { productId: 'c', status: CART_LINE_STATUS.REJECTED, requested: 1, quantity: 0, message: 'Cart is locked' }
+        ]);
+    });
+
+    it('sends chunks one after another and keeps going after a failed chunk', async () => {
+        const send = jest.fn()
+            .mockRejectedValueOnce({ body: { message: 'Batch limit exceeded' } })
+            .mockImplementationOnce((chunk) => Promise.resolve({
+                success: true,
+                results: Object.entries(chunk).map(([productId, qty]) => ({ productId, status: 'added', quantity: qty }))
+            }));
+
+        const { results, summary, hasErrors } = await submitCartItems({ a: 1, b: 2, c: 3 }, send, { chunkSize: 2 });
+
+        expect(send.mock.calls.map(c => c[0])).toEqual([{ a: 1, b: 2 }, { c: 3 }]);
+        expect(results.map(r => [r.productId, r.status, r.message])).toEqual([
+            ['a', 'rejected', 'Batch limit exceeded'],
+            ['b', 'rejected', 'Batch limit exceeded'],
+            ['c', 'added', null]
+        ]);
+        expect(summary).toEqual({ added: 1, updated: 0, removed: 0, capped: 0, rejected: 2, total: 3 });
+        expect(hasErrors).toBe(true);
+        expect(describeCartSummary(summary)).toEqual({ title: 'Warning', message: '1 line added, 2 failed.', variant: 'warning' });
+        expect(describeCartSummary({ added: 3, updated: 0, removed: 0, capped: 0, rejected: 0, total: 3 }).variant).toBe('success');
+        expect(describeCartSummary({ added: 0, updated: 0, removed: 0, capped: 0, rejected: 2, total: 2 }).message).toBe('No items could be added to the cart (2 lines failed).');
+    });
+
+    it('plans cart changes for the add, set and replace modes', () => {
+        const state = { inputQty: { a: '2', b: '5', c: '0' }, cartQuantities: { b: 3, c: 4, x: 1 }, scopeIds: ['a', 'b', 'c'] };
+
+        const add = buildCartPlan(CART_MODE.ADD, state);
+        expect(add.lines).toEqual([
+            { productId: 'a', current: 0, target: 2, change: CART_CHANGE.ADD },
+            { productId: 'b', current: 3, target: 8, change: CART_CHANGE.INCREASE }
+        ]);
+        expect(add.items).toEqual({ a: 2, b: 5 });
+
+        const set = buildCartPlan(CART_MODE.SET, state);
+        expect(set.lines.map(l => [l.productId, l.target, l.change])).toEqual([['b', 5, 'increase'], ['c', 0, 'remove'], ['a', 2, 'add']]);
+        expect(set.items).toEqual({ a: 2, b: 5, c: 0 });
+
+        const replace = buildCartPlan(CART_MODE.REPLACE, { ...state, inputQty: { b: 3, a: 1 } });
+        expect(replace.items).toEqual({ c: 0, x: 0, a: 1 });
+        expect(replace.summary).toEqual({ add: 1, increase: 0, decrease: 0, remove: 2, unchanged: 1 });
+        expect(formatCartChange(CART_CHANGE.DECREASE)).toBe('Decrease');
+        expect(describeCartSummary({ added: 1, updated: 1, removed: 2, capped: 0, rejected: 0, total: 4 }, CART_MODE.REPLACE).message).toBe('Cart updated.');
+    });
+});
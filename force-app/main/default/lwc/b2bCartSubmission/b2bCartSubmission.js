@@ -0,0 +1,196 @@
+/**
+ * @description Envoi de la sélection au panier ligne à ligne : la sélection est découpée en lots (CART_CHUNK_SIZE lignes
+ * par appel Apex), chaque ligne reçoit un résultat (ajoutée, mise à jour, retirée, plafonnée, refusée et pourquoi),
+ * et un lot en échec n'empêche pas l'envoi des suivants. Sans dépendance UI : l'appel Apex est injecté (send).
+ * Trois modes (CART_MODE) : ajout à l'existant, quantités panier fixées aux valeurs de la grille, ou panier
+ * remplacé ; buildCartPlan calcule l'aperçu (avant / après) affiché avant tout envoi.
+ */
+
+export const CART_LINE_STATUS = {
+    ADDED: 'added',
+    UPDATED: 'updated',
+    REMOVED: 'removed',
+    CAPPED: 'capped',
+    REJECTED: 'rejected'
+};
+
+export const CART_MODE = {
+    ADD: 'add',
+    SET: 'set',
+    REPLACE: 'replace'
+};
+
+export const CART_MODE_OPTIONS = [
+    { label: 'Add to cart', value: CART_MODE.ADD },
+    { label: 'Set cart quantities', value: CART_MODE.SET },
+    { label: 'Replace cart', value: CART_MODE.REPLACE }
+];
+
+export const CART_CHANGE = {
+    ADD: 'add',
+    INCREASE: 'increase',
+    DECREASE: 'decrease',
+    REMOVE: 'remove'
+};
+
+const CHANGE_LABELS = {
+    [CART_CHANGE.ADD]: 'New',
+    [CART_CHANGE.INCREASE]: 'Increase',
+    [CART_CHANGE.DECREASE]: 'Decrease',
+    [CART_CHANGE.REMOVE]: 'Remove'
+};
+
+// Lignes par appel Apex (le contrôleur redécoupe par lots ConnectApi)
+export const CART_CHUNK_SIZE = 100;
+// Lignes par appel setCartQuantities (modes SET / REPLACE) : plafond du contrôleur, chaque mise à jour coûtant un DML
+export const CART_SET_CHUNK_SIZE = 50;
+
+const NO_RESULT_REASON = 'No result returned for this line';
+
+/**
+ * @description Découpe { productId: quantité } en lots de taille maximale size.
+ */
+export function chunkItems(itemsMap, size = CART_CHUNK_SIZE) {
+    const entries = Object.entries(itemsMap || {});
+    const chunkSize = Math.max(1, parseInt(size, 10) || CART_CHUNK_SIZE);
+    const chunks = [];
+    for (let i = 0; i < entries.length; i += chunkSize) {
+        chunks.push(Object.fromEntries(entries.slice(i, i + chunkSize)));
+    }
+    return chunks;
+}
+
+function rejectedLine(productId, requested, message) {
+    return { productId, status: CART_LINE_STATUS.REJECTED, requested, quantity: 0, message: message || 'Could not be added' };
+}
+
+/**
+ * @description Résultats d'un lot à partir de la réponse Apex : une ligne absente de la réponse est refusée
+ * (avec le message d'erreur global s'il existe).
+ */
+export function normalizeChunkResults(chunk, response) {
+    const byId = new Map(((response && response.results) || []).map(r => [r.productId, r]));
+    const fallback = (response && response.success === false && response.message) || NO_RESULT_REASON;
+    return Object.entries(chunk).map(([productId, requested]) => {
+        const line = byId.get(productId);
+        if (!line) return rejectedLine(productId, requested, fallback);
+        const status = Object.values(CART_LINE_STATUS).includes(line.status) ? line.status : CART_LINE_STATUS.REJECTED;
+        return {
+            productId,
+            status,
+            requested,
+            quantity: status === CART_LINE_STATUS.REJECTED ? 0 : (parseFloat(line.quantity) || 0),
+            message: line.message || null
+        };
+    });
+}
+
+/**
+ * @description Envoie la sélection lot par lot.
+ * @param send Fonction (chunk) => Promise<{ success, message, results }> (appel Apex addItemsToCart ou setCartQuantities).
+ * @param options { chunkSize }
+ * @return { results: [{ productId, status, requested, quantity, message }], summary, hasErrors } ;
+ * hasErrors indique qu'au moins un appel a échoué (panier à resynchroniser).
+ */
+export async function submitCartItems(itemsMap, send, { chunkSize = CART_CHUNK_SIZE } = {}) {
+    const results = [];
+    let hasErrors = false;
+    for (const chunk of chunkItems(itemsMap, chunkSize)) {
+        try {
+            // eslint-disable-next-line no-await-in-loop -- lots envoyés l'un après l'autre : pas de modification parallèle du même panier
+            const response = await send(chunk);
+            if (!response || response.success === false) hasErrors = true;
+            results.push(...normalizeChunkResults(chunk, response));
+        } catch (error) {
+            hasErrors = true;
+            const message = (error && error.body && error.body.message) || (error && error.message) || 'Error adding to cart.';
+            results.push(...Object.entries(chunk).map(([productId, requested]) => rejectedLine(productId, requested, message)));
+        }
+    }
+    return { results, summary: summarizeCartResults(results), hasErrors };
+}
+
+/**
+ * @description Changements de panier d'un mode, avant envoi.
+ * - ADD : chaque saisie s'ajoute à la quantité panier.
+ * - SET : les produits de la grille (scopeIds) prennent la quantité saisie ; sans saisie, ils sont retirés du panier.
+ *   Les autres lignes du panier ne changent pas.
+ * - REPLACE : le panier ne contient plus que la saisie ; toute autre ligne de cartQuantities (à fournir pour le panier
+ *   actif complet) est retirée.
+ * @param state { inputQty, cartQuantities, scopeIds }
+ * @return { mode, lines: [{ productId, current, target, change }], summary: { add, increase, decrease, remove, unchanged },
+ * items: { productId: quantité } (à ajouter en mode ADD, quantité visée sinon) }
+ */
+export function buildCartPlan(mode, { inputQty = {}, cartQuantities = {}, scopeIds = [] } = {}) {
+    const qty = (value) => Math.max(0, parseFloat(value) || 0);
+    const input = Object.fromEntries(Object.entries(inputQty).filter(([, value]) => qty(value) > 0).map(([id, value]) => [id, qty(value)]));
+
+    const targets = new Map();
+    if (mode === CART_MODE.ADD) {
+        Object.entries(input).forEach(([id, value]) => targets.set(id, qty(cartQuantities[id]) + value));
+    } else {
+        const removable = mode === CART_MODE.REPLACE ? Object.keys(cartQuantities) : scopeIds;
+        removable.forEach(id => { if (qty(cartQuantities[id]) > 0) targets.set(id, 0); });
+        Object.entries(input).forEach(([id, value]) => targets.set(id, value));
+    }
+
+    const summary = { add: 0, increase: 0, decrease: 0, remove: 0, unchanged: 0 };
+    const lines = [];
+    const items = {};
+    targets.forEach((target, productId) => {
+        const current = qty(cartQuantities[productId]);
+        if (target === current) {
+            summary.unchanged++;
+            return;
+        }
+        let change = CART_CHANGE.INCREASE;
+        if (target === 0) change = CART_CHANGE.REMOVE;
+        else if (current === 0) change = CART_CHANGE.ADD;
+        else if (target < current) change = CART_CHANGE.DECREASE;
+        summary[change]++;
+        lines.push({ productId, current, target, change });
+        items[productId] = mode === CART_MODE.ADD ? input[productId] : target;
+    });
+    return { mode, lines, summary, items };
+}
+
+/**
+ * @description Libellé affichable d'un changement de panier.
+ */
+export function formatCartChange(change) {
+    return CHANGE_LABELS[change] || String(change);
+}
+
+/**
+ * @description Comptage par statut.
+ */
+export function summarizeCartResults(results) {
+    const summary = { added: 0, updated: 0, removed: 0, capped: 0, rejected: 0, total: 0 };
+    (results || []).forEach(r => {
+        summary[r.status]++;
+        summary.total++;
+    });
+    return summary;
+}
+
+/**
+ * @description Message de résumé d'un ajout au panier et variante de toast associée.
+ * @return { title, message, variant }
+ */
+export function describeCartSummary(summary, mode = CART_MODE.ADD) {
+    const succeeded = summary.total - summary.rejected;
+    if (summary.total > 0 && summary.rejected === 0 && summary.capped === 0) {
+        return { title: 'Success', message: mode === CART_MODE.ADD ? 'Items added to cart.' : 'Cart updated.', variant: 'success' };
+    }
+    if (succeeded === 0) {
+        return {
+            title: 'Error',
+            message: `No ${mode === CART_MODE.ADD ? 'items could be added to' : 'changes could be made to'} the cart (${summary.rejected} line${summary.rejected === 1 ? '' : 's'} failed).`,
+            variant: 'error'
+        };
+    }
+    const parts = [`${succeeded} line${succeeded === 1 ? '' : 's'} ${mode === CART_MODE.ADD ? 'added' : 'updated'}`];
+    if (summary.capped) parts.push(`${summary.capped} with a reduced quantity`);
+    if (summary.rejected) parts.push(`${summary.rejected} failed`);
+    return { title: 'Warning', message: `${parts.join(', ')}.`, variant: 'warning' };
+}
@@ -0,0 +1,908 @@
+import { createElement } from '@lwc/engine-dom';
+import B2bCommerceOrderMatrix from 'c/b2bCommerceOrderMatrix';
+import { AppContextAdapter, SessionContextAdapter } from 'commerce/contextApi';
+import getAllActiveProducts from '@salesforce/apex/B2BCommerceOrderMatrixController.getAllActiveProducts';
+import getPastOrders from '@salesforce/apex/B2BCommerceOrderMatrixController.getPastOrders';
+import getCartQuantities from '@salesforce/apex/B2BCommerceOrderMatrixController.getCartQuantities';
+import getOrderTemplates from '@salesforce/apex/B2BCommerceOrderMatrixController.getOrderTemplates';
+import saveOrderTemplate from '@salesforce/apex/B2BCommerceOrderMatrixController.saveOrderTemplate';
+import deleteOrderTemplate from '@salesforce/apex/B2BCommerceOrderMatrixController.deleteOrderTemplate';
+import addItemsToCart from '@salesforce/apex/B2BCommerceOrderMatrixController.addItemsToCart';
+import setCartQuantities from '@salesforce/apex/B2BCommerceOrderMatrixController.setCartQuantities';
+import getOrderProducts from '@salesforce/apex/B2BCommerceOrderMatrixController.getOrderProducts';
+import getActiveCartLines from '@salesforce/apex/B2BCommerceOrderMatrixController.getActiveCartLines';
+import LightningConfirm from 'lightning/confirm';
+import { saveDraft, loadDraft } from 'c/b2bDraftStore';
+import { ACTION_OUTCOME, createAction, createActionBatch } from 'c/b2bActionBatch';
+
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.getAllActiveProducts', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.getPastOrders', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.getCartQuantities', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.getOrderTemplates', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.saveOrderTemplate', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.deleteOrderTemplate', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.addItemsToCart', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.setCartQuantities', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.getOrderProducts', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.getActiveCartLines', () => ({ default: jest.fn() }), { virtual: true });
+
+const CATALOG_SIZE = 5000;
+// Catalogue des tests fonctionnels : juste assez de lignes pour dépasser la fenêtre virtuelle
+const SMALL_CATALOG_SIZE = 60;
+
+const WEEKLY_TEMPLATE = {
+    id: 'a0X000000000001',
+    name: 'Weekly restock',
+    lineCount: 3,
+    lastModifiedDate: '2026-03-01 10:00',
+    items: [
+        { productId: '01t00002', sku: 'SKU-00002', name: 'Product 00002', quantity: 5 },
+        { productId: '01t00010', sku: 'SKU-00010', name: 'Product 00010', quantity: 2 },
+        { productId: '01tGONE', sku: 'SKU-OLD', name: 'Discontinued bolt', quantity: 7 }
+    ]
+};
+
+function buildCatalog(size) {
+    const products = [];
+    for (let i = 0; i < size; i++) {
+        const n = String(i).padStart(5, '0');
+        products.push({
+            id: `01t${n}`,
+            name: `Product ${n}`,
+            sku: `SKU-${n}`,
+            Description: `Description ${n}`,
+            variationInfo: i % 3 === 0 ? 'Color: Red, Size: M' : '',
+            unitPrice: 10 + (i % 7),
+            listPrice: 20,
+            currencyCode: 'USD',
+            priceRanges: [{ min: 1, price: 10 + (i % 7) }, { min: 10, price: 9 }],
+            stock: i % 5 === 0 ? null : String(50 + (i % 20)),
+            minQty: 1,
+            maxQty: null,
+            increment: i % 4 === 0 ? 2 : 1
+        });
+    }
+    return products;
+}
+
+const flushPromises = () => new Promise(resolve => process.nextTick(resolve));
+
+async function flushAll() {
+    for (let i = 0; i < 5; i++) {
+        // eslint-disable-next-line no-await-in-loop -- passes successives : chargements Apex en cascade puis rendu
+        await flushPromises();
+    }
+}
+
+async function createMatrix() {
+    const element = createElement('c-b2b-commerce-order-matrix', { is: B2bCommerceOrderMatrix });
+    document.body.appendChild(element);
+    AppContextAdapter.emit({ data: { webstoreId: '0ZE000000000001' } });
+    SessionContextAdapter.emit({ data: { effectiveAccountId: '001000000000001', userName: 'Buyer', isPreview: false } });
+    await flushAll();
+    return element;
+}
+
+const renderedRows = (element) => element.querySelectorAll('tr.matrix-row');
+const gridProducts = (element) => element.querySelector('c-b2b-ai-assistant').products;
+
+beforeEach(() => {
+    getAllActiveProducts.mockResolvedValue({ products: buildCatalog(SMALL_CATALOG_SIZE) });
+    getPastOrders.mockResolvedValue({ orders: [], allItems: [] });
+    getCartQuantities.mockResolvedValue({});
+    getOrderTemplates.mockResolvedValue({ templates: [WEEKLY_TEMPLATE] });
+    LightningConfirm.open = jest.fn().mockResolvedValue(true);
+});
+
+afterEach(() => {
+    while (document.body.firstChild) {
+        document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+    window.localStorage.clear();
+    jest.useRealTimers();
+});
+
+describe('c-b2b-commerce-order-matrix (large catalog)', () => {
+    beforeEach(() => {
+        getAllActiveProducts.mockResolvedValue({ products: buildCatalog(CATALOG_SIZE) });
+        // Le composant journalise abondamment (catalogue complet) : on coupe la console pendant le benchmark.
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+        console.warn.mockRestore();
+    });
+
+    it('renders only a window of rows for a 5,000-product catalog within budget', async () => {
+        const start = performance.now();
+        const element = await createMatrix();
+        const elapsed = performance.now() - start;
+
+        expect(gridProducts(element)).toHaveLength(CATALOG_SIZE);
+        expect(renderedRows(element).length).toBeGreaterThan(0);
+        expect(renderedRows(element).length).toBeLessThanOrEqual(40);
+        expect(element.querySelector('.left-actions strong').textContent).toBe(String(CATALOG_SIZE));
+        expect(elapsed).toBeLessThan(5000);
+    });
+
+    it('recomputes only the edited row and stays responsive on a quantity change', async () => {
+        const element = await createMatrix();
+        const before = gridProducts(element);
+        const catalogBefore = element.querySelector('c-b2b-ai-assistant').catalog;
+
+        const start = performance.now();
+        const input = element.querySelector('input.qty-input-field');
+        input.value = '3';
+        input.dispatchEvent(new CustomEvent('change'));
+        await flushAll();
+        const elapsed = performance.now() - start;
+
+        const after = gridProducts(element);
+        const changed = after.filter((row, index) => row !== before[index]);
+        expect(changed).toHaveLength(1);
+        expect(changed[0].qtyValue).toBe('3');
+        const catalogAfter = element.querySelector('c-b2b-ai-assistant').catalog;
+        expect(catalogAfter.filter((row, index) => row !== catalogBefore[index])).toEqual([changed[0]]);
+        expect(elapsed).toBeLessThan(250);
+    });
+
+    it('debounces the search before rebuilding the grid', async () => {
+        const element = await createMatrix();
+        jest.useFakeTimers();
+
+        const search = element.querySelector('lightning-input.search-input');
+        search.value = 'SKU-04999';
+        search.dispatchEvent(new CustomEvent('change'));
+        await Promise.resolve();
+        expect(gridProducts(element)).toHaveLength(CATALOG_SIZE);
+
+        jest.advanceTimersByTime(300);
+        jest.useRealTimers();
+        await flushAll();
+        expect(gridProducts(element)).toHaveLength(1);
+        expect(renderedRows(element)).toHaveLength(1);
+    });
+
+    it('moves the rendered window when the grid is scrolled', async () => {
+        const element = await createMatrix();
+        const container = element.querySelector('.table-scroll-container');
+
+        container.scrollTop = 130 * 1000;
+        container.dispatchEvent(new CustomEvent('scroll'));
+        await flushAll();
+
+        const firstRowId = renderedRows(element)[0].querySelector('input.qty-input-field').dataset.id;
+        const firstIndex = gridProducts(element).findIndex(p => p.id === firstRowId);
+        expect(firstIndex).toBeGreaterThan(980);
+        expect(firstIndex).toBeLessThan(1000);
+        expect(element.querySelectorAll('tr.virtual-spacer')).toHaveLength(2);
+    });
+});
+
+describe('c-b2b-commerce-order-matrix sorting and filters', () => {
+    it('sorts on a header click and keeps filters across a source switch', async () => {
+        const element = await createMatrix();
+
+        element.querySelector('button.sort-header[data-field="price"]').click();
+        await flushAll();
+        const prices = gridProducts(element).map(p => p.priceBreakdown.unitPrice);
+        expect(prices[0]).toBe(Math.min(...prices));
+        expect(prices[prices.length - 1]).toBe(Math.max(...prices));
+
+        element.querySelector('.filters-button').click();
+        await flushAll();
+        const colorFacet = element.querySelector('lightning-checkbox-group[data-facet="Color"]');
+        colorFacet.dispatchEvent(new CustomEvent('change', { detail: { value: ['Red'] } }));
+        await flushAll();
+        const redCount = Math.ceil(SMALL_CATALOG_SIZE / 3);
+        expect(gridProducts(element)).toHaveLength(redCount);
+
+        element.querySelector('lightning-combobox.source-dropdown').dispatchEvent(new CustomEvent('change', { detail: { value: 'catalog' } }));
+        await flushAll();
+        expect(gridProducts(element)).toHaveLength(redCount);
+        expect(gridProducts(element)[0].priceBreakdown.unitPrice).toBe(Math.min(...prices));
+        expect(element.querySelector('.filters-button').label).toBe('Filters (1)');
+    });
+
+    it('blocks the add to cart on an invalid quantity hidden by the filters', async () => {
+        const element = await createMatrix();
+        const toasts = jest.fn();
+        element.addEventListener('lightning__showtoast', toasts);
+
+        // Incrément de 2 sur SKU-00000 : 3 est invalide
+        const input = element.querySelector('input.qty-input-field[data-id="01t00000"]');
+        input.value = '3';
+        input.dispatchEvent(new CustomEvent('change'));
+        element.querySelector('.filters-button').click();
+        await flushAll();
+        const promoToggle = element.querySelector('lightning-input[data-filter="promoOnly"]');
+        promoToggle.checked = true;
+        promoToggle.dispatchEvent(new CustomEvent('change'));
+        await flushAll();
+        expect(gridProducts(element)).toHaveLength(0);
+
+        const addButton = element.querySelector('lightning-button.add-to-cart-button');
+        expect(addButton.disabled).toBe(true);
+        addButton.click();
+        await flushAll();
+        expect(element.querySelector('.cart-preview')).toBeNull();
+        expect(toasts.mock.calls[0][0].detail).toMatchObject({ message: 'Please correct invalid quantities (red fields).', variant: 'error' });
+    });
+});
+
+describe('c-b2b-commerce-order-matrix paste panel', () => {
+    it('previews pasted lines against the whole catalog before merging them', async () => {
+        const element = await createMatrix();
+        element.querySelector('.paste-button').click();
+        await flushAll();
+
+        const textarea = element.querySelector('lightning-textarea.paste-input');
+        textarea.value = 'SKU-00001 x 3\nSKU-00004;3\nSKU-99999 2';
+        textarea.dispatchEvent(new CustomEvent('change'));
+        await flushAll();
+        element.querySelector('.paste-preview-button').click();
+        await flushAll();
+
+        const outcomes = Array.from(element.querySelectorAll('tr.paste-preview-row')).map(r => r.querySelector('.paste-status').textContent);
+        expect(outcomes).toEqual(['Accepted', 'Adjusted', 'Rejected']);
+        expect(element.querySelector('.paste-apply-button').label).toBe('Add 2 lines');
+
+        element.querySelector('.paste-apply-button').click();
+        await flushAll();
+        const rows = gridProducts(element);
+        expect(rows.find(p => p.sku === 'SKU-00001').qtyValue).toBe('3');
+        // Incrément de 2 sur SKU-00004 : 3 est arrondi à 4
+        expect(rows.find(p => p.sku === 'SKU-00004').qtyValue).toBe('4');
+        expect(element.querySelector('.paste-panel')).toBeNull();
+    });
+});
+
+describe('c-b2b-commerce-order-matrix order templates', () => {
+    it('loads a saved template from the source selector and reports products no longer in the catalog', async () => {
+        const element = await createMatrix();
+        const dropdown = element.querySelector('lightning-combobox.source-dropdown');
+        const templateOption = dropdown.options.find(o => o.value === `template:${WEEKLY_TEMPLATE.id}`);
+        expect(templateOption.label).toBe('Template: Weekly restock   •   3 lines');
+
+        dropdown.dispatchEvent(new CustomEvent('change', { detail: { value: templateOption.value } }));
+        await flushAll();
+
+        const rows = gridProducts(element);
+        expect(rows.map(p => p.sku)).toEqual(['SKU-00002', 'SKU-00010']);
+        expect(rows.map(p => p.qtyValue)).toEqual(['5', '2']);
+        const report = element.querySelector('.unavailable-report');
+        expect(report.querySelector('.unavailable-summary').textContent).toBe('1 product from template "Weekly restock" is no longer available and was not loaded.');
+        expect(report.querySelector('.unavailable-label').textContent).toBe('Discontinued bolt (SKU-OLD) × 7');
+
+        dropdown.dispatchEvent(new CustomEvent('change', { detail: { value: 'catalog' } }));
+        await flushAll();
+        expect(element.querySelector('.unavailable-report')).toBeNull();
+    });
+
+    it('saves the current selection as a template and deletes it after confirmation', async () => {
+        const saved = { id: 'a0X000000000002', name: 'Site A', lineCount: 1, items: [{ productId: '01t00001', sku: 'SKU-00001', name: 'Product 00001', quantity: 3 }] };
+        saveOrderTemplate.mockResolvedValue({ success: true, template: saved });
+        deleteOrderTemplate.mockResolvedValue({ success: true });
+        const element = await createMatrix();
+
+        const input = element.querySelector('input.qty-input-field[data-id="01t00001"]');
+        input.value = '3';
+        input.dispatchEvent(new CustomEvent('change'));
+        element.querySelector('.templates-button').click();
+        await flushAll();
+
+        const nameInput = element.querySelector('lightning-input.template-name-input');
+        nameInput.value = '  Site   A ';
+        nameInput.dispatchEvent(new CustomEvent('change'));
+        await flushAll();
+        element.querySelector('.template-save-button').click();
+        await flushAll();
+
+        const params = saveOrderTemplate.mock.calls[0][0];
+        expect(params.name).toBe('Site A');
+        expect(params.templateId).toBeNull();
+        expect(JSON.parse(params.itemsJson)).toEqual(saved.items);
+        expect(element.querySelector('lightning-combobox.source-dropdown').options.map(o => o.value)).toContain('template:a0X000000000002');
+
+        element.querySelector(`.template-delete[data-id="${saved.id}"]`).click();
+        await flushAll();
+        expect(LightningConfirm.open).toHaveBeenCalled();
+        expect(deleteOrderTemplate).toHaveBeenCalledWith({ effectiveAccountId: '001000000000001', templateId: saved.id });
+        expect(element.querySelectorAll('li.template-row')).toHaveLength(1);
+    });
+});
+
+describe('c-b2b-commerce-order-matrix draft', () => {
+    it('offers to restore a saved draft and reconciles it with the catalog', async () => {
+        saveDraft('0ZE000000000001', '001000000000001', [
+            { productId: '01t00003', sku: 'SKU-00003', name: 'Product 00003', quantity: 4 },
+            { productId: '01tOLD07', sku: 'SKU-00007', name: 'Product 00007', quantity: 2 },
+            { productId: '01tGONE', sku: 'SKU-OLD', name: 'Discontinued bolt', quantity: 1 }
+        ], 'catalog');
+        const element = await createMatrix();
+
+        expect(element.querySelector('.draft-message').textContent).toBe('Restore your unsaved selection (3 lines)?');
+        element.querySelector('.draft-restore').click();
+        await flushAll();
+
+        const rows = gridProducts(element);
+        expect(rows.find(p => p.sku === 'SKU-00003').qtyValue).toBe('4');
+        expect(rows.find(p => p.sku === 'SKU-00007').qtyValue).toBe('2');
+        expect(element.querySelector('.draft-banner')).toBeNull();
+        expect(element.querySelector('.unavailable-report .unavailable-label').textContent).toBe('Discontinued bolt (SKU-OLD) × 1');
+    });
+
+    it('keeps the offered draft stored while the restore banner is pending', async () => {
+        const items = [{ productId: '01t00003', sku: 'SKU-00003', name: 'Product 00003', quantity: 4 }];
+        saveDraft('0ZE000000000001', '001000000000001', items, 'catalog');
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask'] });
+        const element = await createMatrix();
+
+        // Au-delà du délai d'écriture du brouillon (500 ms), puis fermeture de la page, bannière toujours affichée
+        jest.advanceTimersByTime(1000);
+        window.dispatchEvent(new CustomEvent('pagehide'));
+        await flushAll();
+        expect(element.querySelector('.draft-banner')).not.toBeNull();
+        expect(loadDraft('0ZE000000000001', '001000000000001').items).toEqual(items);
+
+        element.querySelector('.draft-restore').click();
+        await flushAll();
+        expect(gridProducts(element).find(p => p.sku === 'SKU-00003').qtyValue).toBe('4');
+    });
+
+    it('auto-saves the selection and confirms before a source switch discards it', async () => {
+        const element = await createMatrix();
+        jest.useFakeTimers();
+
+        const input = element.querySelector('input.qty-input-field[data-id="01t00001"]');
+        input.value = '3';
+        input.dispatchEvent(new CustomEvent('change'));
+        jest.advanceTimersByTime(600);
+        jest.useRealTimers();
+        expect(loadDraft('0ZE000000000001', '001000000000001').items).toEqual([
+            { productId: '01t00001', sku: 'SKU-00001', name: 'Product 00001', quantity: 3 }
+        ]);
+
+        LightningConfirm.open.mockResolvedValue(false);
+        const dropdown = element.querySelector('lightning-combobox.source-dropdown');
+        dropdown.dispatchEvent(new CustomEvent('change', { detail: { value: `template:${WEEKLY_TEMPLATE.id}` } }));
+        await flushAll();
+        expect(LightningConfirm.open.mock.calls[0][0].message).toBe('Switching the source discards your 1 pending line. Continue?');
+        expect(dropdown.value).toBe('catalog');
+        expect(gridProducts(element)).toHaveLength(SMALL_CATALOG_SIZE);
+        expect(gridProducts(element).find(p => p.sku === 'SKU-00001').qtyValue).toBe('3');
+    });
+});
+
+describe('c-b2b-commerce-order-matrix undo and redo', () => {
+    it('records each assistant turn as one undoable step, with Ctrl+Z / Ctrl+Shift+Z', async () => {
+        const element = await createMatrix();
+        const qtyOf = (sku) => gridProducts(element).find(p => p.sku === sku).qtyValue;
+
+        const input = element.querySelector('input.qty-input-field[data-id="01t00001"]');
+        input.value = '3';
+        input.dispatchEvent(new CustomEvent('change'));
+        input.value = '5';
+        input.dispatchEvent(new CustomEvent('change'));
+
+        const assistant = element.querySelector('c-b2b-ai-assistant');
+        const actions = ['SKU-00002', 'SKU-00003', 'SKU-00005'].map(sku => createAction(sku, 'add', 9999999));
+        assistant.dispatchEvent(new CustomEvent('applyactions', { detail: createActionBatch(actions) }));
+        await flushAll();
+        expect(element.querySelector('.undo-button').title).toBe('Undo: Assistant: added 3 products (Ctrl+Z)');
+
+        const container = element.querySelector('.matrix-container');
+        container.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+        await flushAll();
+        expect(qtyOf('SKU-00002')).toBe('');
+        expect(qtyOf('SKU-00003')).toBe('');
+        expect(qtyOf('SKU-00001')).toBe('5');
+
+        // Les deux saisies successives sur le même produit forment une seule étape
+        element.querySelector('.undo-button').click();
+        await flushAll();
+        expect(qtyOf('SKU-00001')).toBe('');
+        expect(element.querySelector('.undo-button').disabled).toBe(true);
+
+        container.dispatchEvent(new KeyboardEvent('keydown', { key: 'Z', ctrlKey: true, shiftKey: true, bubbles: true }));
+        container.dispatchEvent(new KeyboardEvent('keydown', { key: 'Z', ctrlKey: true, shiftKey: true, bubbles: true }));
+        await flushAll();
+        expect(qtyOf('SKU-00001')).toBe('5');
+        expect(Number(qtyOf('SKU-00002'))).toBeGreaterThan(0);
+        expect(element.querySelector('.redo-button').disabled).toBe(true);
+    });
+});
+
+describe('c-b2b-commerce-order-matrix assistant action batches', () => {
+    it('applies an assistant batch with one rebuild and one toast, and reports each outcome back', async () => {
+        const element = await createMatrix();
+        const assistant = element.querySelector('c-b2b-ai-assistant');
+        const report = jest.spyOn(assistant, 'reportActionResults').mockImplementation(() => {});
+        const toasts = jest.fn();
+        element.addEventListener('lightning__showtoast', toasts);
+        const before = gridProducts(element);
+
+        const skus = Array.from({ length: 30 }, (_, i) => `SKU-${String(i + 1).padStart(5, '0')}`);
+        const actions = skus.map(sku => createAction(sku, 'add', 3));
+        actions.push(createAction('SKU-99999', 'add', 1));
+        const batch = createActionBatch(actions);
+        assistant.dispatchEvent(new CustomEvent('applyactions', { detail: batch }));
+        await flushAll();
+
+        expect(toasts).toHaveBeenCalledTimes(1);
+        expect(toasts.mock.calls[0][0].detail.message).toBe('30 lines updated. 7 adjusted. 1 rejected.');
+        expect(gridProducts(element).filter((row, index) => row !== before[index])).toHaveLength(30);
+
+        const [batchId, results] = report.mock.calls[0];
+        expect(batchId).toBe(batch.batchId);
+        expect(results).toHaveLength(31);
+        // Incrément de 2 tous les 4 produits : 3 est arrondi à 4
+        expect(results.find(r => r.sku === 'SKU-00004')).toMatchObject({ outcome: ACTION_OUTCOME.ADJUSTED, quantity: 4 });
+        expect(results[30]).toMatchObject({ outcome: ACTION_OUTCOME.REJECTED, reasons: ['Product not found in the catalog'] });
+    });
+});
+
+describe('c-b2b-commerce-order-matrix assistant pinned products', () => {
+    it('pins products the assistant adds from outside the current view at the top of the grid', async () => {
+        const element = await createMatrix();
+        const dropdown = element.querySelector('lightning-combobox.source-dropdown');
+        dropdown.dispatchEvent(new CustomEvent('change', { detail: { value: `template:${WEEKLY_TEMPLATE.id}` } }));
+        await flushAll();
+
+        const assistant = element.querySelector('c-b2b-ai-assistant');
+        expect(assistant.catalog).toHaveLength(SMALL_CATALOG_SIZE);
+        jest.spyOn(assistant, 'reportActionResults').mockImplementation(() => {});
+        const batch = createActionBatch([createAction('SKU-00020', 'add', 6), createAction('SKU-00002', 'add', 1)]);
+        assistant.dispatchEvent(new CustomEvent('applyactions', { detail: batch }));
+        await flushAll();
+
+        const rows = gridProducts(element);
+        expect(rows.map(p => p.sku)).toEqual(['SKU-00020', 'SKU-00002', 'SKU-00010']);
+        expect(rows[0]).toMatchObject({ qtyValue: '6', isAddedByAssistant: true });
+        expect(rows[1].isAddedByAssistant).toBe(false);
+        expect(element.querySelector('.assistant-section-label').textContent).toBe('1 product added by the assistant from outside this view is pinned at the top.');
+        expect(element.querySelector('tr.matrix-row .assistant-badge').textContent).toBe('Added by assistant');
+
+        element.querySelector('.assistant-unpin').click();
+        await flushAll();
+        expect(element.querySelector('.assistant-section')).toBeNull();
+        expect(gridProducts(element).map(p => p.sku)).toContain('SKU-00020');
+    });
+});
+
+describe('c-b2b-commerce-order-matrix keyboard navigation', () => {
+    it('navigates, steps and fills quantities from the keyboard while keeping focus across rebuilds', async () => {
+        const catalog = buildCatalog(SMALL_CATALOG_SIZE);
+        catalog[40].sku = 'ZZZ-00040';
+        getAllActiveProducts.mockResolvedValue({ products: catalog });
+        const element = await createMatrix();
+        const toasts = jest.fn();
+        element.addEventListener('lightning__showtoast', toasts);
+        const qtyInput = (id) => element.querySelector(`input.qty-input-field[data-id="${id}"]`);
+        const press = (id, key, options = {}) => qtyInput(id).dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+        const qtyOf = (sku) => gridProducts(element).find(p => p.sku === sku).qtyValue;
+
+        qtyInput('01t00000').focus();
+        qtyInput('01t00000').value = '3';
+        qtyInput('01t00000').dispatchEvent(new CustomEvent('input'));
+        press('01t00000', 'Enter');
+        await flushAll();
+        // Incrément de 2 sur SKU-00000 : la saisie est enregistrée telle quelle puis signalée en erreur
+        expect(qtyOf('SKU-00000')).toBe('3');
+        expect(document.activeElement).toBe(qtyInput('01t00001'));
+
+        press('01t00001', '+');
+        press('01t00001', '+');
+        await flushAll();
+        expect(qtyOf('SKU-00001')).toBe('2');
+        expect(document.activeElement).toBe(qtyInput('01t00001'));
+        press('01t00001', 'PageDown');
+        await flushAll();
+        expect(qtyOf('SKU-00001')).toBe('');
+
+        press('01t00001', 'ArrowDown');
+        press('01t00002', 'ArrowUp');
+        press('01t00001', 'ArrowUp');
+        expect(document.activeElement).toBe(qtyInput('01t00000'));
+
+        // Saut par SKU vers une ligne hors de la fenêtre virtuelle : défilement puis focus
+        press('01t00000', 'z');
+        await flushAll();
+        expect(document.activeElement).toBe(qtyInput('01t00040'));
+
+        const paste = new CustomEvent('paste', { bubbles: true, cancelable: true });
+        paste.clipboardData = { getData: () => '3\n5\n\n2' };
+        qtyInput('01t00040').dispatchEvent(paste);
+        await flushAll();
+        expect(paste.defaultPrevented).toBe(true);
+        expect(['ZZZ-00040', 'SKU-00041', 'SKU-00042', 'SKU-00043'].map(qtyOf)).toEqual(['4', '5', '', '2']);
+        expect(toasts.mock.calls[0][0].detail.message).toBe('4 rows filled. 1 adjusted to quantity rules.');
+        expect(element.querySelector('.undo-button').title).toBe('Undo: Paste: 4 quantities (Ctrl+Z)');
+        expect(document.activeElement).toBe(qtyInput('01t00040'));
+    });
+});
+
+describe('c-b2b-commerce-order-matrix variant matrix', () => {
+    it('shows the variants of a parent product as a size x color matrix feeding the same selection', async () => {
+        const catalog = buildCatalog(SMALL_CATALOG_SIZE);
+        [['Red', 'S'], ['Red', 'M'], ['Blue', 'S'], ['Blue', 'M'], ['Blue', 'L']].forEach(([color, size], i) => {
+            Object.assign(catalog[i], {
+                variationParentId: '01tPARENT',
+                variationParentName: 'Work tee',
+                variationInfo: `Color: ${color}, Size: ${size}`,
+                variationAttributes: [{ name: 'Color', value: color }, { name: 'Size', value: size }]
+            });
+        });
+        getAllActiveProducts.mockResolvedValue({ products: catalog });
+        const element = await createMatrix();
+
+        element.querySelector('tr.matrix-row .variant-matrix-toggle').click();
+        await flushAll();
+        const block = element.querySelector('tr.variant-block-row');
+        expect(block.querySelector('.variant-block-name').textContent).toBe('Work tee');
+        expect(Array.from(block.querySelectorAll('.variant-column-label')).map(th => th.textContent)).toEqual(['S', 'M', 'L']);
+        expect(Array.from(block.querySelectorAll('.variant-row-label')).map(th => th.textContent)).toEqual(['Red', 'Blue']);
+        expect(block.querySelectorAll('.variant-cell-empty')).toHaveLength(1);
+        expect(element.querySelector('tr.matrix-row input.qty-input-field').dataset.id).toBe('01t00005');
+
+        const cell = block.querySelector('input.qty-input-field[data-id="01t00004"]');
+        cell.value = '3';
+        cell.dispatchEvent(new CustomEvent('change'));
+        block.querySelector('button.qty-btn-right[data-id="01t00001"]').click();
+        await flushAll();
+        const rows = gridProducts(element);
+        expect(rows.find(p => p.id === '01t00004').qtyValue).toBe('3');
+        expect(rows.find(p => p.id === '01t00001').qtyValue).toBe('1');
+        // Incrément de 2 sur la variante Blue / L : la cellule est signalée en erreur
+        expect(element.querySelector('input.qty-input-field[data-id="01t00004"]').className).toContain('has-error');
+
+        element.querySelector('tr.variant-block-row .variant-matrix-toggle').click();
+        await flushAll();
+        expect(element.querySelector('tr.variant-block-row')).toBeNull();
+        expect(element.querySelector('input.qty-input-field[data-id="01t00004"]').value).toBe('3');
+    });
+});
+
+describe('c-b2b-commerce-order-matrix cart submission', () => {
+    it('keeps only failed lines after a partial add to cart and retries them', async () => {
+        addItemsToCart.mockResolvedValueOnce({
+            success: true,
+            results: [
+                { productId: '01t00001', status: 'added', requested: 2, quantity: 2 },
+                { productId: '01t00002', status: 'capped', requested: 3, quantity: 1, message: 'Only 1 of 3 added' },
+                { productId: '01t00003', status: 'rejected', requested: 4, quantity: 0, message: 'Product is not available' }
+            ]
+        });
+        const element = await createMatrix();
+        const toasts = jest.fn();
+        element.addEventListener('lightning__showtoast', toasts);
+        const assistant = element.querySelector('c-b2b-ai-assistant');
+        jest.spyOn(assistant, 'reportActionResults').mockImplementation(() => {});
+        assistant.dispatchEvent(new CustomEvent('applyactions', {
+            detail: createActionBatch([createAction('SKU-00001', 'add', 2), createAction('SKU-00002', 'add', 3), createAction('SKU-00003', 'add', 4)])
+        }));
+        await flushAll();
+
+        const addButton = () => Array.from(element.querySelectorAll('lightning-button')).find(b => b.label === 'Add to Cart');
+        addButton().click();
+        await flushAll();
+        expect(addItemsToCart).not.toHaveBeenCalled();
+        expect(Array.from(element.querySelectorAll('tr.cart-preview-row .cart-change')).map(c => c.textContent)).toEqual(['New', 'New', 'New']);
+        element.querySelector('lightning-button.cart-preview-confirm').click();
+        await flushAll();
+
+        expect(addItemsToCart).toHaveBeenCalledWith({ communityId: expect.anything(), effectiveAccountId: '001000000000001', itemsMap: { '01t00001': 2, '01t00002': 3, '01t00003': 4 } });
+        const byId = (id) => gridProducts(element).find(p => p.id === id);
+        expect(byId('01t00001')).toMatchObject({ qtyValue: '', cartQty: 2, cartIssue: null });
+        expect(byId('01t00002')).toMatchObject({ qtyValue: '', cartQty: 1, cartIssue: 'Only 1 of 3 added' });
+        expect(byId('01t00003')).toMatchObject({ qtyValue: '4', cartQty: null, cartIssue: 'Product is not available', rowClass: 'matrix-row cart-failed-row' });
+        expect(element.querySelector('tr.cart-failed-row .cart-issue_rejected').textContent).toBe('Product is not available');
+        expect(toasts.mock.calls[toasts.mock.calls.length - 1][0].detail).toMatchObject({ message: '2 lines added, 1 with a reduced quantity, 1 failed.', variant: 'warning' });
+
+        // La quantité corrigée après l'échec est celle renvoyée
+        const failedInput = element.querySelector('input.qty-input-field[data-id="01t00003"]');
+        failedInput.value = '6';
+        failedInput.dispatchEvent(new CustomEvent('change'));
+        await flushAll();
+        addItemsToCart.mockResolvedValueOnce({ success: true, results: [{ productId: '01t00003', status: 'added', requested: 6, quantity: 6 }] });
+        const retry = element.querySelector('lightning-button.retry-cart-button');
+        expect(retry.label).toBe('Retry failed lines (1)');
+        retry.click();
+        await flushAll();
+
+        expect(addItemsToCart.mock.calls[1][0].itemsMap).toEqual({ '01t00003': 6 });
+        expect(byId('01t00003')).toMatchObject({ qtyValue: '', cartQty: 6, cartIssue: null });
+        expect(element.querySelector('lightning-button.retry-cart-button')).toBeNull();
+    });
+});
+
+describe('c-b2b-commerce-order-matrix cart modes', () => {
+    it('previews and commits Set and Replace cart modes against the current cart', async () => {
+        // Le panier contient aussi une ligne hors grille : seul getActiveCartLines la renvoie
+        getCartQuantities.mockResolvedValue({ '01t00005': 3, '01t00006': 2 });
+        getActiveCartLines.mockResolvedValue([
+            { productId: '01t00005', sku: 'SKU-00005', name: 'Product 00005', quantity: 3 },
+            { productId: '01t00006', sku: 'SKU-00006', name: 'Product 00006', quantity: 2 },
+            { productId: '01tOTHER', sku: 'SKU-OTHER', name: 'Gasket kit', quantity: 1 }
+        ]);
+        const element = await createMatrix();
+        const assistant = element.querySelector('c-b2b-ai-assistant');
+        jest.spyOn(assistant, 'reportActionResults').mockImplementation(() => {});
+        assistant.dispatchEvent(new CustomEvent('applyactions', {
+            detail: createActionBatch([createAction('SKU-00001', 'add', 2), createAction('SKU-00005', 'set', 1)])
+        }));
+        await flushAll();
+
+        const modeSelect = element.querySelector('lightning-combobox.cart-mode-select');
+        const addButton = element.querySelector('lightning-button.add-to-cart-button');
+        const previewRows = () => Array.from(element.querySelectorAll('tr.cart-preview-row'))
+            .map(row => Array.from(row.querySelectorAll('td')).map(td => td.textContent));
+
+        modeSelect.dispatchEvent(new CustomEvent('change', { detail: { value: 'set' } }));
+        await flushAll();
+        expect(addButton.label).toBe('Update Cart');
+        addButton.click();
+        await flushAll();
+        expect(previewRows()).toEqual([
+            ['SKU-00005', 'Product 00005', '3', '1', 'Decrease'],
+            ['SKU-00006', 'Product 00006', '2', '0', 'Remove'],
+            ['SKU-00001', 'Product 00001', '0', '2', 'New']
+        ]);
+        expect(element.querySelector('.cart-preview-summary').textContent).toBe('3 cart lines will change: 1 new, 1 decreased, 1 removed.');
+
+        element.querySelector('lightning-button.cart-preview-cancel').click();
+        modeSelect.dispatchEvent(new CustomEvent('change', { detail: { value: 'replace' } }));
+        await flushAll();
+        expect(element.querySelector('.cart-preview')).toBeNull();
+        addButton.click();
+        await flushAll();
+        expect(getActiveCartLines).toHaveBeenCalledWith({ communityId: expect.anything(), effectiveAccountId: '001000000000001' });
+        expect(previewRows()).toEqual([
+            ['SKU-00005', 'Product 00005', '3', '1', 'Decrease'],
+            ['SKU-00006', 'Product 00006', '2', '0', 'Remove'],
+            ['SKU-OTHER', 'Gasket kit', '1', '0', 'Remove'],
+            ['SKU-00001', 'Product 00001', '0', '2', 'New']
+        ]);
+
+        setCartQuantities.mockImplementation(({ quantities }) => Promise.resolve({
+            success: true,
+            results: Object.entries(quantities).map(([productId, quantity]) => ({
+                productId, requested: quantity, quantity, status: quantity === 0 ? 'removed' : 'updated'
+            }))
+        }));
+        element.querySelector('lightning-button.cart-preview-confirm').click();
+        await flushAll();
+
+        expect(addItemsToCart).not.toHaveBeenCalled();
+        expect(setCartQuantities).toHaveBeenCalledWith({
+            communityId: expect.anything(),
+            effectiveAccountId: '001000000000001',
+            quantities: { '01t00005': 1, '01t00006': 0, '01tOTHER': 0, '01t00001': 2 }
+        });
+        const byId = (id) => gridProducts(element).find(p => p.id === id);
+        expect(byId('01t00005')).toMatchObject({ qtyValue: '', cartQty: 1 });
+        expect(byId('01t00006').cartQty).toBeNull();
+        expect(byId('01t00001')).toMatchObject({ qtyValue: '', cartQty: 2 });
+    });
+
+    it('validates Set targets against the full stock when the cart already holds the product', async () => {
+        // Stock 51, 45 déjà au panier : 40 dépasse ce qui reste à ajouter, pas la quantité panier visée
+        getCartQuantities.mockResolvedValue({ '01t00001': 45 });
+        const element = await createMatrix();
+        const input = element.querySelector('input.qty-input-field[data-id="01t00001"]');
+        input.value = '40';
+        input.dispatchEvent(new CustomEvent('change'));
+        await flushAll();
+        const row = () => gridProducts(element).find(p => p.id === '01t00001');
+        expect(row().isError).toBe(true);
+
+        element.querySelector('lightning-combobox.cart-mode-select').dispatchEvent(new CustomEvent('change', { detail: { value: 'set' } }));
+        await flushAll();
+        expect(row().isError).toBe(false);
+        expect(element.querySelector('input.qty-input-field[data-id="01t00001"]').className).not.toContain('has-error');
+
+        setCartQuantities.mockResolvedValue({ success: true, results: [{ productId: '01t00001', requested: 40, quantity: 40, status: 'updated' }] });
+        element.querySelector('lightning-button.add-to-cart-button').click();
+        await flushAll();
+        element.querySelector('lightning-button.cart-preview-confirm').click();
+        await flushAll();
+        expect(setCartQuantities.mock.calls[0][0].quantities).toEqual({ '01t00001': 40 });
+        expect(row()).toMatchObject({ qtyValue: '', cartQty: 40 });
+    });
+
+    it('applies assistant Set targets against the full stock in Set mode', async () => {
+        getCartQuantities.mockResolvedValue({ '01t00001': 45 });
+        const element = await createMatrix();
+        element.querySelector('lightning-combobox.cart-mode-select').dispatchEvent(new CustomEvent('change', { detail: { value: 'set' } }));
+        await flushAll();
+        const assistant = element.querySelector('c-b2b-ai-assistant');
+        const report = jest.spyOn(assistant, 'reportActionResults').mockImplementation(() => {});
+
+        assistant.dispatchEvent(new CustomEvent('applyactions', { detail: createActionBatch([createAction('SKU-00001', 'set', 40)]) }));
+        await flushAll();
+
+        expect(report.mock.calls[0][1][0]).toMatchObject({ outcome: ACTION_OUTCOME.APPLIED, quantity: 40 });
+        expect(gridProducts(element).find(p => p.id === '01t00001')).toMatchObject({ qtyValue: '40', isError: false });
+    });
+});
+
+describe('c-b2b-commerce-order-matrix substitutes', () => {
+    it('lists discontinued order lines with substitutes and replaces one in a click', async () => {
+        getPastOrders.mockResolvedValue({
+            orders: [{ id: '1Os000000000001', orderNumber: '00012', orderedDate: '2026-03-01 10:00', grandTotalAmount: 90, status: 'Created', currencyIsoCode: 'USD' }],
+            allItems: [
+                { orderId: '1Os000000000001', productId: '01t00001', sku: 'SKU-00001', name: 'Product 00001', quantity: 2 },
+                { orderId: '1Os000000000001', productId: '01tGONE', sku: 'SKU-OLD', name: 'Product 00007 classic', description: 'Description 00007', quantity: 3 }
+            ]
+        });
+        const element = await createMatrix();
+        const toasts = jest.fn();
+        element.addEventListener('lightning__showtoast', toasts);
+        element.querySelector('lightning-combobox.source-dropdown').dispatchEvent(new CustomEvent('change', { detail: { value: '1Os000000000001' } }));
+        await flushAll();
+
+        const report = element.querySelector('.unavailable-report');
+        expect(report.querySelector('.unavailable-summary').textContent).toBe('1 product from order 00012 is no longer available and was not loaded.');
+        expect(report.querySelector('.unavailable-label').textContent).toBe('Product 00007 classic (SKU-OLD) × 3');
+        const substituteLabels = () => Array.from(element.querySelectorAll('lightning-button.substitute-accept')).map(b => b.label);
+        expect(substituteLabels()).toEqual(['Product 00007 (SKU-00007)']);
+
+        const assistant = element.querySelector('c-b2b-ai-assistant');
+        const recommend = jest.spyOn(assistant, 'recommendSubstitutes').mockResolvedValue(['SKU-00042']);
+        element.querySelector('lightning-button.substitute-ask').click();
+        await flushAll();
+        expect(recommend).toHaveBeenCalledWith(expect.objectContaining({ productId: '01tGONE', sku: 'SKU-OLD', quantity: 3 }));
+        expect(substituteLabels()).toEqual(['Product 00042 (SKU-00042)', 'Product 00007 (SKU-00007)']);
+
+        element.querySelectorAll('lightning-button.substitute-accept')[1].click();
+        await flushAll();
+        expect(gridProducts(element).map(p => [p.sku, p.qtyValue])).toEqual([['SKU-00001', '2'], ['SKU-00007', '3']]);
+        expect(element.querySelector('.unavailable-report')).toBeNull();
+        expect(toasts.mock.calls[toasts.mock.calls.length - 1][0].detail.message).toBe('Product 00007 classic (SKU-OLD) replaced by Product 00007 × 3.');
+    });
+});
+
+describe('c-b2b-commerce-order-matrix order history', () => {
+    it('browses past orders with filters and paging and loads the chosen order', async () => {
+        const orders = [31, 30, 29].map(n => ({
+            id: `1Os0000000000${n}`, orderNumber: `000${n}`, orderedDate: `2026-03-${String(n - 20).padStart(2, '0')} 10:00`, grandTotalAmount: n, status: n === 30 ? 'Cancelled' : 'Activated', currencyIsoCode: 'USD'
+        }));
+        getPastOrders.mockImplementation(({ status, pageSize, pageOffset }) => {
+            const matching = orders.filter(o => !status || o.status === status);
+            const size = pageSize === 100 ? 100 : 2;
+            const page = matching.slice(pageOffset, pageOffset + size);
+            // Comme Apex : comptage et statuts seulement pour la première page
+            const summary = pageOffset === 0 ? { totalCount: matching.length, statuses: ['Activated', 'Cancelled'] } : {};
+            return Promise.resolve({
+                orders: page,
+                allItems: page.map(o => ({ orderId: o.id, productId: '01t00003', sku: 'SKU-00003', name: 'Product 00003', quantity: 4 })),
+                hasMore: pageOffset + page.length < matching.length,
+                ...summary
+            });
+        });
+        const element = await createMatrix();
+        const dropdown = element.querySelector('lightning-combobox.source-dropdown');
+        expect(dropdown.options.map(o => o.value)).not.toContain('1Os000000000031');
+
+        element.querySelector('lightning-button.orders-button').click();
+        await flushAll();
+        expect(getPastOrders).toHaveBeenLastCalledWith({
+            effectiveAccountId: '001000000000001', fromDateStr: null, toDateStr: null, status: null, orderNumber: null, pageSize: 20, pageOffset: 0
+        });
+        const orderNumbers = () => Array.from(element.querySelectorAll('tr.order-row .order-number')).map(n => n.textContent);
+        expect(orderNumbers()).toEqual(['00031', '00030']);
+        expect(element.querySelector('.order-summary').textContent).toBe('Showing 2 of 3 orders');
+
+        element.querySelector('lightning-button.order-load-more').click();
+        await flushAll();
+        expect(getPastOrders.mock.calls[getPastOrders.mock.calls.length - 1][0].pageOffset).toBe(2);
+        expect(orderNumbers()).toEqual(['00031', '00030', '00029']);
+        expect(element.querySelector('lightning-button.order-load-more')).toBeNull();
+        expect(element.querySelector('.order-summary').textContent).toBe('Showing 3 of 3 orders');
+        expect(element.querySelector('lightning-combobox.order-status-select').options.map(o => o.value)).toEqual(['', 'Activated', 'Cancelled']);
+
+        element.querySelector('lightning-combobox.order-status-select').dispatchEvent(new CustomEvent('change', { detail: { value: 'Activated' } }));
+        await flushAll();
+        expect(orderNumbers()).toEqual(['00031', '00029']);
+        expect(element.querySelector('lightning-button.orders-button').label).toBe('Orders (1)');
+
+        element.querySelector('lightning-input.order-from-date').dispatchEvent(new CustomEvent('change', { detail: { value: '2026-03-20' } }));
+        await flushAll();
+        const callCount = getPastOrders.mock.calls.length;
+        expect(getPastOrders.mock.calls[callCount - 1][0]).toMatchObject({ fromDateStr: '2026-03-20', status: 'Activated', pageOffset: 0 });
+        element.querySelector('lightning-input.order-to-date').dispatchEvent(new CustomEvent('change', { detail: { value: '2026-03-01' } }));
+        await flushAll();
+        expect(element.querySelector('.order-error').textContent).toBe('The start date must be on or before the end date.');
+        expect(getPastOrders.mock.calls.length).toBe(callCount);
+
+        element.querySelectorAll('tr.order-row')[1].click();
+        await flushAll();
+        expect(element.querySelector('.order-panel')).toBeNull();
+        expect(gridProducts(element).map(p => [p.sku, p.qtyValue])).toEqual([['SKU-00003', '4']]);
+        expect(dropdown.options[dropdown.options.length - 1]).toEqual({ label: 'Order 00029 • 2026-03-09 10:00', value: '1Os000000000029' });
+    });
+});
+
+describe('c-b2b-commerce-order-matrix order merge', () => {
+    it('merges several past orders with a strategy and validates the merged quantities', async () => {
+        const orders = [
+            { id: '1Os000000000041', orderNumber: '00041', orderedDate: '2026-03-20 10:00', grandTotalAmount: 120, status: 'Activated', currencyIsoCode: 'USD' },
+            { id: '1Os000000000040', orderNumber: '00040', orderedDate: '2026-03-10 10:00', grandTotalAmount: 80, status: 'Activated', currencyIsoCode: 'USD' }
+        ];
+        getPastOrders.mockResolvedValue({
+            orders,
+            allItems: [
+                { orderId: '1Os000000000041', productId: '01t00004', sku: 'SKU-00004', name: 'Product 00004', quantity: 6 },
+                { orderId: '1Os000000000041', productId: '01t00001', sku: 'SKU-00001', name: 'Product 00001', quantity: 3 },
+                { orderId: '1Os000000000040', productId: '01t00004', sku: 'SKU-00004', name: 'Product 00004', quantity: 1 },
+                { orderId: '1Os000000000040', productId: '01t00002', sku: 'SKU-00002', name: 'Product 00002', quantity: 500 }
+            ],
+            totalCount: 2,
+            hasMore: false,
+            statuses: ['Activated']
+        });
+        const element = await createMatrix();
+        const toasts = jest.fn();
+        element.addEventListener('lightning__showtoast', toasts);
+
+        element.querySelector('lightning-button.orders-button').click();
+        await flushAll();
+        const mergeButton = () => element.querySelector('lightning-button.merge-orders-button');
+        expect(mergeButton().disabled).toBe(true);
+
+        element.querySelectorAll('input.order-merge-check').forEach(check => check.click());
+        await flushAll();
+        expect(element.querySelector('.order-panel')).not.toBeNull();
+        expect(mergeButton()).toMatchObject({ label: 'Merge 2 orders', disabled: false });
+
+        element.querySelector('lightning-combobox.merge-strategy-select').dispatchEvent(new CustomEvent('change', { detail: { value: 'average' } }));
+        mergeButton().click();
+        await flushAll();
+
+        // Moyenne sur 2 commandes : 3.5 -> 4 (incrément 2), 1.5 -> 2, 250 -> 52 (stock)
+        expect(gridProducts(element).map(p => [p.sku, p.qtyValue])).toEqual([['SKU-00001', '2'], ['SKU-00002', '52'], ['SKU-00004', '4']]);
+        expect(element.querySelector('.order-panel')).toBeNull();
+        const dropdown = element.querySelector('lightning-combobox.source-dropdown');
+        expect(dropdown.value).toBe('merge:average:1Os000000000041,1Os000000000040');
+        expect(dropdown.options[dropdown.options.length - 1].label).toBe('2 merged orders (average per order)');
+        expect(toasts.mock.calls.map(c => c[0].detail.message)).toContain('2 orders merged into 3 lines. 1 adjusted to quantity rules.');
+    });
+
+    it('keeps the current selection when the merged orders cannot be loaded', async () => {
+        getPastOrders.mockResolvedValue({
+            orders: [
+                { id: '1Os000000000041', orderNumber: '00041', orderedDate: '2026-03-20 10:00', grandTotalAmount: 120, status: 'Activated', currencyIsoCode: 'USD' },
+                { id: '1Os000000000040', orderNumber: '00040', orderedDate: '2026-03-10 10:00', grandTotalAmount: 80, status: 'Activated', currencyIsoCode: 'USD' }
+            ],
+            allItems: [],
+            totalCount: 2,
+            hasMore: false,
+            statuses: ['Activated']
+        });
+        getOrderProducts.mockRejectedValue({ body: { message: 'Timeout' } });
+        const element = await createMatrix();
+        const toasts = jest.fn();
+        element.addEventListener('lightning__showtoast', toasts);
+        const input = element.querySelector('input.qty-input-field[data-id="01t00003"]');
+        input.value = '7';
+        input.dispatchEvent(new CustomEvent('change'));
+
+        element.querySelector('lightning-button.orders-button').click();
+        await flushAll();
+        element.querySelectorAll('input.order-merge-check').forEach(check => check.click());
+        await flushAll();
+        element.querySelector('lightning-button.merge-orders-button').click();
+        await flushAll();
+
+        expect(LightningConfirm.open).toHaveBeenCalled();
+        expect(getOrderProducts).toHaveBeenCalledTimes(2);
+        expect(toasts.mock.calls.map(c => c[0].detail.message)).toContain('Unable to load order products.');
+        expect(element.querySelector('lightning-combobox.source-dropdown').value).toBe('catalog');
+        expect(element.querySelector('.order-panel')).not.toBeNull();
+        expect(gridProducts(element).find(p => p.id === '01t00003').qtyValue).toBe('7');
+        expect(renderedRows(element).length).toBeGreaterThan(3);
+    });
+});
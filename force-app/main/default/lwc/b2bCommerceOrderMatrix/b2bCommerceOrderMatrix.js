@@ -3,6 +3,7 @@ import { AppContextAdapter, SessionContextAdapter } from 'commerce/contextApi';
 import { CartSummaryAdapter, refreshCartSummary } from 'commerce/cartApi';
 import { getPromotionPricingCollection } from 'commerce/promotionApi';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import LightningConfirm from 'lightning/confirm';
 import { resolve } from 'experience/resourceResolver';
 
 import getAllActiveProducts from '@salesforce/apex/B2BCommerceOrderMatrixController.getAllActiveProducts'; 
@@ -10,10 +11,42 @@ import getPastOrders from '@salesforce/apex/B2BCommerceOrderMatrixController.get
 import getOrderProducts from '@salesforce/apex/B2BCommerceOrderMatrixController.getOrderProducts';
 import getCartQuantities from '@salesforce/apex/B2BCommerceOrderMatrixController.getCartQuantities';
 import addItemsToCart from '@salesforce/apex/B2BCommerceOrderMatrixController.addItemsToCart';
+import setCartQuantities from '@salesforce/apex/B2BCommerceOrderMatrixController.setCartQuantities';
+import getActiveCartLines from '@salesforce/apex/B2BCommerceOrderMatrixController.getActiveCartLines';
+import getOrderTemplates from '@salesforce/apex/B2BCommerceOrderMatrixController.getOrderTemplates';
+import saveOrderTemplate from '@salesforce/apex/B2BCommerceOrderMatrixController.saveOrderTemplate';
+import duplicateOrderTemplate from '@salesforce/apex/B2BCommerceOrderMatrixController.duplicateOrderTemplate';
+import deleteOrderTemplate from '@salesforce/apex/B2BCommerceOrderMatrixController.deleteOrderTemplate';
 import communityId from '@salesforce/community/Id';
 import communityBasePath from '@salesforce/community/basePath'; // AJOUT IMPORT
+import { DEFAULT_MAX_QUANTITY, getQuantityRules, validateQuantity, getAvailableQuantity, resolveQuantity, stepQuantity, explainAdjustments } from 'c/b2bQuantityRules';
+import { normalizePromotion, calculatePriceBreakdown, buildTierList, summarizeLines } from 'c/b2bPricingEngine';
+import { SORT_FIELD, SORT_DIRECTION, STOCK_STATUS, createSortState, createFilterState, toggleSort, countActiveFilters, applyFilters, buildFacets, sortRows } from 'c/b2bGridFilters';
+import { EXPORT_FORMAT, exportRows } from 'c/b2bExportService';
+import { IMPORT_STATUS, parsePastedLines, matchOrderLines } from 'c/b2bOrderPadImport';
+import { toTemplateSource, getTemplateId, normalizeTemplateName, buildTemplateItems, resolveSourceItems, buildTemplateOptions, suggestCopyName } from 'c/b2bOrderTemplates';
+import { saveDraft, loadDraft, clearDraft, reconcileDraft } from 'c/b2bDraftStore';
+import { createHistory, recordStep, canUndo, canRedo, peekLabels, undo, redo } from 'c/b2bHistoryStack';
+import { ACTION_SOURCE, applyActionBatch, buildSkuIndex, skuKey } from 'c/b2bActionBatch';
+import { buildDisplayRows } from 'c/b2bVariantMatrix';
+import { CART_LINE_STATUS, CART_MODE, CART_MODE_OPTIONS, CART_SET_CHUNK_SIZE, submitCartItems, buildCartPlan, formatCartChange, describeCartSummary } from 'c/b2bCartSubmission';
+import { findSubstitutes } from 'c/b2bSubstitutionFinder';
+import { MERGE_STRATEGY, MERGE_STRATEGY_OPTIONS, MIN_MERGE_ORDERS, toMergeSource, parseMergeSource, describeMerge, mergeOrderItems } from 'c/b2bOrderMerge';
+import { createOrderFilters, createOrderHistory, countActiveOrderFilters, validateDateRange, buildOrderQuery, mergeOrderPage, groupOrderItems, buildStatusOptions, formatOrderLabel, buildOrderRows } from 'c/b2bOrderHistory';
+import { GRID_COMMAND, resolveGridKey, appendTypeAhead, findSkuMatch, parseQuantityColumn, mapColumnToRows } from 'c/b2bGridKeyboard';
 
 const SOURCE_CATALOG = 'catalog';
+const EXPORT_SCOPE_SELECTION = 'selection';
+
+// Virtualisation de la grille : seules les lignes visibles (+ marge) sont rendues dans le DOM.
+const ESTIMATED_ROW_HEIGHT = 130;
+const ROW_HEIGHT_TOLERANCE = 8;
+const DEFAULT_VIEWPORT_HEIGHT = 520;
+const VIRTUAL_BUFFER_ROWS = 8;
+const SEARCH_DEBOUNCE_MS = 250;
+const DRAFT_SAVE_DELAY_MS = 500;
+// Commandes récentes chargées en arrière-plan pour le contexte de l'assistant
+const RECENT_ORDERS_SIZE = 100;
 
 /**
  * @description Composant principal B2B Order Matrix.
@@ -25,8 +58,14 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
     
     @api lowStockThreshold = 10;
     @api showStockQuantity = false;
+    @api assistantContextBudget = 12000;
+    @api showAssistantDebug = false;
+    @api assistantConfirmationMode = 'auto';
+    @api assistantConfirmationThreshold = 3;
 
     @track products = [];
+    // Lignes rendues : products, où les variantes des parents en mode matrice sont regroupées en un bloc
+    displayRows = [];
     @track isLoading = true;
     @track isSaving = false;
     @track error = null;
@@ -38,10 +77,92 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
     
     // Caches
     masterCatalogData = []; 
+    productIndex = new Map();
+    skuIndex = new Map();
     rawProductData = [];
     orderItemsCache = {}; 
     
     searchTerm = ''; 
+    _searchTimer;
+
+    // Tri et filtres (conservés lors d'un changement de source)
+    sortState = createSortState();
+    filterState = createFilterState();
+    @track facets = { attributes: [], stockStatuses: { values: [], options: [] } };
+    showFilters = false;
+
+    // Saisie rapide (coller des lignes "SKU qty")
+    showPastePanel = false;
+    pasteText = '';
+    @track pastePreview = null;
+
+    // Modèles de commande du compte (B2B_Order_Template__c)
+    @track orderTemplates = [];
+    showTemplatePanel = false;
+    templateName = '';
+    editingTemplateId = null;
+    editingTemplateName = '';
+    isTemplateSaving = false;
+
+    // Panneau d'historique des commandes (c/b2bOrderHistory) : filtres et pages chargées
+    showOrderPanel = false;
+    orderFilters = createOrderFilters();
+    orderHistory = createOrderHistory();
+    isOrderHistoryLoading = false;
+    orderHistoryError = null;
+    _orderHistoryLoaded = false;
+    _orderRequestId = 0;
+    _orderSearchTimer;
+    // Commandes cochées pour une fusion (c/b2bOrderMerge) et stratégie de fusion
+    mergeOrderIds = new Set();
+    mergeStrategy = MERGE_STRATEGY.SUM;
+
+    // Lignes de la source chargée (commande ou modèle) absentes du catalogue actuel
+    @track unavailableItems = [];
+    unavailableSourceLabel = '';
+
+    // Brouillon local de la sélection (c/b2bDraftStore) : proposé au chargement, sauvegardé après chaque saisie
+    pendingDraft = null;
+    _draftTimer;
+    _onPageHide;
+
+    // Historique annuler / rétablir de inputQty (c/b2bHistoryStack), remis à zéro quand la source change
+    history = createHistory();
+
+    // Produits ajoutés par l'assistant hors de la vue courante (source, recherche ou filtres) : épinglés en tête
+    assistantAddedIds = new Set();
+    // Résultat du dernier ajout au panier pour les lignes refusées ou plafonnées (productId -> { status, message })
+    cartLineIssues = {};
+    // Mode d'envoi au panier (c/b2bCartSubmission) et aperçu des changements affiché avant tout envoi
+    cartMode = CART_MODE.ADD;
+    cartPreview = null;
+    _lastCartMode = CART_MODE.ADD;
+    // Lignes de tout le catalogue transmises à l'assistant (contexte et recherche par SKU)
+    assistantCatalog = [];
+
+    // Produits parents affichés en matrice de variantes (c/b2bVariantMatrix), au choix de l'utilisateur
+    variantMatrixParents = new Set();
+
+    // Navigation clavier (c/b2bGridKeyboard) : champ quantité à garder sélectionné d'un rendu à l'autre
+    _focusedProductId = null;
+    _focusPending = false;
+    _editedProductId = null;
+    _typeAhead = null;
+
+    // Cache des lignes de grille (id produit -> entrées + ligne calculée) pour la reconstruction incrémentale
+    _rowCache = new Map();
+    _searchKeys = new WeakMap();
+    // Entrées de la dernière reconstruction (voir buildGrid), lignes de products hors proxy @track
+    // et position de chaque produit dans ces lignes
+    _gridInputs = null;
+    _viewRows = [];
+    _productPositions = new Map();
+    _catalogPositions = new Map();
+
+    // État de la fenêtre virtuelle
+    _scrollTop = 0;
+    _viewportHeight = DEFAULT_VIEWPORT_HEIGHT;
+    rowHeight = ESTIMATED_ROW_HEIGHT;
     webstoreId;
     effectiveAccountId;
     activeCartId;
@@ -50,52 +171,195 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
     // Gestion d'état
     currentSourceValue = SOURCE_CATALOG;
     @track pastOrdersList = []; 
-
-    selectedOrderId = null;
-    fromDate = null;
-    toDate = null;
+    @track selectionTotals = [];
 
     // --- GETTERS ---
     get productCount() { return this.products ? this.products.length : 0; }
     get totalItemsToAdd() { let t = 0; Object.values(this.inputQty).forEach(v => t += parseFloat(v)); return t; }
-    get hasErrors() { return this.products.some(p => p.isError && p.qtyValue && p.qtyValue !== '0'); }
-    get isAddToCartDisabled() { return this.totalItemsToAdd === 0 || this.isSaving || this.hasErrors; }
+    /**
+     * @description Saisie invalide sur toute la sélection, y compris les lignes masquées par la recherche ou les filtres.
+     */
+    get hasErrors() {
+        return Object.keys(this.inputQty).some(pId => {
+            const qty = parseFloat(this.inputQty[pId]);
+            const prod = this.productIndex.get(pId);
+            return prod && qty > 0 && !validateQuantity(prod, qty, { inCart: this.getRuleInCart(pId) }).isValid;
+        });
+    }
+    get isAddToCartDisabled() {
+        // Fixer ou remplacer le panier a un sens sans saisie (lignes retirées) dès que le panier n'est pas vide
+        const hasCartItems = Object.values(this.cartDataMap).some(v => parseFloat(v) > 0);
+        const canSubmit = this.totalItemsToAdd > 0 || (this.cartMode !== CART_MODE.ADD && hasCartItems);
+        return !canSubmit || this.isSaving || this.hasErrors || this.hasCartPreview;
+    }
+    get cartModeOptions() { return CART_MODE_OPTIONS; }
+    get addToCartLabel() {
+        if (this.cartMode === CART_MODE.SET) return 'Update Cart';
+        if (this.cartMode === CART_MODE.REPLACE) return 'Replace Cart';
+        return 'Add to Cart';
+    }
+    get hasCartPreview() { return this.cartPreview !== null; }
+    get failedCartLineIds() {
+        return Object.keys(this.cartLineIssues).filter(id => this.cartLineIssues[id].status === CART_LINE_STATUS.REJECTED && parseFloat(this.inputQty[id]) > 0);
+    }
+    get hasFailedCartLines() { return this.failedCartLineIds.length > 0; }
+    get retryFailedLabel() { return `Retry failed lines (${this.failedCartLineIds.length})`; }
+    get isExportDisabled() { return this.products.length === 0 && this.totalItemsToAdd === 0; }
+
+    /**
+     * @description Fenêtre de lignes à rendre, calculée à partir de la position de défilement.
+     */
+    get virtualWindow() {
+        const total = this.displayRows.length;
+        const firstVisible = Math.floor(this._scrollTop / this.rowHeight);
+        const start = Math.max(0, Math.min(firstVisible - VIRTUAL_BUFFER_ROWS, total - 1));
+        const count = Math.ceil(this._viewportHeight / this.rowHeight) + VIRTUAL_BUFFER_ROWS * 2;
+        return { start, end: Math.min(total, start + count) };
+    }
+    get visibleProducts() { const w = this.virtualWindow; return this.displayRows.slice(w.start, w.end); }
+    get hasTopSpacer() { return this.virtualWindow.start > 0; }
+    get hasBottomSpacer() { return this.virtualWindow.end < this.displayRows.length; }
+    get topSpacerStyle() { return `height: ${this.virtualWindow.start * this.rowHeight}px;`; }
+    get bottomSpacerStyle() { return `height: ${(this.displayRows.length - this.virtualWindow.end) * this.rowHeight}px;`; }
+
+    get activeFilterCount() { return countActiveFilters(this.filterState); }
+    get filterButtonLabel() { return this.activeFilterCount ? `Filters (${this.activeFilterCount})` : 'Filters'; }
+    get filterButtonVariant() { return this.showFilters ? 'brand' : 'neutral'; }
+    get hasActiveFilters() { return this.activeFilterCount > 0; }
+    get hasAttributeFacets() { return this.facets.attributes.length > 0; }
+
+    get pasteButtonVariant() { return this.showPastePanel ? 'brand' : 'neutral'; }
+    get isPastePreviewDisabled() { return !this.pasteText.trim(); }
+    get pasteAcceptedCount() { return this.pastePreview ? this.pastePreview.filter(l => l.isApplicable).length : 0; }
+    get isPasteApplyDisabled() { return this.pasteAcceptedCount === 0; }
+    get pasteApplyLabel() { return `Add ${this.pasteAcceptedCount} line${this.pasteAcceptedCount === 1 ? '' : 's'}`; }
+
+    get templateButtonVariant() { return this.showTemplatePanel ? 'brand' : 'neutral'; }
+    get orderButtonVariant() { return this.showOrderPanel ? 'brand' : 'neutral'; }
+    get orderButtonLabel() {
+        const count = countActiveOrderFilters(this.orderFilters);
+        return count ? `Orders (${count})` : 'Orders';
+    }
+    get orderStatusOptions() { return buildStatusOptions(this.orderHistory.statuses); }
+    get orderDateError() { return validateDateRange(this.orderFilters); }
+    get orderHistoryRows() {
+        return buildOrderRows(this.orderHistory.orders, { activeId: this.currentSourceValue, itemsByOrder: this.orderItemsCache })
+            .map(row => ({ ...row, isMergeSelected: this.mergeOrderIds.has(row.id) }));
+    }
+    get mergeStrategyOptions() { return MERGE_STRATEGY_OPTIONS; }
+    get isMergeDisabled() { return this.mergeOrderIds.size < MIN_MERGE_ORDERS || this.isOrderHistoryLoading; }
+    get mergeButtonLabel() {
+        const count = this.mergeOrderIds.size;
+        return count >= MIN_MERGE_ORDERS ? `Merge ${count} orders` : 'Merge orders';
+    }
+    get hasOrderHistory() { return this.orderHistory.orders.length > 0; }
+    get orderHistorySummary() {
+        const { orders, totalCount } = this.orderHistory;
+        return `Showing ${orders.length} of ${totalCount} order${totalCount === 1 ? '' : 's'}`;
+    }
+    get isLoadMoreOrdersDisabled() { return this.isOrderHistoryLoading || !!this.orderDateError; }
+    get isOrderSource() {
+        return this.currentSourceValue !== SOURCE_CATALOG && !getTemplateId(this.currentSourceValue) && !parseMergeSource(this.currentSourceValue);
+    }
+    get isSaveTemplateDisabled() { return this.isTemplateSaving || !normalizeTemplateName(this.templateName) || this.totalItemsToAdd === 0; }
+    get isSaveOrderTemplateDisabled() { return this.isTemplateSaving || !normalizeTemplateName(this.templateName); }
+    get hasOrderTemplates() { return this.orderTemplates.length > 0; }
+    get isUndoDisabled() { return !canUndo(this.history); }
+    get isRedoDisabled() { return !canRedo(this.history); }
+    get undoTitle() { const label = peekLabels(this.history).undo; return label ? `Undo: ${label} (Ctrl+Z)` : 'Nothing to undo'; }
+    get redoTitle() { const label = peekLabels(this.history).redo; return label ? `Redo: ${label} (Ctrl+Shift+Z)` : 'Nothing to redo'; }
+
+    get hasAssistantSection() { return this.assistantAddedIds.size > 0; }
+    get assistantSectionLabel() {
+        const count = this.assistantAddedIds.size;
+        return `${count} product${count === 1 ? '' : 's'} added by the assistant from outside this view ${count === 1 ? 'is' : 'are'} pinned at the top.`;
+    }
+
+    get hasPendingDraft() { return this.pendingDraft !== null; }
+    get draftBannerMessage() {
+        const count = this.pendingDraft ? this.pendingDraft.items.length : 0;
+        return `Restore your unsaved selection (${count} line${count === 1 ? '' : 's'})?`;
+    }
+    get draftSavedLabel() {
+        return this.pendingDraft ? `Saved ${new Date(this.pendingDraft.savedAt).toLocaleString()}` : '';
+    }
+    get hasUnavailableItems() { return this.unavailableItems.length > 0; }
+    get unavailableSummary() {
+        const count = this.unavailableItems.length;
+        return `${count} product${count === 1 ? '' : 's'} from ${this.unavailableSourceLabel} ${count === 1 ? 'is' : 'are'} no longer available and ${count === 1 ? 'was' : 'were'} not loaded.`;
+    }
+
+    /**
+     * @description Modèles affichés dans le panneau (mode renommage et source active).
+     */
+    get templateRows() {
+        return this.orderTemplates.map(t => ({
+            ...t,
+            isEditing: t.id === this.editingTemplateId,
+            isActive: toTemplateSource(t.id) === this.currentSourceValue,
+            lineLabel: `${t.lineCount} line${t.lineCount === 1 ? '' : 's'}`
+        }));
+    }
+
+    /**
+     * @description Indicateurs de tri par colonne (flèche + aria-sort) pour les en-têtes.
+     */
+    get sortIndicators() {
+        const indicators = {};
+        Object.values(SORT_FIELD).forEach(field => {
+            const isActive = this.sortState.field === field;
+            const isAsc = this.sortState.direction === SORT_DIRECTION.ASC;
+            indicators[field] = {
+                arrow: isActive ? (isAsc ? '▲' : '▼') : '',
+                ariaSort: isActive ? (isAsc ? 'ascending' : 'descending') : 'none'
+            };
+        });
+        return indicators;
+    }
 
     get sourceOptions() {
         const options = [
-            { label: 'All Products (Full Catalog)', value: SOURCE_CATALOG }
+            { label: 'All Products (Full Catalog)', value: SOURCE_CATALOG },
+            ...buildTemplateOptions(this.orderTemplates)
         ];
-        if (this.pastOrdersList && this.pastOrdersList.length > 0) {
-            this.pastOrdersList.forEach(order => {
-                const orderName = `Order ${order.orderNumber}`;
-                const boldName = this.toBold(orderName);
-                const details = `${order.orderedDate}  •  ${order.grandTotalAmount} ${order.currencyIsoCode}`;
-                options.push({ label: `${boldName}   •   ${details}`, value: order.id });
-            });
-        }
+        // Les commandes se choisissent dans le panneau d'historique : seule la commande affichée figure ici
+        const order = this.isOrderSource ? this.findOrder(this.currentSourceValue) : null;
+        if (order) options.push({ label: formatOrderLabel(order), value: order.id });
+        const merge = parseMergeSource(this.currentSourceValue);
+        if (merge) options.push({ label: describeMerge(merge.orderIds.length, merge.strategy), value: this.currentSourceValue });
         return options;
     }
 
     /**
-     * @description Convertit une chaîne de caractères en caractères Unicode gras mathématiques pour le style des options.
+     * @description Lifecycle hook.
      */
-    toBold(text) {
-        const diffDigit = 0x1D7CE - 48;
-        const diffUpper = 0x1D400 - 65;
-        const diffLower = 0x1D41A - 97;
-        return text.split('').map(char => {
-            const n = char.charCodeAt(0);
-            if (n >= 48 && n <= 57) return String.fromCodePoint(n + diffDigit);
-            if (n >= 65 && n <= 90) return String.fromCodePoint(n + diffUpper);
-            if (n >= 97 && n <= 122) return String.fromCodePoint(n + diffLower);
-            return char; 
-        }).join('');
+    connectedCallback() {
+        console.log('🚀 [LWC] Component Initialized');
+        // Dernière chance d'écrire le brouillon avant un rafraîchissement ou une fermeture d'onglet.
+        this._onPageHide = () => this.flushDraftSave();
+        window.addEventListener('pagehide', this._onPageHide);
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this._searchTimer);
+        clearTimeout(this._orderSearchTimer);
+        window.removeEventListener('pagehide', this._onPageHide);
+        this.flushDraftSave();
     }
 
     /**
-     * @description Lifecycle hook.
+     * @description Ajuste la hauteur de ligne estimée d'après les lignes réellement rendues,
+     * pour que les espaceurs de la fenêtre virtuelle restent alignés.
      */
-    connectedCallback() { console.log('🚀 [LWC] Component Initialized'); }
+    renderedCallback() {
+        this.restoreQtyFocus();
+        const rows = this.querySelectorAll('tr.matrix-row, tr.variant-block-row');
+        if (!rows.length) return;
+        let totalHeight = 0;
+        rows.forEach(r => { totalHeight += r.offsetHeight; });
+        const average = Math.round(totalHeight / rows.length);
+        if (average > 0 && Math.abs(average - this.rowHeight) > ROW_HEIGHT_TOLERANCE) this.rowHeight = average;
+    }
 
     @wire(AppContextAdapter) wiredAppContext({ data }) { if (data) { this.webstoreId = data.webstoreId; this.tryLoadData(); } }
     
@@ -121,7 +385,10 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
      */
     async loadData() {
         this.error = null;
+        // Brouillon lu avant la première construction de la grille : une sauvegarde programmée ne doit pas l'écraser
+        this.offerDraft(loadDraft(this.webstoreId, this.effectiveAccountId));
         this.loadPastOrdersBackground();
+        this.loadOrderTemplatesBackground();
         if (this.masterCatalogData.length > 0) {
             this.rawProductData = [...this.masterCatalogData];
             this.inputQty = {}; 
@@ -139,22 +406,174 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
      */
     async loadPastOrdersBackground() {
         try {
-            const result = await getPastOrders({ effectiveAccountId: this.effectiveAccountId, fromDate: null, toDate: null });
+            const result = await getPastOrders(buildOrderQuery(this.effectiveAccountId, createOrderFilters(), { pageSize: RECENT_ORDERS_SIZE }));
             
             // --- MODIF START: Log JSON ---
             console.log('📢 [DEBUG JSON] getPastOrders result:', JSON.parse(JSON.stringify(result)));
             // --- MODIF END ---
 
             this.pastOrdersList = result.orders || [];
-            const allItems = result.allItems || [];
-            this.orderItemsCache = {}; 
-            allItems.forEach(item => {
-                if (!this.orderItemsCache[item.orderId]) this.orderItemsCache[item.orderId] = [];
-                this.orderItemsCache[item.orderId].push({ productId: item.productId, quantity: item.quantity });
-            });
+            this.orderItemsCache = groupOrderItems(result.allItems, this.orderItemsCache);
         } catch (e) { console.warn('Error loading past orders in background', e); }
     }
 
+    /**
+     * @description Commande connue (commandes récentes ou pages de l'historique).
+     */
+    findOrder(orderId) {
+        return this.pastOrdersList.find(o => o.id === orderId) || this.orderHistory.orders.find(o => o.id === orderId) || null;
+    }
+
+    // --- HISTORIQUE DES COMMANDES ---
+
+    handleToggleOrderPanel() {
+        this.showOrderPanel = !this.showOrderPanel;
+        if (this.showOrderPanel && !this._orderHistoryLoaded) this.loadOrderHistory();
+    }
+
+    /**
+     * @description Filtre de l'historique (data-field : fromDate, toDate, status, orderNumber) ; la recherche par
+     * numéro est différée pendant la frappe, les autres filtres rechargent la première page immédiatement.
+     */
+    handleOrderFilterChange(event) {
+        const field = event.target.dataset.field;
+        this.orderFilters = { ...this.orderFilters, [field]: event.detail.value || (field === 'orderNumber' ? '' : null) };
+        clearTimeout(this._orderSearchTimer);
+        if (field !== 'orderNumber') {
+            this.loadOrderHistory();
+            return;
+        }
+        // eslint-disable-next-line @lwc/lwc/no-async-operation -- anti-rebond de la recherche par numéro, annulé à chaque frappe
+        this._orderSearchTimer = setTimeout(() => this.loadOrderHistory(), SEARCH_DEBOUNCE_MS);
+    }
+
+    handleClearOrderFilters() {
+        clearTimeout(this._orderSearchTimer);
+        this.orderFilters = createOrderFilters();
+        this.loadOrderHistory();
+    }
+
+    handleLoadMoreOrders() {
+        this.loadOrderHistory({ append: true });
+    }
+
+    /**
+     * @description Charge une page de l'historique selon les filtres ; seule la réponse de la dernière demande
+     * est prise en compte. Les lignes reçues alimentent orderItemsCache (chargement sans appel supplémentaire).
+     * @param options { append } : page suivante plutôt que première page.
+     */
+    async loadOrderHistory({ append = false } = {}) {
+        if (validateDateRange(this.orderFilters)) return;
+        const requestId = ++this._orderRequestId;
+        this.isOrderHistoryLoading = true;
+        this.orderHistoryError = null;
+        try {
+            const offset = append ? this.orderHistory.orders.length : 0;
+            const result = await getPastOrders(buildOrderQuery(this.effectiveAccountId, this.orderFilters, { offset }));
+            if (requestId !== this._orderRequestId) return;
+            this.orderHistory = mergeOrderPage(this.orderHistory, result, { append });
+            this.orderItemsCache = groupOrderItems(result.allItems, this.orderItemsCache);
+            this._orderHistoryLoaded = true;
+        } catch (error) {
+            if (requestId === this._orderRequestId) this.orderHistoryError = error.body?.message || 'Unable to load your orders.';
+        } finally {
+            if (requestId === this._orderRequestId) this.isOrderHistoryLoading = false;
+        }
+    }
+
+    /**
+     * @description Affiche la commande choisie dans la grille (même chemin que le sélecteur de source).
+     */
+    async handleSelectOrder(event) {
+        const orderId = event.currentTarget.dataset.id;
+        if (await this.switchSource(orderId)) this.showOrderPanel = false;
+    }
+
+    /**
+     * @description Coche / décoche une commande pour la fusion, sans charger la commande (clic de ligne).
+     */
+    handleToggleMergeOrder(event) {
+        event.stopPropagation();
+        const orderId = event.target.dataset.id;
+        const next = new Set(this.mergeOrderIds);
+        if (next.has(orderId)) next.delete(orderId);
+        else next.add(orderId);
+        this.mergeOrderIds = next;
+    }
+
+    handleMergeStrategyChange(event) {
+        this.mergeStrategy = event.detail.value;
+    }
+
+    /**
+     * @description Affiche la fusion des commandes cochées (source "merge:...").
+     */
+    async handleMergeOrders() {
+        if (this.mergeOrderIds.size < MIN_MERGE_ORDERS) return;
+        if (await this.switchSource(toMergeSource([...this.mergeOrderIds], this.mergeStrategy))) {
+            this.showOrderPanel = false;
+            this.mergeOrderIds = new Set();
+        }
+    }
+
+    /**
+     * @description Récupère les lignes des commandes absentes du cache (orderItemsCache).
+     * @return true si toutes les commandes sont disponibles ; false après un échec signalé par un toast.
+     */
+    async loadOrderItems(orderIds) {
+        const missing = orderIds.filter(orderId => !this.orderItemsCache[orderId]);
+        if (!missing.length) return true;
+        this.isLoading = true;
+        try {
+            const results = await Promise.all(missing.map(orderId => getOrderProducts({
+                communityId: communityId, effectiveAccountId: this.effectiveAccountId, orderSummaryId: orderId, skipEnrichment: true
+            })));
+            const items = results.flatMap((result, i) => (result.orderQuantities || []).map(item => ({ ...item, orderId: missing[i] })));
+            this.orderItemsCache = groupOrderItems(items, this.orderItemsCache);
+            return true;
+        } catch {
+            this.showToast('Error', 'Unable to load order products.', 'error');
+            return false;
+        } finally { this.isLoading = false; }
+    }
+
+    /**
+     * @description Charge la fusion de plusieurs commandes (c/b2bOrderMerge) à partir des lignes déjà chargées
+     * par switchSource (loadOrderItems) : les quantités fusionnées passent par les règles de quantité
+     * (Min, Incrément, Max, Stock) avant d'alimenter la saisie.
+     */
+    async loadMergedOrders({ orderIds, strategy }) {
+        if (this.masterCatalogData.length === 0) { this.isLoading = true; await this.loadCatalogProducts(); }
+        const orders = orderIds.map(orderId => this.findOrder(orderId) || { id: orderId, orderedDate: '' });
+        const { items } = mergeOrderItems(orders, this.orderItemsCache, strategy, {
+            getIncrement: (productId) => (this.productIndex.has(productId) ? getQuantityRules(this.productIndex.get(productId)).increment : 1)
+        });
+        let adjusted = 0;
+        const validated = items.map(item => {
+            const product = this.productIndex.get(item.productId);
+            if (!product) return item;
+            const result = resolveQuantity(product, item.quantity, { inCart: this.getRuleInCart(item.productId) });
+            if (result.isAdjusted) adjusted++;
+            return { ...item, quantity: result.quantity };
+        });
+        this.applySourceItems(validated, describeMerge(orders.length, strategy));
+
+        const lines = Object.keys(this.inputQty).length;
+        let message = `${orders.length} orders merged into ${lines} line${lines === 1 ? '' : 's'}.`;
+        if (adjusted) message += ` ${adjusted} adjusted to quantity rules.`;
+        this.showToast('Success', message, 'success');
+    }
+
+    /**
+     * @description Charge les modèles de commande du compte (groupe "Template" du sélecteur de source).
+     */
+    async loadOrderTemplatesBackground() {
+        try {
+            const result = await getOrderTemplates({ communityId: communityId, effectiveAccountId: this.effectiveAccountId });
+            this.orderTemplates = (result && result.templates) || [];
+        } catch (e) { console.warn('Error loading order templates in background', e); }
+    }
+
     /**
      * @description Charge la totalité des produits actifs du catalogue via Apex.
      * Trie les résultats par nom.
@@ -187,6 +606,8 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
                 });
 
                 this.masterCatalogData = unsortedProducts;
+                this.productIndex = new Map(unsortedProducts.map(p => [p.id, p]));
+                this.skuIndex = buildSkuIndex(unsortedProducts);
                 this.rawProductData = [...this.masterCatalogData];
                 
                 if (this.rawProductData.length > 0) { 
@@ -207,19 +628,85 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
     }
 
     /**
-     * @description Gère le changement de source (Catalogue complet vs Commande passée).
+     * @description Gère le changement de source (Catalogue complet, Modèle ou Commande passée).
+     * Une sélection en cours n'est abandonnée qu'après confirmation.
      */
-    handleSourceChange(event) {
-        const newValue = event.detail.value;
+    async handleSourceChange(event) {
+        const dropdown = event.target;
+        if (!(await this.switchSource(event.detail.value))) dropdown.value = this.currentSourceValue;
+    }
+
+    /**
+     * @description Change la source de la grille (catalogue, modèle, commande ou fusion de commandes) après confirmation si une saisie
+     * est en cours.
+     * @return true si la source a changé.
+     */
+    async switchSource(newValue) {
+        // Le tri et les filtres (sortState, filterState) sont volontairement conservés.
+        const pendingLines = Object.values(this.inputQty).filter(v => parseFloat(v) > 0).length;
+        if (pendingLines > 0 && newValue !== this.currentSourceValue) {
+            const confirmed = await LightningConfirm.open({
+                message: `Switching the source discards your ${pendingLines} pending line${pendingLines === 1 ? '' : 's'}. Continue?`,
+                variant: 'headerless',
+                label: 'Discard pending quantities'
+            });
+            if (!confirmed) return false;
+        }
+        const merge = parseMergeSource(newValue);
+        // Lignes des commandes à fusionner chargées avant d'abandonner la saisie : en cas d'échec, tout est conservé
+        if (merge && !(await this.loadOrderItems(merge.orderIds))) return false;
         this.currentSourceValue = newValue;
         this.inputQty = {}; 
+        this.history = createHistory();
+        this.assistantAddedIds = new Set();
         this.searchTerm = ''; 
+        this.unavailableItems = [];
+        const templateId = getTemplateId(newValue);
         if (newValue === SOURCE_CATALOG) {
             this.rawProductData = [...this.masterCatalogData];
             this.buildGrid();
+        } else if (templateId) {
+            this.loadTemplateProducts(templateId);
+        } else if (merge) {
+            this.loadMergedOrders(merge);
         } else {
             this.loadOrderProducts(newValue);
         }
+        return true;
+    }
+
+    /**
+     * @description Charge les lignes d'un modèle par le même chemin qu'une commande passée (applySourceItems).
+     */
+    async loadTemplateProducts(templateId) {
+        if (this.masterCatalogData.length === 0) { this.isLoading = true; await this.loadCatalogProducts(); }
+        const template = this.orderTemplates.find(t => t.id === templateId);
+        if (!template) {
+            this.showToast('Warning', 'This template no longer exists.', 'warning');
+            this.currentSourceValue = SOURCE_CATALOG;
+            this.rawProductData = [...this.masterCatalogData];
+            this.buildGrid();
+            return;
+        }
+        this.applySourceItems(template.items || [], `template "${template.name}"`);
+    }
+
+    /**
+     * @description Applique les lignes d'une source (commande ou modèle) : quantités pré-remplies,
+     * grille limitée aux produits de la source, et rapport des produits qui ne sont plus au catalogue.
+     * @param items [{ productId, sku?, name?, quantity }]
+     * @param sourceLabel Libellé de la source pour le rapport ("order 00012", "template "Weekly"").
+     */
+    applySourceItems(items, sourceLabel) {
+        const { quantities, products, unavailable } = resolveSourceItems(items, this.productIndex);
+        this.inputQty = quantities;
+        this.rawProductData = [...products].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        this.setUnavailableItems(unavailable, sourceLabel);
+        if (this.rawProductData.length > 0) { 
+            this.fetchCartDataAndRebuild(true); 
+            if (Object.keys(this.promoDataMap).length === 0) this.fetchPromotions();
+            else this.buildGrid();
+        } else { this.buildGrid(); }
     }
 
     /**
@@ -229,21 +716,11 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
     async loadOrderProducts(orderId) {
         if (!orderId) return;
         if (this.masterCatalogData.length === 0) { this.isLoading = true; await this.loadCatalogProducts(); }
+        const order = this.findOrder(orderId);
+        const sourceLabel = order ? `order ${order.orderNumber}` : 'this order';
         const cachedItems = this.orderItemsCache[orderId];
         if (cachedItems) {
-            this.inputQty = {};
-            const orderItemIds = new Set();
-            cachedItems.forEach(item => {
-                this.inputQty[item.productId] = item.quantity.toString();
-                orderItemIds.add(item.productId);
-            });
-            this.rawProductData = this.masterCatalogData.filter(p => orderItemIds.has(p.id));
-            this.rawProductData.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
-            if (this.rawProductData.length > 0) { 
-                this.fetchCartDataAndRebuild(true); 
-                if (Object.keys(this.promoDataMap).length === 0) this.fetchPromotions();
-                else this.buildGrid();
-            } else { this.buildGrid(); }
+            this.applySourceItems(cachedItems, sourceLabel);
             return;
         }
         this.isLoading = true;
@@ -254,15 +731,7 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
              console.log('📢 [DEBUG JSON] getOrderProducts result:', JSON.parse(JSON.stringify(result)));
              // --- MODIF END ---
 
-             const orderItemIds = new Set();
-             if(result.orderQuantities) {
-                 result.orderQuantities.forEach(qty => {
-                     this.inputQty[qty.productId] = qty.quantity.toString();
-                     orderItemIds.add(qty.productId);
-                 });
-             }
-             this.rawProductData = this.masterCatalogData.filter(p => orderItemIds.has(p.id));
-             this.buildGrid();
+             this.applySourceItems(result.orderQuantities || [], sourceLabel);
         } catch (error) { this.error = 'Unable to load order products.'; } 
         finally { this.isLoading = false; }
     }
@@ -276,166 +745,673 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
      * 3. État du panier (cartDataMap)
      * 4. Promotions (promoDataMap)
      * Applique également les filtres de recherche.
+     * Reconstruction incrémentale : quand seules des quantités saisies ont changé, les lignes concernées sont
+     * recalculées et remplacées sur place (vue et catalogue de l'assistant), sans refiltrer ni retrier :
+     * une ligne ne saute pas pendant la frappe. Facettes, filtres et tri (c/b2bGridFilters) ne sont recalculés
+     * que si la recherche, les filtres, le tri, la source, le panier ou les promotions changent.
+     * Les produits ajoutés par l'assistant hors de la vue (assistantAddedIds) échappent à la recherche
+     * et aux filtres et sont épinglés en tête.
      */
     buildGrid() {
+        const configKey = `${this.lowStockThreshold}|${this.showStockQuantity}|${this.cartMode}`;
+        const previous = this._gridInputs;
+        const inputs = {
+            catalog: this.masterCatalogData,
+            cart: this.cartDataMap,
+            promotions: this.promoDataMap,
+            cartIssues: this.cartLineIssues,
+            pinnedIds: this.assistantAddedIds,
+            configKey,
+            source: this.rawProductData,
+            searchTerm: this.searchTerm,
+            filterState: this.filterState,
+            sortState: this.sortState,
+            quantities: { ...this.inputQty }
+        };
+        this._gridInputs = inputs;
+
+        const rowsChanged = !previous || ['catalog', 'cart', 'promotions', 'cartIssues', 'pinnedIds', 'configKey'].some(key => previous[key] !== inputs[key]);
+        const viewChanged = rowsChanged || ['source', 'searchTerm', 'filterState', 'sortState'].some(key => previous[key] !== inputs[key]);
+        const editedIds = rowsChanged ? null : this.diffQuantities(previous.quantities, inputs.quantities);
+
+        if (viewChanged || !this.patchViewRows(editedIds, configKey)) this.buildView(configKey);
+        this.displayRows = buildDisplayRows(this.products, this.variantMatrixParents, (parentId, variants) => variants[0].variationParentName);
+        if (rowsChanged) this.buildAssistantCatalog(configKey);
+        else this.patchAssistantCatalog(editedIds, configKey);
+
+        this.buildSelectionSummary();
+        this.scheduleDraftSave();
+    }
+
+    /**
+     * @description Vue complète : recherche, facettes (sur le résultat de la recherche), filtres et tri.
+     */
+    buildView(configKey) {
         const term = this.searchTerm ? this.searchTerm.toLowerCase() : '';
-        const filteredData = this.rawProductData.filter(p => {
-            return (p.name || '').toLowerCase().includes(term) || (p.sku || '').toLowerCase().includes(term);
+        const pinnedIds = this.assistantAddedIds;
+        const filteredData = this.rawProductData.filter(p => !pinnedIds.has(p.id) && (!term || this.getSearchKey(p).includes(term)));
+
+        const rows = filteredData.map(prod => this.getGridRow(prod, configKey));
+        const pinnedRows = [...pinnedIds].map(pId => this.productIndex.get(pId)).filter(p => p).map(prod => this.getGridRow(prod, configKey));
+        this.facets = buildFacets(rows, this.filterState);
+        this._viewRows = [...sortRows(pinnedRows, this.sortState), ...sortRows(applyFilters(rows, this.filterState), this.sortState)];
+        this._productPositions = new Map(this._viewRows.map((row, index) => [row.id, index]));
+        this.products = this._viewRows;
+    }
+
+    /**
+     * @description Remplace sur place les lignes affichées dont la saisie a changé.
+     * @return false si un produit modifié n'est pas affiché (la vue doit être reconstruite pour l'intégrer).
+     */
+    patchViewRows(editedIds, configKey) {
+        if (!editedIds.length) return true;
+        if (editedIds.some(pId => !this._productPositions.has(pId) && this.productIndex.has(pId))) return false;
+        const products = [...this._viewRows];
+        editedIds.forEach(pId => {
+            const index = this._productPositions.get(pId);
+            if (index !== undefined) products[index] = this.getGridRow(this.productIndex.get(pId), configKey);
         });
+        this._viewRows = products;
+        this.products = products;
+        return true;
+    }
+
+    buildAssistantCatalog(configKey) {
+        this.assistantCatalog = this.masterCatalogData.map(prod => this.getGridRow(prod, configKey));
+        this._catalogPositions = new Map(this.masterCatalogData.map((prod, index) => [prod.id, index]));
+    }
+
+    patchAssistantCatalog(editedIds, configKey) {
+        const positions = editedIds.filter(pId => this._catalogPositions.has(pId));
+        if (!positions.length) return;
+        const catalog = [...this.assistantCatalog];
+        positions.forEach(pId => { catalog[this._catalogPositions.get(pId)] = this.getGridRow(this.productIndex.get(pId), configKey); });
+        this.assistantCatalog = catalog;
+    }
+
+    /**
+     * @description Produits dont la saisie diffère entre deux états de inputQty.
+     */
+    diffQuantities(before, after) {
+        const ids = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return [...ids].filter(pId => String(before[pId] || '0') !== String(after[pId] || '0'));
+    }
+
+    /**
+     * @description Clé de recherche (nom + SKU en minuscules), calculée une fois par produit.
+     */
+    getSearchKey(prod) {
+        let key = this._searchKeys.get(prod);
+        if (key === undefined) {
+            key = `${(prod.name || '').toLowerCase()}\n${(prod.sku || '').toLowerCase()}`;
+            this._searchKeys.set(prod, key);
+        }
+        return key;
+    }
+
+    /**
+     * @description Retourne la ligne de grille d'un produit depuis le cache si aucune de ses entrées
+     * (produit, saisie, panier, promotion, configuration) n'a changé, sinon la recalcule.
+     */
+    getGridRow(prod, configKey) {
+        const pId = prod.id;
+        const input = this.inputQty[pId] || '0';
+        const cart = this.cartDataMap[pId] || 0;
+        const promotion = this.promoDataMap[pId] || null;
+        const pinned = this.assistantAddedIds.has(pId);
+        const cartIssue = this.cartLineIssues[pId] || null;
 
-        this.products = filteredData.map(prod => {
-            const pId = prod.id;
-            const currentInputStr = this.inputQty[pId] || '0';
-            const currentInputVal = parseFloat(currentInputStr);
+        const cached = this._rowCache.get(pId);
+        if (cached && cached.prod === prod && cached.input === input && cached.cart === cart
+            && cached.promotion === promotion && cached.configKey === configKey && cached.pinned === pinned
+            && cached.cartIssue === cartIssue) {
+            return cached.row;
+        }
+
+        const row = {
+            ...this.buildGridRow(prod, input, cart, promotion),
+            isAddedByAssistant: pinned,
+            cartIssue: cartIssue ? cartIssue.message : null,
+            cartIssueClass: cartIssue ? `cart-issue cart-issue_${cartIssue.status}` : null,
+            rowClass: cartIssue && cartIssue.status === CART_LINE_STATUS.REJECTED ? 'matrix-row cart-failed-row' : 'matrix-row'
+        };
+        this._rowCache.set(pId, { prod, input, cart, promotion, configKey, pinned, cartIssue, row });
+        return row;
+    }
+
+    /**
+     * @description Calcule une ligne de grille (règles, stock, prix, badges) pour un produit.
+     */
+    buildGridRow(prod, currentInputStr, cartValue, promotion) {
+        const pId = prod.id;
+        const currentInputVal = parseFloat(currentInputStr);
+        const inCart = parseFloat(cartValue);
+        // En modes SET / REPLACE, la saisie est la quantité panier visée : le panier ne réduit pas stock et maximum
+        const ruleInCart = this.cartMode === CART_MODE.ADD ? inCart : 0;
+
+        const rules = getQuantityRules(prod);
+        const min = rules.min;
+        const max = rules.max;
+        const inc = rules.increment;
+        const hasError = !validateQuantity(prod, currentInputVal, { inCart: ruleInCart }).isValid;
+
+        const stockState = this.calculateStockState(rules.stock, ruleInCart, currentInputVal, rules.isInfiniteStock);
+        const priceBreakdown = calculatePriceBreakdown(prod, currentInputVal, promotion, { inCart });
+        const tierList = buildTierList(prod, currentInputVal, promotion, { inCart });
+        const finalLimit = getAvailableQuantity(prod, { inCart: ruleInCart });
+
+        let specsList = null;
+        if (prod.variationInfo) {
+            specsList = prod.variationInfo.split(', ').map(spec => {
+                return { key: spec, label: spec, cssClass: 'spec-pill' };
+            });
+        }
+
+        return {
+            ...prod, 
+            id: pId,
+            imgUrl: prod.imgUrl ? resolve(prod.imgUrl) : null,
+            qtyValue: currentInputStr === '0' ? '' : currentInputStr,
+            cartQty: inCart > 0 ? inCart : null,
+            min, max, inc, finalLimit, 
+            isError: hasError, 
+            displayUnitPrice: priceBreakdown.unitPrice.toFixed(2),
+            displayListPrice: priceBreakdown.listPrice.toFixed(2),
+            showListPrice: priceBreakdown.showListPrice,
+            priceClass: 'slds-text-body_regular ' + (priceBreakdown.isPromo ? 'price-promo' : 'slds-text-title_bold'),
+            priceBreakdown,
+            lineTotal: priceBreakdown.lineTotal,
+            hasLineTotal: priceBreakdown.lineTotal > 0,
+            priceDetails: this.generatePriceDetails(priceBreakdown),
+            nextTierHint: priceBreakdown.nextTier ? priceBreakdown.nextTier.label : null,
+            promotion,
+            promoName: promotion ? promotion.name : null,
+            stockLabel: stockState.label,
+            stockClass: stockState.cssClass,
+            stockStatus: stockState.status,
+            availableQty: stockState.remaining,
+            tierList: tierList ? tierList.map(t => ({ key: t.key, label: t.label, cssClass: t.isActive ? 'tier-pill tier-active' : 'tier-pill' })) : null,
+            ruleList: this.generateRuleItems({ minQty: min, maxQty: max, increment: inc }, currentInputVal, ruleInCart),
+            specsList: specsList,
+            hasVariantMatrix: !!prod.variationParentId,
+            inputClass: hasError ? 'qty-input-field has-error' : 'qty-input-field',
+            productUrl: communityBasePath + '/product/' + pId // URL MODIFIEE AVEC BASE PATH
+        };
+    }
+
+    /**
+     * @description Calcule les totaux du pied de grille, par devise :
+     * sous-total de la sélection (inputQty, prix palier/promo), économies vs prix catalogue,
+     * et total panier projeté (quantités panier + sélection).
+     * Porte sur toute la sélection, indépendamment des filtres de recherche.
+     */
+    buildSelectionSummary() {
+        const selectionLines = [];
+        const projectedLines = [];
+        const productIds = new Set([...Object.keys(this.inputQty), ...Object.keys(this.cartDataMap)]);
+
+        productIds.forEach(pId => {
+            const prod = this.productIndex.get(pId);
+            if (!prod) return;
+            const qty = parseFloat(this.inputQty[pId] || 0);
             const inCart = parseFloat(this.cartDataMap[pId] || 0);
-            const promoData = this.promoDataMap[pId] || {};
-            
-            const min = prod.minQty ? parseFloat(prod.minQty) : 1;
-            const max = prod.maxQty ? parseFloat(prod.maxQty) : 999999;
-            const inc = prod.increment ? parseFloat(prod.increment) : 1;
-            const isInfiniteStock = (prod.stock === undefined || prod.stock === null || prod.stock === 'null');
-            const physicalStock = isInfiniteStock ? 999999 : parseFloat(prod.stock);
-
-            let hasError = false;
-            if (currentInputVal > Math.max(0, physicalStock - inCart)) { hasError = true; }
-            if (currentInputVal > 0) {
-                if (currentInputVal < min) hasError = true;
-                if (max && currentInputVal > max) hasError = true;
-                const ratio = currentInputVal / inc;
-                if (Math.abs(ratio - Math.round(ratio)) > 0.0001) { hasError = true; }
+            const promotion = this.promoDataMap[pId] || null;
+            if (qty > 0) selectionLines.push(calculatePriceBreakdown(prod, qty, promotion, { inCart }));
+            if (qty + inCart > 0) projectedLines.push(calculatePriceBreakdown(prod, qty + inCart, promotion));
+        });
+
+        const totalsByCurrency = new Map();
+        const getTotal = (code) => {
+            if (!totalsByCurrency.has(code)) {
+                totalsByCurrency.set(code, { key: code, currencyCode: code, subtotal: 0, savings: 0, hasSavings: false, projectedTotal: 0 });
             }
+            return totalsByCurrency.get(code);
+        };
+        summarizeLines(selectionLines).forEach(group => {
+            const total = getTotal(group.currencyCode);
+            total.subtotal = group.subtotal;
+            total.savings = group.savings;
+            total.hasSavings = group.savings > 0;
+        });
+        summarizeLines(projectedLines).forEach(group => { getTotal(group.currencyCode).projectedTotal = group.subtotal; });
 
-            const stockState = this.calculateStockState(physicalStock, inCart, currentInputVal, isInfiniteStock);
-            const priceCalc = this.calculateFinalPrice(prod, (currentInputVal || 1) + inCart, promoData.price);
-            const finalLimit = Math.min(Math.max(0, max - inCart), Math.max(0, physicalStock - inCart));
+        this.selectionTotals = [...totalsByCurrency.values()].sort((a, b) => a.currencyCode.localeCompare(b.currencyCode));
+    }
 
-            let specsList = null;
-            if (prod.variationInfo) {
-                specsList = prod.variationInfo.split(', ').map(spec => {
-                    return { key: spec, label: spec, cssClass: 'spec-pill' };
-                });
-            }
+   // --- ECOUTE EVENEMENT CHAT IA ---
+
+    /**
+     * @description Applique un lot d'actions de l'assistant (événement "applyactions", c/b2bActionBatch) :
+     * une seule validation par le moteur de règles, une seule reconstruction de la grille, une seule étape
+     * d'historique, puis renvoi du résultat ligne par ligne à l'assistant.
+     * La recherche par SKU porte sur tout le catalogue : un produit ajouté alors qu'il n'est pas affiché
+     * (autre source, recherche, filtres) est intégré à la vue et épinglé dans la section "Added by assistant".
+     */
+    handleAiActions(event) {
+        const batch = event.detail;
+        if (!batch || !batch.actions) return;
+
+        const before = { ...this.inputQty };
+        const { quantities, results, summary } = applyActionBatch(batch, {
+            findProduct: (sku) => this.skuIndex.get(skuKey(sku)) || null,
+            getCurrentQty: (pId) => this.inputQty[pId],
+            getInCart: (pId) => this.getRuleInCart(pId)
+        });
+
+        const changedIds = Object.keys(quantities);
+        if (changedIds.length) {
+            const nextQty = { ...this.inputQty };
+            let added = 0;
+            let removed = 0;
+            changedIds.forEach(pId => {
+                const qty = quantities[pId];
+                if (qty > (parseFloat(before[pId]) || 0)) added++;
+                else removed++;
+                if (qty > 0) nextQty[pId] = String(qty);
+                else delete nextQty[pId];
+            });
+            this.inputQty = nextQty;
+            this.pinAssistantProducts(changedIds.filter(pId => quantities[pId] > (parseFloat(before[pId]) || 0)));
+
+            const count = added + removed;
+            const verb = removed === 0 ? 'added' : (added === 0 ? 'removed' : 'updated');
+            const prefix = batch.source === ACTION_SOURCE.FILE ? 'File import' : 'Assistant';
+            this.recordHistory(`${prefix}: ${verb} ${count} product${count === 1 ? '' : 's'}`, before);
+            this.buildGrid();
+
+            const updated = summary.applied + summary.adjusted;
+            let msg = `${updated} line${updated === 1 ? '' : 's'} updated.`;
+            if (summary.adjusted) msg += ` ${summary.adjusted} adjusted.`;
+            if (summary.rejected) msg += ` ${summary.rejected} rejected.`;
+            this.showToast('Updated', msg, 'success');
+        } else if (summary.rejected) {
+            this.showToast('Info', `No line could be updated (${summary.rejected} rejected).`, 'info');
+        }
+
+        const assistant = this.querySelector('c-b2b-ai-assistant');
+        if (assistant) assistant.reportActionResults(batch.batchId, results);
+    }
+
+    /**
+     * @description Intègre à la vue les produits ajoutés par l'assistant qui n'y sont pas visibles
+     * (absents de la source, masqués par la recherche ou les filtres) et les épingle en tête de grille.
+     */
+    pinAssistantProducts(productIds) {
+        const displayedIds = new Set(this.products.map(p => p.id));
+        const hidden = productIds.filter(pId => !displayedIds.has(pId) && this.productIndex.has(pId));
+        if (!hidden.length) return;
+
+        const sourceIds = new Set(this.rawProductData.map(p => p.id));
+        const extraProducts = hidden.filter(pId => !sourceIds.has(pId)).map(pId => this.productIndex.get(pId));
+        if (extraProducts.length) this.rawProductData = [...this.rawProductData, ...extraProducts];
+        this.assistantAddedIds = new Set([...this.assistantAddedIds, ...hidden]);
+    }
+
+    /**
+     * @description Libère la section épinglée : les produits restent dans la vue, soumis au tri et aux filtres.
+     */
+    handleUnpinAssistantProducts() {
+        this.assistantAddedIds = new Set();
+        this.buildGrid();
+    }
+
+    // --- SAISIE RAPIDE (COLLER) ---
+
+    handleTogglePastePanel() { this.showPastePanel = !this.showPastePanel; }
+
+    handlePasteChange(event) {
+        this.pasteText = event.target.value || '';
+        this.pastePreview = null;
+    }
+
+    /**
+     * @description Valide une quantité collée comme un ajout à la saisie actuelle (mêmes règles que la grille).
+     * @return { quantity (delta ajouté), target, isAdjusted, reasonLabels }
+     */
+    resolvePastedQuantity(product, requestedQty) {
+        const currentQty = parseFloat(this.inputQty[product.id] || 0);
+        const result = resolveQuantity(product, currentQty + requestedQty, { inCart: this.getRuleInCart(product.id) });
+        return {
+            quantity: Math.max(0, result.quantity - currentQty),
+            target: result.quantity,
+            isAdjusted: result.isAdjusted,
+            reasonLabels: explainAdjustments(result)
+        };
+    }
+
+    /**
+     * @description Aperçu des lignes collées : rapprochement sur tout le catalogue (masterCatalogData),
+     * pas seulement la source affichée, puis classement accepté / ajusté / rejeté / fusionné.
+     */
+    handlePastePreview() {
+        const lines = parsePastedLines(this.pasteText);
+        const results = matchOrderLines(lines, this.masterCatalogData, (product, qty) => this.resolvePastedQuantity(product, qty));
+
+        this.pastePreview = results.map(r => {
+            let outcome = 'Rejected';
+            let cssClass = 'paste-status paste-status_rejected';
+            const isApplicable = (r.status === IMPORT_STATUS.MATCHED || r.status === IMPORT_STATUS.ADJUSTED) && r.quantity > 0;
+            if (isApplicable && r.status === IMPORT_STATUS.MATCHED) { outcome = 'Accepted'; cssClass = 'paste-status paste-status_accepted'; }
+            else if (isApplicable) { outcome = 'Adjusted'; cssClass = 'paste-status paste-status_adjusted'; }
+            else if (r.status === IMPORT_STATUS.DUPLICATE) { outcome = 'Merged'; cssClass = 'paste-status paste-status_merged'; }
+
+            let detail = r.message;
+            if (r.status === IMPORT_STATUS.ADJUSTED && r.quantity === 0) detail = r.message || 'Cannot add more (limit reached)';
+            else if (r.status === IMPORT_STATUS.UNKNOWN_SKU && r.sku) detail = 'SKU not found in the catalog';
 
             return {
-                ...prod, 
-                id: pId,
-                imgUrl: prod.imgUrl ? resolve(prod.imgUrl) : null,
-                qtyValue: currentInputStr === '0' ? '' : currentInputStr,
-                cartQty: inCart > 0 ? inCart : null,
-                min, max, inc, finalLimit, 
-                isError: hasError, 
-                displayUnitPrice: priceCalc.unitPrice,
-                displayListPrice: priceCalc.listPrice,
-                showListPrice: priceCalc.showListPrice,
-                priceClass: priceCalc.priceClass,
-                promoName: promoData.name || null,
-                stockLabel: stockState.label,
-                stockClass: stockState.cssClass,
-                tierList: this.generateDynamicTiers(prod, (currentInputVal || 1) + inCart, promoData.price),
-                ruleList: this.generateRuleItems({ minQty: min, maxQty: max, increment: inc }, currentInputVal, inCart),
-                specsList: specsList,
-                inputClass: hasError ? 'qty-input-field has-error' : 'qty-input-field',
-                productUrl: communityBasePath + '/product/' + pId // URL MODIFIEE AVEC BASE PATH
+                key: r.key,
+                rowNumber: r.rowNumber,
+                sku: r.sku || '—',
+                name: r.product ? r.product.name : '',
+                productId: r.product ? r.product.id : null,
+                requested: r.quantityRequested !== null ? r.quantityRequested : '—',
+                quantityRequested: r.quantityRequested,
+                added: isApplicable ? r.quantity : 0,
+                outcome,
+                detail,
+                cssClass,
+                isApplicable
             };
         });
     }
 
-   // --- ECOUTE EVENEMENT CHAT IA ---
+    /**
+     * @description Fusionne les lignes acceptées/ajustées dans inputQty (revalidées au moment de l'ajout).
+     * Les produits absents de la source affichée y sont ajoutés pour rester visibles.
+     */
+    handlePasteApply() {
+        if (!this.pastePreview) return;
+        let added = 0;
+        const before = { ...this.inputQty };
+        const visibleIds = new Set(this.rawProductData.map(p => p.id));
+        const extraProducts = [];
+
+        this.pastePreview.filter(l => l.isApplicable).forEach(line => {
+            const product = this.productIndex.get(line.productId);
+            if (!product) return;
+            const resolution = this.resolvePastedQuantity(product, line.quantityRequested);
+            if (resolution.quantity <= 0) return;
+            this.inputQty[product.id] = String(resolution.target);
+            if (!visibleIds.has(product.id)) { extraProducts.push(product); visibleIds.add(product.id); }
+            added++;
+        });
+
+        if (extraProducts.length) this.rawProductData = [...this.rawProductData, ...extraProducts];
+        this.recordHistory(`Paste: added ${added} line${added === 1 ? '' : 's'}`, before);
+        this.buildGrid();
+        this.pastePreview = null;
+        this.pasteText = '';
+        this.showPastePanel = false;
+        this.showToast('Success', `${added} line${added === 1 ? '' : 's'} added to your selection.`, 'success');
+    }
+
+    handlePasteClear() {
+        this.pasteText = '';
+        this.pastePreview = null;
+    }
+
+    // --- MODELES DE COMMANDE ---
+
+    handleToggleTemplatePanel() { this.showTemplatePanel = !this.showTemplatePanel; }
+
+    handleTemplateNameChange(event) { this.templateName = event.target.value || ''; }
+
+    handleDismissUnavailable() { this.unavailableItems = []; }
+
+    // --- SUBSTITUTS DES PRODUITS INDISPONIBLES ---
 
     /**
-     * @description Écouteur d'événement pour les actions déclenchées par l'assistant IA.
-     * Met à jour les quantités d'input (inputQty) basé sur les intentions "Add/Remove/Set".
+     * @description Rapport des lignes d'une source qui ne sont plus au catalogue, chacune avec ses substituts
+     * proposés (c/b2bSubstitutionFinder).
      */
-    handleAiAddProduct(event) {
-        const { sku, quantity } = event.detail;
-        
-        const productFound = this.rawProductData.find(p => 
-            (p.sku && p.sku === sku) || (p.StockKeepingUnit && p.StockKeepingUnit === sku)
-        );
+    setUnavailableItems(lines, sourceLabel) {
+        this.unavailableItems = (lines || []).map(line => this.withSubstitutes(line, []));
+        this.unavailableSourceLabel = sourceLabel;
+    }
 
-        if (productFound) {
-            const pId = productFound.id;
-            const currentQty = parseFloat(this.inputQty[pId] || 0);
-            
-            // MODIFICATION CHIRURGICALE: Utilisation de calculateValidQuantity
-            const result = this.calculateValidQuantity(productFound, quantity, currentQty);
-            const validQty = result.validQty; // La quantité validée à ajouter
-            
-            const rawNewQty = currentQty + validQty;
-            const newQty = Math.max(0, rawNewQty); 
+    /**
+     * @param assistantSkus SKU recommandés par l'assistant pour cette ligne.
+     */
+    withSubstitutes(line, assistantSkus) {
+        const substitutes = findSubstitutes(line, this.masterCatalogData, { assistantSkus }).map(substitute => ({
+            ...substitute,
+            key: `${line.productId}-${substitute.productId}`,
+            label: `${substitute.name}${substitute.sku ? ` (${substitute.sku})` : ''}`
+        }));
+        return { ...line, substitutes, hasSubstitutes: substitutes.length > 0, isAskingAssistant: false };
+    }
 
-            if (newQty === 0) {
-                delete this.inputQty[pId];
-            } else {
-                this.inputQty[pId] = String(newQty);
-            }
+    updateUnavailableLine(productId, update) {
+        this.unavailableItems = this.unavailableItems.map(line => (line.productId === productId ? update(line) : line));
+    }
 
-            this.buildGrid(); 
-            
-            // Notification ajustée
-            if (validQty !== 0) {
-                let msg = `${productFound.name}: ${newQty} units.`;
-                if (result.reasons && result.reasons.length > 0) {
-                     msg += ` (${result.reasons[0]})`;
-                }
-                this.showToast('Updated', msg, 'success');
-            } else if (quantity > 0 && validQty === 0) {
-                 this.showToast('Info', `Cannot add more ${productFound.name} (Limit reached).`, 'info');
-            }
-        } else {
-            this.showToast('Warning', `Product with SKU ${sku} is not in the current list view.`, 'warning');
+    /**
+     * @description Remplace une ligne indisponible par le substitut choisi, à la quantité d'origine
+     * (ajustée aux règles de quantité) ; le substitut est intégré à la vue s'il n'y figure pas.
+     */
+    handleAcceptSubstitute(event) {
+        const { line: lineId, product: productId } = event.currentTarget.dataset;
+        const line = this.unavailableItems.find(l => l.productId === lineId);
+        const product = this.productIndex.get(productId);
+        if (!line || !product) return;
+
+        const resolution = this.resolvePastedQuantity(product, line.quantity);
+        if (resolution.quantity <= 0) {
+            const reason = resolution.reasonLabels.length ? ` (${resolution.reasonLabels.join(', ')})` : '';
+            this.showToast('Warning', `${product.name} cannot be added${reason}.`, 'warning');
+            return;
         }
+        const before = { ...this.inputQty };
+        this.inputQty = { ...this.inputQty, [product.id]: String(resolution.target) };
+        if (!this.rawProductData.some(p => p.id === product.id)) this.rawProductData = [...this.rawProductData, product];
+        this.unavailableItems = this.unavailableItems.filter(l => l.productId !== lineId);
+        this.recordHistory(`Substitute: ${product.name}`, before);
+        this.buildGrid();
+
+        let message = `${line.label} replaced by ${product.name} × ${resolution.target}.`;
+        if (resolution.isAdjusted) message += ` Adjusted: ${resolution.reasonLabels.join(', ')}.`;
+        this.showToast('Success', message, 'success');
     }
 
     /**
-     * @description Valide une quantité par rapport aux règles produit (Min, Max, Incrément, Stock).
-     * @param product Objet produit complet.
-     * @param requestedQty Quantité demandée (delta à ajouter).
-     * @param currentQty Quantité DÉJÀ présente dans la liste (pour le calcul du plafond Max).
-     * @return { validQty, reasons[] }
+     * @description Demande à l'assistant des substituts pour une ligne indisponible ; ses recommandations
+     * passent en tête des propositions.
      */
-    calculateValidQuantity(product, requestedQty, currentQty = 0) {
-        let validQty = parseFloat(requestedQty);
-        let reasons = [];
-        
-        const min = product.minQty ? parseFloat(product.minQty) : 1;
-        const max = product.maxQty ? parseFloat(product.maxQty) : 999999;
-        const inc = product.increment ? parseFloat(product.increment) : 1;
-        const isInfiniteStock = (product.stock === undefined || product.stock === null || product.stock === 'null');
-        const stock = isInfiniteStock ? 999999 : parseFloat(product.stock);
+    async handleAskAssistantSubstitutes(event) {
+        const lineId = event.currentTarget.dataset.line;
+        const line = this.unavailableItems.find(l => l.productId === lineId);
+        const assistant = this.querySelector('c-b2b-ai-assistant');
+        if (!line || !assistant) return;
 
-        // Check Incrément (si ajout)
-        if (validQty > 0 && validQty % inc !== 0) {
-            validQty = Math.ceil(validQty / inc) * inc;
-            reasons.push(`Adjusted to multiple of ${inc}`);
-        }
+        this.updateUnavailableLine(lineId, l => ({ ...l, isAskingAssistant: true }));
+        const skus = await assistant.recommendSubstitutes(line);
+        this.updateUnavailableLine(lineId, l => this.withSubstitutes(l, skus));
+        if (!skus.length) this.showToast('Info', 'The assistant has no substitute to suggest for this product.', 'info');
+    }
 
-        // Check Minimum (si on part de 0)
-        if (currentQty === 0 && validQty < min && validQty > 0) {
-            validQty = min;
-            reasons.push(`Adjusted to minimum quantity of ${min}`);
-        }
+    /**
+     * @description Enregistre la sélection courante (inputQty) comme nouveau modèle.
+     */
+    async handleSaveTemplate() {
+        const items = buildTemplateItems(this.inputQty, this.productIndex);
+        if (!items.length) { this.showToast('Warning', 'Please select at least one item.', 'warning'); return; }
+        await this.createTemplate(items);
+    }
+
+    /**
+     * @description Enregistre la commande passée affichée comme modèle, avec ses quantités d'origine
+     * (y compris les produits qui ne sont plus au catalogue).
+     */
+    async handleSaveOrderAsTemplate() {
+        const orderItems = this.orderItemsCache[this.currentSourceValue];
+        if (!orderItems) { await this.createTemplate(buildTemplateItems(this.inputQty, this.productIndex)); return; }
+        const quantities = {};
+        orderItems.forEach(item => { quantities[item.productId] = (quantities[item.productId] || 0) + (parseFloat(item.quantity) || 0); });
+        await this.createTemplate(buildTemplateItems(quantities, this.productIndex, orderItems));
+    }
 
-        // Check Max & Stock (CORRECTION: On prend en compte le TOTAL current + valid)
-        const effectiveMax = Math.min(stock, max);
+    async createTemplate(items) {
+        const name = normalizeTemplateName(this.templateName);
+        if (!name) return;
+        this.isTemplateSaving = true;
+        try {
+            const result = await saveOrderTemplate({ communityId: communityId, effectiveAccountId: this.effectiveAccountId, templateId: null, name, itemsJson: JSON.stringify(items) });
+            if (!result.success) { this.showToast('Error', result.message || 'Unable to save the template.', 'error'); return; }
+            this.upsertTemplate(result.template);
+            this.templateName = '';
+            this.showToast('Success', `Template "${result.template.name}" saved.`, 'success');
+        } catch (error) { this.showToast('Error', error.body?.message || 'Unable to save the template.', 'error'); }
+        finally { this.isTemplateSaving = false; }
+    }
 
-        if ((currentQty + validQty) > effectiveMax) {
-            // Espace restant
-            const spaceAvailable = Math.max(0, effectiveMax - currentQty);
-            
-            if (validQty > spaceAvailable) {
-                validQty = spaceAvailable;
-                reasons.push(`Adjusted to ${effectiveMax} units total (Stock/Max Limit reached)`);
+    handleStartRenameTemplate(event) {
+        const template = this.orderTemplates.find(t => t.id === event.currentTarget.dataset.id);
+        if (!template) return;
+        this.editingTemplateId = template.id;
+        this.editingTemplateName = template.name;
+    }
+
+    handleRenameInputChange(event) { this.editingTemplateName = event.target.value || ''; }
+
+    handleCancelRenameTemplate() { this.editingTemplateId = null; this.editingTemplateName = ''; }
+
+    /**
+     * @description Renomme un modèle (les lignes ne sont pas renvoyées : itemsJson null).
+     */
+    async handleConfirmRenameTemplate() {
+        const name = normalizeTemplateName(this.editingTemplateName);
+        if (!name || !this.editingTemplateId) return;
+        this.isTemplateSaving = true;
+        try {
+            const result = await saveOrderTemplate({ communityId: communityId, effectiveAccountId: this.effectiveAccountId, templateId: this.editingTemplateId, name, itemsJson: null });
+            if (!result.success) { this.showToast('Error', result.message || 'Unable to rename the template.', 'error'); return; }
+            this.upsertTemplate(result.template);
+            this.handleCancelRenameTemplate();
+        } catch (error) { this.showToast('Error', error.body?.message || 'Unable to rename the template.', 'error'); }
+        finally { this.isTemplateSaving = false; }
+    }
+
+    async handleDuplicateTemplate(event) {
+        const template = this.orderTemplates.find(t => t.id === event.currentTarget.dataset.id);
+        if (!template) return;
+        this.isTemplateSaving = true;
+        try {
+            const name = suggestCopyName(template.name, this.orderTemplates.map(t => t.name));
+            const result = await duplicateOrderTemplate({ effectiveAccountId: this.effectiveAccountId, templateId: template.id, name });
+            if (!result.success) { this.showToast('Error', result.message || 'Unable to duplicate the template.', 'error'); return; }
+            this.upsertTemplate(result.template);
+            this.showToast('Success', `Template "${result.template.name}" created.`, 'success');
+        } catch (error) { this.showToast('Error', error.body?.message || 'Unable to duplicate the template.', 'error'); }
+        finally { this.isTemplateSaving = false; }
+    }
+
+    async handleDeleteTemplate(event) {
+        const template = this.orderTemplates.find(t => t.id === event.currentTarget.dataset.id);
+        if (!template) return;
+        const confirmed = await LightningConfirm.open({ message: `Delete the template "${template.name}"?`, variant: 'headerless', label: 'Delete template' });
+        if (!confirmed) return;
+        this.isTemplateSaving = true;
+        try {
+            const result = await deleteOrderTemplate({ effectiveAccountId: this.effectiveAccountId, templateId: template.id });
+            if (!result.success) { this.showToast('Error', result.message || 'Unable to delete the template.', 'error'); return; }
+            this.orderTemplates = this.orderTemplates.filter(t => t.id !== template.id);
+            if (this.currentSourceValue === toTemplateSource(template.id)) {
+                // La saisie est conservée, la grille revient au catalogue complet.
+                this.currentSourceValue = SOURCE_CATALOG;
+                this.rawProductData = [...this.masterCatalogData];
+                this.unavailableItems = [];
+                this.buildGrid();
             }
-        }
+            this.showToast('Success', `Template "${template.name}" deleted.`, 'success');
+        } catch (error) { this.showToast('Error', error.body?.message || 'Unable to delete the template.', 'error'); }
+        finally { this.isTemplateSaving = false; }
+    }
 
-        return { validQty, reasons };
+    /**
+     * @description Remplace ou ajoute un modèle dans la liste locale (triée par nom, comme l'Apex).
+     */
+    upsertTemplate(template) {
+        const others = this.orderTemplates.filter(t => t.id !== template.id);
+        this.orderTemplates = [...others, template].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    }
+
+    // --- BROUILLON (SAUVEGARDE LOCALE) ---
+
+    /**
+     * @description Programme l'écriture du brouillon. Tant qu'un brouillon précédent est proposé
+     * (bannière de restauration), il n'est pas écrasé.
+     */
+    scheduleDraftSave() {
+        if (this.pendingDraft || !this.webstoreId || !this.effectiveAccountId) return;
+        clearTimeout(this._draftTimer);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation -- anti-rebond de l'écriture du brouillon, annulé à chaque saisie
+        this._draftTimer = setTimeout(() => {
+            this._draftTimer = null;
+            this.persistDraft();
+        }, DRAFT_SAVE_DELAY_MS);
+    }
+
+    /**
+     * @description Écrit immédiatement un brouillon en attente (fermeture de page, ajout au panier).
+     */
+    flushDraftSave() {
+        if (!this._draftTimer) return;
+        clearTimeout(this._draftTimer);
+        this._draftTimer = null;
+        this.persistDraft();
+    }
+
+    /**
+     * @description Propose un brouillon (bannière de restauration) et annule toute sauvegarde programmée.
+     */
+    offerDraft(draft) {
+        this.pendingDraft = draft;
+        if (!draft) return;
+        clearTimeout(this._draftTimer);
+        this._draftTimer = null;
+    }
+
+    /**
+     * @description Tant que la bannière est affichée, le brouillon proposé reste tel quel dans le stockage.
+     */
+    persistDraft() {
+        if (this.pendingDraft) return;
+        saveDraft(this.webstoreId, this.effectiveAccountId, buildTemplateItems(this.inputQty, this.productIndex), this.currentSourceValue);
+    }
+
+    /**
+     * @description Restaure le brouillon dans la vue catalogue : les quantités sont fusionnées avec la saisie actuelle,
+     * les produits retrouvés par SKU sont signalés et ceux qui ont disparu passent dans le rapport d'indisponibilité.
+     */
+    handleRestoreDraft() {
+        if (!this.pendingDraft) return;
+        const result = reconcileDraft(this.pendingDraft, this.productIndex, this.masterCatalogData);
+        this.pendingDraft = null;
+        this.currentSourceValue = SOURCE_CATALOG;
+        this.rawProductData = [...this.masterCatalogData];
+        const before = { ...this.inputQty };
+        this.inputQty = { ...this.inputQty, ...result.quantities };
+        this.recordHistory('Restored saved selection', before);
+        this.setUnavailableItems(result.unavailable, 'your saved selection');
+        this.buildGrid();
+
+        let message = `${result.restoredCount} line${result.restoredCount === 1 ? '' : 's'} restored.`;
+        if (result.remapped.length) message += ` ${result.remapped.length} matched by SKU to an updated product.`;
+        this.showToast('Success', message, 'success');
+    }
+
+    handleDiscardDraft() {
+        clearDraft(this.webstoreId, this.effectiveAccountId);
+        this.pendingDraft = null;
+        this.scheduleDraftSave();
     }
 
     // --- HELPERS ---
 
     /**
      * @description Récupère les prix promotionnels via l'API Commerce Promotion.
+     * Les ajustements (pourcentage, montant, prix fixe) sont normalisés par c/b2bPricingEngine.
      */
     async fetchPromotions() {
         if (!this.rawProductData || !this.webstoreId) return;
@@ -444,11 +1420,10 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
             const result = await getPromotionPricingCollection({ webstoreId: this.webstoreId, effectiveAccountId: this.effectiveAccountId, products: productIdsInput });
             if (result?.promotionProductEvaluationResults) {
                 const newPromoMap = { ...this.promoDataMap };
+                const basePrices = new Map(this.rawProductData.map(p => [p.id, p.unitPrice]));
                 result.promotionProductEvaluationResults.forEach(item => {
-                    const info = { price: parseFloat(item.promotionalPrice) || null };
-                    if (item.promotionPriceAdjustmentList?.[0]?.displayName) info.name = item.promotionPriceAdjustmentList[0].displayName;
-                    else if (item.promotionPriceAdjustmentList?.[0]?.adjustmentValue) info.name = 'Promotion';
-                    if (info.name || info.price !== null) newPromoMap[item.productId] = info;
+                    const promotion = normalizePromotion(item, basePrices.get(item.productId));
+                    if (promotion) newPromoMap[item.productId] = promotion;
                 });
                 this.promoDataMap = newPromoMap;
                 this.buildGrid();
@@ -470,7 +1445,82 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
         finally { if (!silentMode) this.isLoading = false; }
     }
     
-    handleSearchChange(event) { this.searchTerm = event.target.value; this.buildGrid(); }
+    /**
+     * @description Recherche avec anti-rebond : la grille n'est reconstruite qu'une fois la saisie stabilisée.
+     */
+    handleSearchChange(event) {
+        this.searchTerm = event.target.value;
+        clearTimeout(this._searchTimer);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation -- anti-rebond de la recherche, annulé à chaque frappe
+        this._searchTimer = setTimeout(() => {
+            this.resetVirtualScroll();
+            this.buildGrid();
+        }, SEARCH_DEBOUNCE_MS);
+    }
+
+    /**
+     * @description Tri au clic sur un en-tête de colonne (data-field).
+     */
+    handleSort(event) {
+        this.sortState = toggleSort(this.sortState, event.currentTarget.dataset.field);
+        this.refreshFilteredGrid();
+    }
+
+    handleToggleFilters() { this.showFilters = !this.showFilters; }
+
+    /**
+     * @description Sélection de valeurs dans une facette d'attribut (data-facet = nom de l'attribut).
+     */
+    handleAttributeFilterChange(event) {
+        const attributes = { ...this.filterState.attributes, [event.target.dataset.facet]: event.detail.value };
+        Object.keys(attributes).forEach(name => { if (!attributes[name].length) delete attributes[name]; });
+        this.filterState = { ...this.filterState, attributes };
+        this.refreshFilteredGrid();
+    }
+
+    handleStockFilterChange(event) {
+        this.filterState = { ...this.filterState, stockStatuses: event.detail.value };
+        this.refreshFilteredGrid();
+    }
+
+    /**
+     * @description Bascules rapides (data-filter = promoOnly | onlySelected | onlyInCart).
+     */
+    handleFilterToggle(event) {
+        this.filterState = { ...this.filterState, [event.target.dataset.filter]: event.target.checked };
+        this.refreshFilteredGrid();
+    }
+
+    handleClearFilters() {
+        this.filterState = createFilterState();
+        this.refreshFilteredGrid();
+    }
+
+    refreshFilteredGrid() {
+        this.resetVirtualScroll();
+        this.buildGrid();
+    }
+
+    /**
+     * @description Met à jour la fenêtre virtuelle au défilement (uniquement si la première ligne visible change).
+     */
+    handleGridScroll(event) {
+        const container = event.target;
+        const viewportHeight = container.clientHeight || DEFAULT_VIEWPORT_HEIGHT;
+        const firstVisible = Math.floor(container.scrollTop / this.rowHeight);
+        if (firstVisible === Math.floor(this._scrollTop / this.rowHeight) && viewportHeight === this._viewportHeight) return;
+        this._scrollTop = container.scrollTop;
+        this._viewportHeight = viewportHeight;
+    }
+
+    /**
+     * @description Ramène la grille en haut (nouveau filtre : les anciennes positions n'ont plus de sens).
+     */
+    resetVirtualScroll() {
+        this._scrollTop = 0;
+        const container = this.querySelector('.table-scroll-container');
+        if (container) container.scrollTop = 0;
+    }
 
     /**
      * @description Génère les badges de règles (Min, Max, Incrément) pour l'affichage.
@@ -479,7 +1529,7 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
         const rules = [];
         const total = currentInputQty + currentCartQty;
         if (details.minQty > 1) rules.push({ key: 'min', label: `Min ${parseFloat(details.minQty)}`, cssClass: 'rule-item' });
-        if (details.maxQty && details.maxQty < 999999) rules.push({ key: 'max', label: `Max ${parseFloat(details.maxQty)}`, cssClass: (total >= details.maxQty ? 'rule-item rule-reached' : 'rule-item') });
+        if (details.maxQty && details.maxQty < DEFAULT_MAX_QUANTITY) rules.push({ key: 'max', label: `Max ${parseFloat(details.maxQty)}`, cssClass: (total >= details.maxQty ? 'rule-item rule-reached' : 'rule-item') });
         if (details.increment > 1) rules.push({ key: 'inc', label: `Inc ${parseFloat(details.increment)}`, cssClass: 'rule-item' });
         return rules.length ? rules : null;
     }
@@ -495,85 +1545,195 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
         const qtySuffix = showNumber ? `: ${remaining.toFixed(0)}` : '';
         let label = '';
         let cssClass = 'slds-badge';
-        if (remaining <= 0) { label = 'Out of Stock'; cssClass += ' slds-theme_error'; } 
-        else if (remaining <= this.lowStockThreshold && !isInfiniteStock) { label = `Low Stock${qtySuffix}`; cssClass += ' slds-theme_warning'; } 
-        else { label = `In Stock${qtySuffix}`; cssClass += ' slds-theme_success'; }
-        return { label, cssClass };
+        let status;
+        if (remaining <= 0) { label = 'Out of Stock'; cssClass += ' slds-theme_error'; status = STOCK_STATUS.OUT; } 
+        else if (remaining <= this.lowStockThreshold && !isInfiniteStock) { label = `Low Stock${qtySuffix}`; cssClass += ' slds-theme_warning'; status = STOCK_STATUS.LOW; } 
+        else { label = `In Stock${qtySuffix}`; cssClass += ' slds-theme_success'; status = STOCK_STATUS.IN; }
+        return { label, cssClass, status, remaining };
     }
 
     /**
-     * @description Calcule le prix final unitaire à afficher en fonction des paliers (Price Tiers) et des promotions.
+     * @description Construit les lignes du popover de prix à partir du détail calculé par c/b2bPricingEngine.
      */
-    calculateFinalPrice(details, quantity, promoPrice) {
-        let basePrice = parseFloat(details.unitPrice);
-        let currentPrice = basePrice;
-        let isPromo = false;
-        const tiers = details.priceRanges || [];
-        if (tiers.length > 0 && quantity > 0) {
-            const tier = tiers.filter(t => quantity >= t.min).sort((a, b) => b.min - a.min)[0];
-            if (tier) currentPrice = parseFloat(tier.price);
-        }
-        if (promoPrice != null && !isNaN(promoPrice) && basePrice > 0) {
-            if (promoPrice < basePrice) {
-                const discountRatio = promoPrice / basePrice;
-                currentPrice = currentPrice * discountRatio;
-                isPromo = true;
-            }
+    generatePriceDetails(breakdown) {
+        const lines = [{ key: 'base', label: 'Base price', value: breakdown.basePrice, cssClass: 'price-detail-line' }];
+        if (breakdown.activeTier && breakdown.tierPrice !== breakdown.basePrice) {
+            lines.push({ key: 'tier', label: `Tier ${breakdown.activeTier.min}+`, value: breakdown.tierPrice, cssClass: 'price-detail-line' });
         }
-        let listPrice = details.listPrice ? parseFloat(details.listPrice) : basePrice; 
-        let roundedCurrent = Math.round(currentPrice * 100) / 100;
-        let showList = (listPrice > roundedCurrent);
-        return { 
-            unitPrice: currentPrice.toFixed(2), 
-            listPrice: listPrice.toFixed(2), 
-            showListPrice: showList, 
-            priceClass: 'slds-text-body_regular ' + (isPromo ? 'price-promo' : 'slds-text-title_bold')
-        };
-    }
-
-    /**
-     * @description Génère la liste des paliers de prix pour affichage visuel, en appliquant le ratio de promotion si nécessaire.
-     */
-    generateDynamicTiers(details, quantity, promoPrice) {
-        if (!details.priceRanges?.length) return null;
-        let discountRatio = 1.0;
-        let basePrice = parseFloat(details.unitPrice);
-        if (promoPrice != null && !isNaN(promoPrice) && basePrice > 0) { if (promoPrice < basePrice) discountRatio = promoPrice / basePrice; }
-        const activeTier = details.priceRanges.filter(t => quantity >= t.min).sort((a, b) => b.min - a.min)[0];
-        return details.priceRanges.map(t => {
-            let finalTierPrice = parseFloat(t.price) * discountRatio;
-            return {
-                key: t.min, 
-                label: `${t.max ? t.min + '-' + t.max : t.min + '+'} @ ${finalTierPrice.toFixed(2)}`, 
-                cssClass: (activeTier && activeTier.min === t.min) ? 'tier-pill tier-active' : 'tier-pill'
-            };
+        breakdown.appliedAdjustments.forEach((adj, index) => {
+            lines.push({ key: `promo-${index}`, label: adj.name, value: -adj.amountPerUnit, cssClass: 'price-detail-line price-detail-discount' });
         });
+        lines.push({ key: 'unit', label: 'Your price', value: breakdown.unitPrice, cssClass: 'price-detail-line price-detail-total' });
+        lines.push({ key: 'list', label: 'List price', value: breakdown.listPrice, cssClass: 'price-detail-line' });
+        if (breakdown.savingsPerUnit > 0) {
+            lines.push({ key: 'savings', label: 'Savings / unit', value: breakdown.savingsPerUnit, cssClass: 'price-detail-line price-detail-discount' });
+        }
+        if (breakdown.lineSavings > 0) {
+            lines.push({ key: 'line-savings', label: `Savings on ${breakdown.quantity} units`, value: breakdown.lineSavings, cssClass: 'price-detail-line price-detail-discount' });
+        }
+        return lines;
     }
 
     handleIncrement(event) {
-        const prodId = event.currentTarget.dataset.id;
-        const prod = this.products.find(p => p.id === prodId);
-        if (!prod) return;
-        const currentVal = parseFloat(this.inputQty[prodId] || 0);
-        let newVal;
-        if (currentVal < prod.min) { newVal = prod.min; } 
-        else { newVal = (Math.floor(currentVal / prod.inc) + 1) * prod.inc; }
-        if (prod.max && newVal > prod.max) { if (currentVal < prod.max) newVal = prod.max; else return; }
-        this.updateQty(prodId, newVal);
+        this.stepProductQty(event.currentTarget.dataset.id, 'up');
     }
 
     handleDecrement(event) {
-        const prodId = event.currentTarget.dataset.id;
+        this.stepProductQty(event.currentTarget.dataset.id, 'down');
+    }
+
+    /**
+     * @description Applique un ou plusieurs pas (+/-) en respectant Min, Incrément et plafond Max/Stock (panier déduit).
+     */
+    stepProductQty(prodId, direction, steps = 1) {
         const prod = this.products.find(p => p.id === prodId);
         if (!prod) return;
         const currentVal = parseFloat(this.inputQty[prodId] || 0);
-        let newVal = (Math.ceil(currentVal / prod.inc) - 1) * prod.inc;
-        if (newVal < prod.min) { newVal = 0; }
+        const newVal = stepQuantity(prod, currentVal, direction, { inCart: this.getRuleInCart(prodId), steps });
+        if (newVal === currentVal) return;
         this.updateQty(prodId, newVal);
     }
 
+    /**
+     * @description Bascule un produit parent entre l'affichage en lignes et la matrice de ses variantes
+     * (data-parent = variationParentId). Les cellules partagent la saisie et l'ajout au panier des lignes.
+     */
+    handleToggleVariantMatrix(event) {
+        const parentId = event.currentTarget.dataset.parent;
+        if (!parentId) return;
+        const next = new Set(this.variantMatrixParents);
+        if (next.has(parentId)) next.delete(parentId);
+        else next.add(parentId);
+        this.variantMatrixParents = next;
+        this.buildGrid();
+    }
+
+    // --- NAVIGATION CLAVIER ---
+
+    handleQtyFocus(event) {
+        this._focusedProductId = event.target.dataset.id;
+    }
+
+    handleQtyBlur() {
+        this._focusedProductId = null;
+    }
+
+    handleQtyInput(event) {
+        this._editedProductId = event.target.dataset.id;
+    }
+
+    /**
+     * @description Touches d'un champ quantité (c/b2bGridKeyboard) : flèches haut/bas et Entrée changent de ligne,
+     * +/- et PageUp/PageDown appliquent les pas de quantité, une lettre saute au SKU correspondant.
+     */
+    handleQtyKeyDown(event) {
+        const command = resolveGridKey(event);
+        if (!command) return;
+        event.preventDefault();
+        const input = event.target;
+        const prodId = input.dataset.id;
+        const index = this.products.findIndex(p => p.id === prodId);
+
+        if (command.type === GRID_COMMAND.TYPE_AHEAD) {
+            this._typeAhead = appendTypeAhead(this._typeAhead, command.char);
+            const match = findSkuMatch(this.products, this._typeAhead.buffer, index);
+            if (match !== -1) this.focusRow(match);
+            return;
+        }
+
+        this.commitQtyInput(input);
+        if (command.type === GRID_COMMAND.STEP) {
+            this.stepProductQty(prodId, command.direction, command.steps);
+        } else {
+            this.focusRow(index + command.delta);
+        }
+    }
+
+    /**
+     * @description Colle une colonne de nombres (ex : copiée d'un tableur) sur les lignes consécutives à partir
+     * du champ courant, chaque valeur étant ajustée aux règles du produit. Une seule étape d'historique.
+     */
+    handleQtyPaste(event) {
+        const clipboard = event.clipboardData || window.clipboardData;
+        const values = parseQuantityColumn(clipboard ? clipboard.getData('text') : '');
+        if (!values) return;
+        event.preventDefault();
+
+        const startIndex = this.products.findIndex(p => p.id === event.target.dataset.id);
+        if (startIndex === -1) return;
+        const before = { ...this.inputQty };
+        const nextQty = { ...this.inputQty };
+        let adjusted = 0;
+        const lines = mapColumnToRows(values, this.products, startIndex);
+        lines.forEach(({ productId, quantity }) => {
+            const resolution = resolveQuantity(this.productIndex.get(productId), quantity, { inCart: this.getRuleInCart(productId) });
+            if (resolution.quantity !== quantity) adjusted++;
+            if (resolution.quantity > 0) nextQty[productId] = String(resolution.quantity);
+            else delete nextQty[productId];
+        });
+
+        this.inputQty = nextQty;
+        this.recordHistory(`Paste: ${lines.length} quantit${lines.length === 1 ? 'y' : 'ies'}`, before);
+        this.buildGrid();
+        let msg = `${lines.length} row${lines.length === 1 ? '' : 's'} filled.`;
+        if (adjusted) msg += ` ${adjusted} adjusted to quantity rules.`;
+        if (values.length > lines.length) msg += ` ${values.length - lines.length} value${values.length - lines.length === 1 ? '' : 's'} past the last row ignored.`;
+        this.showToast('Pasted', msg, adjusted ? 'warning' : 'success');
+    }
+
+    /**
+     * @description Enregistre la saisie en cours d'un champ (avant un pas ou un changement de ligne au clavier),
+     * sans attendre l'événement change du blur. Seule une frappe de l'utilisateur compte : entre deux pas rapides,
+     * le champ peut encore afficher la valeur d'avant le dernier rendu.
+     */
+    commitQtyInput(input) {
+        if (this._editedProductId !== input.dataset.id) return;
+        this._editedProductId = null;
+        const typed = parseFloat(input.value) || 0;
+        if (typed !== (parseFloat(this.inputQty[input.dataset.id]) || 0)) this.updateQty(input.dataset.id, typed);
+    }
+
+    /**
+     * @description Sélectionne le champ quantité d'une ligne, en faisant défiler la fenêtre virtuelle si besoin.
+     */
+    focusRow(index) {
+        if (!this.products.length) return;
+        const prod = this.products[Math.max(0, Math.min(index, this.products.length - 1))];
+        this._focusedProductId = prod.id;
+        this._focusPending = true;
+
+        // Une variante affichée en matrice est rendue dans le bloc de son parent
+        const target = this.displayRows.findIndex(r => r.id === prod.id || (r.isVariantBlock && r.parentId === prod.variationParentId));
+        const w = this.virtualWindow;
+        if (target !== -1 && (target < w.start + VIRTUAL_BUFFER_ROWS || target >= w.end - VIRTUAL_BUFFER_ROWS)) {
+            const scrollTop = Math.max(0, target * this.rowHeight - Math.floor(this._viewportHeight / 2));
+            const container = this.querySelector('.table-scroll-container');
+            if (container) container.scrollTop = scrollTop;
+            this._scrollTop = scrollTop;
+        }
+        this.restoreQtyFocus();
+    }
+
+    /**
+     * @description Redonne le focus au champ quantité suivi après un rendu (buildGrid, fenêtre virtuelle),
+     * sauf si l'utilisateur a sélectionné autre chose entre-temps. Un déplacement clavier (focusRow) vers une ligne
+     * pas encore rendue reste en attente jusqu'au rendu suivant.
+     */
+    restoreQtyFocus() {
+        if (!this._focusedProductId) return;
+        const input = this.querySelector(`input.qty-input-field[data-id="${this._focusedProductId}"]`);
+        if (!input) return;
+        const active = document.activeElement;
+        if (input !== active && !this._focusPending && active && active !== document.body) return;
+        this._focusPending = false;
+        if (input === active) return;
+        input.focus();
+        if (input.select) input.select();
+    }
+
     handleQtyChange(event) {
         const prodId = event.target.dataset.id;
+        this._editedProductId = null;
         let val = parseFloat(event.target.value);
         if (isNaN(val)) val = 0;
         this.updateQty(prodId, val);
@@ -581,42 +1741,234 @@ export default class B2bCommerceOrderMatrix extends LightningElement {
 
     updateQty(prodId, rawVal) {
         let newVal = rawVal < 0 ? 0 : rawVal;
+        const before = { ...this.inputQty };
         if (newVal === 0) delete this.inputQty[prodId];
         else this.inputQty[prodId] = String(newVal);
+        const prod = this.productIndex.get(prodId);
+        this.recordHistory(`Quantity: ${prod ? prod.name : prodId}`, before, `qty:${prodId}`);
+        this.buildGrid();
+    }
+
+    // --- ANNULER / RETABLIR ---
+
+    /**
+     * @description Enregistre une étape (saisie avant -> saisie actuelle) dans l'historique.
+     */
+    recordHistory(label, before, mergeKey = null) {
+        this.history = recordStep(this.history, { label, before, after: this.inputQty, mergeKey });
+    }
+
+    handleUndo() {
+        this.applyHistoryResult(undo(this.history), 'Undone');
+    }
+
+    handleRedo() {
+        this.applyHistoryResult(redo(this.history), 'Redone');
+    }
+
+    applyHistoryResult(result, verb) {
+        if (!result) return;
+        this.history = result.history;
+        this.inputQty = result.quantities;
+        this.buildGrid();
+        this.showToast(verb, result.label, 'info');
+    }
+
+    /**
+     * @description Raccourcis Ctrl+Z / Ctrl+Shift+Z (et Ctrl+Y). Les zones de texte libre (recherche, collage,
+     * modèles, assistant) gardent leur annulation native.
+     */
+    handleKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        const key = (event.key || '').toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        const target = event.target;
+        if (target && target.closest && target.closest('.header-search, .paste-panel, .template-panel, .order-panel, c-b2b-ai-assistant')) return;
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) this.handleRedo();
+        else this.handleUndo();
+    }
+
+    handleCartModeChange(event) {
+        this.cartMode = event.detail.value;
+        this.cartPreview = null;
+        // Limites et erreurs des lignes dépendent du mode (getRuleInCart)
         this.buildGrid();
     }
 
     /**
-     * @description Ajoute les produits sélectionnés au panier.
-     * Vérifie les erreurs (stocks, règles) avant d'appeler l'Apex.
-     * Déclenche un rafraîchissement du mini-cart LWR.
+     * @description Quantité panier à déduire du stock et du maximum pour valider une saisie : celle du panier en
+     * mode ADD (la saisie s'y ajoute), aucune en modes SET / REPLACE (la saisie est la quantité panier visée).
+     */
+    getRuleInCart(productId) {
+        return this.cartMode === CART_MODE.ADD ? parseFloat(this.cartDataMap[productId]) || 0 : 0;
+    }
+
+    /**
+     * @description Prépare l'envoi au panier selon le mode choisi (ajout, quantités fixées, panier remplacé).
+     * Vérifie les erreurs (stocks, règles) puis affiche l'aperçu des changements : rien n'est envoyé avant confirmation.
+     * En mode REPLACE, l'aperçu part du panier actif complet (cartDataMap ne couvre que les produits affichés).
      */
     async handleAddToCart() {
         if (this._isPreview || this.isSaving) return;
-        this.isSaving = true;
-        const hasItems = Object.values(this.inputQty).some(val => val && parseFloat(val) > 0);
-        
         if (this.hasErrors) {
             this.showToast('Error', 'Please correct invalid quantities (red fields).', 'error');
-            this.isSaving = false;
             return;
         }
+        let cartQuantities = this.cartDataMap;
+        const cartLineInfo = new Map();
+        if (this.cartMode === CART_MODE.REPLACE) {
+            this.isSaving = true;
+            try {
+                const cartLines = await getActiveCartLines({ communityId: communityId, effectiveAccountId: this.effectiveAccountId });
+                cartQuantities = {};
+                (cartLines || []).forEach(line => {
+                    cartQuantities[line.productId] = parseFloat(line.quantity) || 0;
+                    cartLineInfo.set(line.productId, line);
+                });
+            } catch (error) {
+                this.showToast('Error', error.body?.message || 'Could not load the current cart.', 'error');
+                return;
+            } finally {
+                this.isSaving = false;
+            }
+        }
+        // En mode SET, seuls les produits affichés par la source courante (et ceux ajoutés par l'assistant) sont concernés
+        const scopeIds = [...this.rawProductData.map(p => p.id), ...this.assistantAddedIds];
+        const plan = buildCartPlan(this.cartMode, { inputQty: this.inputQty, cartQuantities, scopeIds });
+        if (!plan.lines.length) {
+            const message = this.cartMode === CART_MODE.ADD ? 'Please select at least one item.' : 'The cart already matches your selection.';
+            this.showToast('Warning', message, 'warning');
+            return;
+        }
+        const { add, increase, decrease, remove } = plan.summary;
+        const parts = [];
+        if (add) parts.push(`${add} new`);
+        if (increase) parts.push(`${increase} increased`);
+        if (decrease) parts.push(`${decrease} decreased`);
+        if (remove) parts.push(`${remove} removed`);
+        this.cartPreview = {
+            mode: plan.mode,
+            items: plan.items,
+            summaryText: `${plan.lines.length} cart line${plan.lines.length === 1 ? '' : 's'} will change: ${parts.join(', ')}.`,
+            confirmLabel: this.addToCartLabel,
+            lines: plan.lines.map(line => {
+                const product = this.productIndex.get(line.productId) || cartLineInfo.get(line.productId);
+                return {
+                    ...line,
+                    key: line.productId,
+                    sku: product ? product.sku : '',
+                    name: product ? product.name : line.productId,
+                    changeLabel: formatCartChange(line.change),
+                    changeClass: `cart-change cart-change_${line.change}`
+                };
+            })
+        };
+    }
 
-        if (!hasItems) { this.showToast('Warning', 'Please select at least one item.', 'warning'); this.isSaving = false; return; }
-        
+    async handleConfirmCartPreview() {
+        if (!this.cartPreview) return;
+        const { mode, items } = this.cartPreview;
+        this.cartPreview = null;
+        await this.commitCartPlan(mode, items);
+    }
+
+    handleCancelCartPreview() {
+        this.cartPreview = null;
+    }
+
+    /**
+     * @description Renvoie au panier uniquement les lignes refusées lors du dernier envoi (et toujours saisies),
+     * dans le mode de cet envoi, avec la quantité saisie actuelle (à défaut, celle de l'envoi refusé).
+     */
+    async handleRetryFailedCartLines() {
+        const items = {};
+        this.failedCartLineIds.forEach(pId => { items[pId] = parseFloat(this.inputQty[pId]) || parseFloat(this.cartLineIssues[pId].requested); });
+        await this.commitCartPlan(this._lastCartMode, items);
+    }
+
+    /**
+     * @description Envoi au panier ligne à ligne (c/b2bCartSubmission) : addItemsToCart en mode ADD, setCartQuantities sinon.
+     * Seules les lignes traitées (ou plafonnées) quittent la saisie ; les lignes refusées restent saisies et sont
+     * signalées dans la grille avec leur raison.
+     * @param items { productId: quantité } à ajouter (ADD) ou quantité panier visée (SET / REPLACE).
+     */
+    async commitCartPlan(mode, items) {
+        if (this._isPreview || this.isSaving || !Object.keys(items).length) return;
+        this.isSaving = true;
+        this._lastCartMode = mode;
         try {
-            const itemsMap = {};
-            for (const [pId, qtyStr] of Object.entries(this.inputQty)) { const qty = parseFloat(qtyStr); if (qty > 0) itemsMap[pId] = qty; }
-            await addItemsToCart({ communityId: communityId, effectiveAccountId: this.effectiveAccountId, itemsMap: itemsMap });
-            for (const [pId, qty] of Object.entries(itemsMap)) { this.cartDataMap[pId] = (parseFloat(this.cartDataMap[pId] || 0) + qty); }
-            this.inputQty = {};
+            const send = mode === CART_MODE.ADD
+                ? (chunk) => addItemsToCart({ communityId: communityId, effectiveAccountId: this.effectiveAccountId, itemsMap: chunk })
+                : (chunk) => setCartQuantities({ communityId: communityId, effectiveAccountId: this.effectiveAccountId, quantities: chunk });
+            const { results, summary, hasErrors } = await submitCartItems(items, send, mode === CART_MODE.ADD ? {} : { chunkSize: CART_SET_CHUNK_SIZE });
+
+            const inputQty = { ...this.inputQty };
+            const cartLineIssues = { ...this.cartLineIssues };
+            const cartDataMap = { ...this.cartDataMap };
+            results.forEach(line => {
+                delete cartLineIssues[line.productId];
+                if (line.status === CART_LINE_STATUS.REJECTED) {
+                    cartLineIssues[line.productId] = { status: line.status, message: line.message, requested: line.requested };
+                    return;
+                }
+                cartDataMap[line.productId] = mode === CART_MODE.ADD
+                    ? parseFloat(cartDataMap[line.productId] || 0) + line.quantity
+                    : line.quantity;
+                delete inputQty[line.productId];
+                if (line.status === CART_LINE_STATUS.CAPPED) cartLineIssues[line.productId] = { status: line.status, message: line.message, requested: line.requested };
+            });
+            this.cartDataMap = cartDataMap;
+            this.inputQty = inputQty;
+            this.cartLineIssues = cartLineIssues;
+
+            const succeeded = summary.total - summary.rejected;
+            if (succeeded > 0) this.history = createHistory();
             this.buildGrid(); 
-            this.showToast('Success', 'Items added to cart.', 'success');
-            await refreshCartSummary();
-            this.dispatchEvent(new CustomEvent('cartchanged'));
-        } catch (error) { this.showToast('Error', error.body?.message || 'Error adding to cart.', 'error'); this.fetchCartDataAndRebuild(false); } 
+            this.flushDraftSave();
+            const toast = describeCartSummary(summary, mode);
+            this.showToast(toast.title, toast.message, toast.variant);
+            if (succeeded > 0) {
+                await refreshCartSummary();
+                this.dispatchEvent(new CustomEvent('cartchanged'));
+            }
+            // Un appel en échec a pu traiter une partie des lignes : quantités panier resynchronisées
+            if (hasErrors) this.fetchCartDataAndRebuild(true);
+        } catch (error) { this.showToast('Error', error.body?.message || 'Error updating the cart.', 'error'); this.fetchCartDataAndRebuild(false); } 
         finally { this.isSaving = false; }
     }
 
+    /**
+     * @description Export de la vue filtrée (products) ou de la sélection en cours (toutes sources), en CSV ou XLSX.
+     * La valeur du menu est de la forme "<portée>:<format>" (ex: "view:csv", "selection:xlsx").
+     */
+    handleExportSelect(event) {
+        const [scope, format] = event.detail.value.split(':');
+        const rows = scope === EXPORT_SCOPE_SELECTION ? this.getSelectionRows() : this.products;
+        if (!rows.length) {
+            this.showToast('Warning', 'Nothing to export.', 'warning');
+            return;
+        }
+        try {
+            const result = exportRows(rows, format === EXPORT_FORMAT.XLSX ? EXPORT_FORMAT.XLSX : EXPORT_FORMAT.CSV, {
+                prefix: scope === EXPORT_SCOPE_SELECTION ? 'quick-order-selection' : 'quick-order'
+            });
+            this.showToast('Success', `${result.rowCount} lines exported to ${result.fileName}.`, 'success');
+        } catch (error) {
+            console.error('Export error', error);
+            this.showToast('Error', 'Export failed.', 'error');
+        }
+    }
+
+    /**
+     * @description Lignes de grille des produits ayant une quantité en attente, indépendamment des filtres.
+     */
+    getSelectionRows() {
+        const configKey = `${this.lowStockThreshold}|${this.showStockQuantity}|${this.cartMode}`;
+        return Object.keys(this.inputQty)
+            .filter(pId => parseFloat(this.inputQty[pId]) > 0 && this.productIndex.has(pId))
+            .map(pId => this.getGridRow(this.productIndex.get(pId), configKey));
+    }
+
     showToast(title, message, variant) { this.dispatchEvent(new ShowToastEvent({ title, message, variant })); }
 }
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { DRAFT_MAX_AGE_MS, getDraftKey, saveDraft, loadDraft, clearDraft, reconcileDraft } from 'c/b2bDraftStore';
+
+const STORE = '0ZE000000000001';
+const ACCOUNT = '001000000000001';
+const NOW = 1767225600000;
+
+describe('c/b2bDraftStore', () => {
+    afterEach(() => {
+        window.localStorage.clear();
+    });
+
+    it('stores one draft per webstore and account', () => {
+        expect(saveDraft(STORE, ACCOUNT, [{ productId: '01tA', sku: 'A', quantity: 2 }], 'catalog', NOW)).toBe(true);
+        expect(loadDraft(STORE, ACCOUNT, NOW)).toEqual({ savedAt: NOW, sourceValue: 'catalog', items: [{ productId: '01tA', sku: 'A', quantity: 2 }] });
+        expect(loadDraft(STORE, '001000000000002', NOW)).toBeNull();
+        expect(getDraftKey(STORE, null)).toBeNull();
+    });
+
+    it('removes the draft when the selection is emptied or cleared', () => {
+        saveDraft(STORE, ACCOUNT, [{ productId: '01tA', quantity: 2 }], null, NOW);
+        expect(saveDraft(STORE, ACCOUNT, [{ productId: '01tA', quantity: 0 }], null, NOW)).toBe(false);
+        expect(loadDraft(STORE, ACCOUNT, NOW)).toBeNull();
+
+        saveDraft(STORE, ACCOUNT, [{ productId: '01tA', quantity: 2 }], null, NOW);
+        clearDraft(STORE, ACCOUNT);
+        expect(window.localStorage.getItem(getDraftKey(STORE, ACCOUNT))).toBeNull();
+    });
+
+    it('discards expired or corrupted drafts', () => {
+        saveDraft(STORE, ACCOUNT, [{ productId: '01tA', quantity: 2 }], null, NOW);
+        expect(loadDraft(STORE, ACCOUNT, NOW + DRAFT_MAX_AGE_MS + 1)).toBeNull();
+        expect(window.localStorage.getItem(getDraftKey(STORE, ACCOUNT))).toBeNull();
+
+        window.localStorage.setItem(getDraftKey(STORE, ACCOUNT), '{not json');
+        expect(loadDraft(STORE, ACCOUNT, NOW)).toBeNull();
+    });
+
+    it('reconciles a draft against the current catalog, remapping by SKU', () => {
+        const products = [{ id: '01tA', sku: 'A-1', name: 'Anchor' }, { id: '01tNEW', sku: 'B-1', name: 'Bolt' }];
+        const productIndex = new Map(products.map(p => [p.id, p]));
+        const result = reconcileDraft({
+            items: [
+                { productId: '01tA', sku: 'A-1', quantity: 3 },
+                { productId: '01tOLD', sku: 'b-1', name: 'Bolt', quantity: 4 },
+                { productId: '01tGONE', sku: 'Z-9', name: 'Discontinued', quantity: 1 }
+            ]
+        }, productIndex, products);
+
+        expect(result.quantities).toEqual({ '01tA': '3', '01tNEW': '4' });
+        expect(result.restoredCount).toBe(2);
+        expect(result.remapped).toEqual([{ sku: 'B-1', name: 'Bolt' }]);
+        expect(result.unavailable.map(l => l.label)).toEqual(['Discontinued (Z-9)']);
+    });
+});
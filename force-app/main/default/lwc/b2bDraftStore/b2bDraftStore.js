@@ -0,0 +1,124 @@
+/**
+ * @description Brouillon de la sélection en cours (inputQty), persisté dans le localStorage
+ * par boutique et compte effectif, pour survivre à un rafraîchissement ou une expiration de session.
+ * Les lignes sont stockées avec SKU et nom ([{ productId, sku, name, quantity }]) afin de pouvoir
+ * rapprocher un brouillon d'un catalogue qui a changé entre-temps (reconcileDraft).
+ */
+
+const STORAGE_PREFIX = 'b2bOrderMatrix.draft';
+const DRAFT_VERSION = 1;
+
+export const DRAFT_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+function getStorage() {
+    try {
+        return window.localStorage || null;
+    } catch {
+        // Stockage bloqué (navigation privée, politique de cookies) : pas de brouillon.
+        return null;
+    }
+}
+
+/**
+ * @description Clé de stockage du brouillon (une par boutique et compte).
+ */
+export function getDraftKey(webstoreId, effectiveAccountId) {
+    if (!webstoreId || !effectiveAccountId) return null;
+    return `${STORAGE_PREFIX}.${webstoreId}.${effectiveAccountId}`;
+}
+
+/**
+ * @description Enregistre le brouillon ; une sélection vide supprime le brouillon existant.
+ * @param items Lignes [{ productId, sku, name, quantity }].
+ * @param sourceValue Source affichée au moment de la saisie (information seulement).
+ * @return true si le brouillon a été écrit.
+ */
+export function saveDraft(webstoreId, effectiveAccountId, items, sourceValue = null, now = Date.now()) {
+    const key = getDraftKey(webstoreId, effectiveAccountId);
+    const storage = getStorage();
+    if (!key || !storage) return false;
+    const lines = (items || []).filter(item => item.productId && (parseFloat(item.quantity) || 0) > 0);
+    try {
+        if (!lines.length) {
+            storage.removeItem(key);
+            return false;
+        }
+        storage.setItem(key, JSON.stringify({ version: DRAFT_VERSION, savedAt: now, sourceValue, items: lines }));
+        return true;
+    } catch {
+        // Quota dépassé : le brouillon précédent reste en place.
+        return false;
+    }
+}
+
+/**
+ * @description Lit le brouillon du compte. Un brouillon illisible, d'une autre version ou trop ancien est supprimé.
+ * @return { savedAt, sourceValue, items } ou null.
+ */
+export function loadDraft(webstoreId, effectiveAccountId, now = Date.now()) {
+    const key = getDraftKey(webstoreId, effectiveAccountId);
+    const storage = getStorage();
+    if (!key || !storage) return null;
+    let draft = null;
+    try {
+        draft = JSON.parse(storage.getItem(key));
+    } catch {
+        draft = null;
+    }
+    const isValid = draft && draft.version === DRAFT_VERSION && Array.isArray(draft.items) && draft.items.length > 0
+        && typeof draft.savedAt === 'number' && now - draft.savedAt <= DRAFT_MAX_AGE_MS;
+    if (!isValid) {
+        clearDraft(webstoreId, effectiveAccountId);
+        return null;
+    }
+    return { savedAt: draft.savedAt, sourceValue: draft.sourceValue || null, items: draft.items };
+}
+
+export function clearDraft(webstoreId, effectiveAccountId) {
+    const key = getDraftKey(webstoreId, effectiveAccountId);
+    const storage = getStorage();
+    if (!key || !storage) return;
+    try {
+        storage.removeItem(key);
+    } catch {
+        // Rien à nettoyer.
+    }
+}
+
+/**
+ * @description Rapproche un brouillon du catalogue actuel.
+ * Un produit dont l'Id a disparu est retrouvé par son SKU (produit recréé) ; sinon il est listé comme indisponible.
+ * @param productIndex Map id -> produit.
+ * @param products Catalogue complet (pour l'index par SKU).
+ * @return { quantities: { productId: 'qty' }, restoredCount, remapped: [{ sku, name }], unavailable: [{ key, productId, sku, name, quantity, label }] }
+ */
+export function reconcileDraft(draft, productIndex, products = []) {
+    const skuIndex = new Map();
+    products.forEach(p => { if (p.sku) skuIndex.set(String(p.sku).toLowerCase(), p); });
+
+    const quantities = {};
+    const remapped = [];
+    const unavailable = [];
+    (draft && draft.items ? draft.items : []).forEach(item => {
+        const quantity = parseFloat(item.quantity) || 0;
+        if (quantity <= 0) return;
+        let product = productIndex ? productIndex.get(item.productId) : null;
+        if (!product && item.sku) {
+            product = skuIndex.get(String(item.sku).toLowerCase()) || null;
+            if (product) remapped.push({ sku: product.sku, name: product.name });
+        }
+        if (product) {
+            quantities[product.id] = String((parseFloat(quantities[product.id]) || 0) + quantity);
+        } else {
+            unavailable.push({
+                key: item.productId,
+                productId: item.productId,
+                sku: item.sku || null,
+                name: item.name || null,
+                quantity,
+                label: item.name ? `${item.name}${item.sku ? ` (${item.sku})` : ''}` : (item.sku || item.productId)
+            });
+        }
+    });
+    return { quantities, restoredCount: Object.keys(quantities).length, remapped, unavailable };
+}
@@ -0,0 +1,125 @@
+import { TextEncoder, TextDecoder } from 'util';
+import {
+    EXPORT_FORMAT,
+    EXPORT_COLUMNS,
+    buildExportRecords,
+    toCsv,
+    columnLetter,
+    crc32,
+    createZip,
+    toXlsx,
+    buildFileName,
+    exportRows
+} from 'c/b2bExportService';
+
+global.TextEncoder = TextEncoder;
+
+const rows = [
+    {
+        sku: 'SKU-1',
+        name: 'Bolt, "heavy"',
+        variationInfo: 'Color: Red, Size: M',
+        stockLabel: 'Low Stock',
+        qtyValue: '12',
+        cartQty: 3,
+        lineTotal: 108,
+        currencyCode: 'EUR',
+        priceBreakdown: { unitPrice: 9, listPrice: 12, activeTier: { min: 10, max: null } }
+    },
+    {
+        sku: 'SKU-2',
+        name: 'Nut <M8> & co',
+        variationInfo: '',
+        stockLabel: 'In Stock',
+        qtyValue: '',
+        cartQty: null,
+        lineTotal: 0,
+        currencyCode: 'EUR',
+        priceBreakdown: { unitPrice: 1.5, listPrice: 1.5, activeTier: null }
+    }
+];
+
+const decoder = new TextDecoder();
+
+/**
+ * Relit une archive ZIP « stored » via son répertoire central.
+ */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = {};
+    for (let i = 0; i < count; i++) {
+        expect(view.getUint32(offset, true)).toBe(0x02014b50);
+        const crc = view.getUint32(offset + 16, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+        const data = bytes.subarray(dataStart, dataStart + size);
+        expect(crc32(data)).toBe(crc);
+        files[name] = decoder.decode(data);
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+describe('c/b2bExportService', () => {
+    it('maps grid rows to the fixed export layout', () => {
+        const [first, second] = buildExportRecords(rows);
+        expect(first).toEqual({
+            sku: 'SKU-1', name: 'Bolt, "heavy"', specs: 'Color: Red, Size: M', stock: 'Low Stock',
+            unitPrice: 9, listPrice: 12, activeTier: '10+', quantity: 12, inCart: 3, lineTotal: 108, currencyCode: 'EUR'
+        });
+        expect(second).toMatchObject({ quantity: 0, inCart: 0, activeTier: '', lineTotal: 0 });
+        expect(Object.keys(first)).toEqual(EXPORT_COLUMNS.map(c => c.key));
+    });
+
+    it('writes a CSV with a BOM, the header row and escaped values', () => {
+        const csv = toCsv(buildExportRecords(rows));
+        const lines = csv.split('\r\n');
+        expect(csv.charCodeAt(0)).toBe(0xFEFF);
+        expect(lines[0].substring(1)).toBe(EXPORT_COLUMNS.map(c => c.header).join(','));
+        expect(lines[1]).toBe('SKU-1,"Bolt, ""heavy""","Color: Red, Size: M",Low Stock,9,12,10+,12,3,108,EUR');
+        expect(lines).toHaveLength(4);
+    });
+
+    it('computes column letters and the ZIP CRC-32', () => {
+        expect([0, 25, 26, 27, 701, 702].map(columnLetter)).toEqual(['A', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+        expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+    });
+
+    it('round-trips files through the stored ZIP writer', () => {
+        const files = readZip(createZip([{ name: 'a.txt', content: 'héllo' }, { name: 'dir/b.txt', content: '' }]));
+        expect(files).toEqual({ 'a.txt': 'héllo', 'dir/b.txt': '' });
+    });
+
+    it('builds a workbook with typed and escaped cells', () => {
+        const files = readZip(toXlsx(buildExportRecords(rows)));
+        expect(Object.keys(files)).toEqual([
+            '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/worksheets/sheet1.xml'
+        ]);
+        const sheet = files['xl/worksheets/sheet1.xml'];
+        expect(sheet).toContain('<dimension ref="A1:K3"/>');
+        expect(sheet).toContain('<c r="E2" s="2"><v>9</v></c>');
+        expect(sheet).toContain('<c r="H2"><v>12</v></c>');
+        expect(sheet).toContain('Nut &lt;M8&gt; &amp; co');
+        expect(sheet).not.toContain('<c r="G3"');
+    });
+
+    it('downloads the file with a dated name', () => {
+        URL.createObjectURL = jest.fn(() => 'blob:export');
+        URL.revokeObjectURL = jest.fn();
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        const date = new Date(2026, 2, 4);
+
+        expect(buildFileName('quick-order', EXPORT_FORMAT.CSV, date)).toBe('quick-order-2026-03-04.csv');
+        expect(exportRows(rows, EXPORT_FORMAT.XLSX, { date })).toEqual({ fileName: 'quick-order-2026-03-04.xlsx', rowCount: 2 });
+        expect(click).toHaveBeenCalledTimes(1);
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+        click.mockRestore();
+    });
+});
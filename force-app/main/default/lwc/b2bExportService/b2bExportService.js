@@ -0,0 +1,327 @@
+/**
+ * @description Export de la vue courante de la grille (CSV et XLSX générés dans le navigateur).
+ * Le format de colonnes est fixe (EXPORT_COLUMNS) : les achats comparent les exports entre eux,
+ * l'ordre et les libellés ne doivent donc pas dépendre de l'affichage.
+ * Le XLSX est un classeur OOXML minimal (chaînes inline, une feuille) empaqueté dans un ZIP non compressé.
+ */
+
+export const EXPORT_FORMAT = {
+    CSV: 'csv',
+    XLSX: 'xlsx'
+};
+
+export const EXPORT_COLUMNS = [
+    { key: 'sku', header: 'SKU' },
+    { key: 'name', header: 'Product Name' },
+    { key: 'specs', header: 'Variation' },
+    { key: 'stock', header: 'Availability' },
+    { key: 'unitPrice', header: 'Unit Price', isNumber: true, isMoney: true },
+    { key: 'listPrice', header: 'List Price', isNumber: true, isMoney: true },
+    { key: 'activeTier', header: 'Active Tier' },
+    { key: 'quantity', header: 'Pending Quantity', isNumber: true },
+    { key: 'inCart', header: 'In Cart', isNumber: true },
+    { key: 'lineTotal', header: 'Line Total', isNumber: true, isMoney: true },
+    { key: 'currencyCode', header: 'Currency' }
+];
+
+const MIME_TYPES = {
+    [EXPORT_FORMAT.CSV]: 'text/csv;charset=utf-8',
+    [EXPORT_FORMAT.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+function formatTier(tier) {
+    if (!tier) return '';
+    return tier.max ? `${tier.min}-${tier.max}` : `${tier.min}+`;
+}
+
+/**
+ * @description Convertit les lignes de grille (buildGridRow) en enregistrements d'export.
+ * @return Array d'objets indexés par EXPORT_COLUMNS[].key
+ */
+export function buildExportRecords(rows) {
+    return (rows || []).map(row => {
+        const breakdown = row.priceBreakdown || {};
+        const quantity = parseFloat(row.qtyValue) || 0;
+        return {
+            sku: row.sku || '',
+            name: row.name || '',
+            specs: row.variationInfo || '',
+            stock: row.stockLabel || '',
+            unitPrice: breakdown.unitPrice != null ? breakdown.unitPrice : (parseFloat(row.displayUnitPrice) || 0),
+            listPrice: breakdown.listPrice != null ? breakdown.listPrice : (parseFloat(row.displayListPrice) || 0),
+            activeTier: formatTier(breakdown.activeTier),
+            quantity,
+            inCart: parseFloat(row.cartQty) || 0,
+            lineTotal: quantity > 0 ? (row.lineTotal || 0) : 0,
+            currencyCode: row.currencyCode || breakdown.currencyCode || ''
+        };
+    });
+}
+
+// --- CSV ---
+
+function escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @description Génère le CSV (séparateur virgule, fins de ligne CRLF, BOM UTF-8 pour Excel).
+ */
+export function toCsv(records) {
+    const lines = [EXPORT_COLUMNS.map(c => escapeCsv(c.header)).join(',')];
+    (records || []).forEach(record => {
+        lines.push(EXPORT_COLUMNS.map(c => escapeCsv(record[c.key])).join(','));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// --- XLSX ---
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // eslint-disable-next-line no-control-regex -- retire les caractères de contrôle interdits en XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * @description Lettre(s) de colonne Excel (0 -> A, 26 -> AA).
+ */
+export function columnLetter(index) {
+    let letters = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+function buildCell(value, column, ref, styleId) {
+    const style = styleId ? ` s="${styleId}"` : '';
+    if (column.isNumber && typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    if (value === null || value === undefined || value === '') return '';
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function buildSheetXml(records) {
+    const header = EXPORT_COLUMNS.map((c, i) => buildCell(c.header, { isNumber: false }, `${columnLetter(i)}1`, 1)).join('');
+    const rows = [`<row r="1">${header}</row>`];
+    records.forEach((record, r) => {
+        const rowNumber = r + 2;
+        const cells = EXPORT_COLUMNS.map((c, i) => buildCell(record[c.key], c, `${columnLetter(i)}${rowNumber}`, c.isMoney ? 2 : 0)).join('');
+        rows.push(`<row r="${rowNumber}">${cells}</row>`);
+    });
+    const lastRef = `${columnLetter(EXPORT_COLUMNS.length - 1)}${records.length + 1}`;
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<dimension ref="A1:${lastRef}"/>`
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${rows.join('')}</sheetData>`
+        + `<autoFilter ref="A1:${lastRef}"/>`
+        + '</worksheet>';
+}
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="3">'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '</cellXfs>'
+    + '</styleSheet>';
+
+function buildWorkbookFiles(records, sheetName) {
+    const safeSheetName = escapeXml(String(sheetName || 'Quick Order').replace(/[\\/?*[\]:]/g, ' ').substring(0, 31));
+    return [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>`
+                + '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+                + '</Relationships>'
+        },
+        { name: 'xl/styles.xml', content: STYLES_XML },
+        { name: 'xl/worksheets/sheet1.xml', content: buildSheetXml(records) }
+    ];
+}
+
+// --- ZIP (entrées stockées, sans compression) ---
+
+let crcTable = null;
+
+function getCrcTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+/**
+ * @description CRC-32 (polynôme ZIP) d'un tableau d'octets.
+ */
+export function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * @description Construit une archive ZIP (méthode 0 « stored ») à partir de fichiers texte ou binaires.
+ * @param files Array [{ name, content }] content = String (UTF-8) ou Uint8Array.
+ * @return Uint8Array
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(date);
+    const entries = files.map(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        return { nameBytes, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.nameBytes.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.nameBytes.length, 0);
+    const buffer = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(buffer.buffer);
+    let offset = 0;
+
+    const writeHeader = (signature, entry, isCentral, localOffset) => {
+        view.setUint32(offset, signature, true); offset += 4;
+        if (isCentral) { view.setUint16(offset, 20, true); offset += 2; }
+        view.setUint16(offset, 20, true); offset += 2;          // version needed
+        view.setUint16(offset, 0x0800, true); offset += 2;      // flags : noms en UTF-8
+        view.setUint16(offset, 0, true); offset += 2;           // méthode : stored
+        view.setUint16(offset, time, true); offset += 2;
+        view.setUint16(offset, day, true); offset += 2;
+        view.setUint32(offset, entry.crc, true); offset += 4;
+        view.setUint32(offset, entry.data.length, true); offset += 4;
+        view.setUint32(offset, entry.data.length, true); offset += 4;
+        view.setUint16(offset, entry.nameBytes.length, true); offset += 2;
+        view.setUint16(offset, 0, true); offset += 2;           // extra
+        if (isCentral) {
+            view.setUint16(offset, 0, true); offset += 2;       // commentaire
+            view.setUint16(offset, 0, true); offset += 2;       // disque
+            view.setUint16(offset, 0, true); offset += 2;       // attributs internes
+            view.setUint32(offset, 0, true); offset += 4;       // attributs externes
+            view.setUint32(offset, localOffset, true); offset += 4;
+        }
+        buffer.set(entry.nameBytes, offset); offset += entry.nameBytes.length;
+    };
+
+    const localOffsets = entries.map(entry => {
+        const start = offset;
+        writeHeader(0x04034b50, entry, false);
+        buffer.set(entry.data, offset); offset += entry.data.length;
+        return start;
+    });
+
+    const centralStart = offset;
+    entries.forEach((entry, i) => writeHeader(0x02014b50, entry, true, localOffsets[i]));
+
+    view.setUint32(offset, 0x06054b50, true); offset += 4;
+    view.setUint16(offset, 0, true); offset += 2;
+    view.setUint16(offset, 0, true); offset += 2;
+    view.setUint16(offset, entries.length, true); offset += 2;
+    view.setUint16(offset, entries.length, true); offset += 2;
+    view.setUint32(offset, centralSize, true); offset += 4;
+    view.setUint32(offset, centralStart, true); offset += 4;
+    view.setUint16(offset, 0, true);
+
+    return buffer;
+}
+
+/**
+ * @description Génère le classeur XLSX (octets) pour les enregistrements d'export.
+ */
+export function toXlsx(records, { sheetName, date } = {}) {
+    return createZip(buildWorkbookFiles(records || [], sheetName), date);
+}
+
+// --- TÉLÉCHARGEMENT ---
+
+/**
+ * @description Nom de fichier daté : quick-order-2026-03-14.csv
+ */
+export function buildFileName(prefix, format, date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return `${prefix || 'export'}-${stamp}.${format}`;
+}
+
+/**
+ * @description Déclenche le téléchargement d'un contenu généré côté client.
+ */
+export function downloadFile(content, fileName, format) {
+    const blob = new Blob([content], { type: MIME_TYPES[format] || 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * @description Point d'entrée unique : lignes de grille -> fichier téléchargé.
+ * @return { fileName, rowCount }
+ */
+export function exportRows(rows, format, { prefix = 'quick-order', date = new Date() } = {}) {
+    const records = buildExportRecords(rows);
+    const content = format === EXPORT_FORMAT.XLSX ? toXlsx(records, { date }) : toCsv(records);
+    const fileName = buildFileName(prefix, format === EXPORT_FORMAT.XLSX ? EXPORT_FORMAT.XLSX : EXPORT_FORMAT.CSV, date);
+    downloadFile(content, fileName, format);
+    return { fileName, rowCount: records.length };
+}
@@ -0,0 +1,111 @@
+import {
+    SORT_FIELD,
+    SORT_DIRECTION,
+    STOCK_STATUS,
+    createSortState,
+    createFilterState,
+    toggleSort,
+    parseVariationInfo,
+    countActiveFilters,
+    applyFilters,
+    buildFacets,
+    sortRows
+} from 'c/b2bGridFilters';
+
+const row = (overrides = {}) => ({
+    id: overrides.name,
+    variationInfo: '',
+    stockStatus: STOCK_STATUS.IN,
+    availableQty: 100,
+    priceBreakdown: { unitPrice: 10 },
+    qtyValue: '',
+    cartQty: null,
+    promoName: null,
+    ...overrides
+});
+
+const rows = [
+    row({ name: 'Bolt', variationInfo: 'Color: Red, Size: M', availableQty: 5, stockStatus: STOCK_STATUS.LOW, priceBreakdown: { unitPrice: 3 }, qtyValue: '4' }),
+    row({ name: 'anchor', variationInfo: 'Color: Blue, Size: M', availableQty: 0, stockStatus: STOCK_STATUS.OUT, promoName: 'Spring' }),
+    row({ name: 'Clamp', variationInfo: 'Color: Red, Size: L', priceBreakdown: { unitPrice: 25 }, cartQty: 2 }),
+    row({ name: 'Drill' })
+];
+
+const names = (list) => list.map(r => r.name);
+
+describe('c/b2bGridFilters', () => {
+    describe('parseVariationInfo', () => {
+        it('splits labelled attributes and skips unlabelled segments', () => {
+            expect(parseVariationInfo('Color: Red, Size: M, Loose')).toEqual([
+                { name: 'Color', value: 'Red' },
+                { name: 'Size', value: 'M' }
+            ]);
+            expect(parseVariationInfo(null)).toEqual([]);
+        });
+    });
+
+    describe('sortRows', () => {
+        it('sorts by name case-insensitively by default without mutating the input', () => {
+            const copy = [...rows];
+            expect(names(sortRows(rows, createSortState()))).toEqual(['anchor', 'Bolt', 'Clamp', 'Drill']);
+            expect(rows).toEqual(copy);
+        });
+
+        it('sorts by availability, price and quantity with the name as tie-breaker', () => {
+            expect(names(sortRows(rows, { field: SORT_FIELD.AVAILABILITY, direction: SORT_DIRECTION.ASC }))).toEqual(['anchor', 'Bolt', 'Clamp', 'Drill']);
+            expect(names(sortRows(rows, { field: SORT_FIELD.PRICE, direction: SORT_DIRECTION.DESC }))).toEqual(['Clamp', 'anchor', 'Drill', 'Bolt']);
+            expect(names(sortRows(rows, { field: SORT_FIELD.QUANTITY, direction: SORT_DIRECTION.DESC }))).toEqual(['Bolt', 'Clamp', 'anchor', 'Drill']);
+        });
+
+        it('flips the direction on the same column and resets it on a new one', () => {
+            const desc = toggleSort(createSortState(), SORT_FIELD.NAME);
+            expect(desc).toEqual({ field: SORT_FIELD.NAME, direction: SORT_DIRECTION.DESC });
+            expect(toggleSort(desc, SORT_FIELD.PRICE)).toEqual({ field: SORT_FIELD.PRICE, direction: SORT_DIRECTION.ASC });
+        });
+    });
+
+    describe('applyFilters', () => {
+        it('returns the same list when nothing is active', () => {
+            expect(applyFilters(rows, createFilterState())).toBe(rows);
+        });
+
+        it('ORs values within an attribute and ANDs across attributes', () => {
+            const state = { ...createFilterState(), attributes: { Color: ['Red', 'Blue'], Size: ['M'] } };
+            expect(names(applyFilters(rows, state))).toEqual(['Bolt', 'anchor']);
+        });
+
+        it('filters on stock state, promotion and the selection toggles', () => {
+            expect(names(applyFilters(rows, { ...createFilterState(), stockStatuses: [STOCK_STATUS.IN] }))).toEqual(['Clamp', 'Drill']);
+            expect(names(applyFilters(rows, { ...createFilterState(), promoOnly: true }))).toEqual(['anchor']);
+            expect(names(applyFilters(rows, { ...createFilterState(), onlySelected: true }))).toEqual(['Bolt']);
+            expect(names(applyFilters(rows, { ...createFilterState(), onlyInCart: true }))).toEqual(['Clamp']);
+        });
+
+        it('counts active criteria', () => {
+            expect(countActiveFilters({ ...createFilterState(), attributes: { Color: ['Red', 'Blue'] }, onlyInCart: true })).toBe(3);
+        });
+    });
+
+    describe('buildFacets', () => {
+        it('lists attribute values with counts that ignore their own facet', () => {
+            const state = { ...createFilterState(), attributes: { Color: ['Red'] } };
+            const facets = buildFacets(rows, state);
+            const color = facets.attributes.find(f => f.name === 'Color');
+            const size = facets.attributes.find(f => f.name === 'Size');
+            expect(color.values).toEqual(['Red']);
+            expect(color.options.map(o => o.label)).toEqual(['Blue (1)', 'Red (2)']);
+            expect(size.options.map(o => o.label)).toEqual(['L (1)', 'M (1)']);
+        });
+
+        it('keeps a selected value that no longer exists in the source', () => {
+            const state = { ...createFilterState(), attributes: { Finish: ['Matte'] } };
+            const finish = buildFacets(rows, state).attributes.find(f => f.name === 'Finish');
+            expect(finish.options).toEqual([{ label: 'Matte (0)', value: 'Matte', count: 0 }]);
+        });
+
+        it('counts stock states', () => {
+            const facets = buildFacets(rows, createFilterState());
+            expect(facets.stockStatuses.options.map(o => o.count)).toEqual([2, 1, 1]);
+        });
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * @description Tri et filtres à facettes de la grille (sans dépendance UI).
+ * Travaille sur les lignes calculées par b2bCommerceOrderMatrix (buildGridRow) :
+ * name, variationInfo, stockStatus, availableQty, priceBreakdown, qtyValue, cartQty, promoName.
+ * L'état de tri et de filtre est un objet simple, conservé par le composant d'une source à l'autre.
+ */
+
+export const SORT_FIELD = {
+    NAME: 'name',
+    AVAILABILITY: 'availability',
+    PRICE: 'price',
+    QUANTITY: 'quantity'
+};
+
+export const SORT_DIRECTION = {
+    ASC: 'asc',
+    DESC: 'desc'
+};
+
+export const STOCK_STATUS = {
+    IN: 'in',
+    LOW: 'low',
+    OUT: 'out'
+};
+
+const STOCK_STATUS_LABELS = [
+    { value: STOCK_STATUS.IN, label: 'In Stock' },
+    { value: STOCK_STATUS.LOW, label: 'Low Stock' },
+    { value: STOCK_STATUS.OUT, label: 'Out of Stock' }
+];
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * @description Tri par défaut (nom croissant, comme le chargement du catalogue).
+ */
+export function createSortState() {
+    return { field: SORT_FIELD.NAME, direction: SORT_DIRECTION.ASC };
+}
+
+/**
+ * @description État de filtre vide.
+ * attributes = { 'Color': ['Red', 'Blue'] } (OU dans un attribut, ET entre attributs).
+ */
+export function createFilterState() {
+    return { attributes: {}, stockStatuses: [], promoOnly: false, onlySelected: false, onlyInCart: false };
+}
+
+/**
+ * @description Clic sur un en-tête : même colonne = inversion du sens, nouvelle colonne = croissant.
+ */
+export function toggleSort(sortState, field) {
+    if (sortState && sortState.field === field) {
+        return { field, direction: sortState.direction === SORT_DIRECTION.ASC ? SORT_DIRECTION.DESC : SORT_DIRECTION.ASC };
+    }
+    return { field, direction: SORT_DIRECTION.ASC };
+}
+
+/**
+ * @description Découpe variationInfo ("Color: Red, Size: M") en attributs.
+ * @return Array [{ name, value }] (les segments sans libellé sont ignorés).
+ */
+export function parseVariationInfo(variationInfo) {
+    if (!variationInfo) return [];
+    return String(variationInfo).split(', ').reduce((acc, segment) => {
+        const separator = segment.indexOf(':');
+        if (separator > 0) {
+            const name = segment.substring(0, separator).trim();
+            const value = segment.substring(separator + 1).trim();
+            if (name && value) acc.push({ name, value });
+        }
+        return acc;
+    }, []);
+}
+
+function pendingQuantity(row) {
+    return parseFloat(row.qtyValue) || 0;
+}
+
+function cartQuantity(row) {
+    return parseFloat(row.cartQty) || 0;
+}
+
+function unitPrice(row) {
+    if (row.priceBreakdown) return row.priceBreakdown.unitPrice;
+    return parseFloat(row.displayUnitPrice || row.unitPrice) || 0;
+}
+
+/**
+ * @description Nombre de critères actifs (pastille du bouton Filtres).
+ */
+export function countActiveFilters(filterState) {
+    if (!filterState) return 0;
+    let count = 0;
+    Object.values(filterState.attributes || {}).forEach(values => { count += values.length; });
+    count += (filterState.stockStatuses || []).length;
+    if (filterState.promoOnly) count++;
+    if (filterState.onlySelected) count++;
+    if (filterState.onlyInCart) count++;
+    return count;
+}
+
+/**
+ * @description Teste une ligne contre les filtres.
+ * @param skipAttribute Nom d'attribut ignoré (calcul des compteurs de sa propre facette).
+ */
+export function matchesFilters(row, filterState, skipAttribute = null) {
+    const state = filterState || {};
+    if (state.onlySelected && pendingQuantity(row) <= 0) return false;
+    if (state.onlyInCart && cartQuantity(row) <= 0) return false;
+    if (state.promoOnly && !row.promoName) return false;
+    if (state.stockStatuses && state.stockStatuses.length && !state.stockStatuses.includes(row.stockStatus)) return false;
+
+    const attributeFilters = Object.entries(state.attributes || {}).filter(([name, values]) => name !== skipAttribute && values.length);
+    if (attributeFilters.length) {
+        const attributes = parseVariationInfo(row.variationInfo);
+        return attributeFilters.every(([name, values]) => attributes.some(a => a.name === name && values.includes(a.value)));
+    }
+    return true;
+}
+
+/**
+ * @description Filtre une liste de lignes (retourne la liste d'origine si aucun filtre n'est actif).
+ */
+export function applyFilters(rows, filterState) {
+    if (!countActiveFilters(filterState)) return rows;
+    return rows.filter(row => matchesFilters(row, filterState));
+}
+
+/**
+ * @description Construit les facettes disponibles avec leurs compteurs.
+ * Les compteurs d'un attribut tiennent compte de tous les autres filtres (pas de ses propres valeurs),
+ * et une valeur sélectionnée reste proposée même si elle n'a plus de résultat.
+ * @return { attributes: [{ name, values, options[{ label, value, count }] }], stockStatuses: { values, options[] } }
+ */
+export function buildFacets(rows, filterState) {
+    const state = filterState || createFilterState();
+    const attributeCounts = new Map();
+    const ensure = (name) => {
+        if (!attributeCounts.has(name)) attributeCounts.set(name, new Map());
+        return attributeCounts.get(name);
+    };
+
+    rows.forEach(row => {
+        parseVariationInfo(row.variationInfo).forEach(({ name, value }) => {
+            const counts = ensure(name);
+            if (!counts.has(value)) counts.set(value, 0);
+            if (matchesFilters(row, state, name)) counts.set(value, counts.get(value) + 1);
+        });
+    });
+
+    Object.entries(state.attributes || {}).forEach(([name, values]) => {
+        const counts = ensure(name);
+        values.forEach(value => { if (!counts.has(value)) counts.set(value, 0); });
+    });
+
+    const attributes = [...attributeCounts.entries()]
+        .sort((a, b) => collator.compare(a[0], b[0]))
+        .map(([name, counts]) => ({
+            name,
+            values: (state.attributes && state.attributes[name]) || [],
+            options: [...counts.entries()]
+                .sort((a, b) => collator.compare(a[0], b[0]))
+                .map(([value, count]) => ({ label: `${value} (${count})`, value, count }))
+        }));
+
+    const stockFilter = { ...state, stockStatuses: [] };
+    const stockCounts = {};
+    rows.forEach(row => {
+        if (matchesFilters(row, stockFilter)) stockCounts[row.stockStatus] = (stockCounts[row.stockStatus] || 0) + 1;
+    });
+
+    return {
+        attributes,
+        stockStatuses: {
+            values: state.stockStatuses || [],
+            options: STOCK_STATUS_LABELS.map(s => ({ label: `${s.label} (${stockCounts[s.value] || 0})`, value: s.value, count: stockCounts[s.value] || 0 }))
+        }
+    };
+}
+
+function compareRows(field) {
+    switch (field) {
+        case SORT_FIELD.AVAILABILITY: return (a, b) => (a.availableQty || 0) - (b.availableQty || 0);
+        case SORT_FIELD.PRICE: return (a, b) => unitPrice(a) - unitPrice(b);
+        case SORT_FIELD.QUANTITY: return (a, b) => (pendingQuantity(a) - pendingQuantity(b)) || (cartQuantity(a) - cartQuantity(b));
+        default: return () => 0;
+    }
+}
+
+/**
+ * @description Trie les lignes (copie). Le nom sert de critère secondaire, toujours croissant,
+ * pour un ordre stable entre deux reconstructions.
+ */
+export function sortRows(rows, sortState) {
+    const state = sortState || createSortState();
+    const factor = state.direction === SORT_DIRECTION.DESC ? -1 : 1;
+    const primary = compareRows(state.field);
+    const byName = (a, b) => collator.compare(a.name || '', b.name || '');
+
+    if (state.field === SORT_FIELD.NAME) {
+        return [...rows].sort((a, b) => factor * byName(a, b));
+    }
+    return [...rows].sort((a, b) => (factor * primary(a, b)) || byName(a, b));
+}
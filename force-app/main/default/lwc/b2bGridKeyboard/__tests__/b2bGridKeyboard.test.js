@@ -0,0 +1,43 @@
+import { GRID_COMMAND, PAGE_STEPS, TYPE_AHEAD_RESET_MS, resolveGridKey, appendTypeAhead, findSkuMatch, parseQuantityColumn, mapColumnToRows } from 'c/b2bGridKeyboard';
+
+const rows = [
+    { id: '01tA', sku: 'ANC-10' },
+    { id: '01tB', sku: 'BLT-20' },
+    { id: '01tC', sku: 'BLT-30' },
+    { id: '01tD', sku: 'CLP-40' }
+];
+
+describe('c/b2bGridKeyboard', () => {
+    it('maps keys to navigation, step and type-ahead commands', () => {
+        expect(resolveGridKey({ key: 'ArrowDown' })).toEqual({ type: GRID_COMMAND.MOVE, delta: 1 });
+        expect(resolveGridKey({ key: 'Enter', shiftKey: true })).toEqual({ type: GRID_COMMAND.MOVE, delta: -1 });
+        expect(resolveGridKey({ key: '-' })).toEqual({ type: GRID_COMMAND.STEP, direction: 'down', steps: 1 });
+        expect(resolveGridKey({ key: 'PageUp' })).toEqual({ type: GRID_COMMAND.STEP, direction: 'up', steps: PAGE_STEPS });
+        expect(resolveGridKey({ key: 'b' })).toEqual({ type: GRID_COMMAND.TYPE_AHEAD, char: 'b' });
+        expect(resolveGridKey({ key: '7' })).toBeNull();
+        expect(resolveGridKey({ key: 'z', ctrlKey: true })).toBeNull();
+    });
+
+    it('jumps to the next SKU matching the typed prefix', () => {
+        let state = appendTypeAhead(null, 'B', 1000);
+        state = appendTypeAhead(state, 'l', 1200);
+        expect(state.buffer).toBe('bl');
+        expect(findSkuMatch(rows, state.buffer, 0)).toBe(1);
+        expect(findSkuMatch(rows, state.buffer, 2)).toBe(2);
+        expect(findSkuMatch(rows, 'c', 3)).toBe(3);
+        expect(findSkuMatch(rows, '30', 0)).toBe(2);
+        expect(findSkuMatch(rows, 'x', 0)).toBe(-1);
+        expect(appendTypeAhead(state, 'c', 1200 + TYPE_AHEAD_RESET_MS + 1).buffer).toBe('c');
+    });
+
+    it('reads a pasted column of numbers and spreads it over consecutive rows', () => {
+        expect(parseQuantityColumn('3\r\n\r\n2,5\n12 pcs\n')).toEqual([3, 0, 2.5, 12]);
+        expect(parseQuantityColumn('4')).toBeNull();
+        expect(parseQuantityColumn('BLT-20\t4\nCLP-40\t2')).toBeNull();
+        expect(parseQuantityColumn('2\nabc')).toBeNull();
+        expect(mapColumnToRows([1, 2, 3], rows, 2)).toEqual([
+            { productId: '01tC', quantity: 1 },
+            { productId: '01tD', quantity: 2 }
+        ]);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * @description Navigation clavier de la grille de commande, sans dépendance UI : traduction des touches
+ * en commandes (déplacement, pas de quantité, recherche par SKU), recherche "type-ahead" et collage
+ * d'une colonne de nombres sur plusieurs lignes consécutives.
+ */
+import { parseQuantity } from 'c/b2bOrderPadImport';
+
+export const GRID_COMMAND = {
+    MOVE: 'move',
+    STEP: 'step',
+    TYPE_AHEAD: 'typeahead'
+};
+
+// PageUp / PageDown avancent de plusieurs incréments d'un coup
+export const PAGE_STEPS = 10;
+// Délai au-delà duquel une nouvelle frappe démarre une nouvelle recherche de SKU
+export const TYPE_AHEAD_RESET_MS = 800;
+
+/**
+ * @description Commande associée à une touche pressée dans un champ quantité, ou null (comportement natif).
+ * Les chiffres restent une saisie ; les lettres lancent la recherche par SKU.
+ * @return { type: GRID_COMMAND, delta? , direction?, steps?, char? }
+ */
+export function resolveGridKey(event) {
+    if (!event || event.ctrlKey || event.metaKey || event.altKey) return null;
+    switch (event.key) {
+        case 'ArrowDown':
+            return { type: GRID_COMMAND.MOVE, delta: 1 };
+        case 'ArrowUp':
+            return { type: GRID_COMMAND.MOVE, delta: -1 };
+        case 'Enter':
+            return { type: GRID_COMMAND.MOVE, delta: event.shiftKey ? -1 : 1 };
+        case '+':
+            return { type: GRID_COMMAND.STEP, direction: 'up', steps: 1 };
+        case '-':
+            return { type: GRID_COMMAND.STEP, direction: 'down', steps: 1 };
+        case 'PageUp':
+            return { type: GRID_COMMAND.STEP, direction: 'up', steps: PAGE_STEPS };
+        case 'PageDown':
+            return { type: GRID_COMMAND.STEP, direction: 'down', steps: PAGE_STEPS };
+        default:
+            break;
+    }
+    if (typeof event.key === 'string' && /^[a-z]$/i.test(event.key)) {
+        return { type: GRID_COMMAND.TYPE_AHEAD, char: event.key };
+    }
+    return null;
+}
+
+/**
+ * @description Ajoute une frappe au tampon de recherche (remis à zéro après TYPE_AHEAD_RESET_MS).
+ * @return { buffer, at }
+ */
+export function appendTypeAhead(state, char, now = Date.now()) {
+    const expired = !state || now - state.at > TYPE_AHEAD_RESET_MS;
+    return { buffer: `${expired ? '' : state.buffer}${char}`.toLowerCase(), at: now };
+}
+
+/**
+ * @description Index de la première ligne dont le SKU commence par le tampon, en partant de la ligne
+ * courante (incluse) puis en reprenant au début. À défaut, un SKU qui contient le tampon.
+ * @return Number index ou -1.
+ */
+export function findSkuMatch(rows, buffer, startIndex = 0) {
+    const term = String(buffer || '').toLowerCase();
+    const total = (rows || []).length;
+    if (!term || !total) return -1;
+    const start = Math.min(Math.max(0, startIndex), total - 1);
+    const skuAt = (i) => String(rows[i].sku || '').toLowerCase();
+
+    for (const matches of [(sku) => sku.startsWith(term), (sku) => sku.includes(term)]) {
+        for (let offset = 0; offset < total; offset++) {
+            const index = (start + offset) % total;
+            if (matches(skuAt(index))) return index;
+        }
+    }
+    return -1;
+}
+
+/**
+ * @description Lit un collage "colonne de nombres" (une valeur par ligne, cellules vides = 0).
+ * Renvoie null si le texte n'est pas une colonne numérique d'au moins deux lignes :
+ * le collage natif du champ s'applique alors.
+ * @return Number[] ou null.
+ */
+export function parseQuantityColumn(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+    if (lines.length < 2) return null;
+    const values = [];
+    for (const line of lines) {
+        // Plusieurs colonnes : ce n'est pas une colonne de quantités
+        if (line.includes('\t')) return null;
+        const cell = line.trim();
+        const qty = cell ? parseQuantity(cell) : 0;
+        if (qty === null || qty < 0) return null;
+        values.push(qty);
+    }
+    return values;
+}
+
+/**
+ * @description Associe les valeurs collées aux lignes consécutives à partir de startIndex
+ * (les valeurs en excès sont ignorées).
+ * @return [{ productId, quantity }]
+ */
+export function mapColumnToRows(values, rows, startIndex) {
+    return (values || [])
+        .slice(0, Math.max(0, (rows || []).length - startIndex))
+        .map((quantity, offset) => ({ productId: rows[startIndex + offset].id, quantity }));
+}
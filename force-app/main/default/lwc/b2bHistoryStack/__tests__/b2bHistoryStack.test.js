@@ -0,0 +1,48 @@
+import { createHistory, recordStep, canUndo, canRedo, peekLabels, undo, redo, countChanges } from 'c/b2bHistoryStack';
+
+describe('c/b2bHistoryStack', () => {
+    it('undoes and redoes labelled steps in order', () => {
+        let history = createHistory();
+        history = recordStep(history, { label: 'Quantity: Bolt', before: {}, after: { a: '2' } });
+        history = recordStep(history, { label: 'Assistant: added 2 products', before: { a: '2' }, after: { a: '4', b: '1' } });
+        expect(peekLabels(history)).toEqual({ undo: 'Assistant: added 2 products', redo: null });
+
+        const first = undo(history);
+        expect(first.quantities).toEqual({ a: '2' });
+        expect(first.label).toBe('Assistant: added 2 products');
+        const second = undo(first.history);
+        expect(second.quantities).toEqual({});
+        expect(canUndo(second.history)).toBe(false);
+
+        const again = redo(second.history);
+        expect(again.quantities).toEqual({ a: '2' });
+        expect(peekLabels(again.history)).toEqual({ undo: 'Quantity: Bolt', redo: 'Assistant: added 2 products' });
+    });
+
+    it('ignores no-op steps and clears the redo branch on a new step', () => {
+        let history = recordStep(createHistory(), { label: 'A', before: {}, after: { a: '1' } });
+        expect(recordStep(history, { label: 'Same', before: { a: '1' }, after: { a: 1 } })).toBe(history);
+
+        history = undo(history).history;
+        expect(canRedo(history)).toBe(true);
+        history = recordStep(history, { label: 'B', before: {}, after: { b: '1' } });
+        expect(canRedo(history)).toBe(false);
+    });
+
+    it('merges consecutive steps sharing a merge key and keeps snapshots isolated', () => {
+        const input = { a: '1' };
+        let history = recordStep(createHistory(), { label: 'Quantity: Bolt', before: {}, after: input, mergeKey: 'qty:a' });
+        input.a = '99';
+        history = recordStep(history, { label: 'Quantity: Bolt', before: { a: '1' }, after: { a: '3' }, mergeKey: 'qty:a' });
+        expect(history.past).toHaveLength(1);
+        expect(undo(history).quantities).toEqual({});
+        expect(redo(undo(history).history).quantities).toEqual({ a: '3' });
+    });
+
+    it('caps the number of steps and counts changed products', () => {
+        let history = createHistory(2);
+        ['1', '2', '3'].forEach((qty, i) => { history = recordStep(history, { label: `Step ${i}`, before: {}, after: { a: qty } }); });
+        expect(history.past.map(s => s.label)).toEqual(['Step 1', 'Step 2']);
+        expect(countChanges({ a: '1', b: '2' }, { a: '1', b: '3', c: '1' })).toBe(2);
+    });
+});
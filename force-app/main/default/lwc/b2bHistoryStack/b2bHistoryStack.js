@@ -0,0 +1,99 @@
+/**
+ * @description Historique annuler / rétablir des quantités saisies (inputQty), sans dépendance UI.
+ * Chaque étape est atomique et libellée ("Assistant: added 6 products") et conserve une copie
+ * de la saisie avant et après. L'historique est un objet immuable : chaque opération en renvoie un nouveau.
+ */
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * @description Historique vide.
+ */
+export function createHistory(limit = DEFAULT_HISTORY_LIMIT) {
+    return { past: [], future: [], limit };
+}
+
+function sameQuantities(a, b) {
+    const keysA = Object.keys(a);
+    if (keysA.length !== Object.keys(b).length) return false;
+    return keysA.every(key => String(a[key]) === String(b[key]));
+}
+
+/**
+ * @description Nombre de produits dont la quantité diffère entre deux saisies.
+ */
+export function countChanges(before, after) {
+    const ids = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    let count = 0;
+    ids.forEach(id => {
+        if ((parseFloat((before || {})[id]) || 0) !== (parseFloat((after || {})[id]) || 0)) count++;
+    });
+    return count;
+}
+
+/**
+ * @description Enregistre une étape. Une étape sans effet est ignorée, et le "rétablir" est vidé.
+ * @param step { label, before, after, mergeKey? } : deux étapes consécutives de même mergeKey
+ * (ex : +/+/+ sur un même produit) sont fusionnées en une seule.
+ */
+export function recordStep(history, step) {
+    const before = { ...(step.before || {}) };
+    const after = { ...(step.after || {}) };
+    if (sameQuantities(before, after)) return history;
+
+    const last = history.past[history.past.length - 1];
+    let past;
+    if (step.mergeKey && last && last.mergeKey === step.mergeKey && !history.future.length) {
+        past = [...history.past.slice(0, -1), { ...last, label: step.label, after }];
+    } else {
+        past = [...history.past, { label: step.label, before, after, mergeKey: step.mergeKey || null }];
+    }
+    if (past.length > history.limit) past = past.slice(past.length - history.limit);
+    return { ...history, past, future: [] };
+}
+
+export function canUndo(history) {
+    return !!history && history.past.length > 0;
+}
+
+export function canRedo(history) {
+    return !!history && history.future.length > 0;
+}
+
+/**
+ * @description Libellés des prochaines étapes à annuler / rétablir (infobulles des boutons).
+ */
+export function peekLabels(history) {
+    return {
+        undo: canUndo(history) ? history.past[history.past.length - 1].label : null,
+        redo: canRedo(history) ? history.future[history.future.length - 1].label : null
+    };
+}
+
+/**
+ * @description Annule la dernière étape.
+ * @return { history, quantities (saisie à appliquer), label } ou null.
+ */
+export function undo(history) {
+    if (!canUndo(history)) return null;
+    const step = history.past[history.past.length - 1];
+    return {
+        history: { ...history, past: history.past.slice(0, -1), future: [...history.future, step] },
+        quantities: { ...step.before },
+        label: step.label
+    };
+}
+
+/**
+ * @description Rétablit la dernière étape annulée.
+ * @return { history, quantities, label } ou null.
+ */
+export function redo(history) {
+    if (!canRedo(history)) return null;
+    const step = history.future[history.future.length - 1];
+    return {
+        history: { ...history, past: [...history.past, step], future: history.future.slice(0, -1) },
+        quantities: { ...step.after },
+        label: step.label
+    };
+}
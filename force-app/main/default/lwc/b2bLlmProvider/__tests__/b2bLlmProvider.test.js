@@ -0,0 +1,59 @@
+import { PROVIDER_METHODS, UNKNOWN_LANGUAGE, createEinsteinProvider, createScriptedProvider, isProvider, resolveProvider } from 'c/b2bLlmProvider';
+import askEinstein from '@salesforce/apex/B2BCommerceOrderMatrixController.askEinstein';
+import detectLanguage from '@salesforce/apex/B2BCommerceOrderMatrixController.detectLanguage';
+
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.askEinstein', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.analyzeFileWithEinstein', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.explainAdjustmentsWithEinstein', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/B2BCommerceOrderMatrixController.detectLanguage', () => ({ default: jest.fn() }), { virtual: true });
+
+describe('c/b2bLlmProvider', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('delegates the Einstein provider to the Apex methods', async () => {
+        askEinstein.mockResolvedValue({ success: true, response: '{"message":"Hi"}' });
+        detectLanguage.mockResolvedValue('French');
+        const provider = createEinsteinProvider();
+        const request = { userMessage: '\nUser: hi', productContextString: '[]', lastShownContextString: '[]', orderContext: '', userContext: {} };
+
+        await expect(provider.chat(request)).resolves.toEqual({ success: true, response: '{"message":"Hi"}' });
+        expect(askEinstein).toHaveBeenCalledWith(request);
+        await expect(provider.detectLanguage({ text: 'bonjour' })).resolves.toBe('French');
+        expect(PROVIDER_METHODS.every(m => typeof provider[m] === 'function')).toBe(true);
+    });
+
+    it('replays scripted responses in order and records requests', async () => {
+        const provider = createScriptedProvider({
+            chat: [
+                { message: 'First', items: [] },
+                'not json',
+                (request) => ({ success: false, message: `Refused: ${request.userMessage}` })
+            ],
+            explainAdjustments: ['Bolts are sold by 5.'],
+            detectLanguage: ['English', 'French']
+        });
+
+        await expect(provider.chat({ userMessage: 'a' })).resolves.toEqual({ success: true, response: '{"message":"First","items":[]}' });
+        await expect(provider.chat({ userMessage: 'b' })).resolves.toEqual({ success: true, response: 'not json' });
+        await expect(provider.chat({ userMessage: 'c' })).resolves.toEqual({ success: false, message: 'Refused: c' });
+        await expect(provider.chat({ userMessage: 'd' })).resolves.toEqual({ success: false, message: 'Refused: d' });
+        expect(provider.calls.chat.map(c => c.userMessage)).toEqual(['a', 'b', 'c', 'd']);
+
+        await expect(provider.explainAdjustments({ adjustments: [] })).resolves.toEqual({ success: true, response: 'Bolts are sold by 5.' });
+        await expect(provider.analyzeFile({ fileContent: 'x' })).resolves.toEqual({ success: false, message: 'No scripted response for analyzeFile' });
+        await expect(provider.detectLanguage({ text: 'hi' })).resolves.toBe('English');
+        await expect(provider.detectLanguage({ text: 'salut' })).resolves.toBe('French');
+        await expect(createScriptedProvider().detectLanguage({ text: '?' })).resolves.toBe(UNKNOWN_LANGUAGE);
+    });
+
+    it('falls back to Einstein when the given provider is incomplete', () => {
+        const scripted = createScriptedProvider();
+        expect(isProvider(scripted)).toBe(true);
+        expect(resolveProvider(scripted)).toBe(scripted);
+        expect(isProvider({ chat: () => null })).toBe(false);
+        expect(resolveProvider({ chat: () => null }).name).toBe('einstein');
+        expect(resolveProvider(null).name).toBe('einstein');
+    });
+});
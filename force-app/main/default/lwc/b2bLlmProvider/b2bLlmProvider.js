@@ -0,0 +1,95 @@
+/**
+ * @description Interface entre l'assistant et le modèle de langage. Un fournisseur expose quatre méthodes
+ * asynchrones, avec les paramètres et le format de réponse des méthodes Apex historiques :
+ * - chat({ userMessage, productContextString, lastShownContextString, orderContext, userContext }) -> { success, response | message }
+ * - analyzeFile({ fileContent, productContextString, userContext }) -> { success, response | message }
+ * - explainAdjustments({ adjustments, userContext }) -> { success, response | message }
+ * - detectLanguage({ text }) -> String ('Unknown' si indéterminée)
+ * createEinsteinProvider s'appuie sur Einstein via Apex ; createScriptedProvider rejoue des réponses
+ * prédéfinies (tests, démonstrations sans org Einstein).
+ */
+import askEinstein from '@salesforce/apex/B2BCommerceOrderMatrixController.askEinstein';
+import analyzeFileWithEinstein from '@salesforce/apex/B2BCommerceOrderMatrixController.analyzeFileWithEinstein';
+import explainAdjustmentsWithEinstein from '@salesforce/apex/B2BCommerceOrderMatrixController.explainAdjustmentsWithEinstein';
+import detectLanguage from '@salesforce/apex/B2BCommerceOrderMatrixController.detectLanguage';
+
+export const PROVIDER_METHODS = ['chat', 'analyzeFile', 'explainAdjustments', 'detectLanguage'];
+
+export const UNKNOWN_LANGUAGE = 'Unknown';
+
+/**
+ * @description Fournisseur Einstein : délègue aux méthodes Apex du contrôleur.
+ */
+export function createEinsteinProvider() {
+    return {
+        name: 'einstein',
+        chat: (request) => askEinstein(request),
+        analyzeFile: (request) => analyzeFileWithEinstein(request),
+        explainAdjustments: (request) => explainAdjustmentsWithEinstein(request),
+        detectLanguage: (request) => detectLanguage(request)
+    };
+}
+
+/**
+ * @description Un fournisseur doit implémenter toutes les méthodes de l'interface.
+ */
+export function isProvider(candidate) {
+    return !!candidate && PROVIDER_METHODS.every(method => typeof candidate[method] === 'function');
+}
+
+/**
+ * @description Fournisseur à utiliser : celui fourni s'il est complet, sinon Einstein.
+ */
+export function resolveProvider(candidate) {
+    return isProvider(candidate) ? candidate : createEinsteinProvider();
+}
+
+/**
+ * @description Normalise une réponse scriptée : texte (réponse brute du modèle), objet { success, ... }
+ * ou fonction (request) => l'un des deux.
+ */
+function toResult(entry, request) {
+    const value = typeof entry === 'function' ? entry(request) : entry;
+    if (value && typeof value === 'object' && 'success' in value) return value;
+    if (value && typeof value === 'object') return { success: true, response: JSON.stringify(value) };
+    return { success: true, response: String(value) };
+}
+
+/**
+ * @description Fournisseur déterministe : chaque méthode rejoue sa liste de réponses dans l'ordre
+ * (la dernière est répétée une fois la liste épuisée) et mémorise les requêtes reçues dans calls.
+ * @param script { chat: [], analyzeFile: [], explainAdjustments: [], detectLanguage: String | [] }
+ */
+export function createScriptedProvider(script = {}) {
+    const calls = { chat: [], analyzeFile: [], explainAdjustments: [], detectLanguage: [] };
+    const cursors = { chat: 0, analyzeFile: 0, explainAdjustments: 0, detectLanguage: 0 };
+
+    const next = (method) => {
+        const entries = [].concat(script[method] === undefined ? [] : script[method]);
+        if (!entries.length) return undefined;
+        const entry = entries[Math.min(cursors[method], entries.length - 1)];
+        cursors[method]++;
+        return entry;
+    };
+
+    const reply = (method) => (request) => {
+        calls[method].push(request);
+        const entry = next(method);
+        if (entry === undefined) return Promise.resolve({ success: false, message: `No scripted response for ${method}` });
+        return Promise.resolve(toResult(entry, request));
+    };
+
+    return {
+        name: 'scripted',
+        calls,
+        chat: reply('chat'),
+        analyzeFile: reply('analyzeFile'),
+        explainAdjustments: reply('explainAdjustments'),
+        detectLanguage: (request) => {
+            calls.detectLanguage.push(request);
+            const entry = next('detectLanguage');
+            const value = typeof entry === 'function' ? entry(request) : entry;
+            return Promise.resolve(value || UNKNOWN_LANGUAGE);
+        }
+    };
+}
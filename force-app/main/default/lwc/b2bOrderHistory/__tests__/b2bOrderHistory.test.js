@@ -0,0 +1,61 @@
+import {
+    ORDER_PAGE_SIZE,
+    createOrderFilters,
+    createOrderHistory,
+    countActiveOrderFilters,
+    validateDateRange,
+    buildOrderQuery,
+    mergeOrderPage,
+    groupOrderItems,
+    buildStatusOptions,
+    buildOrderRows
+} from 'c/b2bOrderHistory';
+
+const order = (n, status = 'Activated') => ({
+    id: `1Os${n}`, orderNumber: `000${n}`, orderedDate: `2026-03-0${n} 10:00`, grandTotalAmount: n * 10, status, currencyIsoCode: 'EUR'
+});
+
+describe('c/b2bOrderHistory', () => {
+    it('turns filters into paged Apex parameters and validates the date range', () => {
+        const filters = { ...createOrderFilters(), fromDate: '2026-01-01', status: 'Activated', orderNumber: '  0042 ' };
+        expect(buildOrderQuery('001A', filters, { offset: 40 })).toEqual({
+            effectiveAccountId: '001A', fromDateStr: '2026-01-01', toDateStr: null, status: 'Activated', orderNumber: '0042', pageSize: ORDER_PAGE_SIZE, pageOffset: 40
+        });
+        expect(buildOrderQuery('001A', createOrderFilters(), { pageSize: 100 })).toMatchObject({ status: null, orderNumber: null, pageSize: 100, pageOffset: 0 });
+        expect(countActiveOrderFilters(filters)).toBe(3);
+        expect(countActiveOrderFilters(createOrderFilters())).toBe(0);
+        expect(validateDateRange({ fromDate: '2026-02-01', toDate: '2026-01-31' })).toBe('The start date must be on or before the end date.');
+        expect(validateDateRange({ fromDate: '2026-02-01', toDate: '2026-02-01' })).toBeNull();
+        expect(validateDateRange({ fromDate: null, toDate: '2026-02-01' })).toBeNull();
+    });
+
+    it('appends pages without duplicates and replaces them when filters change', () => {
+        let history = mergeOrderPage(createOrderHistory(), { orders: [order(1), order(2)], totalCount: 3, hasMore: true, statuses: ['Activated', 'Cancelled'] });
+        expect(history).toMatchObject({ totalCount: 3, hasMore: true, statuses: ['Activated', 'Cancelled'] });
+
+        // Pages suivantes : sans totalCount ni statuses
+        history = mergeOrderPage(history, { orders: [order(2), order(3)], hasMore: false }, { append: true });
+        expect(history.orders.map(o => o.id)).toEqual(['1Os1', '1Os2', '1Os3']);
+        expect(history).toMatchObject({ totalCount: 3, hasMore: false, statuses: ['Activated', 'Cancelled'] });
+
+        history = mergeOrderPage(history, { orders: [order(4, 'Cancelled')], totalCount: 1, hasMore: false });
+        expect(history.orders.map(o => o.id)).toEqual(['1Os4']);
+        expect(buildStatusOptions(history.statuses).map(o => o.value)).toEqual(['', 'Activated', 'Cancelled']);
+    });
+
+    it('groups order lines by order and builds the panel rows', () => {
+        const cache = groupOrderItems([
+            { orderId: '1Os1', productId: '01tA', sku: 'A-1', name: 'Anchor', quantity: 2 },
+            { orderId: '1Os1', productId: '01tB', sku: 'B-1', name: 'Bolt', quantity: 5, variationParentId: '01tP' }
+        ], { '1Os9': [] });
+        expect(Object.keys(cache)).toEqual(['1Os9', '1Os1']);
+        expect(cache['1Os1'][1]).toEqual({ productId: '01tB', sku: 'B-1', name: 'Bolt', quantity: 5, description: undefined, variationParentId: '01tP' });
+
+        const rows = buildOrderRows([order(1), order(2)], { activeId: '1Os2', itemsByOrder: cache });
+        expect(rows.map(r => [r.orderNumber, r.lineLabel, r.rowClass])).toEqual([
+            ['0001', '2 lines', 'order-row'],
+            ['0002', '', 'order-row order-row_active']
+        ]);
+        expect(rows[0]).toMatchObject({ total: 10, currencyCode: 'EUR', status: 'Activated' });
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * @description Historique des commandes passées, sans dépendance UI ni Apex : filtres (période, statut, numéro de
+ * commande), paramètres de l'appel paginé getPastOrders, fusion des pages chargées et lignes affichées.
+ * Les dates sont au format yyyy-MM-dd (valeur d'un lightning-input type="date").
+ */
+
+// Commandes par page du panneau d'historique
+export const ORDER_PAGE_SIZE = 20;
+
+export const ALL_STATUSES = '';
+
+export function createOrderFilters() {
+    return { fromDate: null, toDate: null, status: ALL_STATUSES, orderNumber: '' };
+}
+
+export function createOrderHistory() {
+    return { orders: [], totalCount: 0, hasMore: false, statuses: [] };
+}
+
+export function countActiveOrderFilters(filters) {
+    let count = 0;
+    if (filters.fromDate || filters.toDate) count++;
+    if (filters.status) count++;
+    if ((filters.orderNumber || '').trim()) count++;
+    return count;
+}
+
+/**
+ * @description Erreur de période (début après la fin), null si la période est valide ou incomplète.
+ */
+export function validateDateRange({ fromDate, toDate }) {
+    if (fromDate && toDate && fromDate > toDate) return 'The start date must be on or before the end date.';
+    return null;
+}
+
+/**
+ * @description Paramètres de l'appel Apex getPastOrders pour une page.
+ * @param options { pageSize, offset } ; offset = nombre de commandes déjà chargées.
+ */
+export function buildOrderQuery(effectiveAccountId, filters, { pageSize = ORDER_PAGE_SIZE, offset = 0 } = {}) {
+    return {
+        effectiveAccountId,
+        fromDateStr: filters.fromDate || null,
+        toDateStr: filters.toDate || null,
+        status: filters.status || null,
+        orderNumber: (filters.orderNumber || '').trim() || null,
+        pageSize,
+        pageOffset: offset
+    };
+}
+
+/**
+ * @description Historique après réception d'une page : ajoutée à la suite (append) ou en remplacement
+ * (nouveaux filtres). Une commande déjà chargée n'est pas dupliquée. Les pages suivantes n'ont ni totalCount
+ * ni statuses (calculés par Apex pour la première page seulement) : ceux de l'historique sont conservés.
+ */
+export function mergeOrderPage(history, response, { append = false } = {}) {
+    const previous = append ? history.orders : [];
+    const known = new Set(previous.map(order => order.id));
+    const orders = [...previous, ...((response && response.orders) || []).filter(order => !known.has(order.id))];
+    let totalCount = response && response.totalCount !== undefined && response.totalCount !== null ? response.totalCount : null;
+    if (totalCount === null) totalCount = append ? Math.max(history.totalCount, orders.length) : orders.length;
+    return {
+        orders,
+        totalCount,
+        hasMore: !!(response && response.hasMore),
+        statuses: (response && response.statuses) || history.statuses
+    };
+}
+
+/**
+ * @description Lignes des commandes (items plats de getPastOrders) regroupées par commande et fusionnées
+ * avec le cache existant.
+ * @return { orderId: [{ productId, sku, name, description, variationParentId, quantity }] }
+ */
+export function groupOrderItems(items, cache = {}) {
+    const grouped = {};
+    (items || []).forEach(item => {
+        if (!grouped[item.orderId]) grouped[item.orderId] = [];
+        grouped[item.orderId].push({
+            productId: item.productId, sku: item.sku, name: item.name, quantity: item.quantity,
+            description: item.description, variationParentId: item.variationParentId
+        });
+    });
+    return { ...cache, ...grouped };
+}
+
+export function buildStatusOptions(statuses) {
+    return [
+        { label: 'All statuses', value: ALL_STATUSES },
+        ...(statuses || []).map(status => ({ label: status, value: status }))
+    ];
+}
+
+/**
+ * @description Libellé d'une commande dans le sélecteur de source.
+ */
+export function formatOrderLabel(order) {
+    return `Order ${order.orderNumber} • ${order.orderedDate}`;
+}
+
+/**
+ * @description Lignes du panneau d'historique.
+ * @param options { activeId, itemsByOrder } ; le nombre de lignes n'est affiché que si les items sont connus.
+ */
+export function buildOrderRows(orders, { activeId = null, itemsByOrder = {} } = {}) {
+    return (orders || []).map(order => {
+        const items = itemsByOrder[order.id];
+        const isActive = order.id === activeId;
+        return {
+            id: order.id,
+            orderNumber: order.orderNumber,
+            orderedDate: order.orderedDate,
+            status: order.status,
+            total: order.grandTotalAmount,
+            currencyCode: order.currencyIsoCode,
+            lineLabel: items ? `${items.length} line${items.length === 1 ? '' : 's'}` : '',
+            isActive,
+            rowClass: isActive ? 'order-row order-row_active' : 'order-row'
+        };
+    });
+}
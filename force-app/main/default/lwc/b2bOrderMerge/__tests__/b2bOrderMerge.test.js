@@ -0,0 +1,59 @@
+import { MERGE_STRATEGY, toMergeSource, parseMergeSource, describeMerge, mergeOrderItems } from 'c/b2bOrderMerge';
+
+const orders = [
+    { id: '1OsB', orderedDate: '2026-02-10 09:00' },
+    { id: '1OsA', orderedDate: '2026-03-01 10:00' },
+    { id: '1OsC', orderedDate: '2026-01-05 08:00' }
+];
+
+const itemsByOrder = {
+    '1OsA': [
+        { productId: '01tX', sku: 'X-1', name: 'Anchor', quantity: 4 },
+        { productId: '01tX', sku: 'X-1', name: 'Anchor', quantity: 2 },
+        { productId: '01tY', sku: 'Y-1', name: 'Bolt', quantity: 10 }
+    ],
+    '1OsB': [
+        { productId: '01tX', sku: 'X-1', name: 'Anchor', quantity: 9 },
+        { productId: '01tZ', sku: 'Z-1', name: 'Clamp', quantity: 1, variationParentId: '01tP' }
+    ],
+    '1OsC': [
+        { productId: '01tY', sku: 'Y-1', name: 'Bolt', quantity: '3' },
+        { productId: '01tW', sku: 'W-1', name: 'Washer', quantity: 0 }
+    ]
+};
+
+const quantities = (strategy, options) => Object.fromEntries(
+    mergeOrderItems(orders, itemsByOrder, strategy, options).items.map(item => [item.productId, item.quantity])
+);
+
+describe('c/b2bOrderMerge', () => {
+    it('encodes the merge as a source value', () => {
+        const value = toMergeSource(['1OsA', '1OsB'], MERGE_STRATEGY.AVERAGE);
+        expect(value).toBe('merge:average:1OsA,1OsB');
+        expect(parseMergeSource(value)).toEqual({ strategy: 'average', orderIds: ['1OsA', '1OsB'] });
+        expect(parseMergeSource('merge:median:1OsA')).toBeNull();
+        expect(parseMergeSource('merge:sum:')).toBeNull();
+        expect(parseMergeSource('template:a0X1')).toBeNull();
+        expect(describeMerge(3, MERGE_STRATEGY.LATEST)).toBe('3 merged orders (latest order wins)');
+    });
+
+    it('sums lines per order then combines orders by sum, max or latest', () => {
+        expect(quantities(MERGE_STRATEGY.SUM)).toEqual({ '01tX': 15, '01tY': 13, '01tZ': 1 });
+        expect(quantities(MERGE_STRATEGY.MAX)).toEqual({ '01tX': 9, '01tY': 10, '01tZ': 1 });
+        // La commande la plus récente (1OsA) l'emporte quel que soit l'ordre de sélection
+        expect(quantities(MERGE_STRATEGY.LATEST)).toEqual({ '01tX': 6, '01tY': 10, '01tZ': 1 });
+
+        const { items, orderCount } = mergeOrderItems(orders, itemsByOrder, MERGE_STRATEGY.SUM);
+        expect(orderCount).toBe(3);
+        expect(items.find(i => i.productId === '01tZ')).toEqual({
+            productId: '01tZ', sku: 'Z-1', name: 'Clamp', description: null, variationParentId: '01tP', quantity: 1, orderCount: 1
+        });
+    });
+
+    it('averages over all merged orders, rounded to the increment and never below one increment', () => {
+        const increments = { '01tX': 4, '01tY': 1, '01tZ': 6 };
+        // X : 15 / 3 = 5 -> 4 ; Y : 13 / 3 = 4.33 -> 4 ; Z : 1 / 3 -> un incrément (6)
+        expect(quantities(MERGE_STRATEGY.AVERAGE, { getIncrement: (id) => increments[id] })).toEqual({ '01tX': 4, '01tY': 4, '01tZ': 6 });
+        expect(quantities(MERGE_STRATEGY.AVERAGE)).toEqual({ '01tX': 5, '01tY': 4, '01tZ': 1 });
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * @description Fusion de plusieurs commandes passées en une seule sélection, sans dépendance UI ni Apex.
+ * Les lignes d'un même produit dans une commande sont d'abord additionnées, puis les commandes sont combinées
+ * selon la stratégie choisie (MERGE_STRATEGY). Dans le sélecteur de source, une fusion a pour valeur
+ * "merge:<stratégie>:<Id1>,<Id2>".
+ */
+import { snapToIncrement } from 'c/b2bQuantityRules';
+
+export const MERGE_SOURCE_PREFIX = 'merge:';
+
+export const MERGE_STRATEGY = {
+    SUM: 'sum',
+    MAX: 'max',
+    AVERAGE: 'average',
+    LATEST: 'latest'
+};
+
+export const MERGE_STRATEGY_OPTIONS = [
+    { label: 'Sum of quantities', value: MERGE_STRATEGY.SUM },
+    { label: 'Highest quantity', value: MERGE_STRATEGY.MAX },
+    { label: 'Average per order', value: MERGE_STRATEGY.AVERAGE },
+    { label: 'Latest order wins', value: MERGE_STRATEGY.LATEST }
+];
+
+// Nombre minimal de commandes pour une fusion
+export const MIN_MERGE_ORDERS = 2;
+
+/**
+ * @description Valeur du sélecteur de source pour une fusion.
+ */
+export function toMergeSource(orderIds, strategy) {
+    return `${MERGE_SOURCE_PREFIX}${strategy}:${orderIds.join(',')}`;
+}
+
+/**
+ * @description Stratégie et commandes d'une valeur "merge:..." (null pour une autre source).
+ */
+export function parseMergeSource(value) {
+    if (typeof value !== 'string' || !value.startsWith(MERGE_SOURCE_PREFIX)) return null;
+    const [strategy, ids = ''] = value.slice(MERGE_SOURCE_PREFIX.length).split(':');
+    if (!Object.values(MERGE_STRATEGY).includes(strategy)) return null;
+    const orderIds = ids.split(',').filter(id => id);
+    return orderIds.length ? { strategy, orderIds } : null;
+}
+
+export function formatMergeStrategy(strategy) {
+    const option = MERGE_STRATEGY_OPTIONS.find(o => o.value === strategy);
+    return option ? option.label : String(strategy);
+}
+
+/**
+ * @description Libellé d'une fusion (sélecteur de source, rapport d'indisponibilité).
+ */
+export function describeMerge(orderCount, strategy) {
+    return `${orderCount} merged orders (${formatMergeStrategy(strategy).toLowerCase()})`;
+}
+
+function combine(quantities, strategy, orderCount, increment) {
+    if (strategy === MERGE_STRATEGY.MAX) return Math.max(...quantities);
+    // quantities est trié de la commande la plus récente à la plus ancienne
+    if (strategy === MERGE_STRATEGY.LATEST) return quantities[0];
+    const sum = quantities.reduce((total, qty) => total + qty, 0);
+    if (strategy !== MERGE_STRATEGY.AVERAGE) return sum;
+    // Moyenne sur toutes les commandes fusionnées (une commande sans le produit compte pour 0),
+    // arrondie à l'incrément sans descendre sous un incrément : le produit a bien été commandé
+    const step = increment > 0 ? increment : 1;
+    return Math.max(step, snapToIncrement(sum / orderCount, step, 'nearest'));
+}
+
+/**
+ * @description Lignes fusionnées de plusieurs commandes.
+ * @param orders Commandes [{ id, orderedDate }] ; l'ordre de sélection est sans effet (tri par date décroissante).
+ * @param itemsByOrder { orderId: [{ productId, sku, name, description, variationParentId, quantity }] }
+ * @param options { getIncrement(productId) } pour la moyenne.
+ * @return { items: [{ productId, sku, name, description, variationParentId, quantity, orderCount }], orderCount }
+ */
+export function mergeOrderItems(orders, itemsByOrder, strategy, { getIncrement = () => 1 } = {}) {
+    const sorted = [...(orders || [])].sort((a, b) => String(b.orderedDate || '').localeCompare(String(a.orderedDate || '')));
+    const products = new Map();
+
+    sorted.forEach((order, orderIndex) => {
+        const perOrder = new Map();
+        ((itemsByOrder && itemsByOrder[order.id]) || []).forEach(item => {
+            const quantity = parseFloat(item.quantity) || 0;
+            if (!item.productId || quantity <= 0) return;
+            perOrder.set(item.productId, (perOrder.get(item.productId) || 0) + quantity);
+            if (!products.has(item.productId)) products.set(item.productId, { item, quantities: [] });
+        });
+        perOrder.forEach((quantity, productId) => {
+            products.get(productId).quantities.push({ orderIndex, quantity });
+        });
+    });
+
+    const items = [];
+    products.forEach(({ item, quantities }, productId) => {
+        const values = quantities.sort((a, b) => a.orderIndex - b.orderIndex).map(q => q.quantity);
+        items.push({
+            productId,
+            sku: item.sku || null,
+            name: item.name || null,
+            description: item.description || null,
+            variationParentId: item.variationParentId || null,
+            quantity: combine(values, strategy, sorted.length, parseFloat(getIncrement(productId)) || 1),
+            orderCount: values.length
+        });
+    });
+    return { items, orderCount: sorted.length };
+}
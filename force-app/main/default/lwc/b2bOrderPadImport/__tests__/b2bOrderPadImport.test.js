@@ -0,0 +1,155 @@
+import { TextEncoder, TextDecoder } from 'util';
+import {
+    IMPORT_STATUS,
+    decodeText,
+    detectDelimiter,
+    parseDelimited,
+    parseQuantity,
+    detectColumns,
+    extractOrderLines,
+    parseXlsx,
+    readOrderPadFile,
+    parsePastedLines,
+    matchOrderLines,
+    summarizeImport
+} from 'c/b2bOrderPadImport';
+import { createZip, toXlsx } from 'c/b2bExportService';
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const encode = (text) => new TextEncoder().encode(text);
+
+const products = [
+    { id: 'p1', sku: 'BOLT-1', name: 'Bolt' },
+    { id: 'p2', sku: 'NUT-2', name: 'Nut' },
+    { id: 'p3', StockKeepingUnit: 'WASHER-3', name: 'Washer' }
+];
+
+describe('c/b2bOrderPadImport', () => {
+    describe('decodeText', () => {
+        it('strips a UTF-8 BOM and keeps accents', () => {
+            expect(decodeText(new Uint8Array([0xEF, 0xBB, 0xBF, ...encode('Référence;Qté')]))).toEqual({ text: 'Référence;Qté', encoding: 'utf-8' });
+        });
+
+        it('falls back to Windows-1252 when the bytes are not valid UTF-8', () => {
+            // "Qté" en Windows-1252 : é = 0xE9
+            expect(decodeText(new Uint8Array([0x51, 0x74, 0xE9]))).toEqual({ text: 'Qté', encoding: 'windows-1252' });
+        });
+    });
+
+    describe('delimited text', () => {
+        it('detects the delimiter used consistently across lines', () => {
+            expect(detectDelimiter('sku;qty\nA,1;2\nB;3')).toBe(';');
+            expect(detectDelimiter('sku\tqty\nA\t2')).toBe('\t');
+            expect(detectDelimiter('Please send me ten bolts')).toBeNull();
+        });
+
+        it('parses quoted fields and skips blank lines', () => {
+            expect(parseDelimited('sku,name,qty\r\n"A-1","Bolt, ""M8""",4\r\n\r\nB-2,Nut,1', ',')).toEqual([
+                ['sku', 'name', 'qty'],
+                ['A-1', 'Bolt, "M8"', '4'],
+                ['B-2', 'Nut', '1']
+            ]);
+        });
+
+        it('parses quantities with decimal commas, spaces and units', () => {
+            expect(['12', '1 000', '1,000', '2,5', '12 pcs', 'abc', ''].map(parseQuantity)).toEqual([12, 1000, 1000, 2.5, 12, null, null]);
+        });
+    });
+
+    describe('detectColumns', () => {
+        it('finds SKU and quantity headers in several languages', () => {
+            expect(detectColumns([['Désignation', 'Référence', 'Qté']])).toEqual({ headerRowIndex: 0, skuIndex: 1, qtyIndex: 2 });
+            expect(detectColumns([['Order pad'], ['Artikelnummer', 'Menge']])).toEqual({ headerRowIndex: 1, skuIndex: 0, qtyIndex: 1 });
+            expect(detectColumns([['Código', 'Cantidad']])).toMatchObject({ skuIndex: 0, qtyIndex: 1 });
+        });
+
+        it('infers columns without a header, numeric SKUs included', () => {
+            expect(detectColumns([['100234', '5'], ['100235', '2']])).toEqual({ headerRowIndex: -1, skuIndex: 0, qtyIndex: 1 });
+            expect(detectColumns([['just some text']])).toBeNull();
+        });
+    });
+
+    describe('XLSX', () => {
+        it('reads a workbook written with inline strings', async () => {
+            const bytes = toXlsx([{ sku: 'BOLT-1', name: 'Bolt', quantity: 4, unitPrice: 2 }]);
+            const rows = await parseXlsx(bytes);
+            expect(rows[0].slice(0, 2)).toEqual(['SKU', 'Product Name']);
+            expect(rows[1][0]).toBe('BOLT-1');
+            expect(rows[1][7]).toBe('4');
+        });
+
+        it('reads shared strings and sparse cells', async () => {
+            const sheet = '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+                + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>'
+                + '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2"><v>6</v></c></row>'
+                + '</sheetData></worksheet>';
+            const shared = '<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                + '<si><t>SKU</t></si><si><r><t>Quan</t></r><r><t>tity</t></r></si><si><t>NUT-2</t></si></sst>';
+            const bytes = createZip([{ name: 'xl/sharedStrings.xml', content: shared }, { name: 'xl/worksheets/sheet1.xml', content: sheet }]);
+            const file = await readOrderPadFile('pad.xlsx', bytes);
+            expect(file.format).toBe('xlsx');
+            expect(file.rows).toEqual([['SKU', '', 'Quantity'], ['NUT-2', '', '6']]);
+        });
+    });
+
+    describe('parsePastedLines', () => {
+        it('reads the usual ERP and e-mail forms', () => {
+            const lines = parsePastedLines('SKU-123 x 24\nSKU-124;6\n  SKU-125: 1 000 pcs \n12 x SKU-126\nSKU-127 3\n\nthanks!');
+            expect(lines.map(l => [l.rowNumber, l.sku, l.quantity])).toEqual([
+                [1, 'SKU-123', 24],
+                [2, 'SKU-124', 6],
+                [3, 'SKU-125', 1000],
+                [4, 'SKU-126', 12],
+                [5, 'SKU-127', 3],
+                [7, 'thanks!', null]
+            ]);
+        });
+
+        it('keeps an x between letters and digits inside the SKU', () => {
+            const lines = parsePastedLines('M8X40 100\nM8X40 x 6\nM10x25;12\n8X40\n3x M8X40');
+            expect(lines.map(l => [l.sku, l.quantity])).toEqual([
+                ['M8X40', 100],
+                ['M8X40', 6],
+                ['M10x25', 12],
+                ['8X40', null],
+                ['M8X40', 3]
+            ]);
+        });
+
+        it('uses column detection for a block copied from a spreadsheet', () => {
+            const lines = parsePastedLines('Description\tSKU\tQty\nBolt\tBOLT-1\t4\nNut\tNUT-2\t10');
+            expect(lines.map(l => [l.rowNumber, l.sku, l.quantity])).toEqual([[2, 'BOLT-1', 4], [3, 'NUT-2', 10]]);
+        });
+    });
+
+    describe('matchOrderLines', () => {
+        const resolve = (product, qty) => (product.sku === 'NUT-2' && qty % 5 !== 0
+            ? { quantity: Math.ceil(qty / 5) * 5, isAdjusted: true, reasonLabels: ['Adjusted to multiple of 5'] }
+            : { quantity: qty, isAdjusted: false, reasonLabels: [] });
+
+        it('gives a status to every row and merges duplicates', async () => {
+            const file = await readOrderPadFile('pad.csv', encode('SKU;Quantity\nbolt-1;2\nNUT-2;3\nGHOST;1\nBOLT-1;5\nWASHER-3;many'));
+            const results = matchOrderLines(extractOrderLines(file.rows).lines, products, resolve);
+
+            expect(results.map(r => [r.rowNumber, r.status])).toEqual([
+                [2, IMPORT_STATUS.MATCHED],
+                [3, IMPORT_STATUS.ADJUSTED],
+                [4, IMPORT_STATUS.UNKNOWN_SKU],
+                [5, IMPORT_STATUS.DUPLICATE],
+                [6, IMPORT_STATUS.INVALID_QUANTITY]
+            ]);
+            expect(results[0]).toMatchObject({ sku: 'BOLT-1', quantityRequested: 7, quantity: 7, statusLabel: 'Matched' });
+            expect(results[1]).toMatchObject({ quantity: 5, message: 'Adjusted to multiple of 5' });
+            expect(results[3].message).toBe('Merged into row 2');
+            expect(summarizeImport(results)).toMatchObject({ total: 5, matched: 1, adjusted: 1, unknown: 1, duplicate: 1, invalid: 1 });
+        });
+
+        it('returns null for free text so the caller can fall back to the assistant', async () => {
+            const file = await readOrderPadFile('notes.txt', encode('Hi, I need ten bolts and a few nuts.\nThanks'));
+            expect(file.format).toBe('text');
+            expect(extractOrderLines(file.rows)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,445 @@
+/**
+ * @description Import déterministe de bons de commande (CSV / TXT tabulé / XLSX), sans appel à l'IA.
+ * Pipeline : octets -> texte (détection d'encodage) ou classeur XLSX -> lignes -> colonnes SKU / Quantité
+ * (en-têtes multilingues) -> rapprochement avec les produits par SKU -> statut par ligne.
+ * Si aucune colonne exploitable n'est trouvée, extractOrderLines renvoie null : l'appelant peut alors
+ * se rabattre sur l'analyse IA (fichiers en texte libre).
+ * parsePastedLines applique les mêmes étapes au texte collé dans la saisie rapide de la grille.
+ */
+import { parseQuantityText } from 'c/b2bQuantityRules';
+
+export const IMPORT_STATUS = {
+    MATCHED: 'matched',
+    ADJUSTED: 'adjusted',
+    UNKNOWN_SKU: 'unknown',
+    DUPLICATE: 'duplicate',
+    INVALID_QUANTITY: 'invalid'
+};
+
+const STATUS_LABELS = {
+    [IMPORT_STATUS.MATCHED]: 'Matched',
+    [IMPORT_STATUS.ADJUSTED]: 'Adjusted',
+    [IMPORT_STATUS.UNKNOWN_SKU]: 'Unknown SKU',
+    [IMPORT_STATUS.DUPLICATE]: 'Duplicate',
+    [IMPORT_STATUS.INVALID_QUANTITY]: 'Invalid quantity'
+};
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const HEADER_SCAN_ROWS = 5;
+const SAMPLE_ROWS = 10;
+
+// En-têtes reconnus (normalisés : minuscules, sans accents ni ponctuation). EN, FR, DE, ES, IT, NL, PT.
+const HEADER_ALIASES = {
+    sku: [
+        'sku', 'product sku', 'stockkeepingunit', 'stock keeping unit', 'product code', 'item code', 'item number', 'item no',
+        'part number', 'part no', 'code', 'ref', 'reference', 'product reference', 'reference produit', 'code article', 'article',
+        'artikelnummer', 'artikel nr', 'art nr', 'artikel', 'codigo', 'codigo de producto', 'referencia', 'codice',
+        'codice articolo', 'articolo', 'artikelcode', 'referentie', 'codigo do produto'
+    ],
+    quantity: [
+        'qty', 'quantity', 'qty ordered', 'order qty', 'order quantity', 'units', 'amount', 'quantite', 'qte', 'nombre',
+        'quantite commandee', 'menge', 'anzahl', 'stuckzahl', 'bestellmenge', 'cantidad', 'cant', 'quantita', 'qta',
+        'aantal', 'hoeveelheid', 'quantidade', 'qtd'
+    ]
+};
+
+// --- DÉCODAGE ---
+
+/**
+ * @description Décode des octets en texte : BOM (UTF-8 / UTF-16), sinon UTF-8 strict, sinon Windows-1252
+ * (exports Excel « CSV » historiques).
+ * @return { text, encoding }
+ */
+export function decodeText(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    if (data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF) {
+        return { text: new TextDecoder('utf-8').decode(data.subarray(3)), encoding: 'utf-8' };
+    }
+    if (data[0] === 0xFF && data[1] === 0xFE) return { text: new TextDecoder('utf-16le').decode(data.subarray(2)), encoding: 'utf-16le' };
+    if (data[0] === 0xFE && data[1] === 0xFF) return { text: new TextDecoder('utf-16be').decode(data.subarray(2)), encoding: 'utf-16be' };
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(data), encoding: 'utf-8' };
+    } catch {
+        return { text: new TextDecoder('windows-1252').decode(data), encoding: 'windows-1252' };
+    }
+}
+
+// --- CSV / TEXTE DÉLIMITÉ ---
+
+function countOutsideQuotes(line, delimiter) {
+    let count = 0;
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (ch === delimiter && !inQuotes) count++;
+    }
+    return count;
+}
+
+/**
+ * @description Détecte le séparateur : celui présent sur le plus de lignes échantillon avec un nombre
+ * d'occurrences constant (au moins deux lignes et la moitié de l'échantillon).
+ * Retourne null pour un texte sans structure tabulaire (ex: une virgule dans une phrase).
+ */
+export function detectDelimiter(text) {
+    const lines = String(text || '').split(/\r\n|\n|\r/).filter(l => l.trim()).slice(0, SAMPLE_ROWS);
+    let best = null;
+    let bestScore = Math.max(Math.min(2, lines.length), Math.ceil(lines.length / 2)) - 1;
+    DELIMITERS.forEach(delimiter => {
+        const counts = lines.map(l => countOutsideQuotes(l, delimiter));
+        const frequency = new Map();
+        counts.filter(c => c > 0).forEach(c => frequency.set(c, (frequency.get(c) || 0) + 1));
+        const score = Math.max(0, ...frequency.values());
+        if (score > bestScore) { best = delimiter; bestScore = score; }
+    });
+    return best;
+}
+
+/**
+ * @description Découpe un texte délimité (guillemets doublés, retours à la ligne dans les champs).
+ * @return Array<Array<String>>
+ */
+export function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const source = String(text || '');
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (inQuotes) {
+            if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            rows.push(row); row = [];
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+    return rows.map(r => r.map(v => v.trim())).filter(r => r.some(v => v !== ''));
+}
+
+// --- XLSX ---
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('Compressed XLSX files are not supported by this browser.');
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * @description Lit les entrées d'une archive ZIP via son répertoire central (méthodes stored et deflate).
+ * @return Promise<Map<String, Uint8Array>>
+ */
+export async function readZipEntries(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let end = data.length - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < 0) throw new Error('Invalid XLSX file.');
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder('utf-8');
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Invalid XLSX file.');
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = data.subarray(dataStart, dataStart + compressedSize);
+        // eslint-disable-next-line no-await-in-loop -- une entrée décompressée à la fois (mémoire bornée)
+        entries.set(name, method === 8 ? await inflateRaw(raw) : raw);
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function parseXml(bytes) {
+    return new DOMParser().parseFromString(new TextDecoder('utf-8').decode(bytes), 'application/xml');
+}
+
+function childrenByName(node, localName) {
+    return Array.from(node.getElementsByTagName('*')).filter(n => n.localName === localName);
+}
+
+function textOf(node) {
+    return childrenByName(node, 't').map(t => t.textContent).join('');
+}
+
+function columnIndex(ref) {
+    const letters = (String(ref).match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+    let index = 0;
+    for (let i = 0; i < letters.length; i++) index = index * 26 + (letters.charCodeAt(i) - 64);
+    return index - 1;
+}
+
+/**
+ * @description Chemin de la première feuille du classeur (workbook.xml + relations), sheet1 par défaut.
+ */
+function firstSheetPath(entries) {
+    const fallback = 'xl/worksheets/sheet1.xml';
+    const workbook = entries.get('xl/workbook.xml');
+    const rels = entries.get('xl/_rels/workbook.xml.rels');
+    if (!workbook || !rels) return fallback;
+    const sheet = childrenByName(parseXml(workbook), 'sheet')[0];
+    if (!sheet) return fallback;
+    const relId = Array.from(sheet.attributes).find(a => a.localName === 'id')?.value;
+    const rel = childrenByName(parseXml(rels), 'Relationship').find(r => r.getAttribute('Id') === relId);
+    if (!rel) return fallback;
+    const target = rel.getAttribute('Target');
+    return target.startsWith('/') ? target.substring(1) : `xl/${target}`;
+}
+
+/**
+ * @description Lit la première feuille d'un classeur XLSX (chaînes partagées, inline et nombres).
+ * @return Promise<Array<Array<String>>>
+ */
+export async function parseXlsx(bytes) {
+    const entries = await readZipEntries(bytes);
+    const sharedStrings = entries.has('xl/sharedStrings.xml')
+        ? childrenByName(parseXml(entries.get('xl/sharedStrings.xml')), 'si').map(textOf)
+        : [];
+    const sheetBytes = entries.get(firstSheetPath(entries));
+    if (!sheetBytes) throw new Error('No worksheet found in the XLSX file.');
+
+    const rows = childrenByName(parseXml(sheetBytes), 'row').map(rowNode => {
+        const values = [];
+        childrenByName(rowNode, 'c').forEach((cell, position) => {
+            const ref = cell.getAttribute('r');
+            const index = ref ? columnIndex(ref) : position;
+            const type = cell.getAttribute('t');
+            const valueNode = childrenByName(cell, 'v')[0];
+            let value = valueNode ? valueNode.textContent : '';
+            if (type === 's') value = sharedStrings[parseInt(value, 10)] || '';
+            else if (type === 'inlineStr') value = textOf(cell);
+            values[index] = String(value).trim();
+        });
+        return Array.from(values, v => v || '');
+    });
+    return rows.filter(r => r.some(v => v !== ''));
+}
+
+/**
+ * @description Indique si le contenu est une archive ZIP (XLSX) d'après sa signature.
+ */
+export function isZip(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    return data[0] === 0x50 && data[1] === 0x4B && data[2] === 0x03 && data[3] === 0x04;
+}
+
+/**
+ * @description Lit un fichier de bon de commande en tableau de lignes.
+ * @return Promise<{ rows, format, encoding, delimiter, text }> text n'est renseigné que pour les fichiers texte.
+ */
+export async function readOrderPadFile(fileName, bytes) {
+    if (isZip(bytes) || /\.xlsx$/i.test(fileName || '')) {
+        return { rows: await parseXlsx(bytes), format: 'xlsx', encoding: null, delimiter: null, text: null };
+    }
+    const { text, encoding } = decodeText(bytes);
+    const delimiter = detectDelimiter(text);
+    const rows = delimiter ? parseDelimited(text, delimiter) : [];
+    return { rows, format: delimiter ? 'csv' : 'text', encoding, delimiter, text };
+}
+
+// --- COLONNES ---
+
+function normalizeHeader(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[._#:°()-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function findAlias(cells, aliases) {
+    return cells.findIndex(cell => aliases.includes(normalizeHeader(cell)));
+}
+
+/**
+ * @description Convertit une quantité saisie ("12", "1 000", "1,000", "2,5", "12 pcs") en nombre, ou null
+ * (règles de c/b2bQuantityRules parseQuantityText, partagées avec la validation des réponses de l'IA).
+ */
+export function parseQuantity(value) {
+    return parseQuantityText(value);
+}
+
+/**
+ * @description Repère les colonnes SKU et Quantité : par en-tête (premières lignes), sinon, pour un
+ * fichier sans en-tête, la dernière colonne entièrement numérique sert de quantité et la première autre
+ * colonne toujours renseignée de SKU (les SKU peuvent être numériques).
+ * @return { headerRowIndex, skuIndex, qtyIndex } ou null.
+ */
+export function detectColumns(rows) {
+    for (let r = 0; r < Math.min(HEADER_SCAN_ROWS, rows.length); r++) {
+        const skuIndex = findAlias(rows[r], HEADER_ALIASES.sku);
+        const qtyIndex = findAlias(rows[r], HEADER_ALIASES.quantity);
+        if (skuIndex >= 0 && qtyIndex >= 0 && skuIndex !== qtyIndex) return { headerRowIndex: r, skuIndex, qtyIndex };
+    }
+
+    const sample = rows.slice(0, SAMPLE_ROWS);
+    if (!sample.length) return null;
+    const width = Math.max(...sample.map(r => r.length));
+    if (width < 2) return null;
+    const indexes = [...Array(width).keys()];
+    const qtyIndex = indexes.filter(c => sample.every(r => parseQuantity(r[c]) !== null)).pop();
+    if (qtyIndex === undefined) return null;
+    const skuIndex = indexes.find(c => c !== qtyIndex && sample.every(r => r[c]));
+    if (skuIndex === undefined) return null;
+    return { headerRowIndex: -1, skuIndex, qtyIndex };
+}
+
+/**
+ * @description Extrait les lignes de commande (SKU + quantité brute) d'un tableau.
+ * @return { columns, lines[{ rowNumber, sku, rawQuantity, quantity }] } ou null si le fichier n'est pas structuré.
+ */
+export function extractOrderLines(rows) {
+    const columns = detectColumns(rows || []);
+    if (!columns) return null;
+    const lines = [];
+    rows.forEach((row, index) => {
+        if (index <= columns.headerRowIndex) return;
+        const sku = (row[columns.skuIndex] || '').trim();
+        const rawQuantity = (row[columns.qtyIndex] || '').trim();
+        if (!sku && !rawQuantity) return;
+        lines.push({ rowNumber: index + 1, sku, rawQuantity, quantity: parseQuantity(rawQuantity) });
+    });
+    return { columns, lines };
+}
+
+// --- SAISIE RAPIDE (COLLER) ---
+
+// "SKU-123 x 24", "SKU-123;24", "SKU-123: 24", "SKU-123 24". Un "x" entre deux caractères alphanumériques
+// appartient au SKU ("M8X40 100" : SKU M8X40, quantité 100)
+const SKU_FIRST_PATTERN = /^(\S+?)(?:\s*[*:;,=|]\s*|\s*(?<![a-z0-9])[x×]\s*|\s*[x×](?![a-z0-9])\s*|\s+)(\d[\d\s]*(?:[.,]\d+)?)\s*[a-z.]*$/i;
+// "24 x SKU-123"
+const QTY_FIRST_PATTERN = /^(\d+(?:[.,]\d+)?)(?:\s*\*\s*|\s+[x×]\s*|[x×](?![a-z0-9])\s*)(\S+)$/i;
+
+/**
+ * @description Interprète un texte collé (ERP, e-mail, tableur) en lignes de commande.
+ * Un bloc tabulé (copie de tableur) passe par la détection de colonnes ; sinon chaque ligne est lue
+ * selon les formes "SKU x 24", "SKU;24", "SKU 24" ou "24 x SKU". Une ligne non reconnue est conservée
+ * avec une quantité nulle pour apparaître comme rejetée dans l'aperçu.
+ * @return Array [{ rowNumber, sku, rawQuantity, quantity }]
+ */
+export function parsePastedLines(text) {
+    const source = String(text || '');
+    if (source.includes('\t')) {
+        const extracted = extractOrderLines(parseDelimited(source, '\t'));
+        if (extracted) return extracted.lines;
+    }
+
+    const lines = [];
+    source.split(/\r\n|\n|\r/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) return;
+        const skuFirst = line.match(SKU_FIRST_PATTERN);
+        const qtyFirst = skuFirst ? null : line.match(QTY_FIRST_PATTERN);
+        let sku = line;
+        let rawQuantity = '';
+        if (skuFirst) { sku = skuFirst[1]; rawQuantity = skuFirst[2].trim(); }
+        else if (qtyFirst) { sku = qtyFirst[2]; rawQuantity = qtyFirst[1]; }
+        lines.push({ rowNumber: index + 1, sku, rawQuantity, quantity: parseQuantity(rawQuantity) });
+    });
+    return lines;
+}
+
+// --- RAPPROCHEMENT ---
+
+function skuKey(value) {
+    return String(value || '').trim().toUpperCase();
+}
+
+/**
+ * @description Rapproche les lignes importées des produits par SKU (insensible à la casse).
+ * Les doublons sont cumulés sur la première occurrence (statut DUPLICATE sur les suivantes),
+ * puis la quantité totale est validée par resolve (règles Min / Max / Incrément / Stock de l'appelant).
+ * @param lines Résultat de extractOrderLines().lines.
+ * @param products Lignes de grille ou produits (sku / StockKeepingUnit).
+ * @param resolve (product, quantity) => { quantity, isAdjusted, reasonLabels[] }
+ * @return Array [{ key, rowNumber, sku, quantityRequested, quantity, status, statusLabel, message, product }]
+ */
+export function matchOrderLines(lines, products, resolve) {
+    const bySku = new Map();
+    (products || []).forEach(p => {
+        const key = skuKey(p.sku || p.StockKeepingUnit);
+        if (key && !bySku.has(key)) bySku.set(key, p);
+    });
+
+    const results = [];
+    const firstBySku = new Map();
+
+    (lines || []).forEach(line => {
+        const result = {
+            key: `row-${line.rowNumber}`,
+            rowNumber: line.rowNumber,
+            sku: line.sku,
+            quantityRequested: line.quantity,
+            quantity: 0,
+            status: IMPORT_STATUS.MATCHED,
+            message: '',
+            product: null
+        };
+        const product = bySku.get(skuKey(line.sku));
+
+        if (!line.sku || !product) {
+            result.status = IMPORT_STATUS.UNKNOWN_SKU;
+            result.message = line.sku ? 'Not found in the catalog' : 'Missing SKU';
+        } else if (line.quantity === null || line.quantity <= 0) {
+            result.status = IMPORT_STATUS.INVALID_QUANTITY;
+            result.message = `"${line.rawQuantity}" is not a valid quantity`;
+            result.product = product;
+        } else if (firstBySku.has(skuKey(line.sku))) {
+            const first = firstBySku.get(skuKey(line.sku));
+            first.quantityRequested += line.quantity;
+            result.status = IMPORT_STATUS.DUPLICATE;
+            result.message = `Merged into row ${first.rowNumber}`;
+            result.product = product;
+        } else {
+            result.product = product;
+            result.sku = product.sku || product.StockKeepingUnit;
+            firstBySku.set(skuKey(line.sku), result);
+        }
+        results.push(result);
+    });
+
+    firstBySku.forEach(result => {
+        const resolution = resolve ? resolve(result.product, result.quantityRequested) : { quantity: result.quantityRequested, isAdjusted: false, reasonLabels: [] };
+        result.quantity = resolution.quantity;
+        if (resolution.isAdjusted) {
+            result.status = IMPORT_STATUS.ADJUSTED;
+            result.message = (resolution.reasonLabels || []).join(', ');
+        }
+    });
+
+    return results.map(r => ({ ...r, statusLabel: STATUS_LABELS[r.status] }));
+}
+
+/**
+ * @description Compteurs par statut pour le message de synthèse.
+ */
+export function summarizeImport(results) {
+    const summary = { total: 0 };
+    Object.values(IMPORT_STATUS).forEach(s => { summary[s] = 0; });
+    (results || []).forEach(r => { summary[r.status]++; summary.total++; });
+    return summary;
+}
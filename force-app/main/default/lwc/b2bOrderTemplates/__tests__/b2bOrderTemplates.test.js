@@ -0,0 +1,63 @@
+import {
+    toTemplateSource,
+    getTemplateId,
+    normalizeTemplateName,
+    buildTemplateItems,
+    resolveSourceItems,
+    buildTemplateOptions,
+    suggestCopyName
+} from 'c/b2bOrderTemplates';
+
+const productIndex = new Map([
+    ['01tA', { id: '01tA', name: 'Bolt', sku: 'B-1' }],
+    ['01tB', { id: '01tB', name: 'Anchor', sku: 'A-1' }]
+]);
+
+describe('c/b2bOrderTemplates', () => {
+    it('encodes template ids as source values', () => {
+        expect(getTemplateId(toTemplateSource('a0X1'))).toBe('a0X1');
+        expect(getTemplateId('catalog')).toBeNull();
+        expect(getTemplateId('1Os000000000001')).toBeNull();
+        expect(getTemplateId(null)).toBeNull();
+    });
+
+    it('builds template lines from the selection, skipping empty quantities', () => {
+        const items = buildTemplateItems({ '01tA': '4', '01tB': '2', '01tC': '0', '01tD': '3' }, productIndex, [
+            { productId: '01tD', sku: 'D-1', name: 'Drill' }
+        ]);
+        expect(items).toEqual([
+            { productId: '01tB', sku: 'A-1', name: 'Anchor', quantity: 2 },
+            { productId: '01tA', sku: 'B-1', name: 'Bolt', quantity: 4 },
+            { productId: '01tD', sku: 'D-1', name: 'Drill', quantity: 3 }
+        ]);
+    });
+
+    it('splits source lines into catalog products and unavailable ones', () => {
+        const result = resolveSourceItems([
+            { productId: '01tA', quantity: 4 },
+            { productId: '01tA', quantity: 2 },
+            { productId: '01tZ', sku: 'Z-9', name: 'Discontinued', quantity: 5 },
+            { productId: '01tY', quantity: 1 },
+            { productId: '01tB', quantity: 0 }
+        ], productIndex);
+
+        expect(result.quantities).toEqual({ '01tA': '6' });
+        expect(result.products.map(p => p.id)).toEqual(['01tA']);
+        expect(result.unavailable.map(l => l.label)).toEqual(['Discontinued (Z-9)', '01tY']);
+        expect(result.unavailable[0].quantity).toBe(5);
+    });
+
+    it('labels templates for the source selector', () => {
+        const options = buildTemplateOptions([{ id: 'a0X1', name: 'Weekly restock', lineCount: 1 }, { id: 'a0X2', name: 'Big', items: [{}, {}] }]);
+        expect(options).toEqual([
+            { label: 'Template: Weekly restock   •   1 line', value: 'template:a0X1' },
+            { label: 'Template: Big   •   2 lines', value: 'template:a0X2' }
+        ]);
+    });
+
+    it('normalizes names and suggests unique copy names', () => {
+        expect(normalizeTemplateName('  Weekly   restock ')).toBe('Weekly restock');
+        expect(normalizeTemplateName('x'.repeat(100))).toHaveLength(80);
+        expect(suggestCopyName('Weekly', ['Weekly', 'weekly (copy)'])).toBe('Weekly (copy 2)');
+    });
+});
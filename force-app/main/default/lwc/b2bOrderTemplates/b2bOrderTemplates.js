@@ -0,0 +1,119 @@
+/**
+ * @description Modèles de commande (listes réutilisables par compte), sans dépendance UI ni Apex.
+ * Un modèle est stocké côté serveur (B2B_Order_Template__c) sous forme de lignes
+ * [{ productId, sku, name, quantity }] : le SKU et le nom sont conservés pour pouvoir signaler
+ * un produit qui n'est plus au catalogue.
+ * Dans le sélecteur de source, un modèle a pour valeur "template:<Id>".
+ */
+
+export const TEMPLATE_SOURCE_PREFIX = 'template:';
+
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * @description Valeur du sélecteur de source pour un modèle.
+ */
+export function toTemplateSource(templateId) {
+    return `${TEMPLATE_SOURCE_PREFIX}${templateId}`;
+}
+
+/**
+ * @description Id du modèle porté par une valeur de source, ou null (catalogue, commande passée).
+ */
+export function getTemplateId(sourceValue) {
+    if (typeof sourceValue !== 'string' || !sourceValue.startsWith(TEMPLATE_SOURCE_PREFIX)) return null;
+    return sourceValue.substring(TEMPLATE_SOURCE_PREFIX.length) || null;
+}
+
+/**
+ * @description Nom de modèle nettoyé (espaces, longueur du champ Name).
+ */
+export function normalizeTemplateName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().substring(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * @description Construit les lignes d'un modèle à partir d'une saisie { productId: qty }.
+ * Les quantités nulles sont ignorées ; SKU et nom viennent de l'index produits quand il les connaît.
+ * @param inputQty Saisie de la grille (ou quantités d'une commande passée).
+ * @param productIndex Map id -> produit.
+ * @param fallbackItems Lignes connues par ailleurs (ex : commande passée) pour les produits hors index.
+ * @return Array [{ productId, sku, name, quantity }] trié par nom.
+ */
+export function buildTemplateItems(inputQty, productIndex, fallbackItems = []) {
+    const fallback = new Map(fallbackItems.map(item => [item.productId, item]));
+    return Object.entries(inputQty || {})
+        .map(([productId, value]) => ({ productId, quantity: parseFloat(value) || 0 }))
+        .filter(line => line.quantity > 0)
+        .map(line => {
+            const product = (productIndex && productIndex.get(line.productId)) || fallback.get(line.productId) || {};
+            return { productId: line.productId, sku: product.sku || null, name: product.name || null, quantity: line.quantity };
+        })
+        .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * @description Rapproche les lignes d'une source (modèle ou commande) du catalogue chargé.
+ * Les quantités d'un même produit sont additionnées.
+ * @return { quantities: { productId: 'qty' }, products: [], unavailable: [{ key, productId, sku, name, description, variationParentId, quantity, label }] }
+ */
+export function resolveSourceItems(items, productIndex) {
+    const quantities = {};
+    const products = [];
+    const unavailable = new Map();
+
+    (items || []).forEach(item => {
+        const quantity = parseFloat(item.quantity) || 0;
+        if (!item.productId || quantity <= 0) return;
+        const product = productIndex ? productIndex.get(item.productId) : null;
+        if (product) {
+            if (quantities[item.productId] === undefined) products.push(product);
+            quantities[item.productId] = String((parseFloat(quantities[item.productId]) || 0) + quantity);
+            return;
+        }
+        const missing = unavailable.get(item.productId);
+        if (missing) {
+            missing.quantity += quantity;
+        } else {
+            unavailable.set(item.productId, {
+                key: item.productId, productId: item.productId, sku: item.sku || null, name: item.name || null, quantity,
+                description: item.description || null, variationParentId: item.variationParentId || null
+            });
+        }
+    });
+
+    return {
+        quantities,
+        products,
+        unavailable: [...unavailable.values()].map(line => ({
+            ...line,
+            label: line.name ? `${line.name}${line.sku ? ` (${line.sku})` : ''}` : (line.sku || line.productId)
+        }))
+    };
+}
+
+/**
+ * @description Options du sélecteur de source pour les modèles (libellés en texte simple).
+ */
+export function buildTemplateOptions(templates) {
+    return (templates || []).map(template => {
+        const count = template.lineCount || (template.items ? template.items.length : 0);
+        return {
+            label: `Template: ${template.name}   •   ${count} line${count === 1 ? '' : 's'}`,
+            value: toTemplateSource(template.id)
+        };
+    });
+}
+
+/**
+ * @description Nom proposé pour une copie, unique parmi les modèles existants ("X (copy)", "X (copy 2)"...).
+ */
+export function suggestCopyName(name, existingNames = []) {
+    const taken = new Set(existingNames.map(n => String(n).toLowerCase()));
+    const base = normalizeTemplateName(name);
+    let candidate = `${base} (copy)`;
+    for (let i = 2; taken.has(candidate.toLowerCase()); i++) {
+        candidate = `${base} (copy ${i})`;
+    }
+    return normalizeTemplateName(candidate);
+}
@@ -0,0 +1,149 @@
+import {
+    ADJUSTMENT_TYPE,
+    normalizePromotion,
+    applyPromotionAdjustments,
+    getActiveTier,
+    calculatePriceBreakdown,
+    buildTierList,
+    summarizeLines
+} from 'c/b2bPricingEngine';
+
+const product = {
+    unitPrice: 12,
+    listPrice: 15,
+    currencyCode: 'EUR',
+    priceRanges: [
+        { min: 10, price: 10 },
+        { min: 1, price: 12 },
+        { min: 50, price: 9.5 }
+    ]
+};
+
+describe('c/b2bPricingEngine', () => {
+    describe('normalizePromotion', () => {
+        it('maps the known adjustment types in order', () => {
+            const promo = normalizePromotion({
+                promotionalPrice: '8',
+                promotionPriceAdjustmentList: [
+                    { adjustmentType: 'PercentageOff', adjustmentPercent: '10', displayName: 'Spring' },
+                    { adjustmentType: 'AmountOff', adjustmentValue: '-1.5', displayName: 'Loyalty' },
+                    { adjustmentType: 'FixedPrice', adjustmentValue: '7', displayName: 'Clearance' }
+                ]
+            }, 12);
+            expect(promo.name).toBe('Spring');
+            expect(promo.adjustments).toEqual([
+                { type: ADJUSTMENT_TYPE.PERCENTAGE, value: 10, name: 'Spring' },
+                { type: ADJUSTMENT_TYPE.AMOUNT, value: 1.5, name: 'Loyalty' },
+                { type: ADJUSTMENT_TYPE.FIXED_PRICE, value: 7, name: 'Clearance' }
+            ]);
+        });
+
+        it('falls back to the promotional price ratio when no type is known', () => {
+            const promo = normalizePromotion({ promotionalPrice: 9, promotionPriceAdjustmentList: [{ adjustmentValue: 3 }] }, 12);
+            expect(promo.name).toBe('Promotion');
+            expect(promo.adjustments).toEqual([{ type: ADJUSTMENT_TYPE.RATIO, value: 0.75, name: 'Promotion' }]);
+        });
+
+        it('returns null when nothing is usable', () => {
+            expect(normalizePromotion(null)).toBeNull();
+            expect(normalizePromotion({ promotionPriceAdjustmentList: [] }, 12)).toBeNull();
+        });
+    });
+
+    describe('applyPromotionAdjustments', () => {
+        it('stacks adjustments and records the per-unit amount of each', () => {
+            const result = applyPromotionAdjustments(20, [
+                { type: ADJUSTMENT_TYPE.PERCENTAGE, value: 10, name: 'A' },
+                { type: ADJUSTMENT_TYPE.AMOUNT, value: 3, name: 'B' }
+            ]);
+            expect(result.price).toBe(15);
+            expect(result.applied.map(a => a.amountPerUnit)).toEqual([2, 3]);
+        });
+
+        it('never goes below zero and ignores a fixed price above the current price', () => {
+            expect(applyPromotionAdjustments(5, [{ type: ADJUSTMENT_TYPE.AMOUNT, value: 9 }]).price).toBe(0);
+            expect(applyPromotionAdjustments(5, [{ type: ADJUSTMENT_TYPE.FIXED_PRICE, value: 8 }]).applied).toEqual([]);
+        });
+    });
+
+    describe('getActiveTier', () => {
+        it('picks the highest threshold reached regardless of input order', () => {
+            expect(getActiveTier(product, 12).price).toBe(10);
+            expect(getActiveTier(product, 50).price).toBe(9.5);
+            expect(getActiveTier({ priceRanges: [] }, 5)).toBeNull();
+        });
+    });
+
+    describe('calculatePriceBreakdown', () => {
+        it('returns base, tier, list and savings for a line', () => {
+            const b = calculatePriceBreakdown(product, 20, null);
+            expect(b).toMatchObject({
+                currencyCode: 'EUR',
+                basePrice: 12,
+                tierPrice: 10,
+                listPrice: 15,
+                unitPrice: 10,
+                isPromo: false,
+                savingsPerUnit: 5,
+                lineTotal: 200,
+                lineListTotal: 300,
+                lineSavings: 100,
+                showListPrice: true
+            });
+        });
+
+        it('applies tiers on the cart-inclusive quantity', () => {
+            expect(calculatePriceBreakdown(product, 4, null, { inCart: 8 }).unitPrice).toBe(10);
+        });
+
+        it('applies the promotion on top of the active tier', () => {
+            const promo = { name: 'Spring', adjustments: [{ type: ADJUSTMENT_TYPE.PERCENTAGE, value: 10, name: 'Spring' }] };
+            const b = calculatePriceBreakdown(product, 10, promo);
+            expect(b).toMatchObject({ unitPrice: 9, isPromo: true, promotionName: 'Spring' });
+            expect(b.appliedAdjustments[0].amountPerUnit).toBe(1);
+        });
+
+        it('gives a next-tier hint', () => {
+            const b = calculatePriceBreakdown(product, 46, null);
+            expect(b.nextTier).toEqual({ min: 50, unitPrice: 9.5, quantityNeeded: 4, label: 'Buy 4 more to reach 9.50' });
+            expect(calculatePriceBreakdown(product, 60, null).nextTier).toBeNull();
+        });
+
+        it('uses a zero line total for an empty line but still prices one unit', () => {
+            const b = calculatePriceBreakdown(product, 0, null);
+            expect(b.unitPrice).toBe(12);
+            expect(b.lineTotal).toBe(0);
+        });
+    });
+
+    describe('buildTierList', () => {
+        it('marks the active tier and shows promotional tier prices', () => {
+            const promo = { adjustments: [{ type: ADJUSTMENT_TYPE.AMOUNT, value: 1 }] };
+            const tiers = buildTierList(product, 10, promo);
+            expect(tiers.map(t => t.label)).toEqual(['1+ @ 11.00', '10+ @ 9.00', '50+ @ 8.50']);
+            expect(tiers.map(t => t.isActive)).toEqual([false, true, false]);
+        });
+
+        it('returns null without tiers', () => {
+            expect(buildTierList({ unitPrice: 3 }, 1, null)).toBeNull();
+        });
+    });
+
+    describe('summarizeLines', () => {
+        it('groups totals per currency and skips empty lines', () => {
+            const eur = calculatePriceBreakdown(product, 10, null);
+            const eur2 = calculatePriceBreakdown(product, 2, null);
+            const usd = calculatePriceBreakdown({ unitPrice: 4, currencyCode: 'USD' }, 3, null);
+            const empty = calculatePriceBreakdown(product, 0, null);
+            expect(summarizeLines([usd, eur, empty, eur2])).toEqual([
+                { currencyCode: 'EUR', lineCount: 2, units: 12, subtotal: 124, listTotal: 180, savings: 56 },
+                { currencyCode: 'USD', lineCount: 1, units: 3, subtotal: 12, listTotal: 12, savings: 0 }
+            ]);
+        });
+
+        it('returns an empty list without lines', () => {
+            expect(summarizeLines([])).toEqual([]);
+            expect(summarizeLines(null)).toEqual([]);
+        });
+    });
+});
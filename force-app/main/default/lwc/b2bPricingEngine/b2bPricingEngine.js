@@ -0,0 +1,216 @@
+/**
+ * @description Moteur de prix pur (sans dépendance UI) partagé par la grille et l'assistant IA.
+ * Combine le prix négocié (unitPrice), les paliers (priceRanges) et les ajustements promotionnels
+ * (promotionPriceAdjustmentList de commerce/promotionApi) pour produire un détail complet :
+ * prix de base, palier actif, promotions appliquées, économies et prochain palier.
+ */
+
+export const ADJUSTMENT_TYPE = {
+    PERCENTAGE: 'percentage',
+    AMOUNT: 'amount',
+    FIXED_PRICE: 'fixedPrice',
+    RATIO: 'ratio'
+};
+
+function toNumber(value) {
+    const num = parseFloat(value);
+    return isNaN(num) ? null : num;
+}
+
+/**
+ * @description Arrondi monétaire (2 décimales).
+ */
+export function roundMoney(value) {
+    return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * @description Déduit le type d'ajustement depuis le libellé renvoyé par l'API Promotions.
+ */
+function resolveAdjustmentType(rawType) {
+    const type = String(rawType || '').toLowerCase().replace(/[\s_-]/g, '');
+    if (!type) return null;
+    if (type.includes('percent')) return ADJUSTMENT_TYPE.PERCENTAGE;
+    if (type.includes('fixedprice') || type.includes('override') || type.includes('priceoverride')) return ADJUSTMENT_TYPE.FIXED_PRICE;
+    if (type.includes('amount')) return ADJUSTMENT_TYPE.AMOUNT;
+    return null;
+}
+
+/**
+ * @description Normalise un résultat d'évaluation promotionnelle (promotionProductEvaluationResults[]).
+ * Chaque ajustement reconnu est conservé dans l'ordre pour être cumulé ; à défaut, le prix promotionnel
+ * global est converti en ratio (comportement historique).
+ * @param evaluation Objet brut { productId, promotionalPrice, unitPrice, promotionPriceAdjustmentList }.
+ * @param basePrice Prix unitaire négocié du produit (pour le ratio de repli).
+ * @return { name, promotionalPrice, adjustments[] } ou null si aucune promotion exploitable.
+ */
+export function normalizePromotion(evaluation, basePrice) {
+    if (!evaluation) return null;
+    const rawList = evaluation.promotionPriceAdjustmentList || [];
+    const adjustments = [];
+
+    rawList.forEach(adj => {
+        const type = resolveAdjustmentType(adj.adjustmentType || adj.type);
+        const value = toNumber(type === ADJUSTMENT_TYPE.PERCENTAGE && adj.adjustmentPercent != null ? adj.adjustmentPercent : adj.adjustmentValue);
+        if (type && value !== null) {
+            adjustments.push({ type, value: Math.abs(value), name: adj.displayName || 'Promotion' });
+        }
+    });
+
+    const promotionalPrice = toNumber(evaluation.promotionalPrice);
+    const reference = toNumber(evaluation.unitPrice) || toNumber(basePrice);
+    if (adjustments.length === 0 && promotionalPrice !== null && reference > 0 && promotionalPrice < reference) {
+        adjustments.push({ type: ADJUSTMENT_TYPE.RATIO, value: promotionalPrice / reference, name: rawList[0]?.displayName || 'Promotion' });
+    }
+
+    let name = rawList[0]?.displayName || null;
+    if (!name && (adjustments.length > 0 || rawList[0]?.adjustmentValue)) name = 'Promotion';
+
+    if (!name && promotionalPrice === null) return null;
+    return { name, promotionalPrice, adjustments };
+}
+
+/**
+ * @description Applique une liste d'ajustements promotionnels, dans l'ordre, sur un prix unitaire.
+ * @return { price, applied[] } applied = [{ type, value, name, amountPerUnit }]
+ */
+export function applyPromotionAdjustments(price, adjustments) {
+    let current = price;
+    const applied = [];
+    (adjustments || []).forEach(adj => {
+        let next = current;
+        if (adj.type === ADJUSTMENT_TYPE.PERCENTAGE) next = current * (1 - adj.value / 100);
+        else if (adj.type === ADJUSTMENT_TYPE.AMOUNT) next = current - adj.value;
+        else if (adj.type === ADJUSTMENT_TYPE.FIXED_PRICE) next = Math.min(current, adj.value);
+        else if (adj.type === ADJUSTMENT_TYPE.RATIO) next = current * adj.value;
+        next = Math.max(0, next);
+        if (next < current) {
+            applied.push({ ...adj, amountPerUnit: roundMoney(current - next) });
+            current = next;
+        }
+    });
+    return { price: current, applied };
+}
+
+/**
+ * @description Paliers triés par seuil croissant.
+ */
+function sortedTiers(product) {
+    return (product?.priceRanges || [])
+        .map(t => ({ min: parseFloat(t.min), max: t.max != null ? parseFloat(t.max) : null, price: parseFloat(t.price) }))
+        .filter(t => !isNaN(t.min) && !isNaN(t.price))
+        .sort((a, b) => a.min - b.min);
+}
+
+/**
+ * @description Palier applicable pour une quantité (le plus haut seuil atteint).
+ */
+export function getActiveTier(product, quantity) {
+    const eligible = sortedTiers(product).filter(t => quantity >= t.min);
+    return eligible.length ? eligible[eligible.length - 1] : null;
+}
+
+/**
+ * @description Calcule le détail de prix complet d'une ligne.
+ * @param product Produit (unitPrice, listPrice, priceRanges, currencyCode).
+ * @param quantity Quantité de la ligne (saisie).
+ * @param promotion Promotion normalisée (normalizePromotion) ou null.
+ * @param options { inCart } Les paliers s'appliquent sur la quantité totale (saisie, au moins 1, + panier).
+ * @return Object breakdown (voir champs ci-dessous).
+ */
+export function calculatePriceBreakdown(product, quantity, promotion, { inCart = 0 } = {}) {
+    const qty = Math.max(0, parseFloat(quantity) || 0);
+    const cartQty = Math.max(0, parseFloat(inCart) || 0);
+    const tierQuantity = (qty || 1) + cartQty;
+
+    const basePrice = toNumber(product?.unitPrice) || 0;
+    const listPrice = toNumber(product?.listPrice) || basePrice;
+    const activeTier = getActiveTier(product, tierQuantity);
+    const tierPrice = activeTier ? activeTier.price : basePrice;
+    const adjustments = promotion?.adjustments || [];
+
+    const promo = applyPromotionAdjustments(tierPrice, adjustments);
+    const unitPrice = roundMoney(promo.price);
+    const isPromo = promo.applied.length > 0;
+    const savingsPerUnit = roundMoney(Math.max(0, listPrice - unitPrice));
+
+    const nextTierRaw = sortedTiers(product).find(t => t.min > qty + cartQty);
+    let nextTier = null;
+    if (nextTierRaw) {
+        const nextUnitPrice = roundMoney(applyPromotionAdjustments(nextTierRaw.price, adjustments).price);
+        if (nextUnitPrice < unitPrice) {
+            const quantityNeeded = nextTierRaw.min - (qty + cartQty);
+            nextTier = {
+                min: nextTierRaw.min,
+                unitPrice: nextUnitPrice,
+                quantityNeeded,
+                label: `Buy ${quantityNeeded} more to reach ${nextUnitPrice.toFixed(2)}`
+            };
+        }
+    }
+
+    return {
+        currencyCode: product?.currencyCode || 'USD',
+        quantity: qty,
+        basePrice: roundMoney(basePrice),
+        listPrice: roundMoney(listPrice),
+        tierPrice: roundMoney(tierPrice),
+        activeTier,
+        promotionName: isPromo ? (promotion.name || 'Promotion') : null,
+        appliedAdjustments: promo.applied,
+        isPromo,
+        unitPrice,
+        showListPrice: listPrice > unitPrice,
+        savingsPerUnit,
+        lineTotal: roundMoney(unitPrice * qty),
+        lineListTotal: roundMoney(listPrice * qty),
+        lineSavings: roundMoney(savingsPerUnit * qty),
+        nextTier
+    };
+}
+
+/**
+ * @description Liste des paliers pour affichage (pastilles), prix promotionnels inclus.
+ * @return Array [{ key, min, max, price, label, isActive }] ou null si aucun palier.
+ */
+export function buildTierList(product, quantity, promotion, { inCart = 0 } = {}) {
+    const tiers = sortedTiers(product);
+    if (!tiers.length) return null;
+    const tierQuantity = (Math.max(0, parseFloat(quantity) || 0) || 1) + (parseFloat(inCart) || 0);
+    const activeTier = getActiveTier(product, tierQuantity);
+    return tiers.map(t => {
+        const price = roundMoney(applyPromotionAdjustments(t.price, promotion?.adjustments).price);
+        return {
+            key: t.min,
+            min: t.min,
+            max: t.max,
+            price,
+            label: `${t.max ? t.min + '-' + t.max : t.min + '+'} @ ${price.toFixed(2)}`,
+            isActive: !!activeTier && activeTier.min === t.min
+        };
+    });
+}
+
+/**
+ * @description Agrège des détails de prix (calculatePriceBreakdown) par devise.
+ * Les lignes de devises différentes ne sont jamais additionnées entre elles.
+ * @param breakdowns Liste de breakdowns (quantity, lineTotal, lineListTotal, lineSavings, currencyCode).
+ * @return Array [{ currencyCode, lineCount, units, subtotal, listTotal, savings }] trié par devise.
+ */
+export function summarizeLines(breakdowns) {
+    const groups = new Map();
+    (breakdowns || []).forEach(b => {
+        if (!b || !(b.quantity > 0)) return;
+        const code = b.currencyCode || 'USD';
+        if (!groups.has(code)) groups.set(code, { currencyCode: code, lineCount: 0, units: 0, subtotal: 0, listTotal: 0, savings: 0 });
+        const g = groups.get(code);
+        g.lineCount += 1;
+        g.units += b.quantity;
+        g.subtotal += b.lineTotal;
+        g.listTotal += b.lineListTotal;
+        g.savings += b.lineSavings;
+    });
+    return [...groups.values()]
+        .map(g => ({ ...g, subtotal: roundMoney(g.subtotal), listTotal: roundMoney(g.listTotal), savings: roundMoney(g.savings) }))
+        .sort((a, b) => a.currencyCode.localeCompare(b.currencyCode));
+}
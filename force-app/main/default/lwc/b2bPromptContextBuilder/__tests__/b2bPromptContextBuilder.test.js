@@ -0,0 +1,86 @@
+import { CHARS_PER_TOKEN, extractTerms, scoreProduct, trimHistory, fitOrderContext, buildPromptContext } from 'c/b2bPromptContextBuilder';
+
+const noSignals = { lastShownSkus: new Set(), orderedProductIds: new Set() };
+
+describe('c/b2bPromptContextBuilder', () => {
+    it('ranks products on SKU, name and shopping signals', () => {
+        expect(extractTerms('Please add 10 Écrous for the ABC-123 order')).toEqual(['ecrous', 'abc-123', 'order']);
+
+        const terms = extractTerms('ecrous abc-123');
+        expect(scoreProduct({ id: '1', sku: 'ABC-123', name: 'Bolt' }, terms, noSignals)).toEqual({ score: 100, reasons: ['sku'] });
+        expect(scoreProduct({ id: '2', sku: 'X-9', name: 'Écrous M8' }, terms, noSignals)).toEqual({ score: 10, reasons: ['name'] });
+
+        const signals = { lastShownSkus: new Set(['y-1']), orderedProductIds: new Set(['3']) };
+        const scored = scoreProduct({ id: '3', sku: 'Y-1', name: 'Washer', cartQty: 2 }, [], signals);
+        expect(scored.reasons).toEqual(['recently shown', 'in cart', 'ordered before']);
+        expect(scoreProduct({ id: '4', sku: 'Z-1', name: 'Nail' }, terms, noSignals).score).toBe(0);
+    });
+
+    it('summarizes older turns and keeps the latest ones', () => {
+        const history = Array.from({ length: 10 }, (_, i) => `\nUser: question ${i}\nAssistant: answer ${i}`).join('');
+
+        const trimmed = trimHistory(history, { recentTurns: 4 });
+        expect(trimmed.turnsKept).toBe(4);
+        expect(trimmed.turnsSummarized).toBe(16);
+        expect(trimmed.text.startsWith('\nSystem: Summary of 16 earlier messages: the user asked about question 0; question 1')).toBe(true);
+        expect(trimmed.text.endsWith('\nUser: question 9\nAssistant: answer 9')).toBe(true);
+
+        const tight = trimHistory(history, { recentTurns: 4, maxChars: 200 });
+        expect(tight.text.length).toBeLessThanOrEqual(200);
+        expect(tight.turnsKept).toBeLessThan(4);
+        expect(tight.text).toContain('Assistant: answer 9');
+    });
+
+    it('fits a large catalog into the budget, most relevant products first', () => {
+        const products = Array.from({ length: 5000 }, (_, i) => ({
+            id: `01t${i}`,
+            sku: `SKU-${String(i).padStart(5, '0')}`,
+            name: i === 4321 ? 'Stainless hinge' : `Generic part ${i}`,
+            Description: 'A standard catalog item used in tests'
+        }));
+
+        const context = buildPromptContext({
+            message: 'I need the stainless hinge and SKU-00007',
+            history: '\nUser: hello\nAssistant: hi',
+            products,
+            lastShownItems: [products[42]],
+            orderContext: 'o'.repeat(5000),
+            orderItems: { order1: [{ productId: '01t99', quantity: 3 }] }
+        }, { tokenBudget: 2000 });
+
+        const length = context.history.length + context.catalogJson.length + context.lastShownJson.length + context.orderContext.length;
+        expect(length).toBeLessThanOrEqual(2000 * CHARS_PER_TOKEN + 1);
+
+        const catalog = JSON.parse(context.catalogJson);
+        expect(catalog.length).toBeLessThan(products.length);
+        expect(catalog.slice(0, 4).map(p => p.sku)).toEqual(['SKU-00007', 'SKU-00042', 'SKU-04321', 'SKU-00099']);
+        expect(JSON.parse(context.lastShownJson)).toHaveLength(1);
+
+        const { report } = context;
+        expect(report.budgetTokens).toBe(2000);
+        expect(report.estimatedTokens).toBeLessThanOrEqual(2001);
+        expect(report.products).toEqual(expect.objectContaining({ included: catalog.length, total: 5000, matched: 4 }));
+        expect(report.orders.truncated).toBe(true);
+        expect(report.topMatches[0]).toEqual({ sku: 'SKU-00007', name: 'Generic part 7', score: 100, reasons: ['sku'] });
+    });
+
+    it('drops whole older orders so the order context stays valid JSON', () => {
+        const orders = Array.from({ length: 10 }, (_, i) => ({
+            OrderNumber: `000${i}`,
+            Status: 'Activated',
+            Items: Array.from({ length: 20 }, (__, j) => ({ sku: `SKU-${i}-${j}`, qty: j + 1, name: `Part ${j}` }))
+        }));
+        const orderContext = JSON.stringify(orders);
+
+        const context = buildPromptContext({ message: 'reorder', history: '', products: [], orderContext }, { tokenBudget: 2000 });
+        const sent = JSON.parse(context.orderContext);
+        expect(sent.length).toBeGreaterThan(0);
+        expect(sent.length).toBeLessThan(orders.length);
+        expect(sent).toEqual(orders.slice(0, sent.length));
+        expect(context.orderContext.length).toBeLessThanOrEqual(2000 * CHARS_PER_TOKEN * 0.2);
+        expect(context.report.orders).toEqual(expect.objectContaining({ truncated: true, included: sent.length, omitted: orders.length - sent.length }));
+
+        expect(fitOrderContext(orderContext, orderContext.length)).toEqual({ text: orderContext, included: 10, omitted: 0 });
+        expect(fitOrderContext('No order history available.', 10)).toEqual({ text: '', included: 0, omitted: 0 });
+    });
+});
@@ -0,0 +1,245 @@
+/**
+ * @description Construction du contexte envoyé à Einstein dans une limite de taille (en tokens estimés),
+ * sans dépendance UI : les produits sont classés par pertinence pour le message courant (SKU, nom,
+ * description, produits montrés récemment, panier, sélection, historique de commandes), l'historique
+ * de conversation est réduit à un résumé plus les derniers échanges, et un rapport décrit ce qui a été retenu.
+ */
+
+export const DEFAULT_TOKEN_BUDGET = 12000;
+export const DEFAULT_RECENT_TURNS = 6;
+// Estimation usuelle : ~4 caractères par token
+export const CHARS_PER_TOKEN = 4;
+
+// Part maximale du budget pour chaque bloc ; les produits prennent le reste
+const HISTORY_SHARE = 0.25;
+const ORDERS_SHARE = 0.2;
+const LAST_SHOWN_SHARE = 0.1;
+const SUMMARY_MAX_CHARS = 600;
+const REPORT_TOP_MATCHES = 10;
+
+const SCORE = {
+    SKU_EXACT: 100,
+    SKU_PARTIAL: 40,
+    NAME_TERM: 10,
+    DESCRIPTION_TERM: 3,
+    LAST_SHOWN: 25,
+    IN_CART: 8,
+    SELECTED: 8,
+    ORDERED: 6
+};
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'please', 'add', 'remove', 'set', 'show', 'need', 'want', 'some', 'any', 'all',
+    'les', 'des', 'une', 'pour', 'avec', 'ajoute', 'ajouter', 'moi', 'est', 'que', 'qui', 'dans', 'sur'
+]);
+
+export function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * @description Termes significatifs d'un message (minuscules, sans accents ni mots vides).
+ */
+export function extractTerms(message) {
+    // Les petits nombres sont des quantités ("add 10 bolts"), pas des références
+    const terms = normalizeText(message).split(/[^a-z0-9-]+/).filter(t => t.length >= 2 && !STOP_WORDS.has(t) && !/^\d{1,3}$/.test(t));
+    return [...new Set(terms)];
+}
+
+function normalizeText(value) {
+    return String(value || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * @description Score de pertinence d'un produit et raisons associées.
+ * @param signals { lastShownSkus: Set, orderedProductIds: Set }
+ * @return { score, reasons: [] }
+ */
+export function scoreProduct(product, terms, signals) {
+    const sku = normalizeText(product.sku || product.StockKeepingUnit);
+    const name = normalizeText(product.name);
+    const description = normalizeText(`${product.Description || ''} ${product.variationInfo || ''}`);
+    let score = 0;
+    const reasons = [];
+
+    terms.forEach(term => {
+        if (sku && sku === term) {
+            score += SCORE.SKU_EXACT;
+            reasons.push('sku');
+        } else if (sku && term.length >= 3 && sku.includes(term)) {
+            score += SCORE.SKU_PARTIAL;
+            reasons.push('sku');
+        } else if (name.includes(term)) {
+            score += SCORE.NAME_TERM;
+            reasons.push('name');
+        } else if (description.includes(term)) {
+            score += SCORE.DESCRIPTION_TERM;
+            reasons.push('description');
+        }
+    });
+    if (sku && signals.lastShownSkus.has(sku)) {
+        score += SCORE.LAST_SHOWN;
+        reasons.push('recently shown');
+    }
+    if (parseFloat(product.cartQty) > 0) {
+        score += SCORE.IN_CART;
+        reasons.push('in cart');
+    }
+    if (parseFloat(product.qtyValue) > 0) {
+        score += SCORE.SELECTED;
+        reasons.push('selected');
+    }
+    if (signals.orderedProductIds.has(product.id)) {
+        score += SCORE.ORDERED;
+        reasons.push('ordered before');
+    }
+    return { score, reasons: [...new Set(reasons)] };
+}
+
+/**
+ * @description Découpe l'historique ("\nUser: ...\nAssistant: ...") en échanges.
+ */
+export function splitTurns(history) {
+    return String(history || '')
+        .split(/\n(?=(?:User|Assistant|System): )/)
+        .map(t => t.trim())
+        .filter(t => t);
+}
+
+/**
+ * @description Historique réduit : résumé des anciens échanges (demandes de l'utilisateur) + derniers échanges complets.
+ * @return { text, turnsKept, turnsSummarized }
+ */
+export function trimHistory(history, { recentTurns = DEFAULT_RECENT_TURNS, maxChars = Infinity } = {}) {
+    const turns = splitTurns(history);
+    let kept = turns.slice(-recentTurns);
+    let older = turns.slice(0, turns.length - kept.length);
+
+    const render = () => {
+        const parts = [];
+        if (older.length) {
+            const asks = older.filter(t => t.startsWith('User: ')).map(t => t.slice(6).replace(/\s+/g, ' ').slice(0, 80));
+            let summary = `Summary of ${older.length} earlier message${older.length === 1 ? '' : 's'}: the user asked about ${asks.join('; ') || 'other topics'}.`;
+            if (summary.length > SUMMARY_MAX_CHARS) summary = `${summary.slice(0, SUMMARY_MAX_CHARS - 1)}…`;
+            parts.push(`System: ${summary}`);
+        }
+        return parts.concat(kept).map(t => `\n${t}`).join('');
+    };
+
+    let text = render();
+    // Budget dépassé : les plus anciens échanges conservés passent dans le résumé (le dernier reste toujours)
+    while (text.length > maxChars && kept.length > 1) {
+        older = older.concat(kept.slice(0, 1));
+        kept = kept.slice(1);
+        text = render();
+    }
+    if (text.length > maxChars) text = text.slice(-maxChars);
+    return { text, turnsKept: kept.length, turnsSummarized: older.length };
+}
+
+/**
+ * @description Sérialise des produits, dans l'ordre, tant que le budget (en caractères) le permet.
+ * La sérialisation est paresseuse : un grand catalogue n'est pas converti au-delà du budget.
+ * @return { items: [{ entry, json }], json }
+ */
+function fillBudget(entries, maxChars, serialize) {
+    const items = [];
+    let chars = 2;
+    for (const entry of entries) {
+        const json = JSON.stringify(serialize(entry));
+        if (chars + json.length + 1 > maxChars) break;
+        items.push({ entry, json });
+        chars += json.length + 1;
+    }
+    return { items, json: `[${items.map(i => i.json).join(',')}]` };
+}
+
+/**
+ * @description Commandes passées (JSON de la plus récente à la plus ancienne) réduites au budget : les commandes
+ * les plus anciennes sont retirées entières, le JSON envoyé reste valide. Un texte qui n'est pas une liste JSON
+ * est conservé s'il tient dans le budget, sinon omis.
+ * @return { text, included, omitted }
+ */
+export function fitOrderContext(orderContext, maxChars) {
+    const text = orderContext || '';
+    let orders = null;
+    try {
+        orders = JSON.parse(text);
+    } catch {
+        // Texte libre ("No order history available.")
+    }
+    if (!Array.isArray(orders)) {
+        return text.length <= maxChars ? { text, included: 0, omitted: 0 } : { text: '', included: 0, omitted: 0 };
+    }
+    if (text.length <= maxChars) return { text, included: orders.length, omitted: 0 };
+    const fitted = fillBudget(orders, maxChars, order => order);
+    return { text: fitted.items.length ? fitted.json : '', included: fitted.items.length, omitted: orders.length - fitted.items.length };
+}
+
+/**
+ * @description Construit le contexte d'un tour de conversation.
+ * @param input { message, history, products, lastShownItems, orderContext, orderItems, mapProduct(product) }
+ * @param options { tokenBudget, recentTurns }
+ * @return { history, catalogJson, lastShownJson, orderContext, report }
+ */
+export function buildPromptContext(input, { tokenBudget = DEFAULT_TOKEN_BUDGET, recentTurns = DEFAULT_RECENT_TURNS } = {}) {
+    const budgetTokens = parseInt(tokenBudget, 10) > 0 ? parseInt(tokenBudget, 10) : DEFAULT_TOKEN_BUDGET;
+    const budgetChars = budgetTokens * CHARS_PER_TOKEN;
+    const mapProduct = input.mapProduct || (p => p);
+    const products = input.products || [];
+    const lastShownItems = input.lastShownItems || [];
+
+    // 1. Historique (message courant inclus, toujours conservé)
+    const history = trimHistory(input.history, { recentTurns, maxChars: Math.floor(budgetChars * HISTORY_SHARE) });
+
+    // 2. Commandes passées (commandes entières uniquement)
+    const orders = fitOrderContext(input.orderContext, Math.floor(budgetChars * ORDERS_SHARE));
+    const orderContext = orders.text;
+    const ordersTruncated = orderContext.length < (input.orderContext || '').length;
+
+    // 3. Derniers produits montrés (références des "celui-ci", "le même")
+    const lastShown = fillBudget(lastShownItems, Math.floor(budgetChars * LAST_SHOWN_SHARE), mapProduct);
+    const lastShownJson = lastShown.json;
+
+    // 4. Catalogue classé par pertinence, dans le reste du budget
+    const terms = extractTerms(input.message);
+    const signals = {
+        lastShownSkus: new Set(lastShownItems.map(p => normalizeText(p.sku)).filter(s => s)),
+        orderedProductIds: new Set(Object.values(input.orderItems || {}).flat().map(it => it && it.productId).filter(id => id))
+    };
+    const ranked = products
+        .map((product, index) => ({ product, index, ...scoreProduct(product, terms, signals) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const used = history.text.length + orderContext.length + lastShownJson.length;
+    const catalog = fillBudget(ranked, Math.max(0, budgetChars - used), r => mapProduct(r.product));
+    const catalogJson = catalog.json;
+
+    const estimatedTokens = estimateTokens(history.text) + estimateTokens(orderContext) + estimateTokens(lastShownJson) + estimateTokens(catalogJson);
+    return {
+        history: history.text,
+        catalogJson,
+        lastShownJson,
+        orderContext,
+        report: {
+            budgetTokens,
+            estimatedTokens,
+            terms,
+            history: { turnsKept: history.turnsKept, turnsSummarized: history.turnsSummarized, tokens: estimateTokens(history.text) },
+            products: {
+                included: catalog.items.length,
+                total: products.length,
+                matched: ranked.filter(r => r.score > 0).length,
+                tokens: estimateTokens(catalogJson)
+            },
+            lastShown: { included: lastShown.items.length, total: lastShownItems.length },
+            orders: { tokens: estimateTokens(orderContext), truncated: ordersTruncated, included: orders.included, omitted: orders.omitted },
+            topMatches: catalog.items.filter(i => i.entry.score > 0).slice(0, REPORT_TOP_MATCHES).map(({ entry }) => ({
+                sku: entry.product.sku || entry.product.StockKeepingUnit,
+                name: entry.product.name,
+                score: entry.score,
+                reasons: entry.reasons
+            }))
+        }
+    };
+}
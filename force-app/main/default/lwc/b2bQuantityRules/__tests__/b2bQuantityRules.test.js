@@ -0,0 +1,200 @@
+import {
+    DEFAULT_MAX_QUANTITY,
+    REASON,
+    getQuantityRules,
+    isMaxRequest,
+    snapToIncrement,
+    getAvailableQuantity,
+    validateQuantity,
+    resolveQuantity,
+    stepQuantity,
+    formatReason,
+    explainAdjustments,
+    parseQuantityText
+} from 'c/b2bQuantityRules';
+
+const product = (overrides = {}) => ({ minQty: 1, maxQty: null, increment: 1, stock: null, ...overrides });
+const codes = (result) => (result.reasons || result.errors).map(r => r.code);
+
+describe('c/b2bQuantityRules', () => {
+    describe('getQuantityRules', () => {
+        it('applies defaults for missing rules and infinite stock', () => {
+            const rules = getQuantityRules({});
+            expect(rules).toEqual({ min: 1, max: DEFAULT_MAX_QUANTITY, increment: 1, stock: DEFAULT_MAX_QUANTITY, isInfiniteStock: true, hasMaxRule: false });
+        });
+
+        it('parses string values coming from Apex and the grid', () => {
+            const rules = getQuantityRules({ minQty: '2', maxQty: '50', increment: '2', stock: '12' });
+            expect(rules).toMatchObject({ min: 2, max: 50, increment: 2, stock: 12, isInfiniteStock: false, hasMaxRule: true });
+        });
+
+        it('treats the "null" string as infinite stock and zero as out of stock', () => {
+            expect(getQuantityRules({ stock: 'null' }).isInfiniteStock).toBe(true);
+            expect(getQuantityRules({ stock: '0' })).toMatchObject({ stock: 0, isInfiniteStock: false });
+        });
+
+        it('falls back to 1 for a zero or negative increment', () => {
+            expect(getQuantityRules({ increment: 0 }).increment).toBe(1);
+            expect(getQuantityRules({ increment: -3 }).increment).toBe(1);
+        });
+    });
+
+    describe('snapToIncrement', () => {
+        it('rounds up, down and to nearest', () => {
+            expect(snapToIncrement(7, 5)).toBe(10);
+            expect(snapToIncrement(7, 5, 'down')).toBe(5);
+            expect(snapToIncrement(7, 5, 'nearest')).toBe(5);
+        });
+
+        it('keeps exact multiples and handles decimal increments', () => {
+            expect(snapToIncrement(10, 5)).toBe(10);
+            expect(snapToIncrement(0.3, 0.1)).toBe(0.3);
+            expect(snapToIncrement(0.35, 0.1, 'down')).toBe(0.3);
+        });
+    });
+
+    describe('getAvailableQuantity', () => {
+        it('deducts cart and selected quantities from the tighter of stock and max', () => {
+            expect(getAvailableQuantity(product({ stock: 20, maxQty: 15 }), { inCart: 5, selected: 2 })).toBe(8);
+            expect(getAvailableQuantity(product({ stock: 10, maxQty: 15 }), { inCart: 5 })).toBe(5);
+        });
+
+        it('never returns a negative quantity', () => {
+            expect(getAvailableQuantity(product({ stock: 3 }), { inCart: 5 })).toBe(0);
+        });
+    });
+
+    describe('validateQuantity', () => {
+        it('accepts an empty line', () => {
+            expect(validateQuantity(product({ minQty: 5 }), 0).isValid).toBe(true);
+            expect(validateQuantity(product({ minQty: 5 }), '').isValid).toBe(true);
+        });
+
+        it('reports minimum and increment violations', () => {
+            const result = validateQuantity(product({ minQty: 4, increment: 4 }), 3);
+            expect(result.isValid).toBe(false);
+            expect(codes(result)).toEqual([REASON.MIN_QUANTITY, REASON.INCREMENT]);
+        });
+
+        it('is cart aware for the maximum rule', () => {
+            const p = product({ maxQty: 10 });
+            expect(validateQuantity(p, 10).isValid).toBe(true);
+            expect(codes(validateQuantity(p, 10, { inCart: 2 }))).toEqual([REASON.MAX_QUANTITY]);
+        });
+
+        it('reports stock limits and out of stock', () => {
+            expect(codes(validateQuantity(product({ stock: 10 }), 8, { inCart: 4 }))).toEqual([REASON.STOCK_LIMIT]);
+            expect(codes(validateQuantity(product({ stock: 0 }), 1))).toEqual([REASON.OUT_OF_STOCK]);
+        });
+
+        it('tolerates floating point noise on decimal increments', () => {
+            expect(validateQuantity(product({ increment: 0.1, minQty: 0.1 }), 0.1 * 3).isValid).toBe(true);
+        });
+    });
+
+    describe('resolveQuantity', () => {
+        it('returns the request unchanged when it is valid', () => {
+            const result = resolveQuantity(product({ increment: 2 }), 6);
+            expect(result).toMatchObject({ quantity: 6, requested: 6, isAdjusted: false, reasons: [] });
+        });
+
+        it('raises to the minimum then snaps up to the increment', () => {
+            const result = resolveQuantity(product({ minQty: 5, increment: 2 }), 1);
+            expect(result.quantity).toBe(6);
+            expect(codes(result)).toEqual([REASON.MIN_QUANTITY, REASON.INCREMENT]);
+        });
+
+        it('caps to the remaining stock aligned on the increment', () => {
+            const result = resolveQuantity(product({ stock: 23, increment: 5 }), 40, { inCart: 0 });
+            expect(result.quantity).toBe(20);
+            expect(result.reasons).toEqual([{ code: REASON.STOCK_LIMIT, value: 23 }]);
+        });
+
+        it('caps to the maximum minus the cart', () => {
+            const result = resolveQuantity(product({ maxQty: 10 }), 8, { inCart: 4 });
+            expect(result.quantity).toBe(6);
+            expect(result.reasons).toEqual([{ code: REASON.MAX_QUANTITY, value: 10 }]);
+        });
+
+        it('returns zero when nothing can be added', () => {
+            const result = resolveQuantity(product({ stock: 5 }), 3, { inCart: 5 });
+            expect(result.quantity).toBe(0);
+            expect(codes(result)).toEqual([REASON.OUT_OF_STOCK]);
+        });
+
+        it('returns zero when the remaining room is below the minimum', () => {
+            const result = resolveQuantity(product({ stock: 3, minQty: 5 }), 5);
+            expect(result.quantity).toBe(0);
+            expect(result.isAdjusted).toBe(true);
+        });
+
+        it('interprets the AI "max" convention as all available quantity', () => {
+            expect(isMaxRequest(9999999)).toBe(true);
+            const result = resolveQuantity(product({ stock: 17, increment: 4 }), 9999999, { inCart: 1 });
+            expect(result).toMatchObject({ quantity: 16, isMaxRequest: true });
+            expect(result.reasons).toEqual([{ code: REASON.MAX_AVAILABLE, value: 16 }]);
+        });
+
+        it('rounds down and clears the line below the minimum when removing', () => {
+            const p = product({ minQty: 4, increment: 2 });
+            expect(resolveQuantity(p, 5, { rounding: 'down' }).quantity).toBe(4);
+            const cleared = resolveQuantity(p, 2, { rounding: 'down' });
+            expect(cleared.quantity).toBe(0);
+            expect(codes(cleared)).toEqual([REASON.BELOW_MINIMUM]);
+        });
+
+        it('ignores invalid and non-positive requests', () => {
+            expect(resolveQuantity(product(), 'abc').quantity).toBe(0);
+            expect(resolveQuantity(product(), -4)).toMatchObject({ quantity: 0, isAdjusted: false });
+        });
+    });
+
+    describe('stepQuantity', () => {
+        it('jumps to the minimum from an empty line', () => {
+            expect(stepQuantity(product({ minQty: 6, increment: 3 }), 0, 'up')).toBe(6);
+        });
+
+        it('steps on increments and clears below the minimum', () => {
+            const p = product({ minQty: 3, increment: 3 });
+            expect(stepQuantity(p, 6, 'up')).toBe(9);
+            expect(stepQuantity(p, 7, 'up')).toBe(9);
+            expect(stepQuantity(p, 7, 'down')).toBe(6);
+            expect(stepQuantity(p, 3, 'down')).toBe(0);
+        });
+
+        it('stops at the cart-aware ceiling', () => {
+            const p = product({ maxQty: 10, increment: 2 });
+            expect(stepQuantity(p, 6, 'up', { inCart: 4 })).toBe(6);
+        });
+
+        it('supports several steps at once', () => {
+            expect(stepQuantity(product({ increment: 5 }), 5, 'up', { steps: 3 })).toBe(20);
+            expect(stepQuantity(product({ increment: 5 }), 20, 'down', { steps: 10 })).toBe(0);
+        });
+    });
+
+    describe('formatReason / explainAdjustments', () => {
+        it('renders a readable text for every reason code', () => {
+            Object.values(REASON).forEach(code => {
+                expect(formatReason({ code, value: 4 })).not.toBe(code);
+            });
+            expect(formatReason({ code: REASON.INCREMENT, value: 6 })).toBe('Adjusted to multiple of 6');
+        });
+
+        it('explains both resolve and validate results', () => {
+            expect(explainAdjustments(resolveQuantity(product({ minQty: 2 }), 1))).toEqual(['Minimum quantity is 2']);
+            expect(explainAdjustments(validateQuantity(product({ stock: 0 }), 1))).toEqual(['No stock available']);
+        });
+    });
+
+    describe('parseQuantityText', () => {
+        it('reads thousands separators and decimal marks without shrinking quantities', () => {
+            const values = ['12', '12 pcs', '1 000', '1,000', '1,000,000', '1.000.000', '2,5', '2.5', '0,125', '1,000.5', '1.000,5', 8];
+            expect(values.map(parseQuantityText)).toEqual([12, 12, 1000, 1000, 1000000, 1000000, 2.5, 2.5, 0.125, 1000.5, 1000.5, 8]);
+        });
+
+        it('rejects ambiguous groupings and text', () => {
+            expect(['1,2,3', '1234,567', '1,000.000,5', 'abc', '', null, 'SKU-1'].map(parseQuantityText)).toEqual([null, null, null, null, null, null, null]);
+        });
+    });
+});
@@ -0,0 +1,271 @@
+/**
+ * @description Moteur de règles de quantité partagé (Min, Max, Incrément, Stock).
+ * Source unique de vérité pour la grille (b2bCommerceOrderMatrix) et l'assistant IA (b2bAiAssistant).
+ * Les quantités manipulées ici sont des quantités de LIGNE (saisie totale pour un produit),
+ * le panier (inCart) étant toujours déduit des plafonds Max et Stock.
+ * Une quantité est valide si elle vaut 0 (ligne vide) ou si elle est >= Min, multiple de l'Incrément
+ * et <= au plafond restant (Max - panier, Stock - panier).
+ */
+
+export const DEFAULT_MAX_QUANTITY = 999999;
+
+// Convention de l'IA : toute quantité au-delà de ce seuil signifie "le maximum possible" (ex: 9999999).
+export const MAX_REQUEST_THRESHOLD = 9000000;
+
+export const REASON = {
+    MIN_QUANTITY: 'MIN_QUANTITY',
+    INCREMENT: 'INCREMENT',
+    MAX_QUANTITY: 'MAX_QUANTITY',
+    STOCK_LIMIT: 'STOCK_LIMIT',
+    MAX_AVAILABLE: 'MAX_AVAILABLE',
+    BELOW_MINIMUM: 'BELOW_MINIMUM',
+    OUT_OF_STOCK: 'OUT_OF_STOCK'
+};
+
+const EPSILON = 0.0001;
+
+function toPositiveNumber(value, fallback) {
+    const num = parseFloat(value);
+    return (isNaN(num) || num <= 0) ? fallback : num;
+}
+
+/**
+ * @description Arrondit les erreurs de virgule flottante (ex: 0.1 * 3).
+ */
+function roundQuantity(value) {
+    return Math.round(value * 1000000) / 1000000;
+}
+
+/**
+ * @description Normalise les règles d'un produit (brut Apex ou ligne de grille).
+ * @param product Objet produit (minQty, maxQty, increment, stock).
+ * @return { min, max, increment, stock, isInfiniteStock, hasMaxRule }
+ */
+export function getQuantityRules(product) {
+    const p = product || {};
+    const min = toPositiveNumber(p.minQty, 1);
+    const max = toPositiveNumber(p.maxQty, DEFAULT_MAX_QUANTITY);
+    const increment = toPositiveNumber(p.increment, 1);
+    const isInfiniteStock = (p.stock === undefined || p.stock === null || p.stock === 'null' || p.stock === '');
+    const parsedStock = isInfiniteStock ? DEFAULT_MAX_QUANTITY : parseFloat(p.stock);
+    const stock = isNaN(parsedStock) ? 0 : Math.max(0, parsedStock);
+    return { min, max, increment, stock, isInfiniteStock, hasMaxRule: max < DEFAULT_MAX_QUANTITY };
+}
+
+/**
+ * @description Indique si la quantité correspond à la convention "tout le stock / maximum".
+ */
+export function isMaxRequest(quantity) {
+    return parseFloat(quantity) > MAX_REQUEST_THRESHOLD;
+}
+
+/**
+ * @description Vérifie qu'une quantité est un multiple de l'incrément (avec tolérance flottante).
+ */
+export function isMultipleOf(quantity, increment) {
+    const ratio = quantity / increment;
+    return Math.abs(ratio - Math.round(ratio)) <= EPSILON;
+}
+
+/**
+ * @description Aligne une quantité sur l'incrément.
+ * @param quantity Quantité brute.
+ * @param increment Pas de commande.
+ * @param direction 'up' (défaut), 'down' ou 'nearest'.
+ */
+export function snapToIncrement(quantity, increment, direction = 'up') {
+    const inc = toPositiveNumber(increment, 1);
+    const ratio = quantity / inc;
+    let steps;
+    if (direction === 'down') steps = Math.floor(ratio + EPSILON);
+    else if (direction === 'nearest') steps = Math.round(ratio);
+    else steps = Math.ceil(ratio - EPSILON);
+    return roundQuantity(steps * inc);
+}
+
+/**
+ * @description Quantité encore sélectionnable pour un produit, panier et saisie déduits.
+ * @param product Objet produit.
+ * @param options { inCart, selected }
+ * @return Number >= 0
+ */
+export function getAvailableQuantity(product, { inCart = 0, selected = 0 } = {}) {
+    const rules = getQuantityRules(product);
+    const ceiling = Math.min(rules.max, rules.stock);
+    return roundQuantity(Math.max(0, ceiling - (parseFloat(inCart) || 0) - (parseFloat(selected) || 0)));
+}
+
+/**
+ * @description Identifie la règle limitante (Max ou Stock) pour une quantité déjà en panier.
+ */
+function limitReason(rules, inCart, available) {
+    if (rules.stock - inCart <= 0) return { code: REASON.OUT_OF_STOCK, value: 0 };
+    if (rules.max - inCart <= rules.stock - inCart) return { code: REASON.MAX_QUANTITY, value: rules.max };
+    return { code: REASON.STOCK_LIMIT, value: available };
+}
+
+/**
+ * @description Valide une quantité de ligne sans la modifier.
+ * @param product Objet produit.
+ * @param quantity Quantité saisie pour la ligne.
+ * @param options { inCart }
+ * @return { isValid, errors[] } errors = [{ code, value }]
+ */
+export function validateQuantity(product, quantity, { inCart = 0 } = {}) {
+    const qty = parseFloat(quantity);
+    if (isNaN(qty) || qty === 0) return { isValid: true, errors: [] };
+
+    const rules = getQuantityRules(product);
+    const cartQty = parseFloat(inCart) || 0;
+    const errors = [];
+
+    if (qty < 0) errors.push({ code: REASON.MIN_QUANTITY, value: rules.min });
+    else if (qty < rules.min) errors.push({ code: REASON.MIN_QUANTITY, value: rules.min });
+    if (!isMultipleOf(qty, rules.increment)) errors.push({ code: REASON.INCREMENT, value: rules.increment });
+
+    const available = getAvailableQuantity(product, { inCart: cartQty });
+    if (qty > available + EPSILON) errors.push(limitReason(rules, cartQty, available));
+
+    return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * @description Calcule la quantité de ligne valide la plus proche de la demande.
+ * Applique dans l'ordre : Min, Incrément, puis plafond Max/Stock (panier déduit).
+ * @param product Objet produit.
+ * @param requestedQty Quantité de ligne souhaitée (absolue, pas un delta).
+ * @param options { inCart, rounding } rounding = 'up' (ajout) ou 'down' (retrait : sous le Min, la ligne est vidée).
+ * @return { quantity, requested, isAdjusted, isMaxRequest, reasons[] }
+ */
+export function resolveQuantity(product, requestedQty, { inCart = 0, rounding = 'up' } = {}) {
+    const requested = parseFloat(requestedQty);
+    const result = { quantity: 0, requested: isNaN(requested) ? 0 : requested, isAdjusted: false, isMaxRequest: false, reasons: [] };
+    if (isNaN(requested) || requested <= 0) return result;
+
+    const rules = getQuantityRules(product);
+    const cartQty = parseFloat(inCart) || 0;
+    const available = getAvailableQuantity(product, { inCart: cartQty });
+    const ceiling = snapToIncrement(available, rules.increment, 'down');
+    const reasons = [];
+    let qty = requested;
+
+    if (isMaxRequest(requested)) {
+        result.isMaxRequest = true;
+        qty = ceiling >= rules.min ? ceiling : 0;
+        reasons.push(qty > 0 ? { code: REASON.MAX_AVAILABLE, value: qty } : limitReason(rules, cartQty, available));
+        return { ...result, quantity: qty, isAdjusted: true, reasons };
+    }
+
+    if (rounding === 'down') {
+        if (!isMultipleOf(qty, rules.increment)) {
+            qty = snapToIncrement(qty, rules.increment, 'down');
+            reasons.push({ code: REASON.INCREMENT, value: rules.increment });
+        }
+        if (qty > 0 && qty < rules.min) {
+            qty = 0;
+            reasons.push({ code: REASON.BELOW_MINIMUM, value: rules.min });
+        }
+    } else {
+        if (qty < rules.min) {
+            qty = rules.min;
+            reasons.push({ code: REASON.MIN_QUANTITY, value: rules.min });
+        }
+        if (!isMultipleOf(qty, rules.increment)) {
+            qty = snapToIncrement(qty, rules.increment, 'up');
+            reasons.push({ code: REASON.INCREMENT, value: rules.increment });
+        }
+    }
+
+    if (qty > ceiling + EPSILON) {
+        qty = ceiling >= rules.min ? ceiling : 0;
+        reasons.push(limitReason(rules, cartQty, available));
+    }
+
+    qty = roundQuantity(qty);
+    return { ...result, quantity: qty, isAdjusted: qty !== requested || reasons.length > 0, reasons };
+}
+
+/**
+ * @description Calcule la quantité suivante/précédente pour les boutons +/- (et raccourcis clavier).
+ * @param product Objet produit.
+ * @param currentQty Quantité de ligne actuelle.
+ * @param direction 'up' ou 'down'.
+ * @param options { inCart, steps }
+ * @return Number Nouvelle quantité (identique à currentQty si aucun pas n'est possible).
+ */
+export function stepQuantity(product, currentQty, direction, { inCart = 0, steps = 1 } = {}) {
+    const rules = getQuantityRules(product);
+    const ceiling = snapToIncrement(getAvailableQuantity(product, { inCart }), rules.increment, 'down');
+    let qty = parseFloat(currentQty) || 0;
+
+    for (let i = 0; i < steps; i++) {
+        let next;
+        if (direction === 'down') {
+            next = snapToIncrement(qty, rules.increment, 'up') - rules.increment;
+            if (next < rules.min) next = 0;
+        } else {
+            next = qty < rules.min
+                ? snapToIncrement(rules.min, rules.increment, 'up')
+                : (Math.floor(qty / rules.increment + EPSILON) + 1) * rules.increment;
+            if (next > ceiling + EPSILON) break;
+        }
+        qty = roundQuantity(Math.max(0, next));
+    }
+    return qty;
+}
+
+/**
+ * @description Traduit un code raison structuré en texte lisible (toasts, logs envoyés à l'IA).
+ * @param reason { code, value }
+ */
+export function formatReason(reason) {
+    if (!reason) return '';
+    const v = reason.value;
+    switch (reason.code) {
+        case REASON.MIN_QUANTITY: return `Minimum quantity is ${v}`;
+        case REASON.INCREMENT: return `Adjusted to multiple of ${v}`;
+        case REASON.MAX_QUANTITY: return `Maximum allowed per order is ${v}`;
+        case REASON.STOCK_LIMIT: return `Limited by available stock (${v} remaining)`;
+        case REASON.MAX_AVAILABLE: return `Added all available stock (${v})`;
+        case REASON.BELOW_MINIMUM: return `Removed: below minimum quantity of ${v}`;
+        case REASON.OUT_OF_STOCK: return 'No stock available';
+        default: return String(reason.code);
+    }
+}
+
+/**
+ * @description Liste lisible des ajustements d'un résultat resolveQuantity / validateQuantity.
+ */
+export function explainAdjustments(result) {
+    const reasons = (result && (result.reasons || result.errors)) || [];
+    return reasons.map(formatReason);
+}
+
+// Nombre éventuellement groupé ("1 000", "1,000", "1.000,5") suivi d'une unité facultative ("12 pcs")
+const QUANTITY_TEXT_PATTERN = /^(-?)(\d+(?:[ .,]\d+)*)\s*[a-z.]*$/i;
+
+/**
+ * @description Quantité lue dans un texte (bon de commande importé, saisie collée, réponse de l'IA).
+ * La dernière virgule ou le dernier point est la marque décimale ("2,5", "1.000,5"), sauf une virgule suivie
+ * d'exactement trois chiffres ("1,000", "1,000,000") ou un point répété ("1.000.000"), qui séparent les milliers,
+ * comme les espaces. Un groupement incohérent ("1,2,3", "1234,567") est rejeté plutôt que deviné.
+ * @return Number ou null si illisible
+ */
+export function parseQuantityText(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const match = String(value === null || value === undefined ? '' : value).trim().match(QUANTITY_TEXT_PATTERN);
+    if (!match) return null;
+    const groups = match[2].split(/[ .,]/);
+    const separators = match[2].replace(/\d+/g, '').split('');
+    const last = separators[separators.length - 1];
+    const lastGroup = groups[groups.length - 1];
+    const lastIsThousands = !last || last === ' '
+        || (lastGroup.length === 3 && ((last === ',' && groups[0] !== '0') || separators.filter(s => s === last).length > 1));
+
+    const thousands = lastIsThousands ? separators : separators.slice(0, -1);
+    const integerGroups = lastIsThousands ? groups : groups.slice(0, -1);
+    if (new Set(thousands).size > 1 || (!lastIsThousands && thousands.includes(last))) return null;
+    if (thousands.length && (integerGroups[0].length > 3 || integerGroups.slice(1).some(g => g.length !== 3))) return null;
+    const num = parseFloat(`${match[1]}${integerGroups.join('')}${lastIsThousands ? '' : `.${lastGroup}`}`);
+    return isNaN(num) ? null : num;
+}
@@ -0,0 +1,46 @@
+import { SUBSTITUTE_REASON, scoreSubstitute, findSubstitutes, buildSubstitutionRequest } from 'c/b2bSubstitutionFinder';
+
+const catalog = [
+    { id: '01tR', sku: 'GLV-R-M', name: 'Nitrile gloves red M', Description: 'Disposable nitrile gloves', variationParentId: '01tP', stock: '40' },
+    { id: '01tB', sku: 'GLV-B-M', name: 'Nitrile gloves blue M', Description: 'Disposable nitrile gloves', variationParentId: '01tP', stock: '0' },
+    { id: '01tL', sku: 'GLV-LTX', name: 'Latex gloves', Description: 'Disposable latex gloves, powder free', stock: null },
+    { id: '01tS', sku: 'SAF-GOG', name: 'Safety goggles', Description: 'Anti-fog goggles', stock: '12' },
+    { id: '01tH', sku: 'HLM-01', name: 'Hard hat', Description: 'Helmet', stock: '5' }
+];
+
+const missing = {
+    productId: '01tOLD', sku: 'GLV-G-M', name: 'Nitrile gloves green M',
+    description: 'Disposable nitrile gloves', variationParentId: '01tP', quantity: 4
+};
+
+describe('c/b2bSubstitutionFinder', () => {
+    it('ranks variants of the same parent first and skips out-of-stock products', () => {
+        const substitutes = findSubstitutes(missing, catalog);
+        expect(substitutes.map(s => [s.sku, s.reason])).toEqual([
+            ['GLV-R-M', SUBSTITUTE_REASON.VARIANT],
+            ['GLV-LTX', SUBSTITUTE_REASON.SIMILAR]
+        ]);
+        expect(substitutes[0]).toMatchObject({ productId: '01tR', name: 'Nitrile gloves red M', reasonLabel: 'Same product family' });
+        expect(scoreSubstitute(missing, catalog[1])).toBeNull();
+        expect(scoreSubstitute(missing, { ...catalog[0], id: '01tOLD' })).toBeNull();
+    });
+
+    it('matches on name or description when the variation parent is unknown', () => {
+        const line = { productId: '01tX', sku: 'GOG-OLD', name: 'Goggles clear', description: 'Anti-fog safety goggles', quantity: 2 };
+        expect(findSubstitutes(line, catalog).map(s => s.sku)).toEqual(['SAF-GOG']);
+        expect(findSubstitutes({ productId: '01tY', name: 'Forklift battery', quantity: 1 }, catalog)).toEqual([]);
+        expect(findSubstitutes(missing, [...catalog, ...catalog.map(p => ({ ...p, id: `${p.id}2`, variationParentId: '01tP', stock: '1' }))], { limit: 2 })).toHaveLength(2);
+    });
+
+    it('lifts assistant recommendations above name matches and builds the request sent to the assistant', () => {
+        const line = { productId: '01tX', sku: 'GOG-OLD', name: 'Goggles clear', quantity: 2 };
+        const substitutes = findSubstitutes(line, catalog, { assistantSkus: ['hlm-01'] });
+        expect(substitutes.map(s => [s.sku, s.reasonLabel])).toEqual([
+            ['HLM-01', 'Suggested by the assistant'],
+            ['SAF-GOG', 'Similar product']
+        ]);
+        expect(buildSubstitutionRequest({ productId: '01tZ', sku: null, name: null })).toBe(
+            'The product "01tZ" is no longer available. Suggest up to 3 products from the current catalog that could replace it, using the search action.'
+        );
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * @description Substituts des lignes d'une source (commande, modèle, brouillon) dont le produit n'est plus au
+ * catalogue : même parent de variation, nom ou description proches, ou recommandation de l'assistant.
+ * Sans dépendance UI : le catalogue et les SKU recommandés sont fournis par l'appelant.
+ */
+import { extractTerms } from 'c/b2bPromptContextBuilder';
+
+export const SUBSTITUTE_REASON = {
+    VARIANT: 'variant',
+    ASSISTANT: 'assistant',
+    SIMILAR: 'similar'
+};
+
+const REASON_LABELS = {
+    [SUBSTITUTE_REASON.VARIANT]: 'Same product family',
+    [SUBSTITUTE_REASON.ASSISTANT]: 'Suggested by the assistant',
+    [SUBSTITUTE_REASON.SIMILAR]: 'Similar product'
+};
+
+export const MAX_SUBSTITUTES = 3;
+
+// Part minimale des termes du produit manquant retrouvés dans le nom (ou la description) d'un candidat
+const MIN_NAME_SIMILARITY = 0.5;
+const MIN_DESCRIPTION_SIMILARITY = 0.6;
+
+const SCORE = {
+    VARIANT: 100,
+    ASSISTANT: 80,
+    NAME: 40,
+    DESCRIPTION: 20
+};
+
+function termSet(...values) {
+    return new Set(extractTerms(values.filter(v => v).join(' ')));
+}
+
+/**
+ * @description Part des termes de reference retrouvés dans candidate (0 à 1).
+ */
+function similarity(reference, candidate) {
+    if (!reference.size) return 0;
+    let shared = 0;
+    reference.forEach(term => { if (candidate.has(term)) shared++; });
+    return shared / reference.size;
+}
+
+function isOutOfStock(product) {
+    return product.stock !== null && product.stock !== undefined && product.stock !== '' && parseFloat(product.stock) <= 0;
+}
+
+/**
+ * @description Score d'un produit du catalogue comme substitut d'une ligne manquante.
+ * @param line { productId, sku, name, description, variationParentId }
+ * @param options { assistantSkus: Set de SKU en minuscules }
+ * @return { score, reason } ou null si le produit ne convient pas.
+ */
+export function scoreSubstitute(line, product, { assistantSkus = new Set() } = {}) {
+    if (!product || product.id === line.productId || isOutOfStock(product)) return null;
+
+    const nameScore = similarity(termSet(line.name), termSet(product.name));
+    const descriptionScore = similarity(termSet(line.description), termSet(product.Description || product.description));
+    let score = 0;
+    let reason = null;
+    if (line.variationParentId && product.variationParentId === line.variationParentId) {
+        score = SCORE.VARIANT;
+        reason = SUBSTITUTE_REASON.VARIANT;
+    } else if (assistantSkus.has(String(product.sku || '').toLowerCase())) {
+        score = SCORE.ASSISTANT;
+        reason = SUBSTITUTE_REASON.ASSISTANT;
+    } else if (nameScore >= MIN_NAME_SIMILARITY || descriptionScore >= MIN_DESCRIPTION_SIMILARITY) {
+        reason = SUBSTITUTE_REASON.SIMILAR;
+    } else {
+        return null;
+    }
+    return { score: score + nameScore * SCORE.NAME + descriptionScore * SCORE.DESCRIPTION, reason };
+}
+
+/**
+ * @description Meilleurs substituts d'une ligne manquante, du plus pertinent au moins pertinent.
+ * @param options { limit, assistantSkus: [sku] }
+ * @return [{ productId, sku, name, reason, reasonLabel }]
+ */
+export function findSubstitutes(line, catalog, { limit = MAX_SUBSTITUTES, assistantSkus = [] } = {}) {
+    const skus = new Set(assistantSkus.map(sku => String(sku).toLowerCase()));
+    return (catalog || [])
+        .map(product => ({ product, match: scoreSubstitute(line, product, { assistantSkus: skus }) }))
+        .filter(entry => entry.match)
+        .sort((a, b) => b.match.score - a.match.score || (a.product.name || '').localeCompare(b.product.name || ''))
+        .slice(0, limit)
+        .map(({ product, match }) => ({
+            productId: product.id,
+            sku: product.sku,
+            name: product.name,
+            reason: match.reason,
+            reasonLabel: REASON_LABELS[match.reason]
+        }));
+}
+
+/**
+ * @description Demande adressée à l'assistant pour recommander des substituts d'une ligne manquante.
+ */
+export function buildSubstitutionRequest(line) {
+    const reference = [line.name, line.sku ? `SKU ${line.sku}` : null].filter(v => v).join(', ') || line.productId;
+    const details = line.description ? ` Description: ${line.description}.` : '';
+    return `The product "${reference}" is no longer available.${details} Suggest up to ${MAX_SUBSTITUTES} products from the current catalog that could replace it, using the search action.`;
+}
@@ -0,0 +1,59 @@
+import { getVariantAttributes, sortAxisValues, resolveAxes, buildVariantBlock, buildDisplayRows } from 'c/b2bVariantMatrix';
+
+function variant(id, color, size, extra = {}) {
+    return {
+        id,
+        name: `Tee ${color} ${size}`,
+        variationParentId: 'P1',
+        variationAttributes: [{ name: 'Color', value: color }, { name: 'Size', value: size }],
+        ...extra
+    };
+}
+
+describe('c/b2bVariantMatrix', () => {
+    it('reads variation attributes and orders axis values', () => {
+        expect(getVariantAttributes({ variationInfo: 'Color: Red, Size: M' })).toEqual([
+            { name: 'Color', value: 'Red' },
+            { name: 'Size', value: 'M' }
+        ]);
+        expect(getVariantAttributes(variant('a', 'Blue', 'S'))[1]).toEqual({ name: 'Size', value: 'S' });
+        expect(getVariantAttributes({ variationInfo: '' })).toEqual([]);
+        expect(sortAxisValues(['XL', 'S', 'M', 'S'])).toEqual(['S', 'M', 'XL']);
+        expect(sortAxisValues(['10', '2', '5'])).toEqual(['2', '5', '10']);
+        expect(sortAxisValues(['Red', 'Blue'])).toEqual(['Red', 'Blue']);
+    });
+
+    it('puts sizes in columns and the other attributes in rows, with empty cells for missing combinations', () => {
+        const variants = [variant('a', 'Red', 'M'), variant('b', 'Red', 'S'), variant('c', 'Blue', 'L')];
+        expect(resolveAxes(variants)).toEqual({ columnAxis: 'Size', rowAxes: ['Color'] });
+
+        const block = buildVariantBlock('P1', 'Tee', variants);
+        expect(block).toMatchObject({ id: 'variants:P1', name: 'Tee', rowAxisLabel: 'Color', variantCountLabel: '3 variants' });
+        expect(block.columns.map(c => c.label)).toEqual(['S', 'M', 'L']);
+        expect(block.rows.map(r => r.label)).toEqual(['Red', 'Blue']);
+        expect(block.rows[0].cells.map(c => (c.row ? c.row.id : null))).toEqual(['b', 'a', null]);
+        expect(block.rows[1].cells.map(c => c.isEmpty)).toEqual([true, true, false]);
+
+        // Deux variantes sur la même combinaison : pas de matrice
+        expect(buildVariantBlock('P1', 'Tee', [variant('a', 'Red', 'M'), variant('z', 'Red', 'M')])).toBeNull();
+    });
+
+    it('collapses the variants of parents in matrix mode into one block at the first variant position', () => {
+        const rows = [
+            { id: 'x', name: 'Standalone' },
+            variant('a', 'Red', 'M', { variationParentName: 'Tee' }),
+            { id: 'y', name: 'Other' },
+            variant('b', 'Red', 'S'),
+            { id: 'q', name: 'Cap', variationParentId: 'P2', variationInfo: 'Color: Red' },
+            { id: 'r', name: 'Cap', variationParentId: 'P2', variationInfo: 'Color: Blue' }
+        ];
+        expect(buildDisplayRows(rows, new Set())).toBe(rows);
+
+        const display = buildDisplayRows(rows, new Set(['P1']), (parentId, variants) => variants[0].variationParentName);
+        expect(display.map(r => r.id)).toEqual(['x', 'variants:P1', 'y', 'q', 'r']);
+        expect(display[1].name).toBe('Tee');
+
+        // Une seule variante visible (filtres) : elle reste en ligne
+        expect(buildDisplayRows(rows.slice(0, 3), new Set(['P1'])).map(r => r.id)).toEqual(['x', 'a', 'y']);
+    });
+});
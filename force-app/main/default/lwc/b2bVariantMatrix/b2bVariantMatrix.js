@@ -0,0 +1,145 @@
+/**
+ * @description Mode matrice des variantes, sans dépendance UI : les variantes d'un même produit parent
+ * (variationParentId) sont regroupées en un bloc dont les axes sont leurs attributs de variation
+ * (ex : Couleur en lignes × Taille en colonnes), chaque cellule portant la ligne de grille de sa variante.
+ */
+
+export const VARIANT_BLOCK_PREFIX = 'variants:';
+
+// Ordre usuel des tailles textiles, utilisé quand les valeurs d'un axe en font partie
+const SIZE_ORDER = ['XXS', 'XS', 'S', 'M', 'L', 'XL', 'XXL', '2XL', 'XXXL', '3XL', '4XL'];
+const COLUMN_AXIS_PATTERN = /size|taille|format|width|length/i;
+const AXIS_SEPARATOR = ' / ';
+
+/**
+ * @description Attributs de variation d'un produit : liste { name, value } fournie par l'Apex, sinon
+ * déduite du texte variationInfo ("Color: Red, Size: M").
+ */
+export function getVariantAttributes(product) {
+    if (!product) return [];
+    if (Array.isArray(product.variationAttributes) && product.variationAttributes.length) {
+        return product.variationAttributes.filter(a => a && a.name).map(a => ({ name: String(a.name), value: String(a.value) }));
+    }
+    if (!product.variationInfo) return [];
+    return String(product.variationInfo).split(', ').map(part => {
+        const index = part.indexOf(':');
+        return index === -1 ? null : { name: part.slice(0, index).trim(), value: part.slice(index + 1).trim() };
+    }).filter(a => a && a.name);
+}
+
+/**
+ * @description Ordonne les valeurs d'un axe : tailles usuelles, puis numériques, sinon ordre d'apparition.
+ */
+export function sortAxisValues(values) {
+    const unique = [...new Set(values)];
+    if (unique.every(v => SIZE_ORDER.includes(String(v).toUpperCase()))) {
+        return unique.sort((a, b) => SIZE_ORDER.indexOf(String(a).toUpperCase()) - SIZE_ORDER.indexOf(String(b).toUpperCase()));
+    }
+    if (unique.every(v => v !== '' && !isNaN(parseFloat(v)) && isFinite(v))) {
+        return unique.sort((a, b) => parseFloat(a) - parseFloat(b));
+    }
+    return unique;
+}
+
+/**
+ * @description Choisit les axes d'un groupe de variantes : la taille (ou à défaut l'attribut le plus varié)
+ * en colonnes, les autres attributs combinés en lignes.
+ * @return { columnAxis, rowAxes: [] } ou null si les variantes n'ont pas d'attributs.
+ */
+export function resolveAxes(variants) {
+    const names = [];
+    const distinct = new Map();
+    variants.forEach(v => getVariantAttributes(v).forEach(a => {
+        if (!distinct.has(a.name)) {
+            names.push(a.name);
+            distinct.set(a.name, new Set());
+        }
+        distinct.get(a.name).add(a.value);
+    }));
+    if (!names.length) return null;
+
+    let columnAxis = names.find(n => COLUMN_AXIS_PATTERN.test(n));
+    if (!columnAxis) {
+        columnAxis = names.reduce((best, n) => (distinct.get(n).size > distinct.get(best).size ? n : best), names[0]);
+    }
+    return { columnAxis, rowAxes: names.filter(n => n !== columnAxis) };
+}
+
+/**
+ * @description Construit le bloc matrice d'un produit parent à partir des lignes de grille de ses variantes.
+ * Une combinaison d'attributs sans variante donne une cellule vide.
+ * @return null si les attributs ne permettent pas de placer chaque variante dans sa propre cellule, sinon { id, isVariantBlock, parentId, name, columnAxis, rowAxisLabel, columns: [{ key, label }],
+ *   rows: [{ key, label, cells: [{ key, row, isEmpty }] }], variantCount, variantCountLabel }
+ */
+export function buildVariantBlock(parentId, parentName, variants) {
+    const axes = resolveAxes(variants);
+    if (!axes) return null;
+    const valueOf = (variant, name) => {
+        const attr = getVariantAttributes(variant).find(a => a.name === name);
+        return attr ? attr.value : '';
+    };
+    const rowLabelOf = (variant) => axes.rowAxes.map(n => valueOf(variant, n)).join(AXIS_SEPARATOR);
+
+    const columnValues = sortAxisValues(variants.map(v => valueOf(v, axes.columnAxis)));
+    const rowLabels = [...new Set(variants.map(rowLabelOf))];
+    const cellIndex = new Map(variants.map(v => [`${rowLabelOf(v)}|${valueOf(v, axes.columnAxis)}`, v]));
+    // Deux variantes sur la même combinaison d'attributs : la matrice ne saurait pas les distinguer
+    if (cellIndex.size < variants.length) return null;
+
+    return {
+        id: `${VARIANT_BLOCK_PREFIX}${parentId}`,
+        isVariantBlock: true,
+        parentId,
+        name: parentName || (variants[0] && variants[0].name) || parentId,
+        columnAxis: axes.columnAxis,
+        rowAxisLabel: axes.rowAxes.join(AXIS_SEPARATOR),
+        columns: columnValues.map(value => ({ key: `col-${value}`, label: value })),
+        rows: rowLabels.map(label => ({
+            key: `row-${label}`,
+            label,
+            cells: columnValues.map(value => {
+                const row = cellIndex.get(`${label}|${value}`) || null;
+                return { key: `${label}|${value}`, row, isEmpty: !row };
+            })
+        })),
+        variantCount: variants.length,
+        variantCountLabel: `${variants.length} variant${variants.length === 1 ? '' : 's'}`
+    };
+}
+
+/**
+ * @description Lignes affichées : les variantes des parents passés en mode matrice (matrixParentIds) sont
+ * remplacées par un bloc unique, placé à la position de la première d'entre elles (tri et filtres conservés).
+ * Un parent dont une seule variante est visible reste en lignes.
+ */
+export function buildDisplayRows(rows, matrixParentIds, getParentName = () => null) {
+    if (!matrixParentIds || !matrixParentIds.size) return rows;
+    const groups = new Map();
+    rows.forEach(row => {
+        const parentId = row.variationParentId;
+        if (!parentId || !matrixParentIds.has(parentId)) return;
+        if (!groups.has(parentId)) groups.set(parentId, []);
+        groups.get(parentId).push(row);
+    });
+
+    const blocks = new Map();
+    groups.forEach((variants, parentId) => {
+        if (variants.length < 2) return;
+        const block = buildVariantBlock(parentId, getParentName(parentId, variants), variants);
+        if (block) blocks.set(parentId, block);
+    });
+    if (!blocks.size) return rows;
+
+    const display = [];
+    const placed = new Set();
+    rows.forEach(row => {
+        const block = row.variationParentId ? blocks.get(row.variationParentId) : null;
+        if (!block) {
+            display.push(row);
+        } else if (!placed.has(block.parentId)) {
+            placed.add(block.parentId);
+            display.push(block);
+        }
+    });
+    return display;
+}
@@ -0,0 +1,4 @@
+import { createTestWireAdapter } from '@salesforce/wire-service-jest-util';
+
+export const CartSummaryAdapter = createTestWireAdapter(jest.fn());
+export const refreshCartSummary = jest.fn(() => Promise.resolve());
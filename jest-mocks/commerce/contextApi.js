@@ -0,0 +1,4 @@
+import { createTestWireAdapter } from '@salesforce/wire-service-jest-util';
+
+export const AppContextAdapter = createTestWireAdapter(jest.fn());
+export const SessionContextAdapter = createTestWireAdapter(jest.fn());
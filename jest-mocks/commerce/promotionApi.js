@@ -0,0 +1 @@
+export const getPromotionPricingCollection = jest.fn(() => Promise.resolve({ promotionProductEvaluationResults: [] }));
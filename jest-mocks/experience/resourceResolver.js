@@ -0,0 +1 @@
+export const resolve = jest.fn((url) => url);
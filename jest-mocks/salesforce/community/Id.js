@@ -0,0 +1 @@
+export default '0DB000000000001';
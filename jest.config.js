@@ -2,5 +2,10 @@ const { jestConfig } = require('@salesforce/sfdx-lwc-jest/config');
 
 module.exports = {
     ...jestConfig,
+    moduleNameMapper: {
+        '^commerce/(.+)$': '<rootDir>/jest-mocks/commerce/$1',
+        '^experience/(.+)$': '<rootDir>/jest-mocks/experience/$1',
+        '^@salesforce/community/(.+)$': '<rootDir>/jest-mocks/salesforce/community/$1'
+    },
     modulePathIgnorePatterns: ['<rootDir>/.localdevserver']
 };